@@ -61,18 +61,27 @@ function query(sql, params = []) {
       let pgSql = sql;
       let paramIndex = 1;
       pgSql = pgSql.replace(/\?/g, () => `$${paramIndex++}`);
-      
+
+      // Return the new row id so callers can use result.lastID like with SQLite
+      if (/^\s*INSERT\s/i.test(pgSql) && !/\bRETURNING\b/i.test(pgSql)) {
+        pgSql = pgSql.replace(/;?\s*$/, ' RETURNING id');
+      }
+
       pgPool.query(pgSql, params, (err, result) => {
         if (err) {
           console.error('PostgreSQL query error:', err);
           reject(err);
         } else {
-          resolve(result.rows);
+          // Rows stay an array for SELECTs; lastID/changes mirror the SQLite run() result
+          const rows = result.rows;
+          rows.changes = result.rowCount;
+          rows.lastID = rows.length > 0 ? rows[0].id : undefined;
+          resolve(rows);
         }
       });
     } else {
-      // SQLite
-      if (sql.trim().toUpperCase().startsWith('SELECT')) {
+      // SQLite (PRAGMA returns rows, so it is read like a SELECT)
+      if (/^\s*(SELECT|PRAGMA)\b/i.test(sql)) {
         db.all(sql, params, (err, rows) => {
           if (err) reject(err);
           else resolve(rows);
@@ -142,6 +151,26 @@ async function initializeSchema() {
       }
     };
     
+    // Helper function to add columns to an existing table (for existing databases)
+    const safeAddColumns = async (table, columns) => {
+      for (const col of columns) {
+        try {
+          const defaultClause = col.default !== undefined && col.default !== null ? ` DEFAULT ${col.default}` : '';
+          if (USE_POSTGRES) {
+            await run(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${col.name} ${col.type}${defaultClause}`);
+          } else {
+            // SQLite doesn't support IF NOT EXISTS for columns, so check first
+            const existing = await all(`PRAGMA table_info(${table})`);
+            if (!existing.some(c => c.name === col.name)) {
+              await run(`ALTER TABLE ${table} ADD COLUMN ${col.name} ${col.type}${defaultClause}`);
+            }
+          }
+        } catch (error) {
+          console.log(`Note: ${table}.${col.name} column already exists or could not be added`);
+        }
+      }
+    };
+    
     // Users table
     await run(`
       CREATE TABLE IF NOT EXISTS users (
@@ -225,7 +254,7 @@ async function initializeSchema() {
         id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
         raffle_id INTEGER NOT NULL ${USE_POSTGRES ? 'REFERENCES raffles(id) ON DELETE CASCADE' : ''},
         category_id INTEGER,
-        ticket_number TEXT UNIQUE NOT NULL,
+        ticket_number TEXT NOT NULL,
         buyer_name TEXT,
         buyer_phone TEXT,
         seller_name TEXT,
@@ -253,6 +282,32 @@ async function initializeSchema() {
       )
     `);
     
+    // Ticket numbers are unique per raffle, so every raffle can number its tickets
+    // ABC-000001 onwards. Databases created before that have a UNIQUE ticket_number
+    // column: drop the constraint (PostgreSQL) or rebuild the table without it (SQLite).
+    if (USE_POSTGRES) {
+      await run('ALTER TABLE tickets DROP CONSTRAINT IF EXISTS tickets_ticket_number_key');
+    } else {
+      const ticketsTable = await get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'tickets'");
+      if (/ticket_number TEXT UNIQUE NOT NULL/i.test(ticketsTable.sql)) {
+        await run('BEGIN');
+        try {
+          await run(ticketsTable.sql
+            .replace(/^CREATE TABLE "?tickets"?/i, 'CREATE TABLE tickets_rebuild')
+            .replace(/ticket_number TEXT UNIQUE NOT NULL/i, 'ticket_number TEXT NOT NULL'));
+          await run('INSERT INTO tickets_rebuild SELECT * FROM tickets');
+          await run('DROP TABLE tickets');
+          await run('ALTER TABLE tickets_rebuild RENAME TO tickets');
+          await run('COMMIT');
+          console.log('✅ Ticket numbers are now unique per raffle');
+        } catch (error) {
+          await run('ROLLBACK');
+          throw error;
+        }
+      }
+    }
+    await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_tickets_raffle_ticket_number ON tickets(raffle_id, ticket_number)');
+    
     // Create indexes for tickets table (with error handling)
     try {
       await run(`CREATE INDEX IF NOT EXISTS idx_tickets_barcode ON tickets(barcode)`);
@@ -318,7 +373,7 @@ async function initializeSchema() {
       CREATE TABLE IF NOT EXISTS draws (
         id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
         draw_number INTEGER NOT NULL,
-        ticket_number INTEGER NOT NULL,
+        ticket_number TEXT NOT NULL,
         prize_name TEXT NOT NULL,
         winner_name TEXT NOT NULL,
         winner_phone TEXT NOT NULL,
@@ -326,6 +381,474 @@ async function initializeSchema() {
       )
     `);
     
+    // Ticket numbers are strings like ABC-000001 (older databases declared INTEGER)
+    if (USE_POSTGRES) {
+      try {
+        await run(`ALTER TABLE draws ALTER COLUMN ticket_number TYPE TEXT`);
+      } catch (error) {
+        console.log('Note: draws.ticket_number column could not be converted to TEXT');
+      }
+    }
+    
+    // Verifiable draw columns - commit-reveal seed and eligible set snapshot
+    await safeAddColumns('draws', [
+      { name: 'raffle_id', type: 'INTEGER' },
+      { name: 'ticket_id', type: 'INTEGER' },
+      { name: 'commitment_id', type: 'INTEGER' },
+      { name: 'seed', type: 'TEXT' },
+      { name: 'seed_commitment', type: 'TEXT' },
+      { name: 'eligible_set_hash', type: 'TEXT' },
+      { name: 'eligible_count', type: 'INTEGER' },
+      { name: 'eligible_tickets', type: 'TEXT' },
+      { name: 'winner_index', type: 'INTEGER' },
+      { name: 'algorithm_version', type: 'TEXT' },
+      { name: 'conducted_by', type: 'TEXT' },
+      { name: 'draw_round', type: 'INTEGER', default: '0' },
+      { name: 'prize_tier_id', type: 'INTEGER' },
+      { name: 'pick_type', type: 'TEXT', default: "'winner'" }
+    ]);
+    
+    // Voided draws stay in history with the reason, the admin and the replacement draw
+    await safeAddColumns('draws', [
+      { name: 'status', type: 'TEXT', default: "'completed'" },
+      { name: 'void_reason', type: 'TEXT' },
+      { name: 'voided_by', type: 'TEXT' },
+      { name: 'voided_at', type: USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME' },
+      { name: 'redraw_id', type: 'INTEGER' },
+      { name: 'replaces_draw_id', type: 'INTEGER' }
+    ]);
+    
+    // Draw audit log - admin actions taken on completed draws (voids, redraws)
+    await run(`
+      CREATE TABLE IF NOT EXISTS draw_audit_log (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        draw_id INTEGER NOT NULL,
+        raffle_id INTEGER,
+        action TEXT NOT NULL,
+        reason TEXT,
+        actor TEXT,
+        details TEXT,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'}
+      )
+    `);
+    
+    // Winner columns - links to draws, prize tiers and reserve alternates
+    await safeAddColumns('winners', [
+      { name: 'draw_id', type: 'INTEGER' },
+      { name: 'prize_tier_id', type: 'INTEGER' },
+      { name: 'prize_level', type: 'TEXT' },
+      { name: 'status', type: 'TEXT', default: "'winner'" },
+      { name: 'alternate_rank', type: 'INTEGER' },
+      { name: 'previous_ticket_status', type: 'TEXT' },
+      { name: 'replaces_winner_id', type: 'INTEGER' },
+      { name: 'disqualified_reason', type: 'TEXT' },
+      { name: 'disqualified_at', type: USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME' }
+    ]);
+    
+    // Prize claim lifecycle: pending -> notified -> claimed | expired | forfeited
+    await safeAddColumns('winners', [
+      { name: 'claim_status', type: 'TEXT' },
+      { name: 'claim_deadline', type: USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME' },
+      { name: 'notified_at', type: USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME' },
+      { name: 'collected_by', type: 'TEXT' },
+      { name: 'id_verification_notes', type: 'TEXT' },
+      { name: 'claim_closed_reason', type: 'TEXT' }
+    ]);
+    
+    // Winner events table - audit trail of every draw, claim and replacement transition
+    await run(`
+      CREATE TABLE IF NOT EXISTS winner_events (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        winner_id INTEGER NOT NULL,
+        raffle_id INTEGER,
+        event_type TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT,
+        actor TEXT,
+        notes TEXT,
+        related_winner_id INTEGER,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'}
+      )
+    `);
+    
+    // Draw commitments table - seed hashes published before a draw is run
+    await run(`
+      CREATE TABLE IF NOT EXISTS draw_commitments (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        raffle_id INTEGER,
+        seed TEXT NOT NULL,
+        seed_commitment TEXT NOT NULL,
+        algorithm_version TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        draw_id INTEGER,
+        created_by TEXT,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'},
+        revealed_at ${USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME'}
+      )
+    `);
+    
+    // Eligible set snapshot taken when a commitment is revealed (shared by every pick of that draw)
+    await safeAddColumns('draw_commitments', [
+      { name: 'eligible_set_hash', type: 'TEXT' },
+      { name: 'eligible_count', type: 'INTEGER' },
+      { name: 'eligible_tickets', type: 'TEXT' }
+    ]);
+    
+    // Eligibility rules (JSON) fixed when the commitment is published
+    await safeAddColumns('draw_commitments', [
+      { name: 'eligibility_rules', type: 'TEXT' }
+    ]);
+    
+    // Prize plans table - one plan of ordered prize tiers per raffle
+    await run(`
+      CREATE TABLE IF NOT EXISTS prize_plans (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        raffle_id INTEGER NOT NULL UNIQUE,
+        status TEXT DEFAULT 'draft',
+        commitment_id INTEGER,
+        executed_by TEXT,
+        executed_at ${USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME'},
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'},
+        updated_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'}
+      )
+    `);
+    
+    // Why a plan run stopped part-way (status 'failed'); running it again resumes it
+    await safeAddColumns('prize_plans', [
+      { name: 'failure_reason', type: 'TEXT' }
+    ]);
+    
+    // Prize tiers table - drawn in tier_order, each with a quantity and reserve alternates
+    await run(`
+      CREATE TABLE IF NOT EXISTS prize_tiers (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        plan_id INTEGER NOT NULL,
+        tier_order INTEGER NOT NULL,
+        prize_name TEXT NOT NULL,
+        description TEXT,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        alternates INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+    
+    // Sale settings - buyer details each raffle requires when a ticket is sold
+    await safeAddColumns('raffles', [
+      { name: 'buyer_name_required', type: USE_POSTGRES ? 'BOOLEAN' : 'INTEGER', default: USE_POSTGRES ? 'FALSE' : '0' },
+      { name: 'buyer_phone_required', type: USE_POSTGRES ? 'BOOLEAN' : 'INTEGER', default: USE_POSTGRES ? 'FALSE' : '0' },
+      { name: 'buyer_email_required', type: USE_POSTGRES ? 'BOOLEAN' : 'INTEGER', default: USE_POSTGRES ? 'FALSE' : '0' },
+      { name: 'payment_method_required', type: USE_POSTGRES ? 'BOOLEAN' : 'INTEGER', default: USE_POSTGRES ? 'FALSE' : '0' }
+    ]);
+    
+    // Client scan IDs make retried sale requests idempotent
+    await safeAddColumns('ticket_scans', [
+      { name: 'client_scan_id', type: 'TEXT' }
+    ]);
+    
+    // Sales table - one buyer and one payment covering one or more tickets
+    await run(`
+      CREATE TABLE IF NOT EXISTS sales (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        raffle_id INTEGER NOT NULL,
+        seller_id INTEGER NOT NULL,
+        seller_name TEXT,
+        seller_phone TEXT,
+        buyer_name TEXT,
+        buyer_phone TEXT,
+        buyer_email TEXT,
+        payment_method TEXT,
+        ticket_count INTEGER NOT NULL DEFAULT 0,
+        total_amount ${USE_POSTGRES ? 'NUMERIC(10,2)' : 'REAL'},
+        status TEXT DEFAULT 'pending',
+        client_sale_id TEXT,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'},
+        completed_at ${USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME'}
+      )
+    `);
+    
+    await safeAddColumns('tickets', [
+      { name: 'sale_id', type: 'INTEGER' }
+    ]);
+    
+    // Receipts - shareable link token and when the receipt was emailed
+    await safeAddColumns('sales', [
+      { name: 'receipt_token', type: 'TEXT' },
+      { name: 'receipt_emailed_at', type: USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME' }
+    ]);
+    
+    // Commission rules - per raffle, optionally per category (flat, percentage or tiered)
+    await run(`
+      CREATE TABLE IF NOT EXISTS commission_rules (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        raffle_id INTEGER NOT NULL,
+        category TEXT,
+        rule_type TEXT NOT NULL,
+        rate ${USE_POSTGRES ? 'NUMERIC(10,2)' : 'REAL'},
+        tiers TEXT,
+        updated_by TEXT,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'},
+        updated_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'}
+      )
+    `);
+    
+    // Seller ledger - what each seller owes: sales debit, remittances credit
+    await run(`
+      CREATE TABLE IF NOT EXISTS seller_ledger (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        seller_id INTEGER NOT NULL,
+        raffle_id INTEGER,
+        entry_type TEXT NOT NULL,
+        debit ${USE_POSTGRES ? 'NUMERIC(10,2)' : 'REAL'} DEFAULT 0,
+        credit ${USE_POSTGRES ? 'NUMERIC(10,2)' : 'REAL'} DEFAULT 0,
+        sale_id INTEGER,
+        method TEXT,
+        receipt_number TEXT,
+        notes TEXT,
+        recorded_by TEXT,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'}
+      )
+    `);
+    
+    // Most a seller may owe before new sales and allocations are blocked (NULL: SELLER_BALANCE_LIMIT)
+    await safeAddColumns('users', [
+      { name: 'balance_limit', type: USE_POSTGRES ? 'NUMERIC(10,2)' : 'REAL' }
+    ]);
+    
+    // Payment verification - review of each sale's payment (unverified, verified or rejected)
+    await safeAddColumns('sales', [
+      { name: 'payment_status', type: 'TEXT', default: "'unverified'" },
+      { name: 'payment_reviewed_by', type: 'TEXT' },
+      { name: 'payment_reviewed_at', type: USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME' },
+      { name: 'payment_notes', type: 'TEXT' }
+    ]);
+    
+    // Payment reviews - every verify / reject decision, with notes
+    await run(`
+      CREATE TABLE IF NOT EXISTS payment_reviews (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        sale_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        previous_status TEXT,
+        ticket_count INTEGER,
+        notes TEXT,
+        reviewed_by TEXT,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'}
+      )
+    `);
+    
+    // Online orders - public purchases paid through a payment provider
+    await run(`
+      CREATE TABLE IF NOT EXISTS online_orders (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        order_token TEXT NOT NULL,
+        raffle_id INTEGER NOT NULL,
+        category TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        unit_price ${USE_POSTGRES ? 'NUMERIC(10,2)' : 'REAL'} NOT NULL,
+        total_amount ${USE_POSTGRES ? 'NUMERIC(10,2)' : 'REAL'} NOT NULL,
+        currency TEXT,
+        buyer_name TEXT,
+        buyer_phone TEXT,
+        buyer_email TEXT,
+        status TEXT DEFAULT 'pending',
+        payment_provider TEXT,
+        payment_reference TEXT,
+        provider_transaction_id TEXT,
+        sale_id INTEGER,
+        refund_id TEXT,
+        failure_reason TEXT,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'},
+        updated_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'}
+      )
+    `);
+    
+    // Online orders created before payment providers were paid through Stripe
+    await safeAddColumns('online_orders', [
+      { name: 'payment_provider', type: 'TEXT', default: "'stripe'" },
+      { name: 'payment_reference', type: 'TEXT' },
+      { name: 'provider_transaction_id', type: 'TEXT' }
+    ]);
+    
+    // Payment transactions - every payment started or confirmed through a payment provider
+    await run(`
+      CREATE TABLE IF NOT EXISTS payment_transactions (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        provider TEXT NOT NULL,
+        payment_id TEXT NOT NULL,
+        transaction_id TEXT,
+        purpose TEXT,
+        reference TEXT,
+        amount ${USE_POSTGRES ? 'NUMERIC(10,2)' : 'REAL'},
+        currency TEXT,
+        payer_phone TEXT,
+        status TEXT NOT NULL,
+        sale_id INTEGER,
+        refunded_amount ${USE_POSTGRES ? 'NUMERIC(10,2)' : 'REAL'} DEFAULT 0,
+        refund_id TEXT,
+        created_by TEXT,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'},
+        updated_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'}
+      )
+    `);
+    
+    // Provider payments - which provider took the money and its transaction ID
+    await safeAddColumns('tickets', [
+      { name: 'payment_provider', type: 'TEXT' },
+      { name: 'provider_transaction_id', type: 'TEXT' }
+    ]);
+    await safeAddColumns('sales', [
+      { name: 'payment_provider', type: 'TEXT' },
+      { name: 'provider_transaction_id', type: 'TEXT' }
+    ]);
+    
+    // Ticket reservations - RESERVED tickets held for an owner (user:<id> or order:<id>) until reserved_until
+    await safeAddColumns('tickets', [
+      { name: 'reservation_owner', type: 'TEXT' },
+      { name: 'reservation_owner_name', type: 'TEXT' },
+      { name: 'reservation_reason', type: 'TEXT' },
+      { name: 'reserved_at', type: USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME' },
+      { name: 'reserved_until', type: USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME' }
+    ]);
+    
+    // Ticket events - returns, voids, losses, refunds and transfers, with the buyer, seller and sale the ticket had
+    await run(`
+      CREATE TABLE IF NOT EXISTS ticket_events (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        ticket_id INTEGER NOT NULL,
+        raffle_id INTEGER,
+        event_type TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT,
+        reason_code TEXT,
+        sale_id INTEGER,
+        seller_id INTEGER,
+        buyer_name TEXT,
+        buyer_phone TEXT,
+        buyer_email TEXT,
+        amount ${USE_POSTGRES ? 'NUMERIC(10,2)' : 'REAL'},
+        actor TEXT,
+        actor_name TEXT,
+        notes TEXT,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'}
+      )
+    `);
+    
+    // Refunds - money given back for sold tickets, with its method and approver
+    await run(`
+      CREATE TABLE IF NOT EXISTS refunds (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        sale_id INTEGER NOT NULL,
+        raffle_id INTEGER,
+        seller_id INTEGER,
+        ticket_count INTEGER NOT NULL,
+        amount ${USE_POSTGRES ? 'NUMERIC(10,2)' : 'REAL'} NOT NULL,
+        method TEXT NOT NULL,
+        provider TEXT,
+        provider_refund_id TEXT,
+        ticket_status TEXT NOT NULL,
+        commission_reversed ${USE_POSTGRES ? 'NUMERIC(10,2)' : 'REAL'} DEFAULT 0,
+        reason_code TEXT,
+        notes TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        failure_reason TEXT,
+        approved_by TEXT,
+        approved_by_name TEXT,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'},
+        completed_at ${USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME'}
+      )
+    `);
+    await safeAddColumns('ticket_events', [
+      { name: 'refund_id', type: 'INTEGER' }
+    ]);
+    
+    // Ownership transfers - who a ticket_events 'transferred' row passed the ticket to
+    await safeAddColumns('ticket_events', [
+      { name: 'new_buyer_name', type: 'TEXT' },
+      { name: 'new_buyer_phone', type: 'TEXT' },
+      { name: 'new_buyer_email', type: 'TEXT' }
+    ]);
+    await safeAddColumns('seller_ledger', [
+      { name: 'refund_id', type: 'INTEGER' }
+    ]);
+    
+    // Raffle status changes - each step of a raffle's lifecycle and who made it
+    await run(`
+      CREATE TABLE IF NOT EXISTS raffle_status_events (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        raffle_id INTEGER NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        actor TEXT,
+        actor_name TEXT,
+        notes TEXT,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'}
+      )
+    `);
+    
+    // Ticket categories - the first digit of each category's 8-digit barcodes
+    await safeAddColumns('ticket_categories', [
+      { name: 'barcode_prefix', type: 'TEXT' }
+    ]);
+    await run(
+      `UPDATE ticket_categories SET barcode_prefix = CASE category_code
+         WHEN 'ABC' THEN '1' WHEN 'EFG' THEN '2' WHEN 'JKL' THEN '3' WHEN 'XYZ' THEN '4' END
+       WHERE barcode_prefix IS NULL AND category_code IN ('ABC', 'EFG', 'JKL', 'XYZ')`
+    );
+    
+    // Buyer portal sign-in codes - one-time codes sent by SMS, stored hashed
+    await run(`
+      CREATE TABLE IF NOT EXISTS buyer_login_codes (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        phone TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        expires_at ${USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME'} NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        used_at ${USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME'},
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'}
+      )
+    `);
+    
+    // Seller allocations table - barcode ranges / booklets consigned to a seller
+    await run(`
+      CREATE TABLE IF NOT EXISTS seller_allocations (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        raffle_id INTEGER NOT NULL,
+        seller_id INTEGER NOT NULL,
+        category TEXT,
+        start_barcode TEXT NOT NULL,
+        end_barcode TEXT NOT NULL,
+        booklet_number INTEGER,
+        ticket_count INTEGER NOT NULL DEFAULT 0,
+        status TEXT DEFAULT 'active',
+        returned_count INTEGER DEFAULT 0,
+        transferred_count INTEGER DEFAULT 0,
+        parent_allocation_id INTEGER,
+        transferred_from_id INTEGER,
+        issued_by TEXT,
+        notes TEXT,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'},
+        closed_at ${USE_POSTGRES ? 'TIMESTAMP' : 'DATETIME'}
+      )
+    `);
+    
+    // Allocation events table - issue, split, return and transfer history
+    await run(`
+      CREATE TABLE IF NOT EXISTS allocation_events (
+        id ${USE_POSTGRES ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        allocation_id INTEGER NOT NULL,
+        raffle_id INTEGER,
+        event_type TEXT NOT NULL,
+        seller_id INTEGER,
+        related_seller_id INTEGER,
+        related_allocation_id INTEGER,
+        start_barcode TEXT,
+        end_barcode TEXT,
+        ticket_count INTEGER,
+        actor TEXT,
+        notes TEXT,
+        created_at ${USE_POSTGRES ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'}
+      )
+    `);
+    
     // Seller requests table
     await run(`
       CREATE TABLE IF NOT EXISTS seller_requests (
@@ -457,7 +980,62 @@ async function initializeSchema() {
       'CREATE INDEX IF NOT EXISTS idx_seller_requests_status ON seller_requests(status)',
       
       // Draws indexes
-      'CREATE INDEX IF NOT EXISTS idx_draws_date ON draws(drawn_at)'
+      'CREATE INDEX IF NOT EXISTS idx_draws_date ON draws(drawn_at)',
+      'CREATE INDEX IF NOT EXISTS idx_draws_commitment ON draws(commitment_id)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_draws_number ON draws(draw_number)',
+      
+      // Winners and prize plan indexes
+      'CREATE INDEX IF NOT EXISTS idx_winners_raffle ON winners(raffle_id)',
+      'CREATE INDEX IF NOT EXISTS idx_winners_claim ON winners(claim_status, claim_deadline)',
+      'CREATE INDEX IF NOT EXISTS idx_winner_events_winner ON winner_events(winner_id)',
+      'CREATE INDEX IF NOT EXISTS idx_draw_audit_log_draw ON draw_audit_log(draw_id)',
+      'CREATE INDEX IF NOT EXISTS idx_prize_tiers_plan ON prize_tiers(plan_id)',
+      
+      // Seller allocation indexes
+      'CREATE INDEX IF NOT EXISTS idx_seller_allocations_range ON seller_allocations(raffle_id, status, start_barcode)',
+      'CREATE INDEX IF NOT EXISTS idx_seller_allocations_seller ON seller_allocations(seller_id, status)',
+      'CREATE INDEX IF NOT EXISTS idx_allocation_events_allocation ON allocation_events(allocation_id)',
+      
+      // Sale idempotency - one sale per seller and client scan ID
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_ticket_scans_client_scan ON ticket_scans(scanned_by, client_scan_id)',
+      
+      // Sales indexes
+      'CREATE INDEX IF NOT EXISTS idx_tickets_sale ON tickets(sale_id)',
+      'CREATE INDEX IF NOT EXISTS idx_sales_seller ON sales(seller_id, created_at)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_client_sale ON sales(seller_id, client_sale_id)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_receipt_token ON sales(receipt_token)',
+      
+      // Commission and payout statement indexes
+      'CREATE INDEX IF NOT EXISTS idx_commission_rules_raffle ON commission_rules(raffle_id)',
+      'CREATE INDEX IF NOT EXISTS idx_tickets_seller_sold ON tickets(seller_id, sold_at)',
+      
+      // Seller ledger - one debit per sale, one remittance per seller receipt number
+      'CREATE INDEX IF NOT EXISTS idx_seller_ledger_seller ON seller_ledger(seller_id, created_at)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_seller_ledger_sale ON seller_ledger(entry_type, sale_id)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_seller_ledger_receipt ON seller_ledger(seller_id, receipt_number)',
+      
+      // Payment verification queue
+      'CREATE INDEX IF NOT EXISTS idx_sales_payment_status ON sales(payment_status, seller_id)',
+      'CREATE INDEX IF NOT EXISTS idx_payment_reviews_sale ON payment_reviews(sale_id)',
+      
+      // Online orders
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_online_orders_token ON online_orders(order_token)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_online_orders_payment ON online_orders(payment_provider, payment_reference)',
+      
+      // Payment providers
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_transactions_payment ON payment_transactions(provider, payment_id)',
+      'CREATE INDEX IF NOT EXISTS idx_payment_transactions_sale ON payment_transactions(sale_id)',
+      'CREATE INDEX IF NOT EXISTS idx_buyer_login_codes_phone ON buyer_login_codes(phone, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_tickets_buyer_phone ON tickets(buyer_phone)',
+      'CREATE INDEX IF NOT EXISTS idx_tickets_reservation ON tickets(status, reserved_until)',
+      'CREATE INDEX IF NOT EXISTS idx_tickets_reservation_owner ON tickets(reservation_owner)',
+      'CREATE INDEX IF NOT EXISTS idx_ticket_events_ticket ON ticket_events(ticket_id)',
+      'CREATE INDEX IF NOT EXISTS idx_ticket_events_raffle ON ticket_events(raffle_id, event_type)',
+      'CREATE INDEX IF NOT EXISTS idx_ticket_events_refund ON ticket_events(refund_id)',
+      'CREATE INDEX IF NOT EXISTS idx_raffle_status_events_raffle ON raffle_status_events(raffle_id)',
+      'CREATE INDEX IF NOT EXISTS idx_refunds_sale ON refunds(sale_id)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_seller_ledger_refund ON seller_ledger(refund_id)',
+      'CREATE INDEX IF NOT EXISTS idx_tickets_provider_transaction ON tickets(provider_transaction_id)'
     ];
 
     for (const indexQuery of indexes) {
@@ -496,23 +1074,23 @@ async function initializeSchema() {
       await run(
         `INSERT INTO raffles (name, status, description, total_tickets) 
          VALUES (?, ?, ?, ?)`,
-        ['Default Raffle 2024', 'active', 'Official raffle with 4 ticket categories', 1500000]
+        ['Default Raffle 2024', 'on_sale', 'Official raffle with 4 ticket categories', 1500000]
       );
       
       // Create 4 ticket categories
       const categories = [
-        { code: 'ABC', name: 'Bronze', price: 50.00, total: 500000, color: '#CD7F32' },
-        { code: 'EFG', name: 'Silver', price: 100.00, total: 500000, color: '#C0C0C0' },
-        { code: 'JKL', name: 'Gold', price: 250.00, total: 250000, color: '#FFD700' },
-        { code: 'XYZ', name: 'Platinum', price: 500.00, total: 250000, color: '#E5E4E2' }
+        { code: 'ABC', name: 'Bronze', price: 50.00, total: 500000, color: '#CD7F32', prefix: '1' },
+        { code: 'EFG', name: 'Silver', price: 100.00, total: 500000, color: '#C0C0C0', prefix: '2' },
+        { code: 'JKL', name: 'Gold', price: 250.00, total: 250000, color: '#FFD700', prefix: '3' },
+        { code: 'XYZ', name: 'Platinum', price: 500.00, total: 250000, color: '#E5E4E2', prefix: '4' }
       ];
       
       for (const cat of categories) {
         await run(
           `INSERT INTO ticket_categories 
-           (raffle_id, category_code, category_name, price, total_tickets, color) 
-           VALUES (?, ?, ?, ?, ?, ?)`,
-          [1, cat.code, cat.name, cat.price, cat.total, cat.color]
+           (raffle_id, category_code, category_name, price, total_tickets, color, barcode_prefix) 
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [1, cat.code, cat.name, cat.price, cat.total, cat.color, cat.prefix]
         );
       }
       
@@ -525,6 +1103,14 @@ async function initializeSchema() {
       console.log('   - Potential revenue: $262,500,000');
     }
     
+    // Raffle lifecycle - raffles from before it ('active', or 'draft' with tickets
+    // already sold) are on sale
+    await run(
+      `UPDATE raffles SET status = 'on_sale'
+       WHERE status = 'active'
+          OR (status = 'draft' AND EXISTS (SELECT 1 FROM tickets t WHERE t.raffle_id = raffles.id AND t.status = 'SOLD'))`
+    );
+    
   } catch (error) {
     console.error('❌ Database initialization error:', error);
     throw error;
@@ -562,6 +1148,27 @@ function getCurrentTimestamp() {
   return USE_POSTGRES ? 'CURRENT_TIMESTAMP' : "datetime('now')";
 }
 
+/**
+ * Format a date as the UTC "YYYY-MM-DD HH:MM:SS" form stored by the database
+ * Values in this form compare correctly as strings on both databases.
+ *
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function toDbTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * A timestamp read from the database in the same form (PostgreSQL returns Dates)
+ *
+ * @param {Date|string} value - Column value
+ * @returns {string}
+ */
+function fromDbTimestamp(value) {
+  return value instanceof Date ? toDbTimestamp(value) : String(value);
+}
+
 /**
  * Check if error is a unique constraint violation
  * Works for both SQLite and PostgreSQL
@@ -740,6 +1347,8 @@ module.exports = {
   serialize,
   USE_POSTGRES,
   getCurrentTimestamp,
+  toDbTimestamp,
+  fromDbTimestamp,
   isUniqueConstraintError,
   streamRows,
   processBatches
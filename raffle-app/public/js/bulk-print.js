@@ -8,6 +8,28 @@ document.addEventListener('DOMContentLoaded', () => {
   const progressFill = document.getElementById('progress-fill');
   const progressText = document.getElementById('progress-text');
 
+  // Fill the category picker from the raffle's ticket categories
+  async function loadCategories() {
+    try {
+      const response = await fetch('/api/admin/raffles/1/categories');
+      if (!response.ok) return;
+      const data = await response.json();
+      bulkCategorySelect.innerHTML = data.categories.map(category =>
+        `<option value="${category.category_code}" data-max="${category.total_tickets}">` +
+        `${category.category_code} - $${category.price} (${category.total_tickets.toLocaleString()} tickets)</option>`
+      ).join('');
+      updateBulkSummary();
+    } catch (error) {
+      console.error('Error loading categories:', error);
+    }
+  }
+
+  // Tickets in the selected category
+  function categoryLimit() {
+    const option = bulkCategorySelect.selectedOptions[0];
+    return option ? parseInt(option.dataset.max) : 0;
+  }
+
   // Update summary when inputs change
   [bulkCategorySelect, bulkStartInput, bulkCountInput].forEach(element => {
     element.addEventListener('change', updateBulkSummary);
@@ -46,6 +68,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Initial summary update
   updateBulkSummary();
+  loadCategories();
 
   // Bulk print button handler
   bulkPrintBtn.addEventListener('click', async () => {
@@ -69,13 +92,14 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
     
-    if (startNum < 1 || startNum > 375000) {
-      alert('Starting ticket number must be between 1 and 375,000');
+    const limit = categoryLimit();
+    if (startNum < 1 || startNum > limit) {
+      alert(`Starting ticket number must be between 1 and ${limit.toLocaleString()}`);
       return;
     }
     
-    if (startNum + count - 1 > 375000) {
-      alert(`Ticket range exceeds category limit. Max end number is 375,000`);
+    if (startNum + count - 1 > limit) {
+      alert(`Ticket range exceeds category limit. Max end number is ${limit.toLocaleString()}`);
       return;
     }
     
@@ -1,5 +1,23 @@
 // Print Custom Tickets Handler
 
+/**
+ * Fill the category picker from the raffle's ticket categories
+ */
+async function loadCategories() {
+  try {
+    const response = await fetch('/api/admin/raffles/1/categories');
+    if (!response.ok) return;
+    const data = await response.json();
+    document.getElementById('category').innerHTML = data.categories.map(category =>
+      `<option value="${category.category_code}" data-max="${category.total_tickets}">${category.category_code} - $${category.price}</option>`
+    ).join('');
+  } catch (error) {
+    console.error('Error loading categories:', error);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', loadCategories);
+
 /**
  * Load preview of tickets before printing
  */
@@ -25,8 +43,10 @@ async function loadPreview() {
     return;
   }
 
-  if (startNum < 1 || endNum > 375000) {
-    showError('Ticket numbers must be between 1 and 375,000');
+  const option = document.getElementById('category').selectedOptions[0];
+  const limit = option ? parseInt(option.dataset.max) : 0;
+  if (startNum < 1 || endNum > limit) {
+    showError(`Ticket numbers must be between 1 and ${limit.toLocaleString()}`);
     return;
   }
 
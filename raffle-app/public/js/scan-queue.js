@@ -0,0 +1,157 @@
+// Offline Scan Queue
+// Sales that cannot reach the server are kept in IndexedDB and replayed through
+// POST /api/tickets/scan/sync. Shared by seller.html and the service worker
+// (importScripts), so it only uses APIs available in both.
+(function (scope) {
+  const DB_NAME = 'raffle-seller';
+  const DB_VERSION = 1;
+  const PENDING_STORE = 'pendingScans';
+  const CONFLICT_STORE = 'scanConflicts';
+  const SYNC_TAG = 'sync-scans';
+  const BATCH_SIZE = 50;
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PENDING_STORE)) {
+          db.createObjectStore(PENDING_STORE, { keyPath: 'scan_id' });
+        }
+        if (!db.objectStoreNames.contains(CONFLICT_STORE)) {
+          db.createObjectStore(CONFLICT_STORE, { keyPath: 'scan_id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Run fn(store) in a transaction and resolve with its request result once committed
+  async function withStore(storeName, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request ? request.result : undefined);
+      };
+      tx.onerror = () => {
+        db.close();
+        reject(tx.error);
+      };
+    });
+  }
+
+  async function getAll(storeName, sellerId) {
+    const rows = await withStore(storeName, 'readonly', store => store.getAll());
+    return (rows || [])
+      .filter(row => sellerId === undefined || row.seller_id === sellerId)
+      .sort((a, b) => a.queued_at.localeCompare(b.queued_at));
+  }
+
+  function queueScan(sale) {
+    const entry = { ...sale, queued_at: sale.queued_at || new Date().toISOString() };
+    return withStore(PENDING_STORE, 'readwrite', store => store.put(entry)).then(() => entry);
+  }
+
+  function getPendingScans(sellerId) {
+    return getAll(PENDING_STORE, sellerId);
+  }
+
+  function getConflicts(sellerId) {
+    return getAll(CONFLICT_STORE, sellerId);
+  }
+
+  function dismissConflict(scanId) {
+    return withStore(CONFLICT_STORE, 'readwrite', store => store.delete(scanId));
+  }
+
+  // Ask the browser to sync when connectivity returns (Background Sync), if supported
+  async function requestSync() {
+    if (!('serviceWorker' in navigator)) {
+      return false;
+    }
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.sync) {
+      return false;
+    }
+    await registration.sync.register(SYNC_TAG);
+    return true;
+  }
+
+  // Upload queued sales for the logged-in seller. Sold sales leave the queue,
+  // conflicts move to the reconciliation list, errors stay queued for the next try.
+  async function syncPendingScans() {
+    const summary = { sold: 0, conflicts: 0, errors: 0, remaining: 0, loginRequired: false };
+
+    const sessionResponse = await fetch('/api/session-check', { credentials: 'same-origin' });
+    const session = await sessionResponse.json();
+    if (!session.hasUser || !session.user) {
+      summary.loginRequired = true;
+      summary.remaining = (await getPendingScans()).length;
+      return summary;
+    }
+
+    const pending = await getPendingScans(session.user.id);
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const batch = pending.slice(i, i + BATCH_SIZE);
+      const response = await fetch('/api/tickets/scan/sync', {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sales: batch })
+      });
+
+      // An expired session redirects to the login page instead of returning JSON
+      const contentType = response.headers.get('Content-Type') || '';
+      if (response.status === 401 || !contentType.includes('application/json')) {
+        summary.loginRequired = true;
+        break;
+      }
+      if (!response.ok) {
+        throw new Error(`Sync failed with status ${response.status}`);
+      }
+
+      const data = await response.json();
+      const byScanId = new Map(batch.map(sale => [sale.scan_id, sale]));
+      for (const result of data.results) {
+        const sale = byScanId.get(result.scan_id);
+        if (!sale) {
+          continue;
+        }
+        if (result.status === 'sold') {
+          summary.sold++;
+          await withStore(PENDING_STORE, 'readwrite', store => store.delete(sale.scan_id));
+        } else if (result.status === 'conflict') {
+          summary.conflicts++;
+          await withStore(CONFLICT_STORE, 'readwrite', store => store.put({
+            ...sale,
+            ticket: result.ticket || null,
+            error: result.error,
+            message: result.message,
+            missing_fields: result.missing_fields || null,
+            synced_at: new Date().toISOString()
+          }));
+          await withStore(PENDING_STORE, 'readwrite', store => store.delete(sale.scan_id));
+        } else {
+          summary.errors++;
+        }
+      }
+    }
+
+    summary.remaining = (await getPendingScans(session.user.id)).length;
+    return summary;
+  }
+
+  scope.ScanQueue = {
+    SYNC_TAG,
+    queueScan,
+    getPendingScans,
+    getConflicts,
+    dismissConflict,
+    requestSync,
+    syncPendingScans
+  };
+})(self);
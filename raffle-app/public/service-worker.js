@@ -1,9 +1,12 @@
-const CACHE_NAME = 'raffleapp-v1';
+importScripts('/js/scan-queue.js');
+
+const CACHE_NAME = 'raffleapp-v2';
 const urlsToCache = [
   '/',
   '/login.html',
   '/admin.html',
   '/seller.html',
+  '/js/scan-queue.js',
   '/register-seller.html',
   '/logo.png',
   '/manifest.json',
@@ -88,3 +91,27 @@ self.addEventListener('fetch', (event) => {
       })
   );
 });
+
+// Replay sales queued while offline and tell open seller pages how it went
+async function syncQueuedScans() {
+  const summary = await self.ScanQueue.syncPendingScans();
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach((client) => client.postMessage({ type: 'scan-sync', summary }));
+  return summary;
+}
+
+// Background sync event - fired by the browser once connectivity returns
+self.addEventListener('sync', (event) => {
+  if (event.tag === self.ScanQueue.SYNC_TAG) {
+    event.waitUntil(syncQueuedScans());
+  }
+});
+
+// Message event - lets pages trigger a sync where Background Sync is unavailable
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'sync-scans') {
+    event.waitUntil(syncQueuedScans().catch((err) => {
+      console.error('Queued scan sync failed:', err);
+    }));
+  }
+});
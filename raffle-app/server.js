@@ -14,9 +14,29 @@ const csrf = require('csurf');
 const cors = require('cors');
 const pgSession = require('connect-pg-simple')(session);
 const emailService = require('./services/emailService');
+const drawService = require('./services/drawService');
+const prizePlanService = require('./services/prizePlanService');
+const claimService = require('./services/claimService');
+const drawEvents = require('./services/drawEventsService');
+const allocationService = require('./services/allocationService');
+const saleService = require('./services/saleService');
+const receiptService = require('./services/receiptService');
+const commissionService = require('./services/commissionService');
+const ledgerService = require('./services/ledgerService');
+const paymentVerificationService = require('./services/paymentVerificationService');
+const paymentService = require('./services/paymentService');
+const onlinePurchaseService = require('./services/onlinePurchaseService');
+const buyerPortalService = require('./services/buyerPortalService');
+const reservationService = require('./services/reservationService');
+const ticketReturnService = require('./services/ticketReturnService');
+const refundService = require('./services/refundService');
+const ticketTransferService = require('./services/ticketTransferService');
+const raffleLifecycleService = require('./services/raffleLifecycleService');
+const categoryService = require('./services/categoryService');
 const multer = require('multer');
 const sharp = require('sharp');
 const PDFDocument = require('pdfkit');
+const cron = require('node-cron');
 
 // Simple Mutex class for preventing race conditions
 // Note: For high-concurrency scenarios, consider using a production-grade mutex library
@@ -131,6 +151,11 @@ function validateEnvironment() {
     }
   }
   
+  // Payment simulator lets anyone "pay" without money
+  if (process.env.PAYMENT_SIMULATOR === 'true' && process.env.NODE_ENV === 'production') {
+    warnings.push('PAYMENT_SIMULATOR is enabled in production - tickets can be bought without paying. Disable it!');
+  }
+  
   // Email configuration
   if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
     warnings.push('EMAIL_USER or EMAIL_PASS not set - email notifications will be DISABLED');
@@ -421,6 +446,8 @@ const apiLimiter = rateLimit({
   message: 'Too many requests from this IP, please try again later',
   standardHeaders: true,
   legacyHeaders: false,
+  // Signed payment webhooks arrive in bursts from the provider's servers
+  skip: (req) => req.path.startsWith('/webhooks/'),
   handler: (req, res) => {
     console.warn(`Rate limit exceeded for IP: ${req.ip}`);
     res.status(429).json({
@@ -447,6 +474,37 @@ const authLimiter = rateLimit({
   }
 });
 
+// Rate limiting - Buyer portal sign-in codes: each request may send an SMS
+const portalCodeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.PORTAL_CODE_RATE_LIMIT_MAX) || 5, // 5 codes per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    console.warn(`Portal code rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      error: 'TOO_MANY_REQUESTS',
+      message: 'Too many codes requested, please try again later'
+    });
+  }
+});
+
+// Rate limiting - Buyer portal code checks (failed attempts only)
+const portalVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.PORTAL_VERIFY_RATE_LIMIT_MAX) || 10, // 10 wrong codes per window
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    console.warn(`Portal verify rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      error: 'TOO_MANY_REQUESTS',
+      message: 'Too many attempts, please try again later'
+    });
+  }
+});
+
 // Request logging middleware
 app.use((req, res, next) => {
   const start = Date.now();
@@ -533,7 +591,15 @@ function clearFailedAttempts(identifier) {
 // Middleware
 // Increased body parser limits for file uploads (base64 encoded images)
 app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
-app.use(bodyParser.json({ limit: '50mb' }));
+app.use(bodyParser.json({
+  limit: '50mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(cookieParser());
 
 // Session store configuration
@@ -959,6 +1025,27 @@ function sendSuccessResponse(res, data, message = null) {
   return res.json(response);
 }
 
+// Service error helper - errors thrown with a code and HTTP status (services/serviceError.js)
+// are returned as-is, anything else is logged and reported as a 500
+function sendServiceError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.code, message: error.message, details: error.details });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+// Email the buyer their receipt after a sale; never delays or fails the sale itself
+function sendReceiptInBackground(saleId) {
+  receiptService.emailReceipt(saleId)
+    .then(result => {
+      if (result.sent) {
+        console.log(`[RECEIPT] Sale #${saleId} receipt emailed to ${result.email}`);
+      }
+    })
+    .catch(error => console.error(`[RECEIPT] Could not email receipt for sale #${saleId}:`, error.message));
+}
+
 // Authentication middleware
 function requireAuth(req, res, next) {
   if (req.session.user) {
@@ -1372,6 +1459,11 @@ app.get('/admin', requireAuth, requireAdmin, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
 
+// Public draw board (read-only, driven by /api/raffles/:id/draw-events)
+app.get('/draw-board', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'draw-board.html'));
+});
+
 // Seller page
 app.get('/seller', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'seller.html'));
@@ -1501,6 +1593,258 @@ app.delete('/api/sellers/:id', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+// API: List seller allocations with issued / sold / returned counts
+app.get('/api/admin/allocations', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const allocations = await allocationService.listAllocations({
+      raffleId: req.query.raffle_id,
+      sellerId: req.query.seller_id,
+      status: req.query.status
+    });
+    res.json(allocations);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load allocations');
+  }
+});
+
+// API: Allocation totals per seller
+app.get('/api/admin/allocations/summary', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const summaries = await allocationService.getSellerSummaries({
+      raffleId: req.query.raffle_id,
+      sellerId: req.query.seller_id
+    });
+    res.json(summaries);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load allocation summary');
+  }
+});
+
+// API: Allocate a barcode range or a booklet to a seller
+app.post('/api/admin/allocations', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { raffle_id, seller_id, start_barcode, end_barcode, category, booklet_number, notes } = req.body;
+    
+    if (!raffle_id || !seller_id) {
+      return res.status(400).json({ error: 'raffle_id and seller_id are required' });
+    }
+    if (!start_barcode && !booklet_number) {
+      return res.status(400).json({ error: 'Provide start_barcode/end_barcode or category/booklet_number' });
+    }
+    
+    const allocation = await allocationService.allocateTickets({
+      raffleId: raffle_id,
+      sellerId: seller_id,
+      startBarcode: start_barcode,
+      endBarcode: end_barcode,
+      category,
+      bookletNumber: booklet_number,
+      notes
+    }, req.session.user.phone);
+    
+    console.log(`[ALLOCATION] #${allocation.id} ${allocation.start_barcode}-${allocation.end_barcode} (${allocation.ticket_count} tickets) issued to ${allocation.seller_name} by ${req.session.user.phone}`);
+    
+    res.json({ success: true, allocation });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to allocate tickets');
+  }
+});
+
+// API: Record unsold tickets handed back by the seller (whole allocation or a sub-range)
+app.post('/api/admin/allocations/:id/return', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { start_barcode, end_barcode, notes } = req.body;
+    
+    const allocation = await allocationService.returnAllocation(req.params.id, {
+      startBarcode: start_barcode,
+      endBarcode: end_barcode,
+      notes
+    }, req.session.user.phone);
+    
+    console.log(`[ALLOCATION] #${allocation.id} returned by ${allocation.seller_name}: ${allocation.returned_count} unsold tickets`);
+    
+    res.json({ success: true, allocation });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to return allocation');
+  }
+});
+
+// API: Move the unsold tickets of an allocation to another seller
+app.post('/api/admin/allocations/:id/transfer', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { to_seller_id, start_barcode, end_barcode, notes } = req.body;
+    
+    if (!to_seller_id) {
+      return res.status(400).json({ error: 'to_seller_id is required' });
+    }
+    
+    const result = await allocationService.transferAllocation(req.params.id, {
+      toSellerId: to_seller_id,
+      startBarcode: start_barcode,
+      endBarcode: end_barcode,
+      notes
+    }, req.session.user.phone);
+    
+    console.log(`[ALLOCATION] #${result.from.id} transferred from ${result.from.seller_name} to ${result.to.seller_name} as #${result.to.id} (${result.to.ticket_count} tickets)`);
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to transfer allocation');
+  }
+});
+
+// API: Allocation history (issue, splits, returns, transfers)
+app.get('/api/admin/allocations/:id/history', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const history = await allocationService.getAllocationHistory(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Allocation not found' });
+    }
+    res.json(history);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load allocation history');
+  }
+});
+
+// API: The logged-in seller's active allocations
+app.get('/api/my-allocations', requireAuth, async (req, res) => {
+  try {
+    const allocations = await allocationService.listAllocations({
+      sellerId: req.session.user.id,
+      status: 'active'
+    });
+    res.json(allocations);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load allocations');
+  }
+});
+
+// API: Commission rules of a raffle
+app.get('/api/admin/raffles/:id/commission-rules', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await commissionService.listRules(req.params.id));
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load commission rules');
+  }
+});
+
+// API: Create or replace a raffle's commission rule (omit category for all categories)
+// Body: { category, rule_type: 'flat' | 'percentage' | 'tiered', rate, tiers: [{ min_tickets, type, rate }] }
+app.put('/api/admin/raffles/:id/commission-rules', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const rule = await commissionService.setRule(req.params.id, req.body, req.session.user.phone);
+    console.log(`Commission rule for raffle ${req.params.id}${rule.category ? ` / ${rule.category}` : ''} set to ${rule.rule_type} by ${req.session.user.phone}`);
+    res.json({ success: true, rule });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to save commission rule');
+  }
+});
+
+// API: Delete a commission rule
+app.delete('/api/admin/commission-rules/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await commissionService.deleteRule(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to delete commission rule');
+  }
+});
+
+// Send a payout statement as JSON, PDF or XLSX (?format=)
+async function sendPayoutStatement(res, statement, format) {
+  const filename = `payout-${statement.seller.phone}-${statement.period.from}-to-${statement.period.to}`;
+  if (format === 'pdf') {
+    const pdfBuffer = await printService.generatePayoutStatementPDF(statement);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.pdf`);
+    return res.send(pdfBuffer);
+  }
+  if (format === 'xlsx') {
+    const buffer = importExportService.exportPayoutStatement(statement);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.xlsx`);
+    return res.send(buffer);
+  }
+  return res.json(statement);
+}
+
+// API: Payout statement for a seller and period
+// Query: from, to (YYYY-MM-DD, default: this month), raffle_id, format=json|pdf|xlsx
+app.get('/api/admin/sellers/:id/payout-statement', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const statement = await commissionService.getPayoutStatement(req.params.id, {
+      from: req.query.from,
+      to: req.query.to,
+      raffleId: req.query.raffle_id
+    });
+    await sendPayoutStatement(res, statement, req.query.format);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to generate payout statement');
+  }
+});
+
+// API: The logged-in seller's own payout statement (same query as the admin endpoint)
+app.get('/api/my-payout-statement', requireAuth, async (req, res) => {
+  try {
+    const statement = await commissionService.getPayoutStatement(req.session.user.id, {
+      from: req.query.from,
+      to: req.query.to,
+      raffleId: req.query.raffle_id
+    });
+    await sendPayoutStatement(res, statement, req.query.format);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to generate payout statement');
+  }
+});
+
+// API: Outstanding cash balance of every seller
+app.get('/api/admin/seller-balances', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await ledgerService.listBalances());
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load seller balances');
+  }
+});
+
+// API: A seller's ledger - sale debits and remittances with the running balance
+app.get('/api/admin/sellers/:id/ledger', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await ledgerService.getLedger(req.params.id, { limit: req.query.limit }));
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load seller ledger');
+  }
+});
+
+// API: Record money a seller handed over
+// Body: { amount, method: cash|mobile_money|bank_transfer|other, receipt_number, raffle_id?, notes? }
+app.post('/api/admin/sellers/:id/remittances', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await ledgerService.recordRemittance(req.params.id, req.body || {}, req.session.user.phone);
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to record remittance');
+  }
+});
+
+// API: Set a seller's balance limit (null: use SELLER_BALANCE_LIMIT)
+app.put('/api/admin/sellers/:id/balance-limit', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const balance = await ledgerService.setBalanceLimit(req.params.id, (req.body || {}).balance_limit);
+    res.json({ success: true, balance });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update balance limit');
+  }
+});
+
+// API: The logged-in seller's own balance and ledger
+app.get('/api/my-balance', requireAuth, async (req, res) => {
+  try {
+    res.json(await ledgerService.getLedger(req.session.user.id, { limit: req.query.limit }));
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load balance');
+  }
+});
+
 // API: Get all tickets
 app.get('/api/tickets', requireAuth, async (req, res) => {
   try {
@@ -1578,24 +1922,31 @@ app.post('/api/tickets', requireAuth, validateTicket, async (req, res) => {
   }
 });
 
-// API: Update ticket
+// API: Update a ticket's amount - the buyer is only changed by a transfer (POST /api/tickets/:id/transfer),
+// which keeps the owner history and is refused once the draw has started
 app.put('/api/tickets/:id', requireAuth, async (req, res) => {
   const { id } = req.params;
-  const { buyer_name, buyer_phone, amount } = req.body;
+  const { amount } = req.body;
   
-  if (!buyer_name || !buyer_phone || !amount) {
-    return res.status(400).json({ error: 'All fields are required' });
+  if (req.body.buyer_name !== undefined || req.body.buyer_phone !== undefined || req.body.buyer_email !== undefined) {
+    return res.status(400).json({
+      error: 'USE_TRANSFER',
+      message: 'A ticket\'s buyer can only be changed by transferring it (POST /api/tickets/:id/transfer)'
+    });
+  }
+  if (!amount) {
+    return res.status(400).json({ error: 'Amount is required' });
   }
   
   try {
     let query, params;
     
     if (req.session.user.role === 'admin') {
-      query = "UPDATE tickets SET buyer_name = ?, buyer_phone = ?, amount = ? WHERE id = ?";
-      params = [buyer_name, buyer_phone, amount, id];
+      query = "UPDATE tickets SET amount = ? WHERE id = ?";
+      params = [amount, id];
     } else {
-      query = "UPDATE tickets SET buyer_name = ?, buyer_phone = ?, amount = ? WHERE id = ? AND seller_phone = ?";
-      params = [buyer_name, buyer_phone, amount, id, req.session.user.phone];
+      query = "UPDATE tickets SET amount = ? WHERE id = ? AND seller_phone = ?";
+      params = [amount, id, req.session.user.phone];
     }
     
     const result = await db.run(query, params);
@@ -1608,28 +1959,64 @@ app.put('/api/tickets/:id', requireAuth, async (req, res) => {
   }
 });
 
-// API: Delete ticket
-app.delete('/api/tickets/:id', requireAuth, async (req, res) => {
-  const { id } = req.params;
-  
+// API: Delete ticket - tickets are never destroyed: this voids it (admin), keeping its history
+// Body or query: { reason, notes? } (see ticketReturnService.VOID_REASONS)
+app.delete('/api/tickets/:id', requireAuth, requireAdmin, async (req, res) => {
   try {
-    let query, params;
-    
-    if (req.session.user.role === 'admin') {
-      query = "DELETE FROM tickets WHERE id = ?";
-      params = [id];
-    } else {
-      query = "DELETE FROM tickets WHERE id = ? AND seller_phone = ?";
-      params = [id, req.session.user.phone];
-    }
-    
-    const result = await db.run(query, params);
-    if (result.changes === 0) {
-      return res.status(403).json({ error: 'Not authorized to delete this ticket' });
-    }
-    res.json({ success: true });
-  } catch (err) {
-    return res.status(500).json({ error: 'Database error' });
+    const input = { reason: (req.body || {}).reason || req.query.reason, notes: (req.body || {}).notes || req.query.notes };
+    res.json({ success: true, ...(await ticketReturnService.voidTicket(req.params.id, input, req.session.user)) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to void ticket');
+  }
+});
+
+// API: Return a sold ticket from its buyer (its seller or an admin) - it can then be sold again
+// Body: { reason, notes? }
+app.post('/api/tickets/:id/return', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await ticketReturnService.returnTicket(req.params.id, req.body || {}, req.session.user)) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to return ticket');
+  }
+});
+
+// API: Void an unsold ticket (damaged, misprinted, cancelled) - admin only
+// Body: { reason, notes? }
+app.post('/api/tickets/:id/void', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await ticketReturnService.voidTicket(req.params.id, req.body || {}, req.session.user)) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to void ticket');
+  }
+});
+
+// API: Report an unsold ticket lost or stolen - admin only
+// Body: { reason, notes? }
+app.post('/api/tickets/:id/lost', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await ticketReturnService.reportLost(req.params.id, req.body || {}, req.session.user)) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to report ticket lost');
+  }
+});
+
+// API: Transfer a sold ticket to a new owner (its seller or an admin) - refused once the draw has started
+// Body: { buyer_name, buyer_phone, buyer_email, notes? }
+app.post('/api/tickets/:id/transfer', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await ticketTransferService.transferTicket(req.params.id, req.body || {}, req.session.user)) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to transfer ticket');
+  }
+});
+
+// API: A ticket's previous owners and its returns, voids, losses, refunds and transfers, oldest first
+// (admins, or a seller who sold it)
+app.get('/api/tickets/:id/history', requireAuth, async (req, res) => {
+  try {
+    res.json(await ticketReturnService.getTicketHistory(req.params.id, req.session.user));
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load ticket history');
   }
 });
 
@@ -1663,17 +2050,56 @@ app.get('/api/stats', requireAuth, async (req, res) => {
 // API: Get all draws
 app.get('/api/draws', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const rows = await db.all("SELECT * FROM draws ORDER BY drawn_at DESC");
+    // eligible_tickets can hold the full ticket list, so it is served separately
+    const rows = await db.all(`
+      SELECT id, draw_number, ticket_number, prize_name, winner_name, winner_phone, drawn_at,
+             raffle_id, ticket_id, commitment_id, seed, seed_commitment, eligible_set_hash,
+             eligible_count, winner_index, draw_round, prize_tier_id, pick_type,
+             algorithm_version, conducted_by, status, void_reason, voided_by, voided_at,
+             redraw_id, replaces_draw_id
+      FROM draws
+      ORDER BY drawn_at DESC
+    `);
     res.json(rows);
   } catch (err) {
     return res.status(500).json({ error: 'Database error' });
   }
 });
 
-// API: Conduct draw
+// API: Preview how many tickets a set of eligibility rules selects
+app.post('/api/admin/draws/eligibility/preview', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const preview = await drawService.previewEligibility(req.body);
+    res.json(preview);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to preview eligible tickets');
+  }
+});
+
+// API: Publish a seed commitment (with its eligibility rules) for an upcoming draw
+app.post('/api/admin/draws/commit', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const commitment = await drawService.createCommitment({
+      eligibility: req.body,
+      createdBy: req.session.user.phone
+    });
+    
+    console.log(`Draw commitment #${commitment.id} published for raffle ${commitment.raffle_id}: ${commitment.seed_commitment}`);
+    
+    res.json({
+      success: true,
+      commitment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create draw commitment');
+  }
+});
+
+// API: Conduct draw (reveals a previously published seed commitment)
 app.post('/api/draw', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const { prize_name } = req.body;
+    const { prize_name, commitment_id } = req.body;
     
     if (!prize_name) {
       return res.status(400).json({ 
@@ -1682,196 +2108,816 @@ app.post('/api/draw', requireAuth, requireAdmin, async (req, res) => {
       });
     }
     
-    // Get all active tickets
-    const tickets = await db.all("SELECT * FROM tickets WHERE status = 'active'");
-    
-    if (tickets.length === 0) {
+    if (!commitment_id) {
       return res.status(400).json({ 
-        error: 'No active tickets available',
+        error: 'commitment_id is required. Publish a commitment with POST /api/admin/draws/commit first.',
         timestamp: new Date().toISOString()
       });
     }
     
-    // Random selection
-    const winner = tickets[Math.floor(Math.random() * tickets.length)];
-    
-    // Get next draw number
-    const row = await db.get("SELECT MAX(draw_number) as max_draw FROM draws");
-    const draw_number = (row.max_draw || 0) + 1;
-    
-    // Insert draw result
-    await db.run(
-      "INSERT INTO draws (draw_number, ticket_number, prize_name, winner_name, winner_phone) VALUES (?, ?, ?, ?, ?)",
-      [draw_number, winner.ticket_number, prize_name, winner.buyer_name, winner.buyer_phone]
-    );
-    
-    // Mark ticket as won
-    await db.run(
-      "UPDATE tickets SET status = 'won' WHERE id = ?",
-      [winner.id]
-    );
+    const draw = await drawService.conductDraw({
+      prizeName: prize_name,
+      commitmentId: commitment_id,
+      conductedBy: req.session.user.phone
+    });
     
-    console.log(`Draw conducted: ${prize_name} - Winner: ${winner.buyer_name} (Ticket: ${winner.ticket_number})`);
+    console.log(`Draw conducted: ${prize_name} - Winner: ${draw.winner_name} (Ticket: ${draw.ticket_number}, index ${draw.winner_index} of ${draw.eligible_count})`);
     
     res.json({
       success: true,
-      draw: {
-        draw_number,
-        ticket_number: winner.ticket_number,
-        prize_name,
-        winner_name: winner.buyer_name,
-        winner_phone: winner.buyer_phone
-      },
+      draw,
+      verification_url: `/api/draws/${draw.id}/verify`,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Draw error:', error);
-    res.status(500).json({ 
-      error: 'An error occurred during draw',
-      timestamp: new Date().toISOString()
+    sendServiceError(res, error, 'An error occurred during draw');
+  }
+});
+
+// API: Void a draw with a mandatory reason, optionally redrawing the same prize
+app.post('/api/admin/draws/:id/void', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { reason, redraw } = req.body;
+    
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: 'A reason is required to void a draw' });
+    }
+    
+    const result = await drawService.voidDraw({
+      drawId: req.params.id,
+      reason,
+      redraw: redraw === true,
+      actor: req.session.user.phone
     });
+    
+    console.log(`[DRAW VOID] Draw #${result.draw.draw_number} (ticket ${result.draw.ticket_number}) voided by ${req.session.user.phone}: ${result.draw.void_reason}` +
+      (result.redraw ? ` - redrawn as draw #${result.redraw.drawNumber} (ticket ${result.redraw.ticket_number})` : ''));
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to void draw');
   }
 });
 
-// API: Get available tickets for draw
-app.get('/api/available-tickets', requireAuth, requireAdmin, async (req, res) => {
+// API: Audit log of admin actions on a draw
+app.get('/api/admin/draws/:id/audit-log', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const rows = await db.all("SELECT ticket_number FROM tickets WHERE status = 'active' ORDER BY ticket_number");
-    res.json(rows.map(row => row.ticket_number));
-  } catch (err) {
-    return res.status(500).json({ error: 'Database error' });
+    const entries = await drawService.getDrawAuditLog(req.params.id);
+    res.json(entries);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load draw audit log');
   }
 });
 
-// API: Get seller statistics
-app.get('/api/seller-stats', requireAuth, requireAdmin, async (req, res) => {
+// API: Get a raffle's prize plan
+app.get('/api/admin/raffles/:id/prize-plan', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const rows = await db.all(`
-      SELECT 
-        seller_name,
-        seller_phone,
-        COUNT(*) as ticket_count,
-        SUM(amount) as total_revenue
-      FROM tickets
-      GROUP BY seller_phone
-      ORDER BY total_revenue DESC
-    `);
-    res.json(rows);
-  } catch (err) {
-    return res.status(500).json({ error: 'Database error' });
+    const plan = await prizePlanService.getPlan(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ error: 'No prize plan defined for this raffle' });
+    }
+    res.json(plan);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load prize plan');
+  }
+});
+
+// API: Create or replace a raffle's prize plan (ordered tiers)
+app.put('/api/admin/raffles/:id/prize-plan', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const plan = await prizePlanService.savePlan(req.params.id, req.body.tiers);
+    
+    console.log(`Prize plan saved for raffle ${req.params.id}: ${plan.tiers.length} tiers, ${plan.total_prizes} prizes`);
+    
+    res.json({ success: true, plan });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to save prize plan');
+  }
+});
+
+// API: Run a raffle's prize plan (draws every prize from one revealed commitment)
+app.post('/api/admin/raffles/:id/prize-plan/run', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { commitment_id } = req.body;
+    
+    if (!commitment_id) {
+      return res.status(400).json({ 
+        error: 'commitment_id is required. Publish a commitment with POST /api/admin/draws/commit first.',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = await prizePlanService.runPlan({
+      raffleId: req.params.id,
+      commitmentId: commitment_id,
+      conductedBy: req.session.user.phone
+    });
+    
+    const winnerCount = result.tiers.reduce((sum, t) => sum + t.winners.length, 0);
+    console.log(`Prize plan run for raffle ${req.params.id}: ${winnerCount} winners from ${result.eligible_count} eligible tickets`);
+    
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'An error occurred while running the prize plan');
+  }
+});
+
+// API: List winners and reserve alternates for a raffle
+app.get('/api/admin/raffles/:id/winners', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const winners = await prizePlanService.getWinners(req.params.id);
+    res.json(winners);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load winners');
+  }
+});
+
+// API: Disqualify a winner and promote the next alternate for the same prize
+app.post('/api/admin/winners/:id/disqualify', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const reason = String(req.body.reason ?? '').trim();
+    
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to disqualify a winner' });
+    }
+    
+    const result = await prizePlanService.disqualifyWinner(req.params.id, reason, req.session.user.phone);
+    
+    console.log(`Winner #${req.params.id} disqualified by ${req.session.user.phone}: ${reason}` +
+      (result.promoted ? ` - alternate #${result.promoted.id} (ticket ${result.promoted.ticket_number}) promoted` : ' - no alternate left'));
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to disqualify winner');
+  }
+});
+
+// API: Mark a winner as notified and set the claim deadline
+app.post('/api/admin/winners/:id/notify', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const winner = await claimService.notifyWinner(req.params.id, {
+      deadline: req.body.deadline,
+      notes: req.body.notes
+    }, req.session.user.phone);
+    
+    console.log(`Winner #${winner.id} notified by ${req.session.user.phone}, claim deadline ${winner.claim_deadline}`);
+    
+    res.json({ success: true, winner });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to notify winner');
+  }
+});
+
+// API: Record that a winner collected their prize
+app.post('/api/admin/winners/:id/claim', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const winner = await claimService.recordClaim(req.params.id, {
+      idVerificationNotes: req.body.id_verification_notes
+    }, req.session.user.phone);
+    
+    console.log(`Winner #${winner.id} (ticket ${winner.ticket_number}) claimed ${winner.prize_name}, collected by ${req.session.user.phone}`);
+    
+    res.json({ success: true, winner });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to record claim');
+  }
+});
+
+// API: Forfeit a winner's prize and hand it to an alternate or redraw it
+app.post('/api/admin/winners/:id/forfeit', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await claimService.forfeitWinner(req.params.id, req.body.reason, req.session.user.phone);
+    
+    console.log(`Winner #${req.params.id} forfeited by ${req.session.user.phone} - replacement: ${result.replacement.method}`);
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to forfeit prize');
+  }
+});
+
+// API: Expire overdue claims now (also runs on a schedule)
+app.post('/api/admin/claims/expire', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const results = await claimService.expireOverdueClaims(req.session.user.phone);
+    const expired = results.filter(result => !result.error);
+    const failed = results.filter(result => result.error);
+    res.json({ success: true, expired_count: expired.length, expired, failed_count: failed.length, failed });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to expire overdue claims');
+  }
+});
+
+// API: Winner detail with its full audit trail
+app.get('/api/admin/winners/:id/history', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const history = await claimService.getWinnerHistory(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Winner not found' });
+    }
+    res.json(history);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load winner history');
+  }
+});
+
+// API: Audit trail of every draw, claim and replacement for a raffle
+app.get('/api/admin/raffles/:id/winner-events', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const events = await claimService.getRaffleWinnerEvents(req.params.id);
+    res.json(events);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load winner events');
+  }
+});
+
+// API: Get available tickets for draw (eligibility rules as query parameters, raffle_id required)
+app.get('/api/available-tickets', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const rules = await drawService.resolveEligibilityRules(req.query);
+    const rows = await drawService.getEligibleTickets(rules);
+    res.json(rows.map(row => row.ticket_number));
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load available tickets');
+  }
+});
+
+// API: Get seller statistics
+app.get('/api/seller-stats', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const rows = await db.all(`
+      SELECT 
+        seller_name,
+        seller_phone,
+        COUNT(*) as ticket_count,
+        SUM(amount) as total_revenue
+      FROM tickets
+      GROUP BY seller_phone
+      ORDER BY total_revenue DESC
+    `);
+
+    // Cash still owed by each seller (seller ledger)
+    const balances = new Map((await ledgerService.listBalances()).map(b => [b.seller_phone, b]));
+    res.json(rows.map(row => {
+      const balance = balances.get(row.seller_phone);
+      return {
+        ...row,
+        total_remitted: balance ? balance.remitted : 0,
+        outstanding_balance: balance ? balance.outstanding : 0,
+        balance_limit: balance ? balance.balance_limit : null,
+        over_limit: balance ? balance.over_limit : false
+      };
+    }));
+  } catch (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// API: Bulk import ticket
+app.post('/api/tickets/bulk', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { ticketNumber, buyerName, buyerPhone, amount, category, seller, status, barcode } = req.body;
+    
+    // Validate required fields (allow amount to be 0)
+    if (!ticketNumber || !buyerName || !buyerPhone || amount === undefined || amount === null) {
+      return res.status(400).json({ 
+        error: 'Missing required fields',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Validate amount is a number
+    if (typeof amount !== 'number' || isNaN(amount) || amount < 0) {
+      return res.status(400).json({ 
+        error: 'Amount must be a non-negative number',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Check if ticket number already exists
+    const existing = await db.get('SELECT id FROM tickets WHERE ticket_number = ?', [ticketNumber]);
+    
+    if (existing) {
+      return res.status(400).json({ 
+        error: 'Ticket number already exists',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Insert ticket with barcode
+    const result = await db.run(`
+      INSERT INTO tickets (ticket_number, buyer_name, buyer_phone, seller_name, seller_phone, amount, category, status, barcode, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ${db.getCurrentTimestamp()})
+    `, [
+      ticketNumber, 
+      buyerName, 
+      buyerPhone, 
+      seller || 'Admin', 
+      req.session.user.phone, 
+      amount, 
+      category || 'Standard', 
+      status || 'sold', 
+      barcode
+    ]);
+    
+    console.log(`Bulk ticket imported: ${ticketNumber}`);
+    res.json({ 
+      success: true, 
+      id: result.lastID,
+      ticketNumber: ticketNumber
+    });
+  } catch (error) {
+    console.error('Bulk import error:', error);
+    res.status(500).json({ 
+      error: 'An error occurred during import',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// API: Scan ticket barcode (seller only)
+// Optional body fields: buyer_name, buyer_phone, buyer_email, payment_method, amount_paid.
+// Raffles can require some of them (see /api/raffles/:id/sale-settings); otherwise the
+// barcode alone sells the ticket. An optional scan_id makes retries return the original sale.
+// payment_provider (with provider_payment_id or payer_phone) takes the payment through a
+// provider; until the buyer has paid the answer is 202 PAYMENT_PENDING and nothing is sold.
+app.post('/api/tickets/scan', requireAuth, async (req, res) => {
+  try {
+    const { barcode } = req.body;
+    
+    console.log(`[SCAN] Seller ${req.session.user.name} scanning barcode: ${barcode}`);
+    
+    if (!barcode) {
+      console.log('[SCAN] Error: No barcode provided');
+      return res.status(400).json({ error: 'Barcode is required' });
+    }
+    
+    // Validate, then mark as sold by this seller (only if still AVAILABLE)
+    let sale;
+    try {
+      sale = await saleService.processScan(barcode, req.session.user, req.body);
+    } catch (error) {
+      if (!error.status || error.status >= 500) {
+        throw error;
+      }
+      if (error.code === 'PAYMENT_PENDING') {
+        // Not sold yet: the buyer still has to pay; sending the sale again picks up the payment
+        return res.status(202).json({
+          success: false,
+          error: error.code,
+          message: error.message,
+          ticket: error.ticket_number,
+          payment: error.payment
+        });
+      }
+      console.log(`[SCAN] Sale rejected: ${error.code} - ${error.message}`);
+      return res.status(error.status).json({
+        error: error.code,
+        message: error.message,
+        ticket: error.ticket_number,
+        required_fields: error.required_fields,
+        missing_fields: error.missing_fields
+      });
+    }
+    
+    const sold = sale.ticket;
+    console.log(`[SCAN] Success: Ticket ${barcode} sold by ${req.session.user.name}${sale.replayed ? ' (replayed)' : ''}`);
+    if (!sale.replayed) {
+      sendReceiptInBackground(sold.sale_id);
+    }
+    
+    res.json({ 
+      success: true, 
+      replayed: sale.replayed,
+      message: 'Ticket sold successfully',
+      ticket: sold.ticket_number,
+      sale_id: sold.sale_id,
+      receipt_url: await receiptService.getReceiptLink(sold.sale_id),
+      buyer_name: sold.buyer_name,
+      payment_method: sold.payment_method,
+      amount_paid: sold.actual_price_paid
+    });
+  } catch (error) {
+    console.error('[SCAN] Error processing ticket:', error);
+    console.error('[SCAN] Stack trace:', error.stack);
+    res.status(500).json({ 
+      error: 'Failed to process ticket',
+      message: 'An unexpected error occurred. Please try again or contact support.',
+      hint: 'Check server logs for details'
+    });
+  }
+});
+
+// API: Replay sales queued offline by the seller PWA
+// Body: { sales: [{ scan_id, barcode, buyer_name, ..., queued_at }] }
+app.post('/api/tickets/scan/sync', requireAuth, async (req, res) => {
+  try {
+    const result = await saleService.syncQueuedSales(req.body.sales, req.session.user);
+    result.results
+      .filter(r => r.status === 'sold' && !r.replayed)
+      .forEach(r => sendReceiptInBackground(r.sale_id));
+    console.log(`[SYNC] ${req.session.user.name} synced ${req.body.sales.length} queued sales: ` +
+      `${result.summary.sold} sold, ${result.summary.conflicts} conflicts, ${result.summary.errors} errors`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to sync queued sales');
+  }
+});
+
+// API: Sell several tickets to one buyer as a single sale (all-or-nothing)
+// Body: { barcodes: [...], client_sale_id, buyer_name, buyer_phone, buyer_email, payment_method, amount_paid,
+//         payment_provider, provider_payment_id, payer_phone }
+app.post('/api/sales', requireAuth, async (req, res) => {
+  try {
+    const { sale, replayed } = await saleService.createSale(req.body, req.session.user);
+    console.log(`[SALE] Sale #${sale.id}: ${sale.ticket_count} tickets sold by ${req.session.user.name}${replayed ? ' (replayed)' : ''}`);
+    if (!replayed) {
+      sendReceiptInBackground(sale.id);
+    }
+    const receiptUrl = await receiptService.getReceiptLink(sale.id);
+    res.status(replayed ? 200 : 201).json({ success: true, replayed, sale: { ...sale, receipt_url: receiptUrl } });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      console.log(`[SALE] Sale rejected: ${error.code} - ${error.message}`);
+      return res.status(error.status).json({
+        error: error.code,
+        message: error.message,
+        ticket: error.ticket_number,
+        tickets: error.tickets,
+        required_fields: error.required_fields,
+        missing_fields: error.missing_fields,
+        // 202 PAYMENT_PENDING: nothing sold yet, send the sale again once the buyer has paid
+        payment: error.payment
+      });
+    }
+    sendServiceError(res, error, 'Failed to complete sale');
+  }
+});
+
+// API: Reserve tickets for a phone order - only the reserver can sell them until the hold expires
+// Body: { barcodes: [...], reason, hold_minutes? }
+app.post('/api/tickets/reservations', requireAuth, async (req, res) => {
+  try {
+    const { barcodes, reason, hold_minutes } = req.body || {};
+    const reservation = await reservationService.reserveTickets(barcodes, req.session.user, { reason, hold_minutes, raffle_id: req.body.raffle_id });
+    res.status(201).json({ success: true, ...reservation });
+  } catch (error) {
+    if (error.status && error.tickets) {
+      return res.status(error.status).json({ error: error.code, message: error.message, tickets: error.tickets });
+    }
+    sendServiceError(res, error, 'Failed to reserve tickets');
+  }
+});
+
+// API: Reserved tickets, soonest expiry first - sellers see their own, admins all (raffle_id, mine=1)
+app.get('/api/tickets/reservations', requireAuth, async (req, res) => {
+  try {
+    const user = req.session.user;
+    const own = user.role !== 'admin' || req.query.mine === '1';
+    res.json(await reservationService.listReservations({
+      owner: own ? reservationService.userOwner(user.id) : null,
+      raffle_id: req.query.raffle_id,
+      limit: req.query.limit
+    }));
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load reservations');
+  }
+});
+
+// API: Release a reserved ticket early (its reserver or an admin)
+app.delete('/api/tickets/:id/reservation', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await reservationService.releaseReservation(req.params.id, req.session.user)) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to release reservation');
+  }
+});
+
+// API: Sales made by the logged-in seller
+app.get('/api/my-sales', requireAuth, async (req, res) => {
+  try {
+    const sales = await saleService.listSales({
+      sellerId: req.session.user.id,
+      raffleId: req.query.raffle_id,
+      limit: req.query.limit
+    });
+    res.json(sales);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load sales');
+  }
+});
+
+// API: All sales, filterable by seller, raffle and date
+app.get('/api/admin/sales', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const sales = await saleService.listSales({
+      sellerId: req.query.seller_id,
+      raffleId: req.query.raffle_id,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit
+    });
+    res.json(sales);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load sales');
+  }
+});
+
+// API: Payment review queue - sales by payment status, grouped by seller and payment method
+// Query: status=unverified|verified|rejected (default unverified), seller_id, payment_method, raffle_id, limit
+app.get('/api/admin/payments/queue', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const queue = await paymentVerificationService.listQueue({
+      status: req.query.status || 'unverified',
+      sellerId: req.query.seller_id,
+      paymentMethod: req.query.payment_method,
+      raffleId: req.query.raffle_id,
+      limit: req.query.limit
+    });
+    res.json(queue);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load payment queue');
+  }
+});
+
+// Verify or reject the sales listed in the request body (sale_ids, notes)
+async function reviewPaymentsRoute(req, res, action) {
+  try {
+    const result = await paymentVerificationService.reviewPayments(req.body || {}, action, req.session.user.phone);
+    console.log(`[PAYMENTS] ${action}: ${result.summary.reviewed} sale(s), ${result.summary.skipped} skipped, by ${req.session.user.phone}`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to review payments');
+  }
+}
+
+// API: Mark the payments of several sales as verified
+// Body: { sale_ids: [..], notes? }
+app.post('/api/admin/payments/verify', requireAuth, requireAdmin, (req, res) => reviewPaymentsRoute(req, res, 'verify'));
+
+// API: Reject the payments of several sales - their tickets become DISPUTED
+// Body: { sale_ids: [..], notes }
+app.post('/api/admin/payments/reject', requireAuth, requireAdmin, (req, res) => reviewPaymentsRoute(req, res, 'reject'));
+
+// API: Review history of a sale's payment
+app.get('/api/admin/sales/:id/payment-reviews', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await paymentVerificationService.getReviewHistory(req.params.id));
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load payment reviews');
+  }
+});
+
+// API: Refund some or all of a sale's tickets - provider payments are refunded through the provider
+// Body: { ticket_ids?, amount?, method, ticket_status: AVAILABLE|REFUNDED, reason, notes? }
+app.post('/api/admin/sales/:id/refunds', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const refund = await refundService.refundSale(req.params.id, req.body || {}, req.session.user);
+    res.status(201).json({ success: true, refund });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to refund sale');
+  }
+});
+
+// API: Refunds, newest first (sale_id, raffle_id, limit)
+app.get('/api/admin/refunds', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await refundService.listRefunds({
+      sale_id: req.query.sale_id,
+      raffle_id: req.query.raffle_id,
+      limit: req.query.limit
+    }));
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load refunds');
+  }
+});
+
+// API: One refund with its tickets
+app.get('/api/admin/refunds/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await refundService.getRefund(req.params.id));
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load refund');
+  }
+});
+
+// API: One sale with its tickets (sellers can only see their own)
+app.get('/api/sales/:id', requireAuth, async (req, res) => {
+  try {
+    const sale = await saleService.getSaleForUser(req.params.id, req.session.user);
+    res.json(sale);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load sale');
+  }
+});
+
+// API: Receipt of a sale as PDF (sellers can only get their own)
+app.get('/api/sales/:id/receipt', requireAuth, async (req, res) => {
+  try {
+    const receipt = await receiptService.getReceipt(req.params.id, req.session.user);
+    const pdfBuffer = await receiptService.generateReceiptPDF(receipt);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=receipt-${receipt.receipt_number}.pdf`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to generate receipt');
+  }
+});
+
+// API: Email (or re-send) a sale's receipt
+// Body: { email } - optional, defaults to the buyer email recorded with the sale
+app.post('/api/sales/:id/receipt/email', requireAuth, async (req, res) => {
+  try {
+    const sale = await saleService.getSaleForUser(req.params.id, req.session.user);
+    const result = await receiptService.emailReceipt(sale.id, req.body.email);
+    if (!result.sent) {
+      const message = result.error === 'NO_EMAIL'
+        ? 'This sale has no buyer email. Provide an email address.'
+        : `Receipt email could not be sent: ${result.error}`;
+      return res.status(result.error === 'NO_EMAIL' ? 400 : 502).json({ error: result.error === 'NO_EMAIL' ? 'NO_EMAIL' : 'EMAIL_FAILED', message });
+    }
+    res.json({ success: true, email: result.email });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to email receipt');
+  }
+});
+
+// API: Public receipt from its shareable link (no login; the token is the credential)
+app.get('/api/receipts/:token', async (req, res) => {
+  try {
+    const receipt = await receiptService.getReceiptByToken(req.params.token);
+    const pdfBuffer = await receiptService.generateReceiptPDF(receipt);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=receipt-${receipt.receipt_number}.pdf`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(pdfBuffer);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load receipt');
+  }
+});
+
+// API: Raffles on sale online, with category prices and availability (public)
+app.get('/api/public/raffles', async (req, res) => {
+  try {
+    res.json({
+      payments_enabled: paymentService.listProviders().length > 0,
+      payment_providers: paymentService.listProviders(),
+      max_tickets: onlinePurchaseService.MAX_ONLINE_TICKETS,
+      raffles: await onlinePurchaseService.listPublicRaffles()
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load raffles');
+  }
+});
+
+// API: Start an online purchase - returns where to send the buyer to pay (public)
+// Body: { raffle_id, category, quantity, buyer_name, buyer_email, buyer_phone?, payment_provider? }
+app.post('/api/public/checkout', async (req, res) => {
+  try {
+    const { fulfilled_sale_id: saleId, ...checkout } = await onlinePurchaseService.startCheckout(req.body || {});
+    if (saleId) {
+      sendReceiptInBackground(saleId);
+    }
+    res.status(201).json({ success: true, ...checkout });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to start checkout');
+  }
+});
+
+// API: Status of an online order, with its tickets once paid (public, by order token)
+app.get('/api/public/orders/:token', async (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'private, no-store');
+    const { fulfilled_sale_id: saleId, ...order } = await onlinePurchaseService.getOrderByToken(req.params.token);
+    if (saleId) {
+      sendReceiptInBackground(saleId);
+    }
+    res.json(order);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load order');
+  }
+});
+
+// API: Buyer portal - send a one-time sign-in code by SMS (public)
+// Body: { phone }. Answers the same whether or not the number has tickets
+app.post('/api/portal/request-code', portalCodeLimiter, async (req, res) => {
+  try {
+    const result = await buyerPortalService.requestCode((req.body || {}).phone);
+    res.json({ success: true, message: 'If this number has tickets, a code is on its way by SMS.', ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to send code');
+  }
+});
+
+// API: Buyer portal - sign in with the code (public)
+// Body: { phone, code }
+app.post('/api/portal/verify', portalVerifyLimiter, async (req, res) => {
+  try {
+    const { phone, code } = req.body || {};
+    const buyer = await buyerPortalService.verifyCode(phone, code);
+    req.session.buyer = { phone: buyer.phone, signed_in_at: Date.now() };
+    res.json({ success: true });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to verify code');
+  }
+});
+
+// API: Buyer portal - the signed-in buyer's tickets across raffles
+app.get('/api/portal/tickets', async (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'private, no-store');
+    const phone = buyerPortalService.requireSignedIn(req.session.buyer);
+    res.json(await buyerPortalService.getBuyerTickets(phone));
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load tickets');
+  }
+});
+
+// API: Buyer portal - sign out
+app.post('/api/portal/logout', (req, res) => {
+  delete req.session.buyer;
+  res.json({ success: true });
+});
+
+// API: Payment provider webhooks (stripe, mobile_money, simulated) - assign tickets to
+// paid online orders and refund orders that cannot be filled
+app.post('/api/webhooks/:provider', async (req, res) => {
+  let event;
+  try {
+    event = await paymentService.receiveWebhook(req.params.provider, req.rawBody, req.headers);
+  } catch (error) {
+    if (!error.status) {
+      console.error(`[PAYMENTS] Failed to record ${req.params.provider} webhook:`, error);
+      return res.status(500).json({ error: 'Failed to process webhook' });
+    }
+    console.warn(`[PAYMENTS] Rejected ${req.params.provider} webhook from ${req.ip}: ${error.message}`);
+    return sendServiceError(res, error, 'Invalid webhook');
+  }
+
+  try {
+    const result = await onlinePurchaseService.handlePaymentEvent(event);
+    if (result.status === 'fulfilled' && !result.replayed) {
+      sendReceiptInBackground(result.sale_id);
+    }
+    res.json({ received: true, event: event.id, ...result });
+  } catch (error) {
+    // A 5xx makes the provider deliver the event again later
+    console.error(`[PAYMENTS] Failed to process ${event.provider} ${event.type} ${event.id}:`, error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// API: Online orders, newest first (status filter: pending, fulfilled, refunded, refund_failed, ...)
+app.get('/api/admin/online-orders', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await onlinePurchaseService.listOrders({ status: req.query.status, limit: req.query.limit }));
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load online orders');
   }
 });
 
-// API: Bulk import ticket
-app.post('/api/tickets/bulk', requireAuth, requireAdmin, async (req, res) => {
+// API: Payments taken through payment providers, newest first
+// Query: provider, status, unused=1 (paid but not linked to any sale), limit
+app.get('/api/admin/payment-transactions', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const { ticketNumber, buyerName, buyerPhone, amount, category, seller, status, barcode } = req.body;
-    
-    // Validate required fields (allow amount to be 0)
-    if (!ticketNumber || !buyerName || !buyerPhone || amount === undefined || amount === null) {
-      return res.status(400).json({ 
-        error: 'Missing required fields',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Validate amount is a number
-    if (typeof amount !== 'number' || isNaN(amount) || amount < 0) {
-      return res.status(400).json({ 
-        error: 'Amount must be a non-negative number',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Check if ticket number already exists
-    const existing = await db.get('SELECT id FROM tickets WHERE ticket_number = ?', [ticketNumber]);
-    
-    if (existing) {
-      return res.status(400).json({ 
-        error: 'Ticket number already exists',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Insert ticket with barcode
-    const result = await db.run(`
-      INSERT INTO tickets (ticket_number, buyer_name, buyer_phone, seller_name, seller_phone, amount, category, status, barcode, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ${db.getCurrentTimestamp()})
-    `, [
-      ticketNumber, 
-      buyerName, 
-      buyerPhone, 
-      seller || 'Admin', 
-      req.session.user.phone, 
-      amount, 
-      category || 'Standard', 
-      status || 'sold', 
-      barcode
-    ]);
-    
-    console.log(`Bulk ticket imported: ${ticketNumber}`);
-    res.json({ 
-      success: true, 
-      id: result.lastID,
-      ticketNumber: ticketNumber
+    res.json({
+      providers: paymentService.listProviders(),
+      transactions: await paymentService.listTransactions({
+        provider: req.query.provider,
+        status: req.query.status,
+        unused: req.query.unused === '1' || req.query.unused === 'true',
+        limit: req.query.limit
+      })
     });
   } catch (error) {
-    console.error('Bulk import error:', error);
-    res.status(500).json({ 
-      error: 'An error occurred during import',
-      timestamp: new Date().toISOString()
-    });
+    sendServiceError(res, error, 'Failed to load payment transactions');
   }
 });
 
-// API: Scan ticket barcode (seller only)
-app.post('/api/tickets/scan', requireAuth, async (req, res) => {
+// API: Buyer fields required when selling tickets of a raffle
+app.get('/api/raffles/:id/sale-settings', requireAuth, async (req, res) => {
   try {
-    const { barcode } = req.body;
-    
-    console.log(`[SCAN] Seller ${req.session.user.name} scanning barcode: ${barcode}`);
-    
-    if (!barcode) {
-      console.log('[SCAN] Error: No barcode provided');
-      return res.status(400).json({ error: 'Barcode is required' });
-    }
-    
-    // Validate barcode using new 8-digit validation
-    console.log(`[SCAN] Validating barcode...`);
-    const validation = await bulkTicketService.validateTicketForSale(barcode);
-    
-    if (!validation.valid) {
-      console.log(`[SCAN] Validation failed: ${validation.error} - ${validation.message}`);
-      return res.status(400).json({ 
-        error: validation.error,
-        message: validation.message
-      });
-    }
-    
-    const ticket = validation.ticket;
-    console.log(`[SCAN] Ticket found: ${ticket.ticket_number}, status: ${ticket.status}`);
-    
-    // Mark as sold by this seller
-    await db.run(
-      "UPDATE tickets SET status = 'SOLD', seller_name = ?, seller_phone = ?, sold_at = CURRENT_TIMESTAMP WHERE id = ?",
-      [req.session.user.name, req.session.user.phone, ticket.id]
-    );
-    
-    console.log(`[SCAN] Success: Ticket ${barcode} sold by ${req.session.user.name}`);
-    
-    res.json({ 
-      success: true, 
-      message: 'Ticket sold successfully',
-      ticket: ticket.ticket_number
-    });
+    const settings = await saleService.getSaleSettings(req.params.id);
+    res.json({ ...settings, payment_methods: saleService.PAYMENT_METHODS, payment_providers: paymentService.listProviders() });
   } catch (error) {
-    console.error('[SCAN] Error processing ticket:', error);
-    console.error('[SCAN] Stack trace:', error.stack);
-    res.status(500).json({ 
-      error: 'Failed to process ticket',
-      message: 'An unexpected error occurred. Please try again or contact support.',
-      hint: 'Check server logs for details'
-    });
+    sendServiceError(res, error, 'Failed to load sale settings');
+  }
+});
+
+// API: Choose which buyer fields are required at sale time
+app.put('/api/admin/raffles/:id/sale-settings', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const settings = await saleService.updateSaleSettings(req.params.id, req.body);
+    console.log(`[SALE SETTINGS] Raffle ${settings.raffle_id} requires: ${settings.required_fields.join(', ') || 'nothing'} (by ${req.session.user.phone})`);
+    res.json({ success: true, settings });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update sale settings');
   }
 });
 
@@ -1965,11 +3011,11 @@ app.put('/api/seller-concerns/:id/resolve', requireAuth, requireAdmin, async (re
 // Legacy endpoints (for backward compatibility with frontend)
 app.get('/tickets', requireAuth, async (req, res) => {
   try {
-    let query = "SELECT ticket_number as number, category, status, barcode FROM tickets ORDER BY ticket_number";
+    let query = "SELECT id, ticket_number as number, category, status, barcode FROM tickets ORDER BY ticket_number";
     let params = [];
     
     if (req.session.user.role === 'seller') {
-      query = "SELECT ticket_number as number, category, status, barcode FROM tickets WHERE seller_phone = ? ORDER BY ticket_number";
+      query = "SELECT id, ticket_number as number, category, status, barcode FROM tickets WHERE seller_phone = ? ORDER BY ticket_number";
       params = [req.session.user.phone];
     }
     
@@ -2079,6 +3125,8 @@ const ticketService = require('./services/ticketService');
 const printService = require('./services/printService');
 const importExportService = require('./services/importExportService');
 const bulkTicketService = require('./services/bulkTicketService');
+const barcodeService = require('./services/barcodeService');
+const qrcodeService = require('./services/qrcodeService');
 // Note: multer is already imported at the top of the file
 
 // Configure multer for file uploads
@@ -2108,7 +3156,7 @@ app.post('/api/admin/raffles', requireAuth, requireAdmin, async (req, res) => {
     const result = await db.run(
       `INSERT INTO raffles (name, description, start_date, draw_date, total_tickets, status)
        VALUES (?, ?, ?, ?, ?, 'draft')`,
-      [name, description, start_date, draw_date, total_tickets || 1500000]
+      [name, description, start_date, draw_date, total_tickets || 0]
     );
     
     const raffle = await db.get('SELECT * FROM raffles WHERE id = ?', [result.lastID]);
@@ -2119,6 +3167,46 @@ app.post('/api/admin/raffles', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+// GET /api/admin/raffles/:id/lifecycle - Status, next statuses, allowed actions and status history
+app.get('/api/admin/raffles/:id/lifecycle', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await raffleLifecycleService.getLifecycle(req.params.id));
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load raffle lifecycle');
+  }
+});
+
+// POST /api/admin/raffles/:id/status - Move a raffle to its next status
+// Body: { status, notes? } (draft -> printing -> on_sale -> closed -> drawn -> archived)
+app.post('/api/admin/raffles/:id/status', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const lifecycle = await raffleLifecycleService.changeStatus(req.params.id, req.body || {}, req.session.user);
+    res.json({ success: true, ...lifecycle });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to change raffle status');
+  }
+});
+
+// GET /api/admin/raffles/:id/categories - The raffle's ticket categories, with tickets created per category
+app.get('/api/admin/raffles/:id/categories', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await categoryService.getRaffleCategories(req.params.id));
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load ticket categories');
+  }
+});
+
+// PUT /api/admin/raffles/:id/categories - Replace the raffle's ticket categories (draft or printing only)
+// Body: { categories: [{ category_code, category_name, price, color, total_tickets, barcode_prefix, description? }] }
+app.put('/api/admin/raffles/:id/categories', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const categories = await categoryService.saveCategories(req.params.id, req.body || {}, req.session.user);
+    res.json({ success: true, ...categories });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to save ticket categories');
+  }
+});
+
 // GET /api/admin/raffles/:id/stats - Get raffle statistics
 app.get('/api/admin/raffles/:id/stats', requireAuth, requireAdmin, async (req, res) => {
   try {
@@ -2139,6 +3227,7 @@ app.get('/api/admin/raffles/:id/stats', requireAuth, requireAdmin, async (req, r
         tc.price,
         tc.total_tickets,
         tc.color,
+        tc.barcode_prefix,
         COUNT(t.id) as tickets_created,
         COUNT(CASE WHEN t.status = 'SOLD' THEN 1 END) as tickets_sold,
         COUNT(CASE WHEN t.status = 'AVAILABLE' THEN 1 END) as tickets_available,
@@ -2147,7 +3236,7 @@ app.get('/api/admin/raffles/:id/stats', requireAuth, requireAdmin, async (req, r
       FROM ticket_categories tc
       LEFT JOIN tickets t ON tc.id = t.category_id AND t.raffle_id = ?
       WHERE tc.raffle_id = ?
-      GROUP BY tc.id, tc.category_code, tc.category_name, tc.price, tc.total_tickets, tc.color
+      GROUP BY tc.id, tc.category_code, tc.category_name, tc.price, tc.total_tickets, tc.color, tc.barcode_prefix
       ORDER BY tc.category_code
     `, [raffleId, raffleId]);
     
@@ -2194,12 +3283,14 @@ app.post('/api/admin/tickets/import', requireAuth, requireAdmin, upload.single('
     
     const raffleId = req.body.raffle_id || 1;
     const fileType = req.file.mimetype;
+    await raffleLifecycleService.assertAction(raffleId, 'generate');
     
     // Parse file
     const data = importExportService.parseImportFile(req.file.buffer, fileType);
     
     // Validate data
-    const validation = importExportService.validateImportData(data);
+    const categories = await categoryService.listCategories(raffleId);
+    const validation = importExportService.validateImportData(data, categories.map(category => category.category_code));
     
     if (validation.errors.length > 0) {
       return res.status(400).json({
@@ -2218,8 +3309,7 @@ app.post('/api/admin/tickets/import', requireAuth, requireAdmin, upload.single('
       results
     });
   } catch (error) {
-    console.error('Error importing tickets:', error);
-    res.status(500).json({ error: 'Failed to import tickets: ' + error.message });
+    sendServiceError(res, error, 'Failed to import tickets');
   }
 });
 
@@ -2479,11 +3569,12 @@ app.post('/api/admin/tickets/print', requireAuth, requireAdmin, async (req, res)
     }
     
     // Get tickets in range ordered by ticket_number
-    const tickets = await ticketService.getTicketsByRange(from, to);
+    const tickets = await ticketService.getTicketsByRange(from, to, Number(req.body.raffle_id || 1));
     
     if (!tickets || tickets.length === 0) {
       return res.status(404).json({ error: 'No tickets found in the specified range' });
     }
+    await raffleLifecycleService.assertTicketsAction(tickets, 'print');
     
     // Generate simple PDF with ticket information
     const doc = new PDFDocument({
@@ -2544,6 +3635,9 @@ app.post('/api/admin/tickets/print', requireAuth, requireAdmin, async (req, res)
     doc.end();
     
   } catch (error) {
+    if (error.status && !res.headersSent) {
+      return res.status(error.status).json({ error: error.code, message: error.message });
+    }
     console.error('Error generating print PDF:', error);
     
     // If headers not sent yet, send error response
@@ -2580,10 +3674,13 @@ app.post('/api/admin/tickets/print/generate', requireAuth, requireAdmin, async (
     }
     
     // Get tickets in range
-    let tickets = await ticketService.getTicketsByRange(start_ticket, end_ticket);
+    let tickets = await ticketService.getTicketsByRange(start_ticket, end_ticket, raffle_id || 1);
+    await raffleLifecycleService.assertTicketsAction(tickets, 'print');
     
     // If no tickets exist, create them
     if (tickets.length === 0) {
+      await raffleLifecycleService.assertAction(raffle_id || 1, 'generate');
+      
       // Parse ticket range
       const startParts = start_ticket.split('-');
       const endParts = end_ticket.split('-');
@@ -2617,7 +3714,7 @@ app.post('/api/admin/tickets/print/generate', requireAuth, requireAdmin, async (
       });
       
       // Fetch newly created tickets
-      tickets = await ticketService.getTicketsByRange(start_ticket, end_ticket);
+      tickets = await ticketService.getTicketsByRange(start_ticket, end_ticket, raffle_id || 1);
     }
     
     // Create print job - use GRID_20_TICKETS paper type if grid layout is selected
@@ -2658,7 +3755,7 @@ app.post('/api/admin/tickets/print/generate', requireAuth, requireAdmin, async (
       
       // Mark tickets as printed
       for (const ticket of tickets) {
-        await ticketService.markAsPrinted(ticket.ticket_number);
+        await ticketService.markAsPrinted(ticket.ticket_number, ticket.raffle_id);
       }
       
       return;
@@ -2686,8 +3783,7 @@ app.post('/api/admin/tickets/print/generate', requireAuth, requireAdmin, async (
     doc.end();
     
   } catch (error) {
-    console.error('Error generating print PDF:', error);
-    res.status(500).json({ error: 'Failed to generate PDF: ' + error.message });
+    sendServiceError(res, error, 'Failed to generate PDF');
   }
 });
 
@@ -2738,7 +3834,8 @@ app.get('/api/admin/tickets/print-batch', requireAuth, requireAdmin, async (req,
     const endTicket = `${category}-${String(end).padStart(9, '0')}`;
     
     // Get tickets in range
-    const tickets = await ticketService.getTicketsByRange(startTicket, endTicket);
+    const tickets = await ticketService.getTicketsByRange(startTicket, endTicket, Number(req.query.raffle_id || 1));
+    await raffleLifecycleService.assertTicketsAction(tickets, 'print');
     
     // Generate QR codes for preview
     const ticketsWithQR = await Promise.all(tickets.map(async (ticket) => {
@@ -2767,8 +3864,7 @@ app.get('/api/admin/tickets/print-batch', requireAuth, requireAdmin, async (req,
       total_tickets: ticketsWithQR.length
     });
   } catch (error) {
-    console.error('Error fetching tickets for printing:', error);
-    res.status(500).json({ error: 'Failed to fetch tickets: ' + error.message });
+    sendServiceError(res, error, 'Failed to fetch tickets');
   }
 });
 
@@ -2780,6 +3876,13 @@ app.post('/api/admin/tickets/mark-printed', requireAuth, requireAdmin, async (re
     if (!ticket_ids || !Array.isArray(ticket_ids)) {
       return res.status(400).json({ error: 'ticket_ids must be an array' });
     }
+    if (ticket_ids.length > 0) {
+      const raffles = await db.all(
+        `SELECT DISTINCT raffle_id FROM tickets WHERE id IN (${ticket_ids.map(() => '?').join(', ')})`,
+        ticket_ids
+      );
+      await raffleLifecycleService.assertTicketsAction(raffles, 'print');
+    }
     
     let marked = 0;
     for (const ticketId of ticket_ids) {
@@ -2804,8 +3907,7 @@ app.post('/api/admin/tickets/mark-printed', requireAuth, requireAdmin, async (re
       marked: marked
     });
   } catch (error) {
-    console.error('Error marking tickets as printed:', error);
-    res.status(500).json({ error: 'Failed to mark tickets as printed: ' + error.message });
+    sendServiceError(res, error, 'Failed to mark tickets as printed');
   }
 });
 
@@ -2815,20 +3917,45 @@ app.post('/api/admin/tickets/mark-printed', requireAuth, requireAdmin, async (re
 
 // Track generation progress globally
 let generationProgress = {
-  total: 1500000,
+  raffle_id: null,
+  total: 0,
   completed: 0,
-  abc: 0,
-  efg: 0,
-  jkl: 0,
-  xyz: 0,
+  by_category: {},
   inProgress: false,
   error: null
 };
 
-// POST /api/admin/tickets/generate-all - Generate all 1.5M tickets with barcodes and QR codes
+/**
+ * Next sequence number to generate in a category (after its last ticket)
+ */
+async function nextTicketSequence(raffleId, categoryId) {
+  const lastTicket = await db.get(
+    'SELECT ticket_number FROM tickets WHERE raffle_id = ? AND category_id = ? ORDER BY id DESC LIMIT 1',
+    [raffleId, categoryId]
+  );
+  // Extract number from ticket like "ABC-000123" (6-digit format)
+  const match = lastTicket && lastTicket.ticket_number.match(/-(\d+)$/);
+  return match ? parseInt(match[1], 10) + 1 : 1;
+}
+
+// POST /api/admin/tickets/generate-all - Generate every category's tickets (its total_tickets) with barcodes
 app.post('/api/admin/tickets/generate-all', requireAuth, requireAdmin, async (req, res) => {
   console.log('📥 POST /api/admin/tickets/generate-all received');
   
+  const raffleId = Number((req.body && req.body.raffle_id) || 1);
+  const refusal = await raffleLifecycleService.checkAction(raffleId, 'generate');
+  if (refusal) {
+    return res.status(refusal.error === 'RAFFLE_NOT_FOUND' ? 404 : 409).json({ ...refusal, timestamp: new Date().toISOString() });
+  }
+  const categories = await categoryService.listCategories(raffleId);
+  if (categories.length === 0) {
+    return res.status(400).json({
+      error: 'NO_CATEGORIES',
+      message: 'Set up the raffle\'s ticket categories before generating tickets',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
   // Check if generation is already in progress using mutex
   if (ticketGenerationMutex.isLocked()) {
     console.log('⚠️ Generation already in progress (mutex locked), rejecting request');
@@ -2846,12 +3973,15 @@ app.post('/api/admin/tickets/generate-all', requireAuth, requireAdmin, async (re
     console.log('✅ Lock acquired, starting ticket generation process...');
     
     // Reset progress
+    const total = categories.reduce((sum, category) => sum + Number(category.total_tickets), 0);
+    generationProgress.raffle_id = raffleId;
+    generationProgress.total = total;
     generationProgress.inProgress = true;
     generationProgress.completed = 0;
-    generationProgress.abc = 0;
-    generationProgress.efg = 0;
-    generationProgress.jkl = 0;
-    generationProgress.xyz = 0;
+    generationProgress.by_category = {};
+    for (const category of categories) {
+      generationProgress.by_category[category.category_code] = 0;
+    }
     generationProgress.error = null;
     
     console.log('📊 Progress reset:', generationProgress);
@@ -2859,7 +3989,9 @@ app.post('/api/admin/tickets/generate-all', requireAuth, requireAdmin, async (re
     res.json({ 
       success: true,
       message: 'Generation started. Use /api/admin/tickets/generation-progress to monitor progress.', 
-      total: 1500000,
+      raffle_id: raffleId,
+      total,
+      categories: categories.map(category => ({ category_code: category.category_code, total_tickets: category.total_tickets })),
       timestamp: new Date().toISOString()
     });
     
@@ -2867,7 +3999,7 @@ app.post('/api/admin/tickets/generate-all', requireAuth, requireAdmin, async (re
     
     // Run generation in background with error handling
     setImmediate(() => {
-      generateAllTicketsBackground()
+      generateAllTicketsBackground(raffleId, categories)
         .catch(error => {
           console.error('❌ CRITICAL: Background generation crashed:', error);
           console.error('❌ Stack trace:', error.stack);
@@ -2904,81 +4036,64 @@ app.get('/api/admin/tickets/generation-progress', requireAuth, requireAdmin, (re
   res.json(generationProgress);
 });
 
-// POST /api/admin/tickets/generate-test - Generate test batch (1,000 tickets)
+// POST /api/admin/tickets/generate-test - Generate a test batch (250 tickets per category)
 app.post('/api/admin/tickets/generate-test', requireAuth, requireAdmin, async (req, res) => {
-  console.log('🧪 TEST MODE: Generating 1,000 test tickets');
+  console.log('🧪 TEST MODE: Generating test tickets');
   
   try {
     const ticketService = require('./services/ticketService');
     
-    // Use raffle ID 1
-    const raffleId = 1;
+    const raffleId = Number((req.body && req.body.raffle_id) || 1);
     const TICKETS_PER_CATEGORY = 250;
     
     // Step 1: Check if raffle exists
     let raffle = await db.get('SELECT id FROM raffles WHERE id = ?', [raffleId]);
     if (!raffle) {
       return res.status(404).json({ 
-        error: 'Raffle not found. Please run full generation first to create raffle and categories.' 
+        error: 'Raffle not found.' 
       });
     }
     console.log('✅ Raffle found:', raffle.id);
     
-    // Step 2: Use all valid categories for testing (250 tickets per category = 1,000 total)
-    const testCategories = [
-      { code: 'ABC', price: 100 },
-      { code: 'EFG', price: 50 },
-      { code: 'JKL', price: 20 },
-      { code: 'XYZ', price: 10 }
-    ];
+    const refusal = await raffleLifecycleService.checkAction(raffleId, 'generate');
+    if (refusal) {
+      return res.status(409).json(refusal);
+    }
+    
+    // Step 2: Use all of the raffle's categories for testing (250 tickets per category)
+    const testCategories = await categoryService.listCategories(raffleId);
+    if (testCategories.length === 0) {
+      return res.status(400).json({ error: 'NO_CATEGORIES', message: 'Set up the raffle\'s ticket categories first' });
+    }
     
     let totalCreated = 0;
     
     // Generate tickets for each category
-    for (const cat of testCategories) {
-      // Get category record
-      const category = await db.get(
-        'SELECT id FROM ticket_categories WHERE raffle_id = ? AND category_code = ?',
-        [raffleId, cat.code]
-      );
-      
-      if (!category) {
-        console.log(`⚠️ Category ${cat.code} not found, skipping...`);
+    for (const category of testCategories) {
+      const startNum = await nextTicketSequence(raffleId, category.id);
+      const endNum = Math.min(startNum + TICKETS_PER_CATEGORY - 1, Number(category.total_tickets));
+      if (startNum > endNum) {
+        console.log(`⚠️ Category ${category.category_code} already has all its tickets, skipping...`);
         continue;
       }
       
-      console.log(`🎫 Generating ${TICKETS_PER_CATEGORY} test tickets for ${cat.code}...`);
-      
-      // Get last ticket number for this category
-      const lastTicket = await db.get(
-        'SELECT ticket_number FROM tickets WHERE raffle_id = ? AND category_id = ? ORDER BY id DESC LIMIT 1',
-        [raffleId, category.id]
-      );
-      
-      let startNum = 1;
-      if (lastTicket) {
-        // Extract number from ticket like "ABC-000123" (6-digit format)
-        const match = lastTicket.ticket_number.match(/-(\d+)$/);
-        if (match) {
-          startNum = parseInt(match[1], 10) + 1;
-        }
-      }
+      console.log(`🎫 Generating ${endNum - startNum + 1} test tickets for ${category.category_code}...`);
       
       // Generate tickets for this category
       const result = await ticketService.generateTickets({
         raffle_id: raffleId,
         category_id: category.id,
-        category: cat.code,
+        category: category.category_code,
         startNum: startNum,
-        endNum: startNum + TICKETS_PER_CATEGORY - 1,
-        price: cat.price,
+        endNum: endNum,
+        price: category.price,
         progressCallback: (progress) => {
-          console.log(`  ${cat.code}: ${progress.created} / ${TICKETS_PER_CATEGORY} tickets`);
+          console.log(`  ${category.category_code}: ${progress.created} / ${progress.total} tickets`);
         }
       });
       
       totalCreated += result.created;
-      console.log(`✅ ${cat.code}: Generated ${result.created} tickets`);
+      console.log(`✅ ${category.category_code}: Generated ${result.created} tickets`);
     }
     
     console.log('✅ TEST COMPLETE: Generated', totalCreated, 'total tickets');
@@ -3000,9 +4115,9 @@ app.post('/api/admin/tickets/generate-test', requireAuth, requireAdmin, async (r
 });
 
 /**
- * Background task to generate all tickets for all categories
+ * Background task to generate all tickets for all of a raffle's categories
  */
-async function generateAllTicketsBackground() {
+async function generateAllTicketsBackground(raffleId, categories) {
   const ticketService = require('./services/ticketService');
   
   try {
@@ -3022,123 +4137,65 @@ async function generateAllTicketsBackground() {
       throw new Error(`Database not accessible: ${dbError.message}`);
     }
     
-    // Step 2: Check if tables exist
-    console.log('📊 Step 2: Checking if required tables exist...');
-    try {
-      const tables = await db.all(
-        "SELECT name FROM sqlite_master WHERE type='table' AND name IN ('raffles', 'ticket_categories', 'tickets')"
-      );
-      console.log('✅ Found tables:', tables.map(t => t.name).join(', '));
-      
-      if (tables.length < 3) {
-        console.log('⚠️ Missing tables, will attempt to create...');
-      }
-    } catch (tableError) {
-      console.error('❌ Error checking tables:', tableError.message);
-    }
-    
-    // Step 3: Check/create raffle
-    console.log('🎫 Step 3: Checking for raffle record...');
-    let raffle = await db.get('SELECT id FROM raffles WHERE id = 1');
-    
-    if (!raffle) {
-      console.log('⚠️ No raffle found, creating default raffle...');
-      try {
-        await db.run(
-          `INSERT INTO raffles (id, name, description, draw_date, status, created_at)
-           VALUES (1, 'Main Raffle', 'Main raffle event', ${db.getCurrentTimestamp()}, 'active', ${db.getCurrentTimestamp()})`
-        );
-        raffle = { id: 1 };
-        console.log('✅ Default raffle created with id: 1');
-      } catch (raffleError) {
-        console.error('❌ Failed to create raffle:', raffleError.message);
-        throw new Error(`Cannot create raffle: ${raffleError.message}`);
-      }
-    } else {
-      console.log('✅ Raffle exists with id:', raffle.id);
-    }
-    
-    // Step 4: Define and create categories
-    console.log('📝 Step 4: Setting up ticket categories...');
-    const categories = [
-      { code: 'ABC', price: 100, count: 375000 },
-      { code: 'EFG', price: 50, count: 375000 },
-      { code: 'JKL', price: 20, count: 375000 },
-      { code: 'XYZ', price: 10, count: 375000 }
-    ];
-    
-    console.log('✅ Categories defined:', categories.map(c => c.code).join(', '));
+    // Step 2: Use the raffle's categories
+    console.log(`📝 Step 2: Raffle ${raffleId} categories:`, categories.map(c => `${c.category_code} (${Number(c.total_tickets).toLocaleString()})`).join(', '));
     
-    // Step 5: Generate tickets for each category
+    // Step 3: Generate tickets for each category
     for (const category of categories) {
+      const code = category.category_code;
+      const count = Number(category.total_tickets);
       console.log('');
       console.log('-'.repeat(60));
-      console.log(`📝 Generating ${category.code} tickets...`);
-      console.log(`   Price: $${category.price}, Count: ${category.count.toLocaleString()}`);
+      console.log(`📝 Generating ${code} tickets...`);
+      console.log(`   Price: $${category.price}, Count: ${count.toLocaleString()}`);
       console.log('-'.repeat(60));
       
-      // Get or create category record
-      let categoryRecord = await db.get(
-        'SELECT id FROM ticket_categories WHERE raffle_id = ? AND category_code = ?',
-        [raffle.id, category.code]
-      );
-      
-      if (!categoryRecord) {
-        console.log(`⚠️ Category ${category.code} not found in database, creating...`);
-        try {
-          const result = await db.run(
-            `INSERT INTO ticket_categories (raffle_id, category_code, category_name, price, total_tickets, created_at)
-             VALUES (?, ?, ?, ?, ?, ${db.getCurrentTimestamp()})`,
-            [raffle.id, category.code, `${category.code} Category`, category.price, category.count]
-          );
-          categoryRecord = { id: result.lastID };
-          console.log(`✅ Category ${category.code} created with id: ${categoryRecord.id}`);
-        } catch (catError) {
-          console.error(`❌ Failed to create category ${category.code}:`, catError.message);
-          throw new Error(`Cannot create category: ${catError.message}`);
-        }
-      } else {
-        console.log(`✅ Category ${category.code} exists with id: ${categoryRecord.id}`);
+      // Continue after tickets generated earlier (test batches, a previous run)
+      const startNum = await nextTicketSequence(raffleId, category.id);
+      const alreadyCreated = startNum - 1;
+      generationProgress.by_category[code] = Math.min(alreadyCreated, count);
+      if (startNum > count) {
+        console.log(`✅ ${code} already has its ${count.toLocaleString()} tickets`);
+        continue;
       }
       
       // Generate tickets with progress callback
-      console.log(`🎫 Starting ticket generation for ${category.code}...`);
+      console.log(`🎫 Starting ticket generation for ${code} from ${startNum}...`);
       try {
         await ticketService.generateTickets({
-          raffle_id: raffle.id,
-          category_id: categoryRecord.id,
-          category: category.code,
-          startNum: 1,
-          endNum: category.count,
+          raffle_id: raffleId,
+          category_id: category.id,
+          category: code,
+          startNum,
+          endNum: count,
           price: category.price,
           progressCallback: (progress) => {
             // Update global progress
-            generationProgress[category.code.toLowerCase()] = progress.created;
-            generationProgress.completed = 
-              generationProgress.abc + 
-              generationProgress.efg + 
-              generationProgress.jkl + 
-              generationProgress.xyz;
+            generationProgress.by_category[code] = alreadyCreated + progress.created;
+            generationProgress.completed = Object.values(generationProgress.by_category)
+              .reduce((sum, created) => sum + created, 0);
             
             // Log every 10,000 tickets
             if (progress.created % 10000 === 0) {
-              console.log(`   ${category.code}: ${progress.created.toLocaleString()} / ${category.count.toLocaleString()} (${progress.percent}%)`);
+              console.log(`   ${code}: ${progress.created.toLocaleString()} / ${progress.total.toLocaleString()} (${progress.percent}%)`);
             }
           }
         });
         
-        console.log(`✅ Completed ${category.code}: ${category.count.toLocaleString()} tickets`);
+        console.log(`✅ Completed ${code}: ${count.toLocaleString()} tickets`);
       } catch (genError) {
-        console.error(`❌ Error generating ${category.code} tickets:`, genError.message);
+        console.error(`❌ Error generating ${code} tickets:`, genError.message);
         console.error('❌ Stack:', genError.stack);
-        throw new Error(`Failed to generate ${category.code} tickets: ${genError.message}`);
+        throw new Error(`Failed to generate ${code} tickets: ${genError.message}`);
       }
     }
     
+    generationProgress.completed = Object.values(generationProgress.by_category)
+      .reduce((sum, created) => sum + created, 0);
     generationProgress.inProgress = false;
     console.log('');
     console.log('='.repeat(60));
-    console.log('🎉 ALL 1.5M TICKETS GENERATED SUCCESSFULLY!');
+    console.log(`🎉 ALL ${generationProgress.total.toLocaleString()} TICKETS GENERATED SUCCESSFULLY!`);
     console.log('='.repeat(60));
     console.log('');
     
@@ -3358,9 +4415,9 @@ app.post('/api/admin/ticket-designs/upload', requireAuth, requireAdmin, async (r
     const { category, front_image_base64, back_image_base64 } = req.body;
 
     // Validate category
-    if (!['ABC', 'EFG', 'JKL', 'XYZ'].includes(category)) {
+    if (!(await categoryService.categoryExists(category))) {
       return res.status(400).json({ 
-        error: 'Invalid category. Must be ABC, EFG, JKL, or XYZ',
+        error: `Invalid category. ${category} is not a ticket category of any raffle`,
         code: 'INVALID_CATEGORY'
       });
     }
@@ -3463,7 +4520,7 @@ app.get('/api/admin/ticket-designs/:category', requireAuth, requireAdmin, async
   try {
     const category = req.params.category.toUpperCase();
     
-    if (!['ABC', 'EFG', 'JKL', 'XYZ'].includes(category)) {
+    if (!(await categoryService.categoryExists(category))) {
       return res.status(400).json({ error: 'Invalid category' });
     }
 
@@ -3485,7 +4542,7 @@ app.delete('/api/admin/ticket-designs/:category', requireAuth, requireAdmin, asy
   try {
     const category = req.params.category.toUpperCase();
     
-    if (!['ABC', 'EFG', 'JKL', 'XYZ'].includes(category)) {
+    if (!(await categoryService.categoryExists(category))) {
       return res.status(400).json({ error: 'Invalid category' });
     }
 
@@ -3502,7 +4559,7 @@ app.post('/api/admin/ticket-designs/process', requireAuth, requireAdmin, async (
   try {
     const { category, side, image, fitMode, targetWidth, targetHeight } = req.body;
     
-    if (!['ABC', 'EFG', 'JKL', 'XYZ'].includes(category)) {
+    if (!(await categoryService.categoryExists(category))) {
       return res.status(400).json({ error: 'Invalid category' });
     }
     
@@ -3768,9 +4825,11 @@ app.use('/ticket-designs', express.static(path.join(__dirname, 'public', 'ticket
 app.post('/api/admin/tickets/preview-custom', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { category, startNum, endNum } = req.body;
+    const raffleId = Number(req.body.raffle_id || 1);
 
     // Validate category
-    if (!['ABC', 'EFG', 'JKL', 'XYZ'].includes(category)) {
+    const categoryRow = await categoryService.getCategory(raffleId, category);
+    if (!categoryRow || !categoryRow.barcode_prefix) {
       return res.status(400).json({ error: 'Invalid category' });
     }
 
@@ -3781,11 +4840,10 @@ app.post('/api/admin/tickets/preview-custom', requireAuth, requireAdmin, async (
 
     // Generate ticket numbers and barcodes
     const tickets = [];
-    const prices = { ABC: 100, EFG: 50, JKL: 20, XYZ: 10 };
     
     for (let i = startNum; i <= endNum; i++) {
       const ticketNumber = `${category}-${String(i).padStart(6, '0')}`;
-      const barcode = barcodeService.generateBarcodeNumber(ticketNumber);
+      const barcode = barcodeService.generateBarcodeNumber(ticketNumber, categoryRow.barcode_prefix);
       const qrCode = qrcodeService.generateVerificationURL(ticketNumber);
       
       tickets.push({
@@ -3793,7 +4851,7 @@ app.post('/api/admin/tickets/preview-custom', requireAuth, requireAdmin, async (
         barcode: barcode,
         qr_code_data: qrCode,
         category: category,
-        price: prices[category]
+        price: categoryRow.price
       });
     }
 
@@ -3817,9 +4875,11 @@ app.post('/api/admin/tickets/preview-custom', requireAuth, requireAdmin, async (
 app.post('/api/admin/tickets/print-custom', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { category, start_number, end_number, paper_type } = req.body;
+    const raffleId = Number(req.body.raffle_id || 1);
 
     // Validate category
-    if (!['ABC', 'EFG', 'JKL', 'XYZ'].includes(category)) {
+    const categoryRow = await categoryService.getCategory(raffleId, category);
+    if (!categoryRow || !categoryRow.barcode_prefix) {
       return res.status(400).json({ error: 'Invalid category' });
     }
 
@@ -3828,6 +4888,11 @@ app.post('/api/admin/tickets/print-custom', requireAuth, requireAdmin, async (re
       return res.status(400).json({ error: 'Only LETTER_8_TICKETS paper type is supported for custom designs' });
     }
 
+    const refusal = await raffleLifecycleService.checkAction(raffleId, 'print');
+    if (refusal) {
+      return res.status(409).json(refusal);
+    }
+
     // Validate range
     if (end_number - start_number + 1 !== 8) {
       return res.status(400).json({ error: 'Must select exactly 8 tickets for one sheet' });
@@ -3835,11 +4900,10 @@ app.post('/api/admin/tickets/print-custom', requireAuth, requireAdmin, async (re
 
     // Generate tickets array
     const tickets = [];
-    const prices = { ABC: 100, EFG: 50, JKL: 20, XYZ: 10 };
     
     for (let i = start_number; i <= end_number; i++) {
       const ticketNumber = `${category}-${String(i).padStart(6, '0')}`;
-      const barcode = barcodeService.generateBarcodeNumber(ticketNumber);
+      const barcode = barcodeService.generateBarcodeNumber(ticketNumber, categoryRow.barcode_prefix);
       const qrCode = qrcodeService.generateVerificationURL(ticketNumber);
       
       tickets.push({
@@ -3847,8 +4911,8 @@ app.post('/api/admin/tickets/print-custom', requireAuth, requireAdmin, async (re
         barcode: barcode,
         qr_code_data: qrCode,
         category: category,
-        price: prices[category],
-        raffle_id: 1 // Default raffle
+        price: categoryRow.price,
+        raffle_id: raffleId
       });
     }
 
@@ -3874,14 +4938,17 @@ app.post('/api/admin/tickets/print-custom', requireAuth, requireAdmin, async (re
 app.post('/api/admin/tickets/print-bulk', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { category, start_number, count, paper_type } = req.body;
+    const raffleId = Number(req.body.raffle_id || 1);
     
     // Validation
-    if (!['ABC', 'EFG', 'JKL', 'XYZ'].includes(category)) {
+    const categoryRow = await categoryService.getCategory(raffleId, category);
+    if (!categoryRow || !categoryRow.barcode_prefix) {
       return res.status(400).json({ error: 'Invalid category' });
     }
+    const categoryLimit = Number(categoryRow.total_tickets);
     
-    if (!start_number || start_number < 1 || start_number > 375000) {
-      return res.status(400).json({ error: 'Invalid start number (must be 1-375000)' });
+    if (!start_number || start_number < 1 || start_number > categoryLimit) {
+      return res.status(400).json({ error: `Invalid start number (must be 1-${categoryLimit})` });
     }
     
     if (!count || count < 8 || count > 1000) {
@@ -3892,17 +4959,16 @@ app.post('/api/admin/tickets/print-bulk', requireAuth, requireAdmin, async (req,
       return res.status(400).json({ error: 'Count must be multiple of 8' });
     }
     
-    if (start_number + count - 1 > 375000) {
-      return res.status(400).json({ error: 'Ticket range exceeds category limit (375,000)' });
+    if (start_number + count - 1 > categoryLimit) {
+      return res.status(400).json({ error: `Ticket range exceeds category limit (${categoryLimit.toLocaleString()})` });
     }
     
-    console.log(`📄 Bulk print request: ${category}, tickets ${start_number} to ${start_number + count - 1}`);
+    const refusal = await raffleLifecycleService.checkAction(raffleId, 'print');
+    if (refusal) {
+      return res.status(409).json(refusal);
+    }
     
-    // Helper function to get price by category
-    const getCategoryPrice = (cat) => {
-      const prices = { 'ABC': 100, 'EFG': 50, 'JKL': 20, 'XYZ': 10 };
-      return prices[cat] || 0;
-    };
+    console.log(`📄 Bulk print request: ${category}, tickets ${start_number} to ${start_number + count - 1}`);
     
     // Calculate ticket numbers
     const tickets = [];
@@ -3911,13 +4977,14 @@ app.post('/api/admin/tickets/print-bulk', requireAuth, requireAdmin, async (req,
       const ticketNumber = `${category}-${String(ticketNum).padStart(6, '0')}`;
       
       // Generate barcode and QR code
-      const barcode = barcodeService.generateBarcodeNumber(ticketNumber);
+      const barcode = barcodeService.generateBarcodeNumber(ticketNumber, categoryRow.barcode_prefix);
       const qrCodeData = qrcodeService.generateVerificationURL(ticketNumber);
       
       tickets.push({
         ticket_number: ticketNumber,
         category,
-        price: getCategoryPrice(category),
+        category_name: categoryRow.category_name,
+        price: categoryRow.price,
         barcode,
         qr_code_data: qrCodeData,
         status: 'AVAILABLE'
@@ -4030,42 +5097,50 @@ app.post('/api/admin/tickets/print-bulk', requireAuth, requireAdmin, async (req,
   }
 });
 
-// POST /api/admin/tickets/print-xyz-portrait - Generate PORTRAIT XYZ tickets
-app.post('/api/admin/tickets/print-xyz-portrait', requireAuth, requireAdmin, async (req, res) => {
+// POST /api/admin/tickets/print-portrait - Generate PORTRAIT tickets of one category
+app.post('/api/admin/tickets/print-portrait', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const { startNumber, endNumber, designId } = req.body;
+    const { category, startNumber, endNumber, designId } = req.body;
+    const raffleId = Number(req.body.raffle_id || 1);
 
     // Validate
     if (!startNumber || !endNumber) {
       return res.status(400).json({ error: 'Start and end numbers required' });
     }
+    const categoryRow = await categoryService.getCategory(raffleId, category);
+    if (!categoryRow) {
+      return res.status(400).json({ error: 'Invalid category' });
+    }
+    const code = categoryRow.category_code;
+    const categoryLimit = Number(categoryRow.total_tickets);
 
     const start = parseInt(startNumber);
     const end = parseInt(endNumber);
 
-    if (start < 1 || end > 375000 || start > end) {
+    if (start < 1 || end > categoryLimit || start > end) {
       return res.status(400).json({ 
-        error: 'Invalid range. XYZ tickets: 1-375000' 
+        error: `Invalid range. ${code} tickets: 1-${categoryLimit}` 
       });
     }
 
-    console.log(`📄 XYZ Portrait print request: tickets ${start} to ${end}`);
+    console.log(`📄 ${code} Portrait print request: tickets ${start} to ${end}`);
 
-    // Get XYZ tickets
+    // Get the category's tickets (sequence number after "CODE-")
     const tickets = await db.all(`
-      SELECT ticket_number, barcode, category, price
+      SELECT ticket_number, barcode, category, price, raffle_id
       FROM tickets
-      WHERE category = 'XYZ'
-        AND CAST(SUBSTR(ticket_number, 5) AS INTEGER) >= ?
-        AND CAST(SUBSTR(ticket_number, 5) AS INTEGER) <= ?
+      WHERE raffle_id = ? AND category = ?
+        AND CAST(SUBSTR(ticket_number, ${code.length + 2}) AS INTEGER) >= ?
+        AND CAST(SUBSTR(ticket_number, ${code.length + 2}) AS INTEGER) <= ?
       ORDER BY ticket_number ASC
-    `, [start, end]);
+    `, [raffleId, code, start, end]);
 
     if (tickets.length === 0) {
-      return res.status(404).json({ error: 'No XYZ tickets found in this range' });
+      return res.status(404).json({ error: `No ${code} tickets found in this range` });
     }
+    await raffleLifecycleService.assertTicketsAction(tickets, 'print');
 
-    console.log(`✅ Found ${tickets.length} XYZ tickets`);
+    console.log(`✅ Found ${tickets.length} ${code} tickets`);
 
     // Get design
     let customDesign = null;
@@ -4077,7 +5152,7 @@ app.post('/api/admin/tickets/print-xyz-portrait', requireAuth, requireAdmin, asy
     }
 
     // Generate PDF
-    const pdfBuffer = await printService.generateXYZ8UpPortraitPDF(tickets, customDesign, {
+    const pdfBuffer = await printService.generatePortrait8UpPDF(tickets, customDesign, {
       barcodeWidth: 100,
       barcodeHeight: 35
     });
@@ -4085,13 +5160,16 @@ app.post('/api/admin/tickets/print-xyz-portrait', requireAuth, requireAdmin, asy
     console.log(`✅ PDF generated successfully`);
 
     // Headers
-    const filename = `XYZ-portrait-${start}-to-${end}.pdf`;
+    const filename = `${code}-portrait-${start}-to-${end}.pdf`;
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
 
     res.send(pdfBuffer);
 
   } catch (error) {
+    if (error.status && !res.headersSent) {
+      return res.status(error.status).json({ error: error.code, message: error.message });
+    }
     console.error('❌ Error generating portrait PDF:', error);
     
     if (!res.headersSent) {
@@ -4118,14 +5196,6 @@ async function drawTicketFrontForBulk(doc, ticket, template, x, y, qrMainImage,
   const barcodeWidth = isSmallFormat ? 90 : 120;
   const barcodeHeight = isSmallFormat ? 30 : 40;
   
-  // Category display names
-  const CATEGORY_NAMES = {
-    'ABC': { full: 'ABC - Regular', short: 'ABC ($100)' },
-    'EFG': { full: 'EFG - Silver', short: 'EFG ($50)' },
-    'JKL': { full: 'JKL - Gold', short: 'JKL ($20)' },
-    'XYZ': { full: 'XYZ - Platinum', short: 'XYZ ($10)' }
-  };
-  
   // Draw border (dashed for tear-off if specified)
   if (perforationLine) {
     doc.save();
@@ -4158,7 +5228,7 @@ async function drawTicketFrontForBulk(doc, ticket, template, x, y, qrMainImage,
   const categoryY = ticketNumY + (isSmallFormat ? 16 : 18);
   doc.fontSize(bodySize)
      .font('Helvetica')
-     .text(`Category: ${CATEGORY_NAMES[ticket.category]?.full || ticket.category}`, x + padding, categoryY, {
+     .text(`Category: ${ticket.category_name ? `${ticket.category} - ${ticket.category_name}` : ticket.category}`, x + padding, categoryY, {
        width: ticketWidth - qrSize - (padding * 3)
      });
   
@@ -4239,6 +5309,8 @@ async function drawTicketFrontForBulk(doc, ticket, template, x, y, qrMainImage,
 // Reports Endpoints
 
 // GET /api/admin/reports/revenue - Revenue report by category
+// Sold revenue is split into verified and unverified payments; disputed tickets are reported apart,
+// and so is money refunded (refunded tickets are no longer SOLD, so they are not in total_revenue)
 app.get('/api/admin/reports/revenue', requireAuth, requireAdmin, async (req, res) => {
   try {
     const raffleId = req.query.raffle_id || 1;
@@ -4248,14 +5320,27 @@ app.get('/api/admin/reports/revenue', requireAuth, requireAdmin, async (req, res
         tc.category_code,
         tc.category_name,
         tc.price,
-        COUNT(t.id) as tickets_sold,
-        SUM(t.price) as total_revenue
+        COUNT(CASE WHEN t.status = 'SOLD' THEN 1 END) as tickets_sold,
+        SUM(CASE WHEN t.status = 'SOLD' THEN t.price END) as total_revenue,
+        SUM(CASE WHEN t.status = 'SOLD' AND t.payment_verified = ${db.USE_POSTGRES ? 'TRUE' : '1'} THEN t.price ELSE 0 END) as verified_revenue,
+        SUM(CASE WHEN t.status = 'SOLD' AND (t.payment_verified IS NULL OR t.payment_verified = ${db.USE_POSTGRES ? 'FALSE' : '0'}) THEN t.price ELSE 0 END) as unverified_revenue,
+        COUNT(CASE WHEN t.status = 'DISPUTED' THEN 1 END) as tickets_disputed,
+        SUM(CASE WHEN t.status = 'DISPUTED' THEN t.price ELSE 0 END) as disputed_revenue,
+        COALESCE(MAX(rf.tickets_refunded), 0) as tickets_refunded,
+        COALESCE(MAX(rf.refunded_revenue), 0) as refunded_revenue
       FROM ticket_categories tc
-      LEFT JOIN tickets t ON tc.id = t.category_id AND t.status = 'SOLD'
+      LEFT JOIN tickets t ON tc.id = t.category_id AND t.status IN ('SOLD', 'DISPUTED')
+      LEFT JOIN (
+        SELECT rt.category_id, COUNT(*) as tickets_refunded, SUM(e.amount) as refunded_revenue
+        FROM ticket_events e
+        JOIN tickets rt ON rt.id = e.ticket_id
+        WHERE e.raffle_id = ? AND e.event_type = 'refunded'
+        GROUP BY rt.category_id
+      ) rf ON rf.category_id = tc.id
       WHERE tc.raffle_id = ?
       GROUP BY tc.id, tc.category_code, tc.category_name, tc.price
       ORDER BY tc.category_code
-    `, [raffleId]);
+    `, [raffleId, raffleId]);
     
     res.json(revenue);
   } catch (error) {
@@ -4266,11 +5351,11 @@ app.get('/api/admin/reports/revenue', requireAuth, requireAdmin, async (req, res
 
 // Public Endpoints
 
-// GET /api/tickets/verify/:ticketNumber - Verify a ticket
+// GET /api/tickets/verify/:ticketNumber?raffle_id= - Verify a ticket
 app.get('/api/tickets/verify/:ticketNumber', async (req, res) => {
   try {
     const ticketNumber = req.params.ticketNumber;
-    const ticket = await ticketService.getTicketByNumber(ticketNumber);
+    const ticket = await ticketService.getTicketByNumber(ticketNumber, req.query.raffle_id);
     
     if (!ticket) {
       return res.status(404).json({ 
@@ -4290,8 +5375,96 @@ app.get('/api/tickets/verify/:ticketNumber', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error verifying ticket:', error);
-    res.status(500).json({ error: 'Failed to verify ticket' });
+    sendServiceError(res, error, 'Failed to verify ticket');
+  }
+});
+
+// GET /api/draws/commitments/:id - Published seed commitment (seed shown once revealed)
+app.get('/api/draws/commitments/:id', async (req, res) => {
+  try {
+    const commitment = await drawService.getCommitment(req.params.id);
+    
+    if (!commitment) {
+      return res.status(404).json({ error: 'Commitment not found' });
+    }
+    
+    res.json(commitment);
+  } catch (error) {
+    console.error('Error fetching draw commitment:', error);
+    res.status(500).json({ error: 'Failed to fetch commitment' });
+  }
+});
+
+// GET /api/draws/:id/verify - Recompute a draw from its published seed and eligible set
+app.get('/api/draws/:id/verify', async (req, res) => {
+  try {
+    const verification = await drawService.verifyDraw(req.params.id);
+    res.json(verification);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to verify draw');
+  }
+});
+
+// GET /api/draws/:id/eligible-tickets - Ordered eligible ticket list used by a draw (one per line)
+app.get('/api/draws/:id/eligible-tickets', async (req, res) => {
+  try {
+    const ticketNumbers = await drawService.getDrawEligibleTickets(req.params.id);
+    
+    if (!ticketNumbers) {
+      return res.status(404).json({ error: 'No eligible ticket list recorded for this draw' });
+    }
+    
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="draw-${req.params.id}-eligible-tickets.txt"`);
+    res.send(ticketNumbers.join('\n'));
+  } catch (error) {
+    console.error('Error fetching draw eligible tickets:', error);
+    res.status(500).json({ error: 'Failed to fetch eligible tickets' });
+  }
+});
+
+// GET /api/raffles/:id/draw-events - Live draw events for a raffle (Server-Sent Events, public)
+app.get('/api/raffles/:id/draw-events', async (req, res) => {
+  try {
+    const raffle = await db.get('SELECT id, name FROM raffles WHERE id = ?', [req.params.id]);
+    
+    if (!raffle) {
+      return res.status(404).json({ error: 'Raffle not found' });
+    }
+    
+    drawEvents.subscribe(raffle.id, req, res);
+    res.write(`event: connected\ndata: ${JSON.stringify({ raffle_id: raffle.id, raffle_name: raffle.name })}\n\n`);
+  } catch (error) {
+    console.error('Error opening draw event stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to open draw event stream' });
+    }
+  }
+});
+
+// GET /api/draws/:id/certificate/verify - Check the signature printed on a draw certificate
+app.get('/api/draws/:id/certificate/verify', async (req, res) => {
+  try {
+    const result = await drawService.verifyCertificateSignature(req.params.id, req.query.signature);
+    res.json({ draw_id: Number(req.params.id), ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to verify certificate');
+  }
+});
+
+// GET /api/admin/draws/:id/certificate - Signed draw certificate (PDF)
+app.get('/api/admin/draws/:id/certificate', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const certificate = await drawService.getDrawCertificate(req.params.id);
+    const pdfBuffer = await printService.generateDrawCertificatePDF(certificate);
+    
+    console.log(`Draw certificate #${certificate.fields.draw_number} downloaded by ${req.session.user.phone}`);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=draw-${certificate.fields.draw_number}-certificate.pdf`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to generate draw certificate');
   }
 });
 
@@ -4372,14 +5545,15 @@ app.get('/api/admin/tickets/verify-list', requireAuth, requireAdmin, async (req,
       SELECT 
         COUNT(*) as total,
         SUM(CASE WHEN status = 'AVAILABLE' THEN 1 ELSE 0 END) as available,
-        SUM(CASE WHEN status = 'SOLD' THEN 1 ELSE 0 END) as sold,
-        SUM(CASE WHEN category = 'ABC' THEN 1 ELSE 0 END) as abc_count,
-        SUM(CASE WHEN category = 'EFG' THEN 1 ELSE 0 END) as efg_count,
-        SUM(CASE WHEN category = 'JKL' THEN 1 ELSE 0 END) as jkl_count,
-        SUM(CASE WHEN category = 'XYZ' THEN 1 ELSE 0 END) as xyz_count
+        SUM(CASE WHEN status = 'SOLD' THEN 1 ELSE 0 END) as sold
       FROM tickets
     `;
     const stats = await db.get(statsQuery);
+    const categoryCounts = await db.all('SELECT category, COUNT(*) as count FROM tickets GROUP BY category ORDER BY category');
+    const byCategory = {};
+    for (const row of categoryCounts) {
+      byCategory[row.category] = Number(row.count);
+    }
     
     const response = {
       tickets,
@@ -4390,12 +5564,7 @@ app.get('/api/admin/tickets/verify-list', requireAuth, requireAdmin, async (req,
         total: stats.total || 0,
         available: stats.available || 0,
         sold: stats.sold || 0,
-        by_category: {
-          ABC: stats.abc_count || 0,
-          EFG: stats.efg_count || 0,
-          JKL: stats.jkl_count || 0,
-          XYZ: stats.xyz_count || 0
-        }
+        by_category: byCategory
       }
     };
     
@@ -4612,7 +5781,7 @@ app.post('/api/admin/bulk-tickets/export-pdf', requireAuth, requireAdmin, async
       endTicket,
       paperType: paperType || 'AVERY_16145',
       adminId: req.session.user.id,
-      raffleId: 1 // TODO: Get from request or config
+      raffleId: Number(req.body.raffle_id || 1)
     });
     
     const filename = `bulk-tickets-${category || 'all'}-${new Date().toISOString().split('T')[0]}.pdf`;
@@ -4642,7 +5811,10 @@ app.post('/api/tickets/validate-barcode', requireAuth, async (req, res) => {
       });
     }
     
-    const validation = await bulkTicketService.validateTicketForSale(barcode);
+    const validation = await bulkTicketService.validateTicketForSale(barcode, {
+      sellerId: req.session.user.id,
+      raffleId: req.body.raffle_id
+    });
     
     if (!validation.valid) {
       return res.status(400).json(validation);
@@ -4680,15 +5852,12 @@ app.post('/api/tickets/debug-barcode', requireAuth, async (req, res) => {
     const isLegacy = barcodeService.isLegacyBarcode(barcode);
     
     // Step 2: Try to find ticket
-    const ticket = await ticketService.getTicketByBarcode(barcode);
+    const ticket = await ticketService.getTicketByBarcode(barcode, req.body.raffle_id);
     
     // Step 3: If not found, try direct ticket_number lookup
     let ticketByNumber = null;
     if (!ticket) {
-      ticketByNumber = await db.get(
-        'SELECT * FROM tickets WHERE ticket_number = ?',
-        [barcode]
-      );
+      ticketByNumber = await ticketService.getTicketByNumber(barcode, req.body.raffle_id);
     }
     
     // Return diagnostic information
@@ -4754,6 +5923,46 @@ app.use((err, req, res, next) => {
   }
 });
 
+// Expire overdue prize claims every 15 minutes and hand the prizes on
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const results = await claimService.expireOverdueClaims();
+    const failed = results.filter(result => result.error).length;
+    if (results.length > failed) {
+      console.log(`[CLAIMS] Expired ${results.length - failed} overdue claim(s)`);
+    }
+    if (failed > 0) {
+      console.error(`[CLAIMS] ${failed} overdue claim(s) could not be expired; see their winner history`);
+    }
+  } catch (error) {
+    console.error('[CLAIMS] Error expiring overdue claims:', error);
+  }
+});
+
+// Put tickets whose reservation has expired back on sale every minute
+cron.schedule('* * * * *', async () => {
+  try {
+    const released = await reservationService.releaseExpiredReservations();
+    if (released > 0) {
+      console.log(`[RESERVATIONS] Released ${released} expired ticket hold(s)`);
+    }
+  } catch (error) {
+    console.error('[RESERVATIONS] Error releasing expired holds:', error);
+  }
+});
+
+// Resume or refund online orders whose fulfilment was interrupted, every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const recovered = await onlinePurchaseService.recoverStaleOrders();
+    if (recovered.length > 0) {
+      console.log(`[CHECKOUT] Recovered ${recovered.length} interrupted order(s)`);
+    }
+  } catch (error) {
+    console.error('[CHECKOUT] Error recovering interrupted orders:', error);
+  }
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
@@ -0,0 +1,650 @@
+/**
+ * Allocation Service - Consignment of ticket ranges and booklets to sellers
+ *
+ * An allocation is a contiguous range of 8-digit barcodes in one raffle held by
+ * one seller. Allocation statuses (seller_allocations.status):
+ *   active      - the seller holds the range and may sell from it
+ *   returned    - the seller handed the unsold tickets back
+ *   transferred - the unsold tickets were moved to another seller's allocation
+ *
+ * Returning or transferring part of a range splits the allocation: the acted-on
+ * part keeps the allocation ID and the rest stays active as new allocations.
+ * Every change is written to allocation_events. Sellers at or over their cash
+ * balance limit cannot be issued or transferred tickets (ledgerService).
+ *
+ * Counts per allocation:
+ *   ticket_count - tickets the seller was issued in the range
+ *   sold_count   - tickets in the range sold by the seller (computed from tickets)
+ *   returned_count / transferred_count - unsold tickets handed back / moved on
+ */
+
+const db = require('../db');
+const barcodeGenerator = require('./barcodeGenerator');
+const categoryService = require('./categoryService');
+const ledgerService = require('./ledgerService');
+const { serviceError } = require('./serviceError');
+
+// Tickets per printed booklet; booklet N of a category covers sequence numbers
+// (N - 1) * BOOKLET_SIZE + 1 through N * BOOKLET_SIZE
+const BOOKLET_SIZE = Number(process.env.BOOKLET_SIZE) || 50;
+
+const BARCODE_PATTERN = /^[1-9]\d{7}$/;
+
+// Tickets in a barcode range (8-digit barcodes compare correctly as strings)
+const RANGE_FILTER = 'raffle_id = ? AND LENGTH(barcode) = 8 AND barcode >= ? AND barcode <= ?';
+
+/**
+ * Move a barcode forward or back by a number of tickets
+ *
+ * @param {string} barcode - 8-digit barcode
+ * @param {number} delta - Tickets to move by
+ * @returns {string}
+ */
+function offsetBarcode(barcode, delta) {
+  return String(Number(barcode) + delta).padStart(8, '0');
+}
+
+/**
+ * Validate a barcode range
+ *
+ * @param {string} startBarcode - First barcode (inclusive)
+ * @param {string} endBarcode - Last barcode (inclusive)
+ * @returns {Object} - { startBarcode, endBarcode }
+ */
+function normalizeRange(startBarcode, endBarcode) {
+  const start = String(startBarcode || '').trim();
+  const end = String(endBarcode || start).trim();
+
+  if (!BARCODE_PATTERN.test(start) || !BARCODE_PATTERN.test(end)) {
+    throw serviceError('INVALID_RANGE', 'Ranges must be given as 8-digit barcodes');
+  }
+  if (start[0] !== end[0]) {
+    throw serviceError('INVALID_RANGE', 'A range cannot span two categories');
+  }
+  if (start > end) {
+    throw serviceError('INVALID_RANGE', 'The start barcode must not be after the end barcode');
+  }
+
+  return { startBarcode: start, endBarcode: end };
+}
+
+/**
+ * Barcode range covered by a booklet
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {string} category - Category code (e.g. "ABC")
+ * @param {number} bookletNumber - Booklet number, starting at 1
+ * @returns {Promise<Object>} - { startBarcode, endBarcode }
+ */
+async function getBookletRange(raffleId, category, bookletNumber) {
+  const number = Number(bookletNumber);
+  if (!Number.isInteger(number) || number < 1) {
+    throw serviceError('INVALID_BOOKLET', 'Booklet number must be a positive integer');
+  }
+  const categoryRow = await categoryService.getCategory(raffleId, category);
+  if (!categoryRow || !categoryRow.barcode_prefix) {
+    throw serviceError('INVALID_BOOKLET', `Category ${category} does not exist in this raffle`);
+  }
+
+  try {
+    return {
+      startBarcode: barcodeGenerator.generateBarcode(categoryRow.barcode_prefix, (number - 1) * BOOKLET_SIZE + 1),
+      endBarcode: barcodeGenerator.generateBarcode(categoryRow.barcode_prefix, number * BOOKLET_SIZE)
+    };
+  } catch (error) {
+    throw serviceError('INVALID_BOOKLET', error.message);
+  }
+}
+
+/**
+ * Load a seller account
+ *
+ * @param {number} sellerId - User ID
+ * @returns {Promise<Object>} - { id, name, phone }
+ */
+async function getSeller(sellerId) {
+  const seller = await db.get("SELECT id, name, phone FROM users WHERE id = ? AND role = 'seller'", [sellerId]);
+  if (!seller) {
+    throw serviceError('SELLER_NOT_FOUND', 'Seller not found', 404);
+  }
+  return seller;
+}
+
+/**
+ * Count the tickets a seller holds in a range: unsold tickets plus their own sales
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {string} startBarcode - First barcode
+ * @param {string} endBarcode - Last barcode
+ * @param {number} sellerId - Seller user ID
+ * @returns {Promise<Object>} - { held, sold }
+ */
+async function countRange(raffleId, startBarcode, endBarcode, sellerId) {
+  const row = await db.get(
+    `SELECT
+       SUM(CASE WHEN status = 'SOLD' AND seller_id = ? THEN 1 ELSE 0 END) as sold,
+       SUM(CASE WHEN status = 'SOLD' AND (seller_id IS NULL OR seller_id <> ?) THEN 0 ELSE 1 END) as held
+     FROM tickets WHERE ${RANGE_FILTER}`,
+    [sellerId, sellerId, raffleId, startBarcode, endBarcode]
+  );
+  return { held: Number(row.held) || 0, sold: Number(row.sold) || 0 };
+}
+
+/**
+ * Find an active allocation overlapping a range
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {string} startBarcode - First barcode
+ * @param {string} endBarcode - Last barcode
+ * @returns {Promise<Object|undefined>}
+ */
+async function findOverlap(raffleId, startBarcode, endBarcode) {
+  return db.get(
+    `SELECT * FROM seller_allocations
+     WHERE raffle_id = ? AND status = 'active' AND start_barcode <= ? AND end_barcode >= ?`,
+    [raffleId, endBarcode, startBarcode]
+  );
+}
+
+/**
+ * Record an allocation event
+ *
+ * @param {Object} event - Event fields
+ * @returns {Promise<void>}
+ */
+async function recordAllocationEvent({
+  allocationId, raffleId, eventType, sellerId, relatedSellerId = null, relatedAllocationId = null,
+  startBarcode, endBarcode, ticketCount, actor = null, notes = null
+}) {
+  await db.run(
+    `INSERT INTO allocation_events
+     (allocation_id, raffle_id, event_type, seller_id, related_seller_id, related_allocation_id,
+      start_barcode, end_barcode, ticket_count, actor, notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [allocationId, raffleId, eventType, sellerId, relatedSellerId, relatedAllocationId,
+      startBarcode, endBarcode, ticketCount, actor, notes]
+  );
+}
+
+/**
+ * Insert an active allocation row
+ *
+ * @param {Object} fields - Allocation fields
+ * @returns {Promise<number>} - New allocation ID
+ */
+async function insertAllocation({
+  raffleId, sellerId, category, startBarcode, endBarcode, bookletNumber = null,
+  ticketCount, parentAllocationId = null, transferredFromId = null, issuedBy = null, notes = null
+}) {
+  const result = await db.run(
+    `INSERT INTO seller_allocations
+     (raffle_id, seller_id, category, start_barcode, end_barcode, booklet_number, ticket_count,
+      status, parent_allocation_id, transferred_from_id, issued_by, notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, ?, ?)`,
+    [raffleId, sellerId, category, startBarcode, endBarcode, bookletNumber, ticketCount,
+      parentAllocationId, transferredFromId, issuedBy, notes]
+  );
+  return result.lastID;
+}
+
+/**
+ * Get an allocation with its seller and live sold count
+ *
+ * @param {number} allocationId - Allocation ID
+ * @returns {Promise<Object|null>}
+ */
+async function getAllocation(allocationId) {
+  const rows = await listAllocations({ allocationId });
+  return rows[0] || null;
+}
+
+/**
+ * List allocations with seller details and counts
+ *
+ * @param {Object} filters - Filters
+ * @param {number} filters.allocationId - Single allocation (optional)
+ * @param {number} filters.raffleId - Raffle (optional)
+ * @param {number} filters.sellerId - Seller (optional)
+ * @param {string} filters.status - Allocation status (optional)
+ * @returns {Promise<Array>}
+ */
+async function listAllocations({ allocationId, raffleId, sellerId, status } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (allocationId) {
+    conditions.push('a.id = ?');
+    params.push(allocationId);
+  }
+  if (raffleId) {
+    conditions.push('a.raffle_id = ?');
+    params.push(raffleId);
+  }
+  if (sellerId) {
+    conditions.push('a.seller_id = ?');
+    params.push(sellerId);
+  }
+  if (status) {
+    conditions.push('a.status = ?');
+    params.push(status);
+  }
+
+  const rows = await db.all(
+    `SELECT a.*, u.name as seller_name, u.phone as seller_phone,
+       (SELECT COUNT(*) FROM tickets t
+        WHERE t.raffle_id = a.raffle_id AND LENGTH(t.barcode) = 8
+          AND t.barcode >= a.start_barcode AND t.barcode <= a.end_barcode
+          AND t.status = 'SOLD' AND t.seller_id = a.seller_id) as sold_count
+     FROM seller_allocations a
+     LEFT JOIN users u ON u.id = a.seller_id
+     ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+     ORDER BY a.raffle_id, a.start_barcode, a.id`,
+    params
+  );
+
+  return rows.map(row => {
+    const soldCount = Number(row.sold_count) || 0;
+    return {
+      ...row,
+      sold_count: soldCount,
+      on_hand: row.status === 'active' ? row.ticket_count - soldCount : 0
+    };
+  });
+}
+
+/**
+ * Allocate a barcode range or a booklet to a seller
+ *
+ * @param {Object} params - Parameters
+ * @param {number} params.raffleId - Raffle ID
+ * @param {number} params.sellerId - Seller user ID
+ * @param {string} params.startBarcode - First barcode (range allocations)
+ * @param {string} params.endBarcode - Last barcode (range allocations, default: startBarcode)
+ * @param {string} params.category - Category code (booklet allocations)
+ * @param {number} params.bookletNumber - Booklet number (booklet allocations)
+ * @param {string} params.notes - Notes (optional)
+ * @param {string} actor - Phone of the acting admin
+ * @returns {Promise<Object>} - The new allocation
+ */
+async function allocateTickets({ raffleId, sellerId, startBarcode, endBarcode, category, bookletNumber, notes = null }, actor = null) {
+  const raffle = await db.get('SELECT id FROM raffles WHERE id = ?', [raffleId]);
+  if (!raffle) {
+    throw serviceError('RAFFLE_NOT_FOUND', 'Raffle not found', 404);
+  }
+  const seller = await getSeller(sellerId);
+  await ledgerService.assertCanAllocate(seller.id);
+
+  const range = bookletNumber !== undefined && bookletNumber !== null && bookletNumber !== ''
+    ? await getBookletRange(raffle.id, category, bookletNumber)
+    : normalizeRange(startBarcode, endBarcode);
+
+  const overlap = await findOverlap(raffle.id, range.startBarcode, range.endBarcode);
+  if (overlap) {
+    throw serviceError(
+      'RANGE_ALREADY_ALLOCATED',
+      `Tickets ${overlap.start_barcode}-${overlap.end_barcode} are already allocated (allocation #${overlap.id})`,
+      409
+    );
+  }
+
+  const counts = await db.get(
+    `SELECT COUNT(*) as total,
+       SUM(CASE WHEN status = 'AVAILABLE' THEN 0 ELSE 1 END) as unavailable,
+       MIN(category) as category
+     FROM tickets WHERE ${RANGE_FILTER}`,
+    [raffle.id, range.startBarcode, range.endBarcode]
+  );
+  const total = Number(counts.total) || 0;
+  if (total === 0) {
+    throw serviceError('NO_TICKETS_IN_RANGE', `No tickets of this raffle have barcodes ${range.startBarcode}-${range.endBarcode}`);
+  }
+  if (Number(counts.unavailable) > 0) {
+    throw serviceError(
+      'RANGE_NOT_AVAILABLE',
+      `${counts.unavailable} ticket(s) in ${range.startBarcode}-${range.endBarcode} are not available for allocation`,
+      409
+    );
+  }
+
+  const allocationId = await insertAllocation({
+    raffleId: raffle.id,
+    sellerId: seller.id,
+    category: counts.category,
+    startBarcode: range.startBarcode,
+    endBarcode: range.endBarcode,
+    bookletNumber: bookletNumber || null,
+    ticketCount: total,
+    issuedBy: actor,
+    notes
+  });
+
+  await recordAllocationEvent({
+    allocationId,
+    raffleId: raffle.id,
+    eventType: 'issued',
+    sellerId: seller.id,
+    startBarcode: range.startBarcode,
+    endBarcode: range.endBarcode,
+    ticketCount: total,
+    actor,
+    notes: bookletNumber ? `Booklet ${bookletNumber}${notes ? ` - ${notes}` : ''}` : notes
+  });
+
+  return getAllocation(allocationId);
+}
+
+/**
+ * Load an active allocation and the part of it an operation applies to
+ *
+ * @param {number} allocationId - Allocation ID
+ * @param {Object} range - { startBarcode, endBarcode } (default: whole allocation)
+ * @returns {Promise<Object>} - { allocation, range, held, unsold }
+ */
+async function resolvePart(allocationId, { startBarcode, endBarcode }) {
+  const allocation = await db.get('SELECT * FROM seller_allocations WHERE id = ?', [allocationId]);
+  if (!allocation) {
+    throw serviceError('ALLOCATION_NOT_FOUND', 'Allocation not found', 404);
+  }
+  if (allocation.status !== 'active') {
+    throw serviceError('ALLOCATION_NOT_ACTIVE', `This allocation is already ${allocation.status}`, 409);
+  }
+
+  const range = startBarcode
+    ? normalizeRange(startBarcode, endBarcode)
+    : { startBarcode: allocation.start_barcode, endBarcode: allocation.end_barcode };
+  if (range.startBarcode < allocation.start_barcode || range.endBarcode > allocation.end_barcode) {
+    throw serviceError(
+      'INVALID_RANGE',
+      `The range must be within the allocation (${allocation.start_barcode}-${allocation.end_barcode})`
+    );
+  }
+
+  const counts = await countRange(allocation.raffle_id, range.startBarcode, range.endBarcode, allocation.seller_id);
+  return { allocation, range, held: counts.held, unsold: counts.held - counts.sold };
+}
+
+/**
+ * Close part of an active allocation, keeping the rest active as new allocations
+ *
+ * @param {Object} part - Result of resolvePart
+ * @param {string} toStatus - 'returned' or 'transferred'
+ * @param {string} actor - Phone of the acting admin
+ * @returns {Promise<Object>} - The closed allocation, narrowed to the part
+ */
+async function closePart({ allocation, range, held, unsold }, toStatus, actor) {
+  const closedCount = toStatus === 'returned' ? 'returned_count' : 'transferred_count';
+
+  const result = await db.run(
+    `UPDATE seller_allocations
+     SET status = ?, start_barcode = ?, end_barcode = ?, ticket_count = ?, ${closedCount} = ?, closed_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'active'`,
+    [toStatus, range.startBarcode, range.endBarcode, held, unsold, allocation.id]
+  );
+  if (result.changes === 0) {
+    throw serviceError('ALLOCATION_CHANGED', 'This allocation was updated by someone else. Reload and try again.', 409);
+  }
+
+  // Whatever is left either side of the closed part stays with the seller
+  const remainders = [
+    { startBarcode: allocation.start_barcode, endBarcode: offsetBarcode(range.startBarcode, -1) },
+    { startBarcode: offsetBarcode(range.endBarcode, 1), endBarcode: allocation.end_barcode }
+  ].filter(r => r.startBarcode <= r.endBarcode);
+
+  for (const remainder of remainders) {
+    const counts = await countRange(allocation.raffle_id, remainder.startBarcode, remainder.endBarcode, allocation.seller_id);
+    const remainderId = await insertAllocation({
+      raffleId: allocation.raffle_id,
+      sellerId: allocation.seller_id,
+      category: allocation.category,
+      startBarcode: remainder.startBarcode,
+      endBarcode: remainder.endBarcode,
+      bookletNumber: allocation.booklet_number,
+      ticketCount: counts.held,
+      parentAllocationId: allocation.id,
+      issuedBy: allocation.issued_by,
+      notes: allocation.notes
+    });
+    await recordAllocationEvent({
+      allocationId: remainderId,
+      raffleId: allocation.raffle_id,
+      eventType: 'split',
+      sellerId: allocation.seller_id,
+      relatedAllocationId: allocation.id,
+      startBarcode: remainder.startBarcode,
+      endBarcode: remainder.endBarcode,
+      ticketCount: counts.held,
+      actor,
+      notes: `Split from allocation #${allocation.id}`
+    });
+  }
+
+  return { ...allocation, start_barcode: range.startBarcode, end_barcode: range.endBarcode };
+}
+
+/**
+ * Record a seller handing back the unsold tickets of an allocation (or part of it)
+ *
+ * @param {number} allocationId - Allocation ID
+ * @param {Object} options - Options
+ * @param {string} options.startBarcode - First barcode returned (default: whole allocation)
+ * @param {string} options.endBarcode - Last barcode returned
+ * @param {string} options.notes - Notes (optional)
+ * @param {string} actor - Phone of the acting admin
+ * @returns {Promise<Object>} - The returned allocation
+ */
+async function returnAllocation(allocationId, { startBarcode, endBarcode, notes = null } = {}, actor = null) {
+  const part = await resolvePart(allocationId, { startBarcode, endBarcode });
+  const allocation = await closePart(part, 'returned', actor);
+
+  await recordAllocationEvent({
+    allocationId: allocation.id,
+    raffleId: allocation.raffle_id,
+    eventType: 'returned',
+    sellerId: allocation.seller_id,
+    startBarcode: allocation.start_barcode,
+    endBarcode: allocation.end_barcode,
+    ticketCount: part.unsold,
+    actor,
+    notes
+  });
+
+  return getAllocation(allocation.id);
+}
+
+/**
+ * Move the unsold tickets of an allocation (or part of it) to another seller
+ * Tickets already sold stay credited to the original seller.
+ *
+ * @param {number} allocationId - Allocation ID
+ * @param {Object} options - Options
+ * @param {number} options.toSellerId - Receiving seller
+ * @param {string} options.startBarcode - First barcode moved (default: whole allocation)
+ * @param {string} options.endBarcode - Last barcode moved
+ * @param {string} options.notes - Notes (optional)
+ * @param {string} actor - Phone of the acting admin
+ * @returns {Promise<Object>} - { from, to } allocations
+ */
+async function transferAllocation(allocationId, { toSellerId, startBarcode, endBarcode, notes = null } = {}, actor = null) {
+  const toSeller = await getSeller(toSellerId);
+  await ledgerService.assertCanAllocate(toSeller.id);
+
+  const part = await resolvePart(allocationId, { startBarcode, endBarcode });
+  if (Number(part.allocation.seller_id) === toSeller.id) {
+    throw serviceError('SAME_SELLER', 'The allocation already belongs to this seller');
+  }
+  if (part.unsold === 0) {
+    throw serviceError('NOTHING_TO_TRANSFER', 'Every ticket in this range is already sold', 409);
+  }
+
+  const allocation = await closePart(part, 'transferred', actor);
+  const unsold = part.unsold;
+
+  const toAllocationId = await insertAllocation({
+    raffleId: allocation.raffle_id,
+    sellerId: toSeller.id,
+    category: allocation.category,
+    startBarcode: allocation.start_barcode,
+    endBarcode: allocation.end_barcode,
+    bookletNumber: allocation.booklet_number,
+    ticketCount: unsold,
+    transferredFromId: allocation.id,
+    issuedBy: actor,
+    notes
+  });
+
+  await recordAllocationEvent({
+    allocationId: allocation.id,
+    raffleId: allocation.raffle_id,
+    eventType: 'transferred_out',
+    sellerId: allocation.seller_id,
+    relatedSellerId: toSeller.id,
+    relatedAllocationId: toAllocationId,
+    startBarcode: allocation.start_barcode,
+    endBarcode: allocation.end_barcode,
+    ticketCount: unsold,
+    actor,
+    notes
+  });
+  await recordAllocationEvent({
+    allocationId: toAllocationId,
+    raffleId: allocation.raffle_id,
+    eventType: 'transferred_in',
+    sellerId: toSeller.id,
+    relatedSellerId: allocation.seller_id,
+    relatedAllocationId: allocation.id,
+    startBarcode: allocation.start_barcode,
+    endBarcode: allocation.end_barcode,
+    ticketCount: unsold,
+    actor,
+    notes
+  });
+
+  return {
+    from: await getAllocation(allocation.id),
+    to: await getAllocation(toAllocationId)
+  };
+}
+
+/**
+ * Get the history of an allocation, including splits and transfers that involve it
+ *
+ * @param {number} allocationId - Allocation ID
+ * @returns {Promise<Object|null>} - Allocation with events, or null if not found
+ */
+async function getAllocationHistory(allocationId) {
+  const allocation = await getAllocation(allocationId);
+  if (!allocation) {
+    return null;
+  }
+
+  const events = await db.all(
+    `SELECT e.*, s.name as seller_name, r.name as related_seller_name
+     FROM allocation_events e
+     LEFT JOIN users s ON s.id = e.seller_id
+     LEFT JOIN users r ON r.id = e.related_seller_id
+     WHERE e.allocation_id = ? OR e.related_allocation_id = ?
+     ORDER BY e.created_at ASC, e.id ASC`,
+    [allocation.id, allocation.id]
+  );
+
+  return { ...allocation, events };
+}
+
+/**
+ * Issued / sold / returned / transferred totals per seller
+ *
+ * @param {Object} filters - Filters
+ * @param {number} filters.raffleId - Raffle (optional)
+ * @param {number} filters.sellerId - Seller (optional)
+ * @returns {Promise<Array>} - One row per seller
+ */
+async function getSellerSummaries({ raffleId, sellerId } = {}) {
+  const allocations = await listAllocations({ raffleId, sellerId });
+  const bySeller = new Map();
+
+  for (const a of allocations) {
+    if (!bySeller.has(a.seller_id)) {
+      bySeller.set(a.seller_id, {
+        seller_id: a.seller_id,
+        seller_name: a.seller_name,
+        seller_phone: a.seller_phone,
+        active_allocations: 0,
+        issued: 0,
+        sold: 0,
+        returned: 0,
+        transferred_out: 0,
+        on_hand: 0
+      });
+    }
+    const summary = bySeller.get(a.seller_id);
+
+    // Split parts partition the original issue, so their counts add up to it
+    summary.issued += a.ticket_count;
+    if (a.status === 'active') {
+      summary.active_allocations += 1;
+    }
+    summary.sold += a.sold_count;
+    summary.returned += Number(a.returned_count) || 0;
+    summary.transferred_out += Number(a.transferred_count) || 0;
+    summary.on_hand += a.on_hand;
+  }
+
+  return Array.from(bySeller.values());
+}
+
+/**
+ * Check that a ticket may be sold by a seller under the allocation rules
+ *
+ * A ticket in another seller's active allocation can never be sold. Once a
+ * raffle has any allocation (active, returned or transferred), its tickets can
+ * only be sold from the scanning seller's own active allocations. Raffles that
+ * never allocated tickets sell without these checks.
+ *
+ * @param {Object} ticket - Ticket row
+ * @param {number} sellerId - User ID of the scanning seller
+ * @returns {Promise<Object|null>} - { error, message } if the sale is not allowed
+ */
+async function checkTicketAllocation(ticket, sellerId) {
+  if (!ticket.barcode || !BARCODE_PATTERN.test(ticket.barcode)) {
+    return null;
+  }
+
+  const allocation = await db.get(
+    `SELECT id, seller_id FROM seller_allocations
+     WHERE raffle_id = ? AND status = 'active' AND start_barcode <= ? AND end_barcode >= ?`,
+    [ticket.raffle_id, ticket.barcode, ticket.barcode]
+  );
+
+  if (allocation) {
+    if (Number(allocation.seller_id) === Number(sellerId)) {
+      return null;
+    }
+    return {
+      error: 'NOT_ALLOCATED_TO_SELLER',
+      message: 'This ticket is allocated to another seller and cannot be sold by you.'
+    };
+  }
+
+  const usesAllocations = await db.get('SELECT id FROM seller_allocations WHERE raffle_id = ? LIMIT 1', [ticket.raffle_id]);
+  if (usesAllocations) {
+    return {
+      error: 'NOT_ALLOCATED_TO_SELLER',
+      message: 'This ticket is not part of your allocation. Only tickets allocated to you can be sold.'
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  BOOKLET_SIZE,
+  getBookletRange,
+  allocateTickets,
+  returnAllocation,
+  transferAllocation,
+  getAllocation,
+  listAllocations,
+  getAllocationHistory,
+  getSellerSummaries,
+  checkTicketAllocation
+};
@@ -3,50 +3,36 @@
  * 
  * 8-Digit Format: 8 digits total
  * Structure: CTTTTTTT
- * - C: Category prefix (1=ABC, 2=EFG, 3=JKL, 4=XYZ) - 1 digit
+ * - C: Category's barcode prefix (1-9, set per raffle in ticket_categories.barcode_prefix) - 1 digit
  * - TTTTTTT: Ticket sequence number (7 digits, zero-padded, supports 1-9,999,999)
  * Total: 1 + 7 = 8 digits
  * 
- * Examples:
+ * Examples (default raffle: ABC=1, EFG=2, JKL=3, XYZ=4):
  *   ABC-000001 -> 10000001
  *   EFG-000001 -> 20000001
  *   JKL-000001 -> 30000001
  *   XYZ-000001 -> 40000001
  */
 
-/**
- * Category mapping to 1-digit prefix for 8-digit barcodes
- */
-const CATEGORY_MAP = {
-  'ABC': '1',
-  'EFG': '2',
-  'JKL': '3',
-  'XYZ': '4'
-};
-
 // No check digit calculation needed for 8-digit barcodes
 
 /**
  * Generate 8-digit barcode for a ticket
  * 
- * @param {string} category - Category code (ABC, EFG, JKL, XYZ)
+ * @param {string} prefix - The category's barcode prefix digit (1-9)
  * @param {number} ticketNumber - Ticket sequence number (1-9999999)
  * @returns {string} - 8-digit barcode
  * 
  * @example
- * generateBarcode('ABC', 1)         // Returns: "10000001"
- * generateBarcode('ABC', 500000)    // Returns: "10500000"
- * generateBarcode('EFG', 1)         // Returns: "20000001"
- * generateBarcode('XYZ', 999999)    // Returns: "40999999"
+ * generateBarcode('1', 1)         // Returns: "10000001"
+ * generateBarcode('1', 500000)    // Returns: "10500000"
+ * generateBarcode('2', 1)         // Returns: "20000001"
+ * generateBarcode('4', 999999)    // Returns: "40999999"
  */
-function generateBarcode(category, ticketNumber) {
-  if (!category || typeof category !== 'string') {
-    throw new Error('Category must be a non-empty string');
-  }
-
-  const categoryPrefix = CATEGORY_MAP[category.toUpperCase()];
-  if (!categoryPrefix) {
-    throw new Error(`Invalid category: ${category}. Valid categories: ABC, EFG, JKL, XYZ`);
+function generateBarcode(prefix, ticketNumber) {
+  const categoryPrefix = String(prefix || '');
+  if (!/^[1-9]$/.test(categoryPrefix)) {
+    throw new Error(`Invalid barcode prefix: ${prefix}. It must be a single digit from 1 to 9`);
   }
 
   if (!Number.isInteger(ticketNumber) || ticketNumber < 1 || ticketNumber > 9999999) {
@@ -76,9 +62,8 @@ function validateBarcode(barcode) {
     return false;
   }
 
-  // Check first digit is valid category (1-4)
-  const categoryDigit = barcode[0];
-  if (!['1', '2', '3', '4'].includes(categoryDigit)) {
+  // Check first digit is a category prefix (1-9)
+  if (barcode[0] === '0') {
     return false;
   }
 
@@ -86,10 +71,12 @@ function validateBarcode(barcode) {
 }
 
 /**
- * Extract category and ticket number from 8-digit barcode
+ * Extract the category prefix and ticket number from an 8-digit barcode
+ * 
+ * Which category a prefix stands for depends on the raffle (ticket_categories.barcode_prefix).
  * 
  * @param {string} barcode - 8-digit barcode
- * @returns {Object} - { category, ticketNumber } or null if invalid
+ * @returns {Object} - { prefix, ticketNumber } or null if invalid
  */
 function parseBarcode(barcode) {
   if (!validateBarcode(barcode)) {
@@ -97,33 +84,14 @@ function parseBarcode(barcode) {
   }
 
   // Extract parts: CTTTTTTT
-  const categoryDigit = barcode[0];
-  const ticketNumberStr = barcode.slice(1);
-
-  // Reverse lookup category
-  const categoryReverse = {
-    '1': 'ABC',
-    '2': 'EFG',
-    '3': 'JKL',
-    '4': 'XYZ'
-  };
-
-  const category = categoryReverse[categoryDigit];
-  if (!category) {
-    return null;
-  }
-
-  const ticketNumber = parseInt(ticketNumberStr, 10);
-
   return {
-    category,
-    ticketNumber
+    prefix: barcode[0],
+    ticketNumber: parseInt(barcode.slice(1), 10)
   };
 }
 
 module.exports = {
   generateBarcode,
   validateBarcode,
-  parseBarcode,
-  CATEGORY_MAP
+  parseBarcode
 };
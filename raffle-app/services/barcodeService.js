@@ -4,50 +4,33 @@
  */
 
 const bwipjs = require('bwip-js');
-
-/**
- * Category prefix mapping for barcode generation
- * ABC -> 1, EFG -> 2, JKL -> 3, XYZ -> 4
- */
-const CATEGORY_PREFIX_MAP = {
-  'ABC': '1',
-  'EFG': '2',
-  'JKL': '3',
-  'XYZ': '4'
-};
+const barcodeGenerator = require('./barcodeGenerator');
 
 /**
  * Generate barcode number from ticket number
- * Format: Category prefix + ticket sequence number
- * Examples:
+ * Format: Category's barcode prefix + 7-digit ticket sequence number
+ * Examples (default raffle: ABC=1, EFG=2, JKL=3, XYZ=4):
  *   ABC-000001 -> 10000001
  *   EFG-000001 -> 20000001
  *   JKL-000001 -> 30000001
  *   XYZ-000001 -> 40000001
  * 
  * @param {string} ticketNumber - Ticket number (e.g., "ABC-000001")
+ * @param {string} prefix - The ticket category's barcode prefix digit (ticket_categories.barcode_prefix)
  * @returns {string} - 8-digit barcode (e.g., "10000001")
  */
-function generateBarcodeNumber(ticketNumber) {
+function generateBarcodeNumber(ticketNumber, prefix) {
   if (!ticketNumber || typeof ticketNumber !== 'string') {
     throw new Error('Invalid ticket number');
   }
 
   const parts = ticketNumber.split('-');
-  if (parts.length !== 2) {
+  if (parts.length !== 2 || !/^\d+$/.test(parts[1])) {
     throw new Error('Invalid ticket number format. Expected format: ABC-000001');
   }
 
-  const category = parts[0].toUpperCase();
-  const sequence = parts[1];
-
-  const prefix = CATEGORY_PREFIX_MAP[category];
-  if (!prefix) {
-    throw new Error(`Unknown category: ${category}. Valid categories: ABC, EFG, JKL, XYZ`);
-  }
-
   // Format: 1 digit prefix + 7 digit sequence = 8 digits
-  return prefix + sequence;
+  return barcodeGenerator.generateBarcode(prefix, parseInt(parts[1], 10));
 }
 
 /**
@@ -89,11 +72,12 @@ async function generateBarcodeImage(barcodeNumber, options = {}) {
  * Combines barcode number generation and image generation
  * 
  * @param {string} ticketNumber - Ticket number (e.g., "ABC-000001")
+ * @param {string} prefix - The ticket category's barcode prefix digit
  * @param {Object} options - Image generation options
  * @returns {Promise<Object>} - { barcodeNumber, imageBuffer }
  */
-async function generateTicketBarcode(ticketNumber, options = {}) {
-  const barcodeNumber = generateBarcodeNumber(ticketNumber);
+async function generateTicketBarcode(ticketNumber, prefix, options = {}) {
+  const barcodeNumber = generateBarcodeNumber(ticketNumber, prefix);
   const imageBuffer = await generateBarcodeImage(barcodeNumber, options);
   
   return {
@@ -127,7 +111,7 @@ function isLegacyBarcode(barcode) {
   }
 
   // If it matches the 8-digit format, it's not legacy
-  const new8DigitFormat = /^[1-4]\d{7}$/;
+  const new8DigitFormat = /^[1-9]\d{7}$/;
   if (new8DigitFormat.test(cleaned)) {
     return false;
   }
@@ -189,8 +173,8 @@ function validateBarcodeNumber(barcodeNumber) {
     return false;
   }
 
-  // Check new 8-digit format: 8 digits, first digit 1-4
-  const new8DigitFormat = /^[1-4]\d{7}$/;
+  // Check new 8-digit format: 8 digits, first digit 1-9
+  const new8DigitFormat = /^[1-9]\d{7}$/;
   if (new8DigitFormat.test(cleaned)) {
     return true;
   }
@@ -199,34 +183,10 @@ function validateBarcodeNumber(barcodeNumber) {
   return isLegacyBarcode(cleaned);
 }
 
-/**
- * Get category from barcode number
- * 
- * @param {string} barcodeNumber - Barcode number
- * @returns {string} - Category code (ABC, EFG, JKL, XYZ)
- */
-function getCategoryFromBarcode(barcodeNumber) {
-  if (!validateBarcodeNumber(barcodeNumber)) {
-    throw new Error('Invalid barcode number');
-  }
-
-  const prefix = barcodeNumber[0];
-  const reverseMap = {
-    '1': 'ABC',
-    '2': 'EFG',
-    '3': 'JKL',
-    '4': 'XYZ'
-  };
-
-  return reverseMap[prefix];
-}
-
 module.exports = {
   generateBarcodeNumber,
   generateBarcodeImage,
   generateTicketBarcode,
   validateBarcodeNumber,
-  isLegacyBarcode,
-  getCategoryFromBarcode,
-  CATEGORY_PREFIX_MAP
+  isLegacyBarcode
 };
@@ -5,10 +5,13 @@
 
 const db = require('../db');
 const barcodeService = require('./barcodeService');
-const barcodeGenerator = require('./barcodeGenerator');
+const categoryService = require('./categoryService');
 const ticketService = require('./ticketService');
 const importExportService = require('./importExportService');
 const printService = require('./printService');
+const allocationService = require('./allocationService');
+const reservationService = require('./reservationService');
+const raffleLifecycleService = require('./raffleLifecycleService');
 
 /**
  * Validate if a barcode follows the new 8-digit format
@@ -69,7 +72,7 @@ async function regenerateAllBarcodes(options = {}) {
     console.log('🔄 Starting barcode regeneration...');
     console.log('   Options:', options);
     
-    let query = 'SELECT id, ticket_number, barcode, category FROM tickets';
+    let query = 'SELECT id, raffle_id, ticket_number, barcode, category FROM tickets';
     const params = [];
     const conditions = [];
     
@@ -116,13 +119,15 @@ async function regenerateAllBarcodes(options = {}) {
       skipped: 0,
       errors: []
     };
+    const categories = await categoryService.getTicketCategories(tickets);
     
     for (const ticket of tickets) {
       try {
         // Generate new 8-digit barcode with error handling
         let newBarcode;
         try {
-          newBarcode = barcodeService.generateBarcodeNumber(ticket.ticket_number);
+          const ticketCategory = categories.get(`${ticket.raffle_id}:${ticket.category}`);
+          newBarcode = barcodeService.generateBarcodeNumber(ticket.ticket_number, ticketCategory && ticketCategory.barcode_prefix);
         } catch (generateError) {
           console.error(`Error generating barcode for ticket ${ticket.ticket_number}:`, generateError);
           results.errors.push(`Ticket ${ticket.ticket_number}: ${generateError.message}`);
@@ -222,8 +227,8 @@ async function exportAllTicketsPDF(options = {}) {
     console.log('📄 Generating PDF export...');
     console.log('   Options:', options);
     
-    let query = 'SELECT * FROM tickets WHERE barcode IS NOT NULL';
-    const params = [];
+    let query = 'SELECT * FROM tickets WHERE raffle_id = ? AND barcode IS NOT NULL';
+    const params = [raffleId];
     
     if (category) {
       query += ' AND category = ?';
@@ -316,9 +321,13 @@ async function getBarcodeStatistics() {
  * Accepts both new 8-digit format and legacy barcode formats
  * 
  * @param {string} barcode - Barcode to validate
+ * @param {Object} options - Options
+ * @param {number} options.sellerId - Scanning seller; enforces seller allocations when given
+ * @param {string} options.reservationOwner - Reservation owner key selling the ticket (default: the seller)
+ * @param {number} options.raffleId - Raffle the ticket belongs to (needed when several raffles on sale share the barcode)
  * @returns {Promise<Object>} - Validation result
  */
-async function validateTicketForSale(barcode) {
+async function validateTicketForSale(barcode, options = {}) {
   try {
     console.log(`[VALIDATE] Checking barcode: ${barcode}`);
     
@@ -347,7 +356,20 @@ async function validateTicketForSale(barcode) {
     console.log(`[VALIDATE] Format valid. Looking up ticket...`);
     
     // Step 2: Find ticket in database (supports both barcode and ticket_number lookup)
-    const ticket = await ticketService.getTicketByBarcode(cleanedBarcode);
+    let ticket;
+    try {
+      ticket = await ticketService.getTicketByBarcode(cleanedBarcode, options.raffleId);
+    } catch (error) {
+      if (error.code !== 'RAFFLE_REQUIRED') {
+        throw error;
+      }
+      console.log(`[VALIDATE] Barcode ${cleanedBarcode} is used by several raffles on sale`);
+      return {
+        valid: false,
+        error: error.code,
+        message: 'This barcode belongs to more than one raffle on sale. Choose the raffle and scan again.'
+      };
+    }
     
     if (!ticket) {
       console.log(`[VALIDATE] Ticket not found for barcode: ${cleanedBarcode}`);
@@ -382,7 +404,87 @@ async function validateTicketForSale(barcode) {
       };
     }
     
-    // Step 5: Valid ticket
+    // Step 5: Check its payment is not disputed (it stays with its buyer until resolved)
+    if (ticket.status === 'DISPUTED') {
+      console.log(`[VALIDATE] Ticket ${ticket.ticket_number} has a disputed payment`);
+      return {
+        valid: false,
+        error: 'PAYMENT_DISPUTED',
+        message: 'This ticket was sold but its payment was rejected and is under review.',
+        ticket: ticket
+      };
+    }
+    
+    // Step 6: Check it has not been taken out of circulation
+    if (ticket.status === 'VOIDED') {
+      console.log(`[VALIDATE] Ticket ${ticket.ticket_number} is VOIDED`);
+      return {
+        valid: false,
+        error: 'TICKET_VOIDED',
+        message: 'This ticket has been voided and cannot be sold. Hand it back to an administrator.',
+        ticket: ticket
+      };
+    }
+    if (ticket.status === 'REFUNDED') {
+      console.log(`[VALIDATE] Ticket ${ticket.ticket_number} was REFUNDED`);
+      return {
+        valid: false,
+        error: 'TICKET_REFUNDED',
+        message: 'This ticket was refunded and taken out of circulation. It cannot be sold.',
+        ticket: ticket
+      };
+    }
+    if (ticket.status === 'LOST') {
+      console.log(`[VALIDATE] Ticket ${ticket.ticket_number} was reported LOST`);
+      return {
+        valid: false,
+        error: 'TICKET_LOST',
+        message: 'This ticket was reported lost or stolen and cannot be sold. Please contact an administrator.',
+        ticket: ticket
+      };
+    }
+    
+    // Step 7: Check its raffle is on sale
+    const lifecycleError = await raffleLifecycleService.checkAction(ticket.raffle_id, 'sell');
+    if (lifecycleError) {
+      console.log(`[VALIDATE] Ticket ${ticket.ticket_number} rejected: ${lifecycleError.error}`);
+      return {
+        valid: false,
+        error: lifecycleError.error,
+        message: lifecycleError.message,
+        ticket: ticket
+      };
+    }
+    
+    // Step 8: Check it is not reserved for someone else (expired holds no longer count)
+    const owner = options.reservationOwner ||
+      (options.sellerId ? reservationService.userOwner(options.sellerId) : null);
+    const reservationError = reservationService.checkReservation(ticket, owner);
+    if (reservationError) {
+      console.log(`[VALIDATE] Ticket ${ticket.ticket_number} is reserved until ${ticket.reserved_until}`);
+      return {
+        valid: false,
+        error: reservationError.error,
+        message: reservationError.message,
+        ticket: ticket
+      };
+    }
+    
+    // Step 9: Check the ticket is in the scanning seller's allocation
+    if (options.sellerId) {
+      const allocationError = await allocationService.checkTicketAllocation(ticket, options.sellerId);
+      if (allocationError) {
+        console.log(`[VALIDATE] Ticket ${ticket.ticket_number} rejected: ${allocationError.error}`);
+        return {
+          valid: false,
+          error: allocationError.error,
+          message: allocationError.message,
+          ticket: ticket
+        };
+      }
+    }
+    
+    // Step 10: Valid ticket
     console.log(`[VALIDATE] Ticket ${ticket.ticket_number} is valid and available`);
     return {
       valid: true,
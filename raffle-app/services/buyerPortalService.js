@@ -0,0 +1,278 @@
+/**
+ * Buyer Portal Service - Buyers look up their own tickets
+ *
+ * A buyer signs in with their phone number and a one-time code sent by SMS
+ * (see smsService), then sees every ticket sold to that number across raffles:
+ * status, draw date and whether it won.
+ *
+ * Nothing here may tell a visitor anything about someone else's number:
+ *   - requesting a code answers the same whether or not the number has
+ *     tickets. Codes are recorded (and rate limited) for every number, but
+ *     only numbers with tickets are sent an SMS, in the background so the
+ *     response time does not give it away either
+ *   - a code is only good for the number it was sent to, for CODE_TTL_MINUTES
+ *     and MAX_CODE_ATTEMPTS guesses
+ *   - the ticket list is read from the signed-in number only and never
+ *     includes other buyers' or winners' details
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const saleService = require('./saleService');
+const receiptService = require('./receiptService');
+const smsService = require('./smsService');
+const { serviceError } = require('./serviceError');
+
+const CODE_LENGTH = 6;
+const CODE_TTL_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+// A number can be sent a new code once a minute, and 5 codes an hour
+const CODE_RESEND_SECONDS = 60;
+const MAX_CODES_PER_HOUR = 5;
+// How long a buyer stays signed in to the portal
+const PORTAL_SESSION_MINUTES = 30;
+
+/**
+ * Normalize a phone number, rejecting invalid ones
+ *
+ * @param {string} phone - Phone as typed
+ * @returns {string} - Normalized phone
+ */
+function requirePhone(phone) {
+  const normalized = saleService.normalizePhone(phone);
+  if (!normalized) {
+    throw serviceError('INVALID_PHONE', 'Enter a phone number of 10-15 digits');
+  }
+  return normalized;
+}
+
+/**
+ * The forms a number may be stored in on tickets: with and without the leading +
+ *
+ * @param {string} phone - Normalized phone
+ * @returns {string[]}
+ */
+function phoneVariants(phone) {
+  const digits = phone.replace(/\D/g, '');
+  return [digits, `+${digits}`];
+}
+
+/**
+ * Hash a code so the database never holds it in clear
+ *
+ * @param {string} phone - Normalized phone the code was sent to
+ * @param {string} code - The code
+ * @returns {string}
+ */
+function hashCode(phone, code) {
+  const secret = process.env.SESSION_SECRET || 'raffle-secret-key-2024';
+  return crypto.createHmac('sha256', secret).update(`${phone.replace(/\D/g, '')}:${code}`).digest('hex');
+}
+
+/**
+ * Whether any ticket has been sold to a number
+ *
+ * @param {string} phone - Normalized phone
+ * @returns {Promise<boolean>}
+ */
+async function hasTickets(phone) {
+  const row = await db.get(
+    "SELECT id FROM tickets WHERE buyer_phone IN (?, ?) AND status <> 'AVAILABLE' LIMIT 1",
+    phoneVariants(phone)
+  );
+  return Boolean(row);
+}
+
+/**
+ * Send a sign-in code to a number
+ *
+ * @param {string} phone - Phone as typed
+ * @returns {Promise<Object>} - { expires_in (seconds) }. The same for every valid number
+ */
+async function requestCode(phone) {
+  const normalized = requirePhone(phone);
+  const key = normalized.replace(/\D/g, '');
+  // Fail the same way for every number if SMS is misconfigured
+  smsService.getSender();
+
+  const now = Date.now();
+  await db.run('DELETE FROM buyer_login_codes WHERE created_at < ?', [db.toDbTimestamp(new Date(now - 24 * 60 * 60 * 1000))]);
+
+  const recent = await db.get(
+    'SELECT COUNT(*) as count, MAX(created_at) as last_sent FROM buyer_login_codes WHERE phone = ? AND created_at >= ?',
+    [key, db.toDbTimestamp(new Date(now - 60 * 60 * 1000))]
+  );
+  if (recent.last_sent && db.fromDbTimestamp(recent.last_sent) >= db.toDbTimestamp(new Date(now - CODE_RESEND_SECONDS * 1000))) {
+    throw serviceError('CODE_RECENTLY_SENT', 'A code was just sent. Wait a minute before asking for another one.', 429);
+  }
+  if (Number(recent.count) >= MAX_CODES_PER_HOUR) {
+    throw serviceError('TOO_MANY_CODES', 'Too many codes were requested for this number. Try again later.', 429);
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+  await db.run(
+    `INSERT INTO buyer_login_codes (phone, code_hash, expires_at, attempts, created_at)
+     VALUES (?, ?, ?, 0, ?)`,
+    [key, hashCode(normalized, code), db.toDbTimestamp(new Date(now + CODE_TTL_MINUTES * 60 * 1000)), db.toDbTimestamp(new Date(now))]
+  );
+
+  if (await hasTickets(normalized)) {
+    const body = `Your RaffleApp code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes. Do not share it with anyone.`;
+    smsService.sendSms(normalized, body).catch(error => {
+      console.error('[PORTAL] Sign-in code not sent:', error.message);
+    });
+  }
+
+  return { expires_in: CODE_TTL_MINUTES * 60 };
+}
+
+/**
+ * Check a sign-in code. A code works once
+ *
+ * @param {string} phone - Phone as typed
+ * @param {string} code - Code from the SMS
+ * @returns {Promise<Object>} - { phone } to keep in the session
+ */
+async function verifyCode(phone, code) {
+  const normalized = requirePhone(phone);
+  const key = normalized.replace(/\D/g, '');
+  const given = String(code || '').trim();
+  const invalid = serviceError('INVALID_CODE', 'This code is wrong or has expired. Ask for a new one.', 401);
+  if (!new RegExp(`^\\d{${CODE_LENGTH}}$`).test(given)) {
+    throw invalid;
+  }
+
+  // Only the latest code sent to the number counts
+  const row = await db.get(
+    'SELECT * FROM buyer_login_codes WHERE phone = ? ORDER BY id DESC LIMIT 1',
+    [key]
+  );
+  if (!row || row.used_at || db.fromDbTimestamp(row.expires_at) < db.toDbTimestamp(new Date())) {
+    throw invalid;
+  }
+
+  const counted = await db.run(
+    'UPDATE buyer_login_codes SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+    [row.id, MAX_CODE_ATTEMPTS]
+  );
+  if (counted.changes === 0) {
+    throw serviceError('TOO_MANY_ATTEMPTS', 'Too many wrong codes. Ask for a new one.', 429);
+  }
+
+  const expected = Buffer.from(row.code_hash, 'utf8');
+  const actual = Buffer.from(hashCode(normalized, given), 'utf8');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw invalid;
+  }
+
+  const used = await db.run(
+    `UPDATE buyer_login_codes SET used_at = ${db.getCurrentTimestamp()} WHERE id = ? AND used_at IS NULL`,
+    [row.id]
+  );
+  if (used.changes === 0) {
+    throw invalid;
+  }
+  return { phone: normalized };
+}
+
+/**
+ * Check the portal sign-in kept in the session
+ *
+ * @param {Object} buyer - req.session.buyer: { phone, signed_in_at }
+ * @returns {string} - The signed-in phone
+ */
+function requireSignedIn(buyer) {
+  if (!buyer || !buyer.phone || Date.now() - buyer.signed_in_at > PORTAL_SESSION_MINUTES * 60 * 1000) {
+    throw serviceError('NOT_SIGNED_IN', 'Sign in with your phone number to see your tickets', 401);
+  }
+  return buyer.phone;
+}
+
+/**
+ * Every ticket sold to a number, grouped by raffle, newest draw first
+ *
+ * @param {string} phone - Signed-in phone
+ * @returns {Promise<Object>} - { phone, ticket_count, raffles: [{ id, name, draw_date, status, drawn, tickets }] }
+ */
+async function getBuyerTickets(phone) {
+  const rows = await db.all(
+    `SELECT t.ticket_number, t.barcode, t.category, t.status, t.sold_at, t.sale_id,
+            r.id as raffle_id, r.name as raffle_name, r.draw_date, r.status as raffle_status,
+            w.prize_name, w.prize_level, w.claim_status, w.claim_deadline, s.buyer_phone as sale_buyer_phone
+     FROM tickets t
+     JOIN raffles r ON r.id = t.raffle_id
+     LEFT JOIN sales s ON s.id = t.sale_id
+     LEFT JOIN winners w ON w.ticket_id = t.id AND w.status = 'winner'
+     WHERE t.buyer_phone IN (?, ?) AND t.status <> 'AVAILABLE'
+     ORDER BY r.draw_date DESC, r.id DESC, t.ticket_number`,
+    phoneVariants(phone)
+  );
+
+  const raffleIds = [...new Set(rows.map(row => row.raffle_id))];
+  const drawn = new Set();
+  if (raffleIds.length > 0) {
+    const draws = await db.all(
+      `SELECT DISTINCT raffle_id FROM draws
+       WHERE raffle_id IN (${raffleIds.map(() => '?').join(', ')}) AND COALESCE(status, 'completed') = 'completed'`,
+      raffleIds
+    );
+    draws.forEach(draw => drawn.add(draw.raffle_id));
+  }
+
+  // A ticket transferred to this number came from someone else's sale: its receipt is theirs
+  const ownSale = row => row.sale_id && phoneVariants(phone).includes(row.sale_buyer_phone);
+  const receiptUrls = new Map();
+  for (const saleId of new Set(rows.filter(ownSale).map(row => row.sale_id))) {
+    receiptUrls.set(saleId, await receiptService.getReceiptLink(saleId));
+  }
+
+  const raffles = new Map();
+  for (const row of rows) {
+    if (!raffles.has(row.raffle_id)) {
+      raffles.set(row.raffle_id, {
+        id: row.raffle_id,
+        name: row.raffle_name,
+        draw_date: row.draw_date,
+        status: row.raffle_status,
+        drawn: drawn.has(row.raffle_id),
+        tickets: []
+      });
+    }
+    const raffle = raffles.get(row.raffle_id);
+
+    let result = 'not_drawn';
+    if (row.prize_name) {
+      result = 'won';
+    } else if (raffle.drawn) {
+      result = 'not_won';
+    }
+
+    raffle.tickets.push({
+      ticket_number: row.ticket_number,
+      barcode: row.barcode,
+      category: row.category,
+      status: row.status,
+      sold_at: row.sold_at,
+      receipt_url: ownSale(row) ? receiptUrls.get(row.sale_id) : null,
+      result,
+      prize: result === 'won'
+        ? {
+          name: row.prize_name,
+          level: row.prize_level,
+          claim_status: row.claim_status || 'pending',
+          claim_deadline: row.claim_deadline
+        }
+        : null
+    });
+  }
+
+  return { phone, ticket_count: rows.length, raffles: [...raffles.values()] };
+}
+
+module.exports = {
+  CODE_TTL_MINUTES,
+  requestCode,
+  verifyCode,
+  requireSignedIn,
+  getBuyerTickets
+};
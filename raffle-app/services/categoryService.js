@@ -0,0 +1,275 @@
+/**
+ * Category Service - A raffle's ticket categories (tiers)
+ *
+ * Each raffle sets up its own categories in ticket_categories, so one raffle can
+ * have three tiers and the next six. A category has:
+ *   category_code  - used in ticket numbers (ABC-000001), 2-6 letters/digits
+ *   category_name  - shown on printed tickets
+ *   price          - price of each ticket
+ *   color          - badge colour on printed tickets (#RRGGBB)
+ *   total_tickets  - how many tickets full generation creates
+ *   barcode_prefix - first digit (1-9) of the category's 8-digit barcodes
+ *
+ * Codes and barcode prefixes only need to be unique within the raffle: ticket
+ * numbers and barcodes are unique per raffle, and lookups are made within a
+ * raffle (see ticketService.findTicket), so every raffle can use ABC and
+ * prefixes 1-9 again.
+ *
+ * Categories can be changed while the raffle is in draft or printing. Once a
+ * category has tickets, its code, prefix and price are fixed, it cannot be
+ * removed, and its quantity cannot drop below the tickets already generated.
+ */
+
+const db = require('../db');
+const raffleLifecycleService = require('./raffleLifecycleService');
+const { serviceError } = require('./serviceError');
+
+const CODE_PATTERN = /^[A-Z][A-Z0-9]{1,5}$/;
+const COLOR_PATTERN = /^#[0-9A-F]{6}$/;
+const PREFIX_PATTERN = /^[1-9]$/;
+const MAX_TICKETS = 9999999; // 7-digit barcode sequence
+
+/**
+ * A raffle's categories, in barcode prefix order
+ *
+ * @param {number} raffleId - Raffle ID
+ * @returns {Promise<Array<Object>>} - ticket_categories rows
+ */
+async function listCategories(raffleId) {
+  return db.all(
+    'SELECT * FROM ticket_categories WHERE raffle_id = ? ORDER BY barcode_prefix, id',
+    [raffleId]
+  );
+}
+
+/**
+ * Find one of a raffle's categories by code
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {string} code - Category code
+ * @returns {Promise<Object|null>} - ticket_categories row
+ */
+async function getCategory(raffleId, code) {
+  const category = await db.get(
+    'SELECT * FROM ticket_categories WHERE raffle_id = ? AND category_code = ?',
+    [raffleId, String(code || '').trim().toUpperCase()]
+  );
+  return category || null;
+}
+
+/**
+ * Find one of a raffle's categories by code, or throw
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {string} code - Category code
+ * @returns {Promise<Object>} - ticket_categories row, with its barcode prefix set
+ */
+async function requireCategory(raffleId, code) {
+  const category = await getCategory(raffleId, code);
+  if (!category) {
+    throw serviceError('CATEGORY_NOT_FOUND', `Category ${code} does not exist in raffle ${raffleId}`, 404);
+  }
+  if (!category.barcode_prefix) {
+    throw serviceError('NO_BARCODE_PREFIX', `Category ${category.category_code} has no barcode prefix. Set one in the raffle's categories.`, 409);
+  }
+  return category;
+}
+
+/**
+ * Whether any raffle has a category with this code (ticket designs are shared across raffles)
+ *
+ * @param {string} code - Category code
+ * @returns {Promise<boolean>}
+ */
+async function categoryExists(code) {
+  const category = await db.get(
+    'SELECT id FROM ticket_categories WHERE category_code = ? LIMIT 1',
+    [String(code || '').trim().toUpperCase()]
+  );
+  return !!category;
+}
+
+/**
+ * The category rows of a set of tickets, keyed by "raffle_id:category_code"
+ *
+ * @param {Array<Object>} tickets - Ticket rows (with raffle_id and category)
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function getTicketCategories(tickets) {
+  const categories = new Map();
+  const raffleIds = [...new Set(tickets.map(ticket => ticket.raffle_id).filter(Boolean))];
+  for (const raffleId of raffleIds) {
+    for (const category of await listCategories(raffleId)) {
+      categories.set(`${raffleId}:${category.category_code}`, category);
+    }
+  }
+  return categories;
+}
+
+/**
+ * A raffle's categories with how many tickets each has
+ *
+ * @param {number} raffleId - Raffle ID
+ * @returns {Promise<Object>} - { raffle_id, status, editable, categories }
+ */
+async function getRaffleCategories(raffleId) {
+  const raffle = await db.get('SELECT id, status FROM raffles WHERE id = ?', [raffleId]);
+  if (!raffle) {
+    throw serviceError('RAFFLE_NOT_FOUND', 'Raffle not found', 404);
+  }
+  const counts = await db.all(
+    'SELECT category, COUNT(*) as count FROM tickets WHERE raffle_id = ? GROUP BY category',
+    [raffle.id]
+  );
+  const created = new Map(counts.map(row => [row.category, Number(row.count)]));
+  const categories = await listCategories(raffle.id);
+  return {
+    raffle_id: raffle.id,
+    status: raffle.status,
+    editable: !(await raffleLifecycleService.checkAction(raffle.id, 'configure')),
+    categories: categories.map(category => ({
+      ...category,
+      tickets_created: created.get(category.category_code) || 0
+    }))
+  };
+}
+
+/**
+ * Validate one category of the list being saved
+ *
+ * @param {Object} input - { category_code, category_name, price, color, total_tickets, barcode_prefix, description }
+ * @param {number} index - Position in the list, for messages
+ * @returns {Object} - Normalized category
+ */
+function validateCategory(input, index) {
+  const label = `Category ${index + 1}`;
+  const code = String(input.category_code || '').trim().toUpperCase();
+  if (!CODE_PATTERN.test(code)) {
+    throw serviceError('INVALID_CATEGORY_CODE', `${label}: category_code must be 2-6 letters or digits, starting with a letter`);
+  }
+  const name = String(input.category_name || '').trim();
+  if (!name) {
+    throw serviceError('INVALID_CATEGORY_NAME', `${label} (${code}): category_name is required`);
+  }
+  const price = Number(input.price);
+  if (!Number.isFinite(price) || price <= 0) {
+    throw serviceError('INVALID_PRICE', `${label} (${code}): price must be greater than 0`);
+  }
+  const color = String(input.color || '').trim().toUpperCase();
+  if (!COLOR_PATTERN.test(color)) {
+    throw serviceError('INVALID_COLOR', `${label} (${code}): color must be a hex colour like #CD7F32`);
+  }
+  const total = Number(input.total_tickets);
+  if (!Number.isInteger(total) || total < 1 || total > MAX_TICKETS) {
+    throw serviceError('INVALID_QUANTITY', `${label} (${code}): total_tickets must be a whole number from 1 to ${MAX_TICKETS}`);
+  }
+  const prefix = String(input.barcode_prefix ?? '').trim();
+  if (!PREFIX_PATTERN.test(prefix)) {
+    throw serviceError('INVALID_BARCODE_PREFIX', `${label} (${code}): barcode_prefix must be a single digit from 1 to 9`);
+  }
+  return {
+    category_code: code,
+    category_name: name,
+    price: Math.round(price * 100) / 100,
+    color,
+    total_tickets: total,
+    barcode_prefix: prefix,
+    description: input.description ? String(input.description).trim() : null
+  };
+}
+
+/**
+ * Replace a raffle's categories
+ *
+ * Categories missing from the list are removed, new ones are added and the
+ * others are updated, matched by code.
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {Object} input - { categories: [...] }
+ * @param {Object} user - Session user (admin)
+ * @returns {Promise<Object>} - The raffle's categories after saving
+ */
+async function saveCategories(raffleId, input = {}, user) {
+  await raffleLifecycleService.assertAction(raffleId, 'configure');
+  if (!Array.isArray(input.categories) || input.categories.length === 0) {
+    throw serviceError('NO_CATEGORIES', 'categories must be a non-empty list');
+  }
+  if (input.categories.length > 9) {
+    throw serviceError('TOO_MANY_CATEGORIES', 'A raffle can have at most 9 categories (one per barcode prefix)');
+  }
+  const categories = input.categories.map((category, index) => validateCategory(category || {}, index));
+
+  const codes = new Set();
+  const prefixes = new Set();
+  for (const category of categories) {
+    if (codes.has(category.category_code)) {
+      throw serviceError('DUPLICATE_CATEGORY_CODE', `Category code ${category.category_code} is used twice`);
+    }
+    if (prefixes.has(category.barcode_prefix)) {
+      throw serviceError('DUPLICATE_BARCODE_PREFIX', `Barcode prefix ${category.barcode_prefix} is used twice`);
+    }
+    codes.add(category.category_code);
+    prefixes.add(category.barcode_prefix);
+  }
+
+  // Categories that already have tickets keep their code, prefix and price
+  const current = await getRaffleCategories(raffleId);
+  for (const existing of current.categories) {
+    if (existing.tickets_created === 0) {
+      continue;
+    }
+    const next = categories.find(category => category.category_code === existing.category_code);
+    if (!next) {
+      throw serviceError('CATEGORY_HAS_TICKETS', `Category ${existing.category_code} has ${existing.tickets_created} ticket(s) and cannot be removed`, 409);
+    }
+    if (next.barcode_prefix !== existing.barcode_prefix || next.price !== Number(existing.price)) {
+      throw serviceError('CATEGORY_HAS_TICKETS',
+        `Category ${existing.category_code} has tickets: its barcode prefix and price can no longer change`, 409);
+    }
+    if (next.total_tickets < existing.tickets_created) {
+      throw serviceError('CATEGORY_HAS_TICKETS',
+        `Category ${existing.category_code} already has ${existing.tickets_created} tickets: total_tickets cannot be lower`, 409);
+    }
+  }
+
+  for (const existing of current.categories) {
+    if (!codes.has(existing.category_code)) {
+      await db.run('DELETE FROM ticket_categories WHERE id = ?', [existing.id]);
+    }
+  }
+  for (const category of categories) {
+    const existing = current.categories.find(row => row.category_code === category.category_code);
+    if (existing) {
+      await db.run(
+        `UPDATE ticket_categories
+         SET category_name = ?, price = ?, color = ?, total_tickets = ?, barcode_prefix = ?, description = ?
+         WHERE id = ?`,
+        [category.category_name, category.price, category.color, category.total_tickets,
+          category.barcode_prefix, category.description, existing.id]
+      );
+    } else {
+      await db.run(
+        `INSERT INTO ticket_categories
+         (raffle_id, category_code, category_name, price, total_tickets, color, barcode_prefix, description)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [raffleId, category.category_code, category.category_name, category.price, category.total_tickets,
+          category.color, category.barcode_prefix, category.description]
+      );
+    }
+  }
+  await db.run('UPDATE raffles SET total_tickets = ? WHERE id = ?',
+    [categories.reduce((sum, category) => sum + category.total_tickets, 0), raffleId]);
+
+  console.log(`[CATEGORIES] ${user.name} saved ${categories.length} categories for raffle ${raffleId}`);
+  return getRaffleCategories(raffleId);
+}
+
+module.exports = {
+  listCategories,
+  getCategory,
+  requireCategory,
+  categoryExists,
+  getTicketCategories,
+  getRaffleCategories,
+  saveCategories
+};
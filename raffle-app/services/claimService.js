@@ -0,0 +1,363 @@
+/**
+ * Claim Service - Prize claim lifecycle for drawn winners
+ *
+ * Claim statuses (winners.claim_status):
+ *   pending   - drawn, winner not yet contacted
+ *   notified  - winner contacted, claim_deadline set
+ *   claimed   - prize collected; collecting admin and ID verification notes recorded
+ *   expired   - claim_deadline passed without a claim
+ *   forfeited - winner declined or gave up the prize
+ *
+ * When a claim expires or is forfeited, the prize goes to the tier's next
+ * alternate. If there is none, it is redrawn as the next round of the same
+ * revealed commitment. Every transition is written to winner_events.
+ */
+
+const db = require('../db');
+const drawService = require('./drawService');
+const prizePlanService = require('./prizePlanService');
+const { serviceError } = require('./serviceError');
+
+// Default time a notified winner has to claim
+const CLAIM_PERIOD_DAYS = Number(process.env.CLAIM_PERIOD_DAYS) || 30;
+
+// Statuses from which a claim can still be notified, collected or forfeited
+const OPEN_CLAIM_STATUSES = ['pending', 'notified'];
+
+/**
+ * Load a current winner and its claim status
+ *
+ * @param {number} winnerId - Winner ID
+ * @returns {Promise<Object>} - Winner row with claim_status filled in
+ */
+async function getCurrentWinner(winnerId) {
+  const winner = await db.get('SELECT * FROM winners WHERE id = ?', [winnerId]);
+  if (!winner) {
+    throw serviceError('WINNER_NOT_FOUND', 'Winner not found', 404);
+  }
+  if ((winner.status || 'winner') !== 'winner') {
+    throw serviceError('NOT_A_WINNER', `This entry is not a current winner (status: ${winner.status})`, 409);
+  }
+  return { ...winner, claim_status: winner.claim_status || 'pending' };
+}
+
+/**
+ * Move a winner to a new claim status if it is still in the expected one
+ *
+ * @param {Object} winner - Winner row (claim_status is the expected current status)
+ * @param {string} toStatus - New claim status
+ * @param {Object} fields - Extra columns to set
+ * @returns {Promise<void>}
+ */
+async function transitionClaim(winner, toStatus, fields = {}) {
+  const columns = Object.keys(fields);
+  const assignments = ['claim_status = ?', ...columns.map(c => `${c} = ?`)].join(', ');
+
+  const result = await db.run(
+    `UPDATE winners SET ${assignments}
+     WHERE id = ? AND status = 'winner' AND COALESCE(claim_status, 'pending') = ?`,
+    [toStatus, ...columns.map(c => fields[c]), winner.id, winner.claim_status]
+  );
+  if (result.changes === 0) {
+    throw serviceError('CLAIM_STATUS_CHANGED', 'This claim was updated by someone else. Reload and try again.', 409);
+  }
+}
+
+/**
+ * Reject a transition that is not allowed from the winner's current claim status
+ *
+ * @param {Object} winner - Winner row
+ * @param {Array<string>} allowed - Claim statuses the transition may start from
+ * @param {string} action - Action name for the error message
+ */
+function assertClaimStatus(winner, allowed, action) {
+  if (!allowed.includes(winner.claim_status)) {
+    throw serviceError('INVALID_CLAIM_TRANSITION', `Cannot ${action} a claim that is ${winner.claim_status}`, 409);
+  }
+}
+
+/**
+ * Mark a winner as notified and set the claim deadline
+ * Notifying again (e.g. after a failed contact) moves the deadline.
+ *
+ * @param {number} winnerId - Winner ID
+ * @param {Object} options - Options
+ * @param {string} options.deadline - Claim deadline (default: now + CLAIM_PERIOD_DAYS)
+ * @param {string} options.notes - How the winner was contacted (optional)
+ * @param {string} actor - Phone of the acting admin
+ * @returns {Promise<Object>} - Updated winner
+ */
+async function notifyWinner(winnerId, { deadline = null, notes = null } = {}, actor = null) {
+  const winner = await getCurrentWinner(winnerId);
+  assertClaimStatus(winner, OPEN_CLAIM_STATUSES, 'notify');
+
+  let deadlineDate;
+  if (deadline) {
+    deadlineDate = new Date(deadline);
+    if (Number.isNaN(deadlineDate.getTime())) {
+      throw serviceError('INVALID_DEADLINE', `Invalid claim deadline: ${deadline}`);
+    }
+  } else {
+    deadlineDate = new Date(Date.now() + CLAIM_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+  }
+  if (deadlineDate.getTime() <= Date.now()) {
+    throw serviceError('INVALID_DEADLINE', 'The claim deadline must be in the future');
+  }
+
+  const claimDeadline = db.toDbTimestamp(deadlineDate);
+  await transitionClaim(winner, 'notified', {
+    claim_deadline: claimDeadline,
+    notified_at: db.toDbTimestamp(new Date())
+  });
+
+  await drawService.recordWinnerEvent({
+    winnerId: winner.id,
+    raffleId: winner.raffle_id,
+    eventType: 'notified',
+    fromStatus: winner.claim_status,
+    toStatus: 'notified',
+    actor,
+    notes: notes ? `${notes} (deadline ${claimDeadline})` : `Deadline ${claimDeadline}`
+  });
+
+  return db.get('SELECT * FROM winners WHERE id = ?', [winner.id]);
+}
+
+/**
+ * Record that a winner collected their prize
+ *
+ * @param {number} winnerId - Winner ID
+ * @param {Object} options - Options
+ * @param {string} options.idVerificationNotes - How the winner's identity was checked (required)
+ * @param {string} actor - Phone of the admin handing over the prize
+ * @returns {Promise<Object>} - Updated winner
+ */
+async function recordClaim(winnerId, { idVerificationNotes } = {}, actor = null) {
+  if (!idVerificationNotes || !String(idVerificationNotes).trim()) {
+    throw serviceError('ID_VERIFICATION_REQUIRED', 'ID verification notes are required to record a claim');
+  }
+
+  const winner = await getCurrentWinner(winnerId);
+  assertClaimStatus(winner, OPEN_CLAIM_STATUSES, 'record');
+
+  const now = db.toDbTimestamp(new Date());
+  const overdue = await db.get('SELECT id FROM winners WHERE id = ? AND claim_deadline < ?', [winner.id, now]);
+  if (overdue) {
+    throw serviceError('CLAIM_DEADLINE_PASSED', 'The claim deadline has passed', 409);
+  }
+
+  await transitionClaim(winner, 'claimed', {
+    claimed: db.USE_POSTGRES ? true : 1,
+    claimed_at: now,
+    collected_by: actor,
+    id_verification_notes: String(idVerificationNotes).trim()
+  });
+
+  await drawService.recordWinnerEvent({
+    winnerId: winner.id,
+    raffleId: winner.raffle_id,
+    eventType: 'claimed',
+    fromStatus: winner.claim_status,
+    toStatus: 'claimed',
+    actor,
+    notes: String(idVerificationNotes).trim()
+  });
+
+  return db.get('SELECT * FROM winners WHERE id = ?', [winner.id]);
+}
+
+/**
+ * Give a vacated prize to someone else: the next alternate, or a redraw
+ *
+ * @param {Object} vacated - Winner row that lost the prize
+ * @param {string} actor - Phone of the acting admin, or "system"
+ * @returns {Promise<Object>} - { method: 'alternate' | 'redraw' | 'none', winner }
+ */
+async function replaceWinner(vacated, actor = null) {
+  const promoted = await prizePlanService.promoteAlternate(vacated, actor);
+  if (promoted) {
+    return { method: 'alternate', winner: promoted };
+  }
+
+  if (!vacated.draw_id) {
+    return { method: 'none', winner: null };
+  }
+
+  const redraw = await drawService.drawNextRound({
+    drawId: vacated.draw_id,
+    prizeName: vacated.prize_name,
+    prizeTierId: vacated.prize_tier_id,
+    conductedBy: actor
+  });
+  if (!redraw) {
+    return { method: 'none', winner: null };
+  }
+
+  await db.run('UPDATE winners SET replaces_winner_id = ? WHERE id = ?', [vacated.id, redraw.winnerId]);
+  await drawService.recordWinnerEvent({
+    winnerId: redraw.winnerId,
+    raffleId: vacated.raffle_id,
+    eventType: 'redrawn',
+    toStatus: 'pending',
+    actor,
+    notes: `Redrawn in round ${redraw.round} to replace winner #${vacated.id}`,
+    relatedWinnerId: vacated.id
+  });
+
+  return { method: 'redraw', winner: await db.get('SELECT * FROM winners WHERE id = ?', [redraw.winnerId]) };
+}
+
+/**
+ * Close an open claim (expired or forfeited), release the ticket and replace the winner
+ *
+ * @param {Object} winner - Winner row
+ * @param {string} toStatus - 'expired' or 'forfeited'
+ * @param {string} reason - Why the claim was closed
+ * @param {string} actor - Phone of the acting admin, or "system"
+ * @returns {Promise<Object>} - { winner, replacement }
+ */
+async function closeClaim(winner, toStatus, reason, actor) {
+  await transitionClaim(winner, toStatus, { claim_closed_reason: reason });
+
+  await drawService.recordWinnerEvent({
+    winnerId: winner.id,
+    raffleId: winner.raffle_id,
+    eventType: toStatus,
+    fromStatus: winner.claim_status,
+    toStatus,
+    actor,
+    notes: reason
+  });
+
+  await drawService.releaseWinningTicket(winner);
+  const replacement = await replaceWinner(winner, actor);
+
+  return {
+    winner: await db.get('SELECT * FROM winners WHERE id = ?', [winner.id]),
+    replacement
+  };
+}
+
+/**
+ * Forfeit a winner's prize (declined, unreachable, etc.) and replace them
+ *
+ * @param {number} winnerId - Winner ID
+ * @param {string} reason - Why the prize was forfeited
+ * @param {string} actor - Phone of the acting admin
+ * @returns {Promise<Object>} - { winner, replacement }
+ */
+async function forfeitWinner(winnerId, reason, actor = null) {
+  if (!reason || !String(reason).trim()) {
+    throw serviceError('REASON_REQUIRED', 'A reason is required to forfeit a prize');
+  }
+
+  const winner = await getCurrentWinner(winnerId);
+  assertClaimStatus(winner, OPEN_CLAIM_STATUSES, 'forfeit');
+
+  return closeClaim(winner, 'forfeited', String(reason).trim(), actor);
+}
+
+/**
+ * Expire every notified claim whose deadline has passed
+ * A claim that cannot be expired or handed on is logged, reported with its
+ * error and written to the winner's history, and the sweep carries on.
+ *
+ * @param {string} actor - Who triggered the sweep (default: "system")
+ * @returns {Promise<Array>} - [{ winner, replacement }] for each expired claim, [{ winner, error }] for each that failed
+ */
+async function expireOverdueClaims(actor = 'system') {
+  const overdue = await db.all(
+    `SELECT * FROM winners
+     WHERE status = 'winner' AND claim_status = 'notified' AND claim_deadline < ?
+     ORDER BY claim_deadline ASC`,
+    [db.toDbTimestamp(new Date())]
+  );
+
+  const results = [];
+  for (const winner of overdue) {
+    try {
+      results.push(await closeClaim(winner, 'expired', `Claim deadline ${winner.claim_deadline} passed`, actor));
+    } catch (error) {
+      // Another admin may have resolved the claim in the meantime
+      if (error.code === 'CLAIM_STATUS_CHANGED') {
+        continue;
+      }
+      console.error(`[CLAIMS] Could not expire the claim of winner #${winner.id}:`, error.message);
+      await recordExpiryFailure(winner, error, actor);
+      results.push({ winner, error: { code: error.code || 'EXPIRY_FAILED', message: error.message } });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Write a failed expiry to the winner's history so an admin can finish it by hand
+ *
+ * @param {Object} winner - Winner row
+ * @param {Error} error - What went wrong
+ * @param {string} actor - Who triggered the sweep
+ * @returns {Promise<void>}
+ */
+async function recordExpiryFailure(winner, error, actor) {
+  try {
+    await drawService.recordWinnerEvent({
+      winnerId: winner.id,
+      raffleId: winner.raffle_id,
+      eventType: 'expiry_failed',
+      fromStatus: winner.claim_status,
+      actor,
+      notes: error.message
+    });
+  } catch (eventError) {
+    console.error(`[CLAIMS] Could not record the failed expiry of winner #${winner.id}:`, eventError.message);
+  }
+}
+
+/**
+ * Get a winner with its full audit trail
+ *
+ * @param {number} winnerId - Winner ID
+ * @returns {Promise<Object|null>} - Winner with events, or null if not found
+ */
+async function getWinnerHistory(winnerId) {
+  const winner = await db.get('SELECT * FROM winners WHERE id = ?', [winnerId]);
+  if (!winner) {
+    return null;
+  }
+
+  const events = await db.all(
+    'SELECT * FROM winner_events WHERE winner_id = ? ORDER BY created_at ASC, id ASC',
+    [winnerId]
+  );
+
+  return { ...winner, events };
+}
+
+/**
+ * Get the audit trail for every winner of a raffle
+ *
+ * @param {number} raffleId - Raffle ID
+ * @returns {Promise<Array>} - Events ordered oldest first
+ */
+async function getRaffleWinnerEvents(raffleId) {
+  return db.all(
+    `SELECT e.*, w.ticket_number, w.prize_name
+     FROM winner_events e
+     JOIN winners w ON w.id = e.winner_id
+     WHERE e.raffle_id = ?
+     ORDER BY e.created_at ASC, e.id ASC`,
+    [raffleId]
+  );
+}
+
+module.exports = {
+  CLAIM_PERIOD_DAYS,
+  notifyWinner,
+  recordClaim,
+  forfeitWinner,
+  replaceWinner,
+  expireOverdueClaims,
+  getWinnerHistory,
+  getRaffleWinnerEvents
+};
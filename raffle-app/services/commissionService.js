@@ -0,0 +1,356 @@
+/**
+ * Commission Service - Seller commission rules and payout statements
+ *
+ * Each raffle can have one commission rule for all categories and one per
+ * category; a category rule takes precedence. Rule types:
+ *   flat       - a fixed amount per ticket sold (rate = amount)
+ *   percentage - a percentage of the amount paid for the ticket (rate = percent)
+ *   tiered     - by volume: the seller's running count of tickets sold under
+ *                the rule picks the tier, e.g. tickets 1-100 at 5%, 101+ at 8%
+ *
+ * Commission is calculated when a ticket is sold and stored in
+ * tickets.seller_commission, so later rule changes do not rewrite past sales.
+ */
+
+const db = require('../db');
+const { serviceError } = require('./serviceError');
+
+const RULE_TYPES = ['flat', 'percentage', 'tiered'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parse a non-negative rate, and check percentages stay within 0-100
+ *
+ * @param {*} value - Rate from the request
+ * @param {string} type - 'flat' or 'percentage'
+ * @param {string} label - Field name for error messages
+ * @returns {number}
+ */
+function parseRate(value, type, label) {
+  const rate = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(rate) || rate < 0) {
+    throw serviceError('INVALID_RATE', `${label} must be a non-negative number`);
+  }
+  if (type === 'percentage' && rate > 100) {
+    throw serviceError('INVALID_RATE', `${label} is a percentage and cannot exceed 100`);
+  }
+  return rate;
+}
+
+/**
+ * Validate and normalize a commission rule from the request
+ *
+ * @param {Object} input - { category, rule_type, rate, tiers: [{ min_tickets, type, rate }] }
+ * @returns {Object} - { category, rule_type, rate, tiers }
+ */
+function validateRule(input = {}) {
+  const ruleType = String(input.rule_type || '').trim().toLowerCase();
+  if (!RULE_TYPES.includes(ruleType)) {
+    throw serviceError('INVALID_RULE_TYPE', `rule_type must be one of: ${RULE_TYPES.join(', ')}`);
+  }
+
+  const category = input.category ? String(input.category).trim().toUpperCase() : null;
+
+  if (ruleType !== 'tiered') {
+    return { category, rule_type: ruleType, rate: parseRate(input.rate, ruleType, 'rate'), tiers: null };
+  }
+
+  if (!Array.isArray(input.tiers) || input.tiers.length === 0) {
+    throw serviceError('INVALID_TIERS', 'A tiered rule needs at least one tier');
+  }
+  const tiers = input.tiers.map((tier, index) => {
+    const minTickets = Number(tier && tier.min_tickets);
+    if (!Number.isInteger(minTickets) || minTickets < 1) {
+      throw serviceError('INVALID_TIERS', `Tier ${index + 1}: min_tickets must be a whole number of at least 1`);
+    }
+    const type = String(tier.type || '').trim().toLowerCase();
+    if (type !== 'flat' && type !== 'percentage') {
+      throw serviceError('INVALID_TIERS', `Tier ${index + 1}: type must be flat or percentage`);
+    }
+    return { min_tickets: minTickets, type, rate: parseRate(tier.rate, type, `Tier ${index + 1} rate`) };
+  }).sort((a, b) => a.min_tickets - b.min_tickets);
+
+  if (tiers[0].min_tickets !== 1) {
+    throw serviceError('INVALID_TIERS', 'The first tier must start at min_tickets 1');
+  }
+  if (tiers.some((tier, index) => index > 0 && tier.min_tickets === tiers[index - 1].min_tickets)) {
+    throw serviceError('INVALID_TIERS', 'Two tiers cannot start at the same min_tickets');
+  }
+
+  return { category, rule_type: ruleType, rate: null, tiers };
+}
+
+/**
+ * Turn a stored rule row into its API form (tiers parsed)
+ *
+ * @param {Object} row - commission_rules row
+ * @returns {Object}
+ */
+function formatRule(row) {
+  return {
+    ...row,
+    rate: row.rate === null ? null : Number(row.rate),
+    tiers: row.tiers ? JSON.parse(row.tiers) : null
+  };
+}
+
+/**
+ * List a raffle's commission rules
+ *
+ * @param {number} raffleId - Raffle ID
+ * @returns {Promise<Array>}
+ */
+async function listRules(raffleId) {
+  const rows = await db.all(
+    'SELECT * FROM commission_rules WHERE raffle_id = ? ORDER BY category IS NOT NULL, category ASC',
+    [raffleId]
+  );
+  return rows.map(formatRule);
+}
+
+/**
+ * Create or replace the commission rule for a raffle (and category)
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {Object} input - Rule (see validateRule); no category = all categories
+ * @param {string} actor - Phone of the acting admin
+ * @returns {Promise<Object>} - Saved rule
+ */
+async function setRule(raffleId, input, actor = null) {
+  const raffle = await db.get('SELECT id FROM raffles WHERE id = ?', [raffleId]);
+  if (!raffle) {
+    throw serviceError('RAFFLE_NOT_FOUND', 'Raffle not found', 404);
+  }
+
+  const rule = validateRule(input);
+  const tiers = rule.tiers ? JSON.stringify(rule.tiers) : null;
+
+  const existing = await db.get(
+    "SELECT id FROM commission_rules WHERE raffle_id = ? AND COALESCE(category, '') = ?",
+    [raffleId, rule.category || '']
+  );
+
+  let ruleId;
+  if (existing) {
+    await db.run(
+      `UPDATE commission_rules SET rule_type = ?, rate = ?, tiers = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [rule.rule_type, rule.rate, tiers, actor, existing.id]
+    );
+    ruleId = existing.id;
+  } else {
+    const result = await db.run(
+      `INSERT INTO commission_rules (raffle_id, category, rule_type, rate, tiers, updated_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [raffleId, rule.category, rule.rule_type, rule.rate, tiers, actor]
+    );
+    ruleId = result.lastID;
+  }
+
+  return formatRule(await db.get('SELECT * FROM commission_rules WHERE id = ?', [ruleId]));
+}
+
+/**
+ * Delete a commission rule (tickets already sold keep their commission)
+ *
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<void>}
+ */
+async function deleteRule(ruleId) {
+  const result = await db.run('DELETE FROM commission_rules WHERE id = ?', [ruleId]);
+  if (result.changes === 0) {
+    throw serviceError('RULE_NOT_FOUND', 'Commission rule not found', 404);
+  }
+}
+
+/**
+ * Commission for one ticket under a rule
+ *
+ * @param {Object} rule - Formatted rule
+ * @param {number|null} amountPaid - Amount paid for the ticket
+ * @param {number} ordinal - The seller's running ticket count under this rule, including this ticket
+ * @returns {number}
+ */
+function commissionFor(rule, amountPaid, ordinal) {
+  let type = rule.rule_type;
+  let rate = rule.rate;
+  if (type === 'tiered') {
+    const tier = rule.tiers.filter(t => t.min_tickets <= ordinal).pop();
+    type = tier.type;
+    rate = tier.rate;
+  }
+  if (type === 'flat') {
+    return roundMoney(rate);
+  }
+  return roundMoney((Number(amountPaid) || 0) * rate / 100);
+}
+
+/**
+ * Calculate the commission for tickets a seller is about to sell
+ * Tickets without a matching rule get null (no commission recorded).
+ *
+ * @param {Array<Object>} tickets - Ticket rows, in sale order
+ * @param {number} sellerId - Seller ID
+ * @param {Array<number|null>} amounts - Amount paid per ticket
+ * @returns {Promise<Array<number|null>>}
+ */
+async function calculateCommissions(tickets, sellerId, amounts) {
+  const rulesByRaffle = new Map();
+  const soldByScope = new Map();
+  const commissions = [];
+
+  for (let i = 0; i < tickets.length; i++) {
+    const ticket = tickets[i];
+    if (!rulesByRaffle.has(ticket.raffle_id)) {
+      rulesByRaffle.set(ticket.raffle_id, await listRules(ticket.raffle_id));
+    }
+    const rules = rulesByRaffle.get(ticket.raffle_id);
+    const rule = rules.find(r => r.category && r.category === ticket.category) || rules.find(r => !r.category);
+    if (!rule) {
+      commissions.push(null);
+      continue;
+    }
+
+    // Volume is counted within the rule's scope: the raffle, or the raffle's category
+    let ordinal = 1;
+    if (rule.rule_type === 'tiered') {
+      const scope = `${ticket.raffle_id}:${rule.category || ''}`;
+      if (!soldByScope.has(scope)) {
+        const row = await db.get(
+          `SELECT COUNT(*) as count FROM tickets
+           WHERE raffle_id = ? AND seller_id = ? AND status = 'SOLD'${rule.category ? ' AND category = ?' : ''}`,
+          rule.category ? [ticket.raffle_id, sellerId, rule.category] : [ticket.raffle_id, sellerId]
+        );
+        soldByScope.set(scope, Number(row.count) || 0);
+      }
+      ordinal = soldByScope.get(scope) + 1;
+      soldByScope.set(scope, ordinal);
+    }
+
+    const amount = amounts[i] !== null && amounts[i] !== undefined ? amounts[i] : ticket.price;
+    commissions.push(commissionFor(rule, amount, ordinal));
+  }
+
+  return commissions;
+}
+
+/**
+ * Validate a statement period; defaults to the current month up to today
+ *
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day, inclusive (YYYY-MM-DD)
+ * @returns {Object} - { from, to, toExclusive }
+ */
+function normalizePeriod(from, to) {
+  const today = new Date().toISOString().slice(0, 10);
+  const start = from || `${today.slice(0, 8)}01`;
+  const end = to || today;
+  if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end) || Number.isNaN(Date.parse(start)) || Number.isNaN(Date.parse(end))) {
+    throw serviceError('INVALID_PERIOD', 'from and to must be dates (YYYY-MM-DD)');
+  }
+  if (start > end) {
+    throw serviceError('INVALID_PERIOD', 'from must not be after to');
+  }
+
+  const next = new Date(`${end}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return { from: start, to: end, toExclusive: next.toISOString().slice(0, 10) };
+}
+
+/**
+ * Payout statement for a seller over a period
+ *
+ * gross is what buyers paid for the tickets the seller sold, commission is the
+ * seller's share, and net_due (gross - commission) is what the seller owes
+ * after keeping their commission.
+ *
+ * @param {number} sellerId - Seller ID
+ * @param {Object} options - { from, to, raffleId }
+ * @returns {Promise<Object>} - { seller, period, lines, totals, tickets, generated_at }
+ */
+async function getPayoutStatement(sellerId, { from = null, to = null, raffleId = null } = {}) {
+  const seller = await db.get("SELECT id, name, phone FROM users WHERE id = ? AND role = 'seller'", [sellerId]);
+  if (!seller) {
+    throw serviceError('SELLER_NOT_FOUND', 'Seller not found', 404);
+  }
+
+  const period = normalizePeriod(from, to);
+  const conditions = ["t.seller_id = ?", "t.status = 'SOLD'", 't.sold_at >= ?', 't.sold_at < ?'];
+  const params = [sellerId, period.from, period.toExclusive];
+  if (raffleId) {
+    conditions.push('t.raffle_id = ?');
+    params.push(raffleId);
+  }
+
+  const tickets = await db.all(
+    `SELECT t.ticket_number, t.barcode, t.raffle_id, r.name as raffle_name, t.category, t.sale_id, t.sold_at,
+            COALESCE(t.actual_price_paid, t.price, 0) as amount_paid,
+            COALESCE(t.seller_commission, 0) as commission
+     FROM tickets t
+     LEFT JOIN raffles r ON r.id = t.raffle_id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY t.sold_at ASC, t.ticket_number ASC`,
+    params
+  );
+
+  const linesByKey = new Map();
+  for (const ticket of tickets) {
+    const key = `${ticket.raffle_id}:${ticket.category || ''}`;
+    if (!linesByKey.has(key)) {
+      linesByKey.set(key, {
+        raffle_id: ticket.raffle_id,
+        raffle_name: ticket.raffle_name,
+        category: ticket.category,
+        tickets_sold: 0,
+        gross: 0,
+        commission: 0
+      });
+    }
+    const line = linesByKey.get(key);
+    line.tickets_sold++;
+    line.gross += Number(ticket.amount_paid);
+    line.commission += Number(ticket.commission);
+  }
+
+  const lines = [...linesByKey.values()].map(line => ({
+    ...line,
+    gross: roundMoney(line.gross),
+    commission: roundMoney(line.commission),
+    net_due: roundMoney(line.gross - line.commission)
+  }));
+
+  const totals = lines.reduce((sum, line) => ({
+    tickets_sold: sum.tickets_sold + line.tickets_sold,
+    gross: roundMoney(sum.gross + line.gross),
+    commission: roundMoney(sum.commission + line.commission),
+    net_due: roundMoney(sum.net_due + line.net_due)
+  }), { tickets_sold: 0, gross: 0, commission: 0, net_due: 0 });
+
+  return {
+    seller,
+    period: { from: period.from, to: period.to },
+    raffle_id: raffleId ? Number(raffleId) : null,
+    lines,
+    totals,
+    tickets: tickets.map(ticket => ({
+      ...ticket,
+      amount_paid: Number(ticket.amount_paid),
+      commission: Number(ticket.commission)
+    })),
+    generated_at: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  validateRule,
+  listRules,
+  setRule,
+  deleteRule,
+  calculateCommissions,
+  getPayoutStatement
+};
@@ -0,0 +1,220 @@
+/**
+ * Draw Events Service - Live draw broadcast over Server-Sent Events
+ *
+ * Events (per raffle):
+ *   draw-started    - a commitment was revealed; includes ticket numbers to animate through
+ *   winner-revealed - one ticket was picked (winner or alternate)
+ *   draw-completed  - every pick of the draw has been recorded
+ *
+ * Payloads are public: buyer names and phones are masked before they are sent.
+ * Subscribers are held in memory, so events only reach clients connected to
+ * the same server process.
+ */
+
+// Raffle ID -> Set of open SSE responses
+const subscribers = new Map();
+
+// Keep idle connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Number of ticket numbers sent with draw-started for the board animation
+const ANIMATION_SAMPLE_SIZE = 200;
+
+/**
+ * Mask a buyer name for public display ("Jean Pierre" -> "J*** P*****")
+ *
+ * @param {string} name - Buyer name
+ * @returns {string}
+ */
+function maskName(name) {
+  if (!name) {
+    return '';
+  }
+  return String(name)
+    .trim()
+    .split(/\s+/)
+    .map(part => part.charAt(0) + '*'.repeat(Math.max(part.length - 1, 2)))
+    .join(' ');
+}
+
+/**
+ * Mask a phone number, keeping only the last two digits ("5551234567" -> "********67")
+ *
+ * @param {string} phone - Phone number
+ * @returns {string}
+ */
+function maskPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 4) {
+    return '';
+  }
+  return '*'.repeat(digits.length - 2) + digits.slice(-2);
+}
+
+/**
+ * Pick up to ANIMATION_SAMPLE_SIZE ticket numbers spread across the eligible list
+ *
+ * @param {Array<string>} ticketNumbers - Eligible ticket numbers
+ * @returns {Array<string>}
+ */
+function sampleTicketNumbers(ticketNumbers) {
+  if (ticketNumbers.length <= ANIMATION_SAMPLE_SIZE) {
+    return ticketNumbers.slice();
+  }
+  const step = ticketNumbers.length / ANIMATION_SAMPLE_SIZE;
+  const sample = [];
+  for (let i = 0; i < ANIMATION_SAMPLE_SIZE; i++) {
+    sample.push(ticketNumbers[Math.floor(i * step)]);
+  }
+  return sample;
+}
+
+/**
+ * Write one SSE message
+ *
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Attach an HTTP response as an SSE subscriber for a raffle
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function subscribe(raffleId, req, res) {
+  const key = String(raffleId);
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  if (!subscribers.has(key)) {
+    subscribers.set(key, new Set());
+  }
+  subscribers.get(key).add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const set = subscribers.get(key);
+    if (set) {
+      set.delete(res);
+      if (set.size === 0) {
+        subscribers.delete(key);
+      }
+    }
+  });
+}
+
+/**
+ * Send an event to every subscriber of a raffle
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload (must already be safe to publish)
+ */
+function publish(raffleId, event, data) {
+  const set = subscribers.get(String(raffleId));
+  if (!set) {
+    return;
+  }
+  const payload = { ...data, raffle_id: Number(raffleId), sent_at: new Date().toISOString() };
+  for (const res of set) {
+    writeEvent(res, event, payload);
+  }
+}
+
+/**
+ * Announce that a commitment was revealed and picks are about to be made
+ *
+ * @param {Object} params - Parameters
+ * @param {number} params.raffleId - Raffle ID
+ * @param {Object} params.commitment - Revealed commitment row
+ * @param {Array<string>} params.ticketNumbers - Eligible ticket numbers
+ * @param {Array<Object>} params.prizes - [{ prize_name, quantity }] to be drawn
+ */
+function drawStarted({ raffleId, commitment, ticketNumbers, prizes }) {
+  publish(raffleId, 'draw-started', {
+    commitment_id: commitment.id,
+    seed_commitment: commitment.seed_commitment,
+    eligible_count: ticketNumbers.length,
+    prizes,
+    animation_tickets: sampleTicketNumbers(ticketNumbers)
+  });
+}
+
+/**
+ * Announce a picked ticket with masked buyer details
+ *
+ * @param {Object} params - Parameters
+ * @param {number} params.raffleId - Raffle ID
+ * @param {Object} params.ticket - Picked ticket row
+ * @param {Object} params.recorded - { drawId, drawNumber } from recordPick
+ * @param {string} params.prizeName - Prize name
+ * @param {string} params.pickType - 'winner' or 'alternate'
+ * @param {number} params.alternateRank - Alternate rank (alternates only)
+ * @param {number} params.round - Pick round
+ */
+function winnerRevealed({ raffleId, ticket, recorded, prizeName, pickType = 'winner', alternateRank = null, round }) {
+  publish(raffleId, 'winner-revealed', {
+    draw_id: recorded.drawId,
+    draw_number: recorded.drawNumber,
+    prize_name: prizeName,
+    pick_type: pickType,
+    alternate_rank: alternateRank,
+    round,
+    ticket_number: ticket.ticket_number,
+    winner_name: maskName(ticket.buyer_name),
+    winner_phone: maskPhone(ticket.buyer_phone),
+    verification_url: `/api/draws/${recorded.drawId}/verify`
+  });
+}
+
+/**
+ * Announce that a draw finished and its seed can be checked
+ *
+ * @param {Object} params - Parameters
+ * @param {number} params.raffleId - Raffle ID
+ * @param {Object} params.commitment - Revealed commitment row
+ * @param {number} params.pickCount - Number of tickets picked
+ */
+function drawCompleted({ raffleId, commitment, pickCount }) {
+  publish(raffleId, 'draw-completed', {
+    commitment_id: commitment.id,
+    seed: commitment.seed,
+    seed_commitment: commitment.seed_commitment,
+    pick_count: pickCount
+  });
+}
+
+/**
+ * Number of open connections for a raffle
+ *
+ * @param {number} raffleId - Raffle ID
+ * @returns {number}
+ */
+function subscriberCount(raffleId) {
+  const set = subscribers.get(String(raffleId));
+  return set ? set.size : 0;
+}
+
+module.exports = {
+  maskName,
+  maskPhone,
+  subscribe,
+  publish,
+  drawStarted,
+  winnerRevealed,
+  drawCompleted,
+  subscriberCount
+};
@@ -0,0 +1,1190 @@
+/**
+ * Draw Service - Verifiable commit-reveal raffle draws
+ *
+ * Flow:
+ *   1. Commit: the server generates a secret seed and publishes only its
+ *      SHA-256 hash (the commitment) before the draw.
+ *   2. Reveal: at draw time the seed is revealed and the winner is derived
+ *      from the seed plus the ordered list of eligible ticket numbers.
+ *   3. Verify: anyone can recompute the commitment, the eligible-set hash
+ *      and the winning index from the published data.
+ *
+ * Algorithm (sha256-mod-v1):
+ *   commitment        = sha256(seed)
+ *   eligible_set_hash = sha256(ticket numbers sorted ascending, joined with "\n")
+ *   winner_index      = int(sha256(seed + ":" + eligible_set_hash + ":" + round)) mod remaining_count
+ * Round 0 picks from the full list; each later round picks from the list left
+ * after removing the tickets picked in earlier rounds (order preserved).
+ * All hashes are lowercase hex; the seed is a 64-character hex string hashed as UTF-8 text.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const drawEvents = require('./drawEventsService');
+const raffleLifecycleService = require('./raffleLifecycleService');
+const { serviceError } = require('./serviceError');
+
+const ALGORITHM_VERSION = 'sha256-mod-v1';
+
+// Times a draw number is claimed before giving up when concurrent draws keep taking it
+const DRAW_NUMBER_ATTEMPTS = 5;
+
+/**
+ * SHA-256 hex digest of a UTF-8 string
+ *
+ * @param {string} value - Value to hash
+ * @returns {string} - Lowercase hex digest
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+}
+
+/**
+ * Hash the ordered list of eligible ticket numbers
+ *
+ * @param {Array<string>} ticketNumbers - Ticket numbers in draw order
+ * @returns {string} - Eligible set hash
+ */
+function hashEligibleSet(ticketNumbers) {
+  return sha256(ticketNumbers.join('\n'));
+}
+
+/**
+ * Derive the winning index from a revealed seed
+ *
+ * @param {string} seed - Revealed seed
+ * @param {string} eligibleSetHash - Hash of the eligible ticket list
+ * @param {number} round - Pick number within the draw (0 for the first pick)
+ * @param {number} count - Number of eligible tickets
+ * @returns {number} - Index into the eligible ticket list
+ */
+function deriveWinnerIndex(seed, eligibleSetHash, round, count) {
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('Eligible ticket count must be a positive integer');
+  }
+
+  const digest = sha256(`${seed}:${eligibleSetHash}:${round}`);
+  return Number(BigInt(`0x${digest}`) % BigInt(count));
+}
+
+/**
+ * Create and store a seed commitment for an upcoming draw
+ *
+ * The eligibility rules and the eligible set are fixed here, before anyone can
+ * know the seed. The raffle must already be closed, so no ticket can be sold
+ * into the set afterwards, and a reveal whose set no longer hashes the same is
+ * refused (see revealCommitment).
+ *
+ * @param {Object} params - Parameters
+ * @param {Object} params.eligibility - Raw eligibility rules (raffle_id required)
+ * @param {string} params.createdBy - Phone of the admin creating the commitment
+ * @returns {Promise<Object>} - Public commitment (without the seed)
+ */
+async function createCommitment({ eligibility = {}, createdBy = null } = {}) {
+  const rules = await resolveEligibilityRules(eligibility);
+  await raffleLifecycleService.assertAction(rules.raffle_id, 'draw');
+  const tickets = await getEligibleTickets(rules);
+  if (tickets.length === 0) {
+    throw serviceError('NO_ELIGIBLE_TICKETS', 'No tickets match these eligibility rules');
+  }
+  const eligibleSetHash = hashEligibleSet(tickets.map(t => t.ticket_number));
+
+  const seed = crypto.randomBytes(32).toString('hex');
+  const seedCommitment = sha256(seed);
+
+  const result = await db.run(
+    `INSERT INTO draw_commitments (
+       raffle_id, seed, seed_commitment, algorithm_version, eligibility_rules,
+       eligible_set_hash, eligible_count, status, created_by, created_at
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ${db.getCurrentTimestamp()})`,
+    [rules.raffle_id, seed, seedCommitment, ALGORITHM_VERSION, JSON.stringify(rules),
+      eligibleSetHash, tickets.length, createdBy]
+  );
+
+  return getCommitment(result.lastID);
+}
+
+/**
+ * Get a commitment as published to the public
+ * The seed is only included once it has been revealed by a draw
+ *
+ * @param {number} commitmentId - Commitment ID
+ * @returns {Promise<Object|null>} - Commitment or null if not found
+ */
+async function getCommitment(commitmentId) {
+  const commitment = await db.get('SELECT * FROM draw_commitments WHERE id = ?', [commitmentId]);
+  if (!commitment) {
+    return null;
+  }
+
+  return {
+    id: commitment.id,
+    raffle_id: commitment.raffle_id,
+    seed_commitment: commitment.seed_commitment,
+    algorithm_version: commitment.algorithm_version,
+    eligibility_rules: commitment.eligibility_rules ? JSON.parse(commitment.eligibility_rules) : null,
+    eligible_set_hash: commitment.eligible_set_hash,
+    eligible_count: commitment.eligible_count === null || commitment.eligible_count === undefined
+      ? null : Number(commitment.eligible_count),
+    status: commitment.status,
+    draw_id: commitment.draw_id,
+    created_at: commitment.created_at,
+    revealed_at: commitment.revealed_at,
+    seed: commitment.status === 'revealed' ? commitment.seed : undefined
+  };
+}
+
+/**
+ * Parse a boolean rule flag from JSON or query-string input
+ *
+ * @param {*} value - Raw value
+ * @returns {boolean}
+ */
+function parseFlag(value) {
+  return value === true || value === 1 || value === '1' || value === 'true';
+}
+
+/**
+ * Normalize a sold-date bound to the "YYYY-MM-DD HH:MM:SS" form stored in sold_at
+ * A date-only upper bound covers the whole day
+ *
+ * @param {string} value - Date or date-time
+ * @param {boolean} endOfDay - Whether a date-only value means the end of that day
+ * @returns {string|null} - Normalized timestamp, or null if not given
+ */
+function normalizeSoldDate(value, endOfDay) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+    throw serviceError('INVALID_ELIGIBILITY', `Invalid date: ${value}`);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `${value} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+  }
+  return db.toDbTimestamp(new Date(value));
+}
+
+/**
+ * Validate and normalize draw eligibility rules
+ *
+ * Rules:
+ *   raffle_id              - Raffle being drawn (required)
+ *   categories             - Category codes to include (empty = all)
+ *   sold_from / sold_to    - Sold-date window (inclusive)
+ *   payment_verified_only  - Only tickets whose payment has been verified
+ *   exclude_prior_winners  - Skip tickets whose buyer phone already won a prize in this raffle
+ *   exclude_seller_held    - Skip tickets bought by the seller who sold them
+ *
+ * @param {Object} input - Raw rules (JSON body or query string)
+ * @returns {Object} - Normalized rules
+ */
+function normalizeEligibilityRules(input = {}) {
+  const raffleId = Number(input.raffle_id);
+  if (!Number.isInteger(raffleId) || raffleId < 1) {
+    throw serviceError('INVALID_ELIGIBILITY', 'raffle_id is required');
+  }
+
+  let categories = input.categories || [];
+  if (typeof categories === 'string') {
+    categories = categories.split(',');
+  }
+  if (!Array.isArray(categories)) {
+    throw serviceError('INVALID_ELIGIBILITY', 'categories must be a list of category codes');
+  }
+  categories = [...new Set(categories.map(c => String(c).trim().toUpperCase()).filter(Boolean))].sort();
+
+  const soldFrom = normalizeSoldDate(input.sold_from, false);
+  const soldTo = normalizeSoldDate(input.sold_to, true);
+  if (soldFrom && soldTo && soldFrom > soldTo) {
+    throw serviceError('INVALID_ELIGIBILITY', 'sold_from must be before sold_to');
+  }
+
+  return {
+    raffle_id: raffleId,
+    categories,
+    sold_from: soldFrom,
+    sold_to: soldTo,
+    payment_verified_only: parseFlag(input.payment_verified_only),
+    exclude_prior_winners: parseFlag(input.exclude_prior_winners),
+    exclude_seller_held: parseFlag(input.exclude_seller_held)
+  };
+}
+
+/**
+ * Build the WHERE clause selecting eligible tickets (aliased as t)
+ * Only sold tickets of the raffle are ever eligible
+ *
+ * @param {Object} rules - Normalized eligibility rules
+ * @returns {Object} - { where, params }
+ */
+function buildEligibilityFilter(rules) {
+  const conditions = ['t.raffle_id = ?', "t.status = 'SOLD'"];
+  const params = [rules.raffle_id];
+
+  if (rules.categories.length > 0) {
+    conditions.push(`t.category IN (${rules.categories.map(() => '?').join(', ')})`);
+    params.push(...rules.categories);
+  }
+  if (rules.sold_from) {
+    conditions.push('t.sold_at >= ?');
+    params.push(rules.sold_from);
+  }
+  if (rules.sold_to) {
+    conditions.push('t.sold_at <= ?');
+    params.push(rules.sold_to);
+  }
+  if (rules.payment_verified_only) {
+    conditions.push(`t.payment_verified = ${db.USE_POSTGRES ? 'TRUE' : '1'}`);
+  }
+  if (rules.exclude_prior_winners) {
+    conditions.push(`NOT EXISTS (
+      SELECT 1 FROM winners w
+      WHERE w.status = 'winner' AND w.raffle_id = t.raffle_id
+        AND t.buyer_phone IS NOT NULL AND t.buyer_phone <> ''
+        AND w.winner_phone = t.buyer_phone
+    )`);
+  }
+  if (rules.exclude_seller_held) {
+    conditions.push("NOT (t.buyer_phone IS NOT NULL AND t.buyer_phone <> '' AND t.buyer_phone = t.seller_phone)");
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Validate rules and check that the raffle exists
+ *
+ * @param {Object} input - Raw rules
+ * @returns {Promise<Object>} - Normalized rules
+ */
+async function resolveEligibilityRules(input) {
+  const rules = normalizeEligibilityRules(input);
+  const raffle = await db.get('SELECT id FROM raffles WHERE id = ?', [rules.raffle_id]);
+  if (!raffle) {
+    throw serviceError('RAFFLE_NOT_FOUND', 'Raffle not found', 404);
+  }
+  return rules;
+}
+
+/**
+ * Get the tickets eligible for a draw, in canonical draw order
+ *
+ * @param {Object} rules - Normalized eligibility rules
+ * @returns {Promise<Array>} - Eligible tickets ordered by ticket_number
+ */
+async function getEligibleTickets(rules) {
+  const { where, params } = buildEligibilityFilter(rules);
+  return db.all(`SELECT t.* FROM tickets t WHERE ${where} ORDER BY t.ticket_number ASC`, params);
+}
+
+/**
+ * Preview how many tickets a set of eligibility rules selects, before committing
+ *
+ * @param {Object} input - Raw rules
+ * @returns {Promise<Object>} - { rules, eligible_count, sold_count, by_category }
+ */
+async function previewEligibility(input) {
+  const rules = await resolveEligibilityRules(input);
+  const { where, params } = buildEligibilityFilter(rules);
+
+  const byCategory = await db.all(
+    `SELECT t.category, COUNT(*) as count FROM tickets t WHERE ${where} GROUP BY t.category ORDER BY t.category`,
+    params
+  );
+  const sold = await db.get(
+    "SELECT COUNT(*) as count FROM tickets WHERE raffle_id = ? AND status = 'SOLD'",
+    [rules.raffle_id]
+  );
+
+  return {
+    rules,
+    eligible_count: byCategory.reduce((sum, row) => sum + Number(row.count), 0),
+    sold_count: Number(sold.count),
+    by_category: byCategory.map(row => ({ category: row.category, count: Number(row.count) }))
+  };
+}
+
+/**
+ * Read the eligibility rules stored on a commitment
+ * Commitments published before rules existed fall back to the raffle's sold tickets
+ *
+ * @param {Object} commitment - Commitment row
+ * @param {number|null} raffleId - Raffle being drawn
+ * @returns {Object} - Normalized rules
+ */
+function commitmentRules(commitment, raffleId = null) {
+  if (commitment.eligibility_rules) {
+    return JSON.parse(commitment.eligibility_rules);
+  }
+  const fallbackRaffle = commitment.raffle_id || raffleId;
+  if (!fallbackRaffle) {
+    throw serviceError('COMMITMENT_WITHOUT_RAFFLE', 'This seed commitment does not name a raffle. Publish a new commitment.');
+  }
+  return normalizeEligibilityRules({ raffle_id: fallbackRaffle });
+}
+
+/**
+ * Reveal a pending commitment and snapshot the eligible set it is drawn against
+ * The eligible tickets are selected with the rules fixed when the commitment was published,
+ * and must still hash to the eligible_set_hash published with it.
+ * The commitment is claimed with a conditional update so it can only be revealed once.
+ * The raffle must be closed (or already drawn, for further prizes): see raffleLifecycleService.
+ *
+ * @param {number} commitmentId - Commitment to reveal
+ * @param {Object} options - Options
+ * @param {number|null} options.raffleId - Raffle being drawn (must match the commitment)
+ * @param {number} options.minTickets - Minimum eligible tickets needed (checked before revealing)
+ * @returns {Promise<Object>} - { commitment, rules, tickets, ticketNumbers, eligibleSetHash }
+ */
+async function revealCommitment(commitmentId, { raffleId = null, minTickets = 1 } = {}) {
+  const commitment = await db.get('SELECT * FROM draw_commitments WHERE id = ?', [commitmentId]);
+  if (!commitment) {
+    throw serviceError('COMMITMENT_NOT_FOUND', 'Seed commitment not found. Publish a commitment before drawing.', 404);
+  }
+  if (commitment.status !== 'pending') {
+    throw serviceError('COMMITMENT_USED', 'This seed commitment has already been revealed. Publish a new commitment.', 409);
+  }
+  if (raffleId && commitment.raffle_id && Number(commitment.raffle_id) !== Number(raffleId)) {
+    throw serviceError('COMMITMENT_RAFFLE_MISMATCH', 'This seed commitment was published for a different raffle.');
+  }
+
+  const rules = commitmentRules(commitment, raffleId);
+  await raffleLifecycleService.assertAction(rules.raffle_id, 'draw');
+  const tickets = await getEligibleTickets(rules);
+  if (tickets.length === 0) {
+    throw serviceError('NO_ELIGIBLE_TICKETS', 'No tickets match the eligibility rules of this commitment');
+  }
+  if (tickets.length < minTickets) {
+    throw serviceError('NOT_ENOUGH_TICKETS', `Only ${tickets.length} eligible tickets for ${minTickets} prizes`);
+  }
+
+  const ticketNumbers = tickets.map(t => t.ticket_number);
+  const eligibleSetHash = hashEligibleSet(ticketNumbers);
+  if (!commitment.eligible_set_hash) {
+    throw serviceError('COMMITMENT_OUTDATED',
+      'This seed commitment was published before eligible sets were fixed at commit time. Publish a new commitment.', 409);
+  }
+  if (eligibleSetHash !== commitment.eligible_set_hash) {
+    throw serviceError('ELIGIBLE_SET_CHANGED',
+      `The eligible tickets changed since this commitment was published (${commitment.eligible_count} then, ${ticketNumbers.length} now). Publish a new commitment.`, 409);
+  }
+
+  // Claim the commitment first so two concurrent draws cannot reveal the same seed
+  const claimed = await db.run(
+    `UPDATE draw_commitments 
+     SET status = 'revealed', revealed_at = ${db.getCurrentTimestamp()},
+         eligible_set_hash = ?, eligible_count = ?, eligible_tickets = ?
+     WHERE id = ? AND status = 'pending'`,
+    [eligibleSetHash, ticketNumbers.length, ticketNumbers.join('\n'), commitment.id]
+  );
+  if (claimed.changes === 0) {
+    throw serviceError('COMMITMENT_USED', 'This seed commitment has already been revealed. Publish a new commitment.', 409);
+  }
+
+  return { commitment, rules, tickets, ticketNumbers, eligibleSetHash };
+}
+
+/**
+ * Pick tickets without repeats, one round per pick
+ *
+ * @param {string} seed - Revealed seed
+ * @param {string} eligibleSetHash - Hash of the full eligible list
+ * @param {Array} items - Eligible items in draw order (tickets or ticket numbers)
+ * @param {number} count - Number of picks to make
+ * @returns {Array<Object>} - [{ item, round, index }] where index is into the remaining list
+ */
+function pickWithoutRepeats(seed, eligibleSetHash, items, count) {
+  const remaining = items.slice();
+  const picks = [];
+
+  for (let round = 0; round < count && remaining.length > 0; round++) {
+    const index = deriveWinnerIndex(seed, eligibleSetHash, round, remaining.length);
+    picks.push({ item: remaining[index], round, index });
+    remaining.splice(index, 1);
+  }
+
+  return picks;
+}
+
+/**
+ * Insert a draws row under the next draw number
+ * Draw numbers are unique (idx_draws_number), so if a concurrent draw takes
+ * the same number first the insert fails and is retried with the next one.
+ *
+ * @param {Object} columns - Column values for the row, without draw_number
+ * @returns {Promise<Object>} - { drawId, drawNumber }
+ */
+async function insertDraw(columns) {
+  const names = ['draw_number', ...Object.keys(columns)];
+  for (let attempt = 1; ; attempt++) {
+    const row = await db.get('SELECT MAX(draw_number) as max_draw FROM draws');
+    const drawNumber = Number(row.max_draw || 0) + 1;
+    try {
+      const result = await db.run(
+        `INSERT INTO draws (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+        [drawNumber, ...Object.values(columns)]
+      );
+      return { drawId: result.lastID, drawNumber };
+    } catch (error) {
+      if (!db.isUniqueConstraintError(error) || attempt >= DRAW_NUMBER_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Record one pick: a draws row, a winners row and (for winners) the ticket prize fields
+ *
+ * @param {Object} pick - Pick details
+ * @param {Object} pick.ticket - Picked ticket row
+ * @param {Object} pick.commitment - Revealed commitment row
+ * @param {string} pick.eligibleSetHash - Hash of the eligible list
+ * @param {number} pick.eligibleCount - Size of the full eligible list
+ * @param {number} pick.round - Pick round
+ * @param {number} pick.index - Index into the remaining list
+ * @param {string} pick.prizeName - Prize name
+ * @param {number} pick.prizeTierId - Prize tier ID (optional)
+ * @param {string} pick.pickType - 'winner' or 'alternate'
+ * @param {number} pick.alternateRank - Rank within the tier's alternates (alternates only)
+ * @param {string} pick.conductedBy - Phone of the admin running the draw
+ * @returns {Promise<Object>} - { drawId, drawNumber, winnerId }
+ */
+async function recordPick(pick) {
+  const {
+    ticket, commitment, eligibleSetHash, eligibleCount, round, index,
+    prizeName, prizeTierId = null, pickType = 'winner', alternateRank = null, conductedBy = null
+  } = pick;
+
+  // Crown the ticket first: this fails if it is no longer sold, before anything is recorded
+  if (pickType === 'winner') {
+    await markTicketWon(ticket.id, prizeName);
+  }
+
+  let drawId;
+  let drawNumber;
+  let winnerResult;
+  try {
+    ({ drawId, drawNumber } = await insertDraw({
+      ticket_number: ticket.ticket_number,
+      prize_name: prizeName,
+      winner_name: ticket.buyer_name || '',
+      winner_phone: ticket.buyer_phone || '',
+      raffle_id: ticket.raffle_id,
+      ticket_id: ticket.id,
+      commitment_id: commitment.id,
+      seed: commitment.seed,
+      seed_commitment: commitment.seed_commitment,
+      eligible_set_hash: eligibleSetHash,
+      eligible_count: eligibleCount,
+      winner_index: index,
+      draw_round: round,
+      prize_tier_id: prizeTierId,
+      pick_type: pickType,
+      algorithm_version: commitment.algorithm_version,
+      conducted_by: conductedBy
+    }));
+
+    winnerResult = await db.run(
+      `INSERT INTO winners (
+         raffle_id, ticket_id, ticket_number, prize_name, winner_name, winner_phone,
+         draw_id, prize_tier_id, prize_level, status, alternate_rank, previous_ticket_status, claim_status
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        ticket.raffle_id, ticket.id, ticket.ticket_number, prizeName, ticket.buyer_name || '', ticket.buyer_phone || '',
+        drawId, prizeTierId, prizeName, pickType, alternateRank,
+        pickType === 'winner' ? ticket.status : null,
+        pickType === 'winner' ? 'pending' : null
+      ]
+    );
+  } catch (error) {
+    // Leave nothing half-recorded, so a prize plan stopped here can draw this round again
+    if (drawId) {
+      await db.run('DELETE FROM draws WHERE id = ?', [drawId]);
+    }
+    if (pickType === 'winner') {
+      await releaseWinningTicket({ ticket_id: ticket.id, previous_ticket_status: ticket.status });
+    }
+    throw error;
+  }
+
+  await recordWinnerEvent({
+    winnerId: winnerResult.lastID,
+    raffleId: ticket.raffle_id,
+    eventType: pickType === 'winner' ? 'drawn' : 'drawn_alternate',
+    toStatus: pickType === 'winner' ? 'pending' : 'alternate',
+    actor: conductedBy,
+    notes: `Draw #${drawNumber}, round ${round}`
+  });
+
+  return { drawId, drawNumber, winnerId: winnerResult.lastID };
+}
+
+/**
+ * Mark a ticket as a prize winner
+ * Only applies while the ticket still has the expected status, so a ticket
+ * returned, refunded or voided since it was picked is never marked won.
+ *
+ * @param {number} ticketId - Ticket ID
+ * @param {string} prizeLevel - Prize the ticket won
+ * @param {string} expectedStatus - Status the ticket must still have (default: SOLD)
+ * @returns {Promise<void>}
+ */
+async function markTicketWon(ticketId, prizeLevel, expectedStatus = 'SOLD') {
+  const result = await db.run(
+    `UPDATE tickets 
+     SET status = 'won', is_winner = ${db.USE_POSTGRES ? 'TRUE' : '1'}, prize_level = ?, won_at = ${db.getCurrentTimestamp()}
+     WHERE id = ? AND status = ?`,
+    [prizeLevel, ticketId, expectedStatus]
+  );
+  if (result.changes === 0) {
+    throw serviceError('TICKET_CHANGED', `Ticket #${ticketId} is no longer ${expectedStatus} and cannot win`, 409);
+  }
+}
+
+/**
+ * Clear the prize fields on a ticket and restore its status from before it won
+ *
+ * @param {Object} winner - Winner row (ticket_id, previous_ticket_status)
+ * @returns {Promise<void>}
+ */
+async function releaseWinningTicket(winner) {
+  await db.run(
+    `UPDATE tickets
+     SET status = ?, is_winner = ${db.USE_POSTGRES ? 'FALSE' : '0'}, prize_level = NULL, won_at = NULL
+     WHERE id = ? AND status = 'won'`,
+    [winner.previous_ticket_status || 'SOLD', winner.ticket_id]
+  );
+}
+
+/**
+ * Append an entry to the winner audit trail
+ *
+ * @param {Object} event - Event details
+ * @param {number} event.winnerId - Winner ID
+ * @param {number} event.raffleId - Raffle ID
+ * @param {string} event.eventType - e.g. "drawn", "notified", "claimed", "expired", "promoted"
+ * @param {string} event.fromStatus - Status before the transition (optional)
+ * @param {string} event.toStatus - Status after the transition (optional)
+ * @param {string} event.actor - Phone of the acting admin, or "system"
+ * @param {string} event.notes - Free-text notes (optional)
+ * @param {number} event.relatedWinnerId - Winner replaced or replacing this one (optional)
+ * @returns {Promise<void>}
+ */
+async function recordWinnerEvent(event) {
+  const {
+    winnerId, raffleId = null, eventType, fromStatus = null, toStatus = null,
+    actor = null, notes = null, relatedWinnerId = null
+  } = event;
+
+  await db.run(
+    `INSERT INTO winner_events (winner_id, raffle_id, event_type, from_status, to_status, actor, notes, related_winner_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${db.getCurrentTimestamp()})`,
+    [winnerId, raffleId, eventType, fromStatus, toStatus, actor, notes, relatedWinnerId]
+  );
+}
+
+/**
+ * Record a pick that was passed over because its ticket is no longer sold
+ * The draws row (status 'skipped') keeps the round accounted for, so later rounds
+ * still replay and verify. The reason goes to the audit log of the draw being continued.
+ *
+ * @param {Object} params - Parameters
+ * @param {Object} params.draw - Draw being continued
+ * @param {Object} params.commitment - Revealed commitment row
+ * @param {string} params.ticketNumber - Picked ticket number
+ * @param {Object|null} params.ticket - Picked ticket row, or null if it no longer exists
+ * @param {number} params.eligibleCount - Size of the full eligible list
+ * @param {number} params.round - Pick round
+ * @param {number} params.index - Index into the remaining list
+ * @param {string} params.prizeName - Prize being drawn
+ * @param {number} params.prizeTierId - Prize tier ID (optional)
+ * @param {string} params.pickType - 'winner' or 'alternate'
+ * @param {string} params.conductedBy - Phone of the admin, or "system"
+ * @returns {Promise<void>}
+ */
+async function recordSkippedPick({
+  draw, commitment, ticketNumber, ticket, eligibleCount, round, index,
+  prizeName, prizeTierId = null, pickType = 'winner', conductedBy = null
+}) {
+  const reason = ticket
+    ? `Ticket ${ticketNumber} is ${ticket.status}, not SOLD`
+    : `Ticket ${ticketNumber} no longer exists`;
+
+  const skipped = await insertDraw({
+    ticket_number: ticketNumber,
+    prize_name: prizeName,
+    winner_name: '',
+    winner_phone: '',
+    raffle_id: draw.raffle_id,
+    ticket_id: ticket ? ticket.id : null,
+    commitment_id: commitment.id,
+    seed: commitment.seed,
+    seed_commitment: commitment.seed_commitment,
+    eligible_set_hash: draw.eligible_set_hash,
+    eligible_count: eligibleCount,
+    winner_index: index,
+    draw_round: round,
+    prize_tier_id: prizeTierId,
+    pick_type: pickType,
+    algorithm_version: commitment.algorithm_version,
+    conducted_by: conductedBy,
+    status: 'skipped'
+  });
+
+  await recordDrawAudit({
+    drawId: draw.id,
+    raffleId: draw.raffle_id,
+    action: 'skipped',
+    reason,
+    actor: conductedBy,
+    details: {
+      skipped_draw_id: skipped.drawId,
+      ticket_number: ticketNumber,
+      ticket_status: ticket ? ticket.status : null,
+      round
+    }
+  });
+}
+
+/**
+ * Draw one more ticket from an already revealed commitment
+ * The pick is the next round of the same seed and eligible snapshot, so it is as
+ * verifiable as the original draw and cannot repeat a ticket picked before.
+ * Picks whose ticket is no longer SOLD (returned, refunded, voided since the
+ * reveal) are skipped and recorded, and the following round is drawn.
+ *
+ * @param {Object} params - Parameters
+ * @param {number} params.drawId - Any draw made from the commitment
+ * @param {string} params.prizeName - Prize being redrawn
+ * @param {number} params.prizeTierId - Prize tier ID (optional)
+ * @param {string} params.pickType - 'winner' (default) or 'alternate'
+ * @param {number} params.alternateRank - Rank for an alternate pick (optional)
+ * @param {string} params.conductedBy - Phone of the admin, or "system"
+ * @returns {Promise<Object|null>} - { drawId, drawNumber, winnerId, ticket_number, round }, or null if no tickets remain
+ */
+async function drawNextRound({ drawId, prizeName, prizeTierId = null, pickType = 'winner', alternateRank = null, conductedBy = null }) {
+  const draw = await db.get('SELECT * FROM draws WHERE id = ?', [drawId]);
+  if (!draw || !draw.seed || !draw.commitment_id) {
+    throw serviceError('NOT_VERIFIABLE', 'This draw cannot be continued because it has no revealed commitment');
+  }
+
+  const commitment = await db.get('SELECT * FROM draw_commitments WHERE id = ?', [draw.commitment_id]);
+  const ticketNumbers = await getDrawEligibleTickets(draw.id);
+  const last = await db.get('SELECT MAX(draw_round) as max_round FROM draws WHERE commitment_id = ?', [commitment.id]);
+  const firstRound = Number(last.max_round || 0) + 1;
+
+  for (let round = firstRound; ; round++) {
+    const picks = pickWithoutRepeats(commitment.seed, draw.eligible_set_hash, ticketNumbers, round + 1);
+    if (picks.length <= round) {
+      return null;
+    }
+
+    const { item: ticketNumber, index } = picks[round];
+    const ticket = await db.get(
+      'SELECT * FROM tickets WHERE ticket_number = ? AND raffle_id = ?',
+      [ticketNumber, commitment.raffle_id || draw.raffle_id]
+    );
+    const pick = {
+      draw, commitment, ticketNumber, ticket, eligibleCount: ticketNumbers.length,
+      round, index, prizeName, prizeTierId, pickType, conductedBy
+    };
+    if (!ticket || ticket.status !== 'SOLD') {
+      await recordSkippedPick(pick);
+      continue;
+    }
+
+    // The board animates through the tickets still in play for this round
+    const pickedEarlier = new Set(picks.slice(0, round).map(p => p.item));
+    drawEvents.drawStarted({
+      raffleId: ticket.raffle_id,
+      commitment,
+      ticketNumbers: ticketNumbers.filter(n => !pickedEarlier.has(n)),
+      prizes: [{ prize_name: prizeName, quantity: 1 }]
+    });
+
+    let recorded;
+    try {
+      recorded = await recordPick({
+        ticket,
+        commitment,
+        eligibleSetHash: draw.eligible_set_hash,
+        eligibleCount: ticketNumbers.length,
+        round,
+        index,
+        prizeName,
+        prizeTierId,
+        pickType,
+        alternateRank,
+        conductedBy
+      });
+    } catch (error) {
+      // The ticket changed between the check and marking it won
+      if (error.code !== 'TICKET_CHANGED') {
+        throw error;
+      }
+      pick.ticket = await db.get('SELECT * FROM tickets WHERE id = ?', [ticket.id]);
+      await recordSkippedPick(pick);
+      continue;
+    }
+
+    drawEvents.winnerRevealed({ raffleId: ticket.raffle_id, ticket, recorded, prizeName, pickType, alternateRank, round });
+    drawEvents.drawCompleted({ raffleId: ticket.raffle_id, commitment, pickCount: 1 });
+
+    return { ...recorded, ticket_number: ticketNumber, round };
+  }
+}
+
+/**
+ * Append an entry to the draw audit log
+ *
+ * @param {Object} entry - Log entry
+ * @param {number} entry.drawId - Draw ID
+ * @param {number} entry.raffleId - Raffle ID
+ * @param {string} entry.action - e.g. "voided", "redrawn"
+ * @param {string} entry.reason - Justification given by the admin
+ * @param {string} entry.actor - Phone of the acting admin
+ * @param {Object} entry.details - Extra data stored as JSON (optional)
+ * @returns {Promise<void>}
+ */
+async function recordDrawAudit({ drawId, raffleId = null, action, reason = null, actor = null, details = null }) {
+  await db.run(
+    `INSERT INTO draw_audit_log (draw_id, raffle_id, action, reason, actor, details, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ${db.getCurrentTimestamp()})`,
+    [drawId, raffleId, action, reason, actor, details ? JSON.stringify(details) : null]
+  );
+}
+
+/**
+ * Get the audit log of a draw
+ *
+ * @param {number} drawId - Draw ID
+ * @returns {Promise<Array>} - Entries oldest first
+ */
+async function getDrawAuditLog(drawId) {
+  const rows = await db.all(
+    'SELECT * FROM draw_audit_log WHERE draw_id = ? ORDER BY created_at ASC, id ASC',
+    [drawId]
+  );
+  return rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+}
+
+/**
+ * Void a draw, restore the picked ticket and optionally redraw the same prize
+ * The voided draw stays in history (status 'voided') and still verifies, because
+ * the redraw is the next round of the same commitment.
+ *
+ * @param {Object} params - Parameters
+ * @param {number} params.drawId - Draw to void
+ * @param {string} params.reason - Mandatory justification
+ * @param {boolean} params.redraw - Whether to draw a replacement for the same prize
+ * @param {string} params.actor - Phone of the acting admin
+ * @returns {Promise<Object>} - { draw, redraw } (redraw is null if not requested or no tickets remain)
+ */
+async function voidDraw({ drawId, reason, redraw = false, actor = null }) {
+  if (!reason || !String(reason).trim()) {
+    throw serviceError('REASON_REQUIRED', 'A reason is required to void a draw');
+  }
+  reason = String(reason).trim();
+
+  const draw = await db.get('SELECT * FROM draws WHERE id = ?', [drawId]);
+  if (!draw) {
+    throw serviceError('DRAW_NOT_FOUND', 'Draw not found', 404);
+  }
+  if (draw.status === 'voided') {
+    throw serviceError('DRAW_ALREADY_VOIDED', 'This draw has already been voided', 409);
+  }
+
+  const winner = await db.get('SELECT * FROM winners WHERE draw_id = ?', [draw.id]);
+  const holdsPrize = !winner || ['winner', 'alternate'].includes(winner.status || 'winner');
+
+  // Check a redraw is possible before changing anything
+  if (redraw) {
+    if (!draw.seed || !draw.commitment_id) {
+      throw serviceError('NOT_VERIFIABLE', 'This draw was conducted before verifiable draws were introduced and cannot be redrawn');
+    }
+    if (!holdsPrize) {
+      throw serviceError('PRIZE_ALREADY_REASSIGNED', `The prize for this draw was already reassigned (winner status: ${winner.status})`, 409);
+    }
+  }
+
+  const voided = await db.run(
+    `UPDATE draws
+     SET status = 'voided', void_reason = ?, voided_by = ?, voided_at = ${db.getCurrentTimestamp()}
+     WHERE id = ? AND (status IS NULL OR status <> 'voided')`,
+    [reason, actor, draw.id]
+  );
+  if (voided.changes === 0) {
+    throw serviceError('DRAW_ALREADY_VOIDED', 'This draw has already been voided', 409);
+  }
+
+  if (winner) {
+    await db.run("UPDATE winners SET status = 'voided' WHERE id = ?", [winner.id]);
+    if ((winner.status || 'winner') === 'winner') {
+      await releaseWinningTicket(winner);
+    }
+    await recordWinnerEvent({
+      winnerId: winner.id,
+      raffleId: winner.raffle_id,
+      eventType: 'voided',
+      fromStatus: winner.status || 'winner',
+      toStatus: 'voided',
+      actor,
+      notes: reason
+    });
+  } else {
+    // Draws made before winner records existed only marked the ticket as won
+    const ticket = draw.ticket_id
+      ? { ticket_id: draw.ticket_id }
+      : await db.get(
+        'SELECT id as ticket_id FROM tickets WHERE ticket_number = ? AND raffle_id = ?',
+        [draw.ticket_number, draw.raffle_id || 1]
+      );
+    if (ticket) {
+      await releaseWinningTicket(ticket);
+    }
+  }
+
+  await recordDrawAudit({
+    drawId: draw.id,
+    raffleId: draw.raffle_id,
+    action: 'voided',
+    reason,
+    actor,
+    details: {
+      ticket_number: draw.ticket_number,
+      prize_name: draw.prize_name,
+      pick_type: draw.pick_type || 'winner',
+      winner_status: winner ? (winner.status || 'winner') : null,
+      restored_ticket_status: winner ? (winner.previous_ticket_status || 'SOLD') : 'SOLD'
+    }
+  });
+
+  let replacement = null;
+  if (redraw) {
+    replacement = await drawNextRound({
+      drawId: draw.id,
+      prizeName: draw.prize_name,
+      prizeTierId: draw.prize_tier_id,
+      pickType: winner && winner.status === 'alternate' ? 'alternate' : 'winner',
+      alternateRank: winner && winner.status === 'alternate' ? winner.alternate_rank : null,
+      conductedBy: actor
+    });
+
+    if (replacement) {
+      await db.run('UPDATE draws SET redraw_id = ? WHERE id = ?', [replacement.drawId, draw.id]);
+      await db.run('UPDATE draws SET replaces_draw_id = ? WHERE id = ?', [draw.id, replacement.drawId]);
+      if (winner) {
+        await db.run('UPDATE winners SET replaces_winner_id = ? WHERE id = ?', [winner.id, replacement.winnerId]);
+      }
+      await recordDrawAudit({
+        drawId: draw.id,
+        raffleId: draw.raffle_id,
+        action: 'redrawn',
+        reason,
+        actor,
+        details: {
+          redraw_id: replacement.drawId,
+          redraw_number: replacement.drawNumber,
+          ticket_number: replacement.ticket_number,
+          round: replacement.round
+        }
+      });
+    }
+  }
+
+  return {
+    draw: await db.get(
+      `SELECT id, draw_number, ticket_number, prize_name, raffle_id, status, void_reason, voided_by, voided_at, redraw_id
+       FROM draws WHERE id = ?`,
+      [draw.id]
+    ),
+    redraw: replacement
+  };
+}
+
+/**
+ * Conduct a single-prize draw by revealing a previously published commitment
+ *
+ * @param {Object} params - Parameters
+ * @param {string} params.prizeName - Prize being drawn
+ * @param {number} params.commitmentId - Commitment to reveal
+ * @param {string} params.conductedBy - Phone of the admin running the draw
+ * @returns {Promise<Object>} - Draw result
+ */
+async function conductDraw({ prizeName, commitmentId, conductedBy = null }) {
+  const { commitment, rules, tickets, ticketNumbers, eligibleSetHash } = await revealCommitment(commitmentId);
+
+  drawEvents.drawStarted({
+    raffleId: rules.raffle_id,
+    commitment,
+    ticketNumbers,
+    prizes: [{ prize_name: prizeName, quantity: 1 }]
+  });
+
+  const [{ item: winner, round, index }] = pickWithoutRepeats(commitment.seed, eligibleSetHash, tickets, 1);
+
+  const recorded = await recordPick({
+    ticket: winner,
+    commitment,
+    eligibleSetHash,
+    eligibleCount: tickets.length,
+    round,
+    index,
+    prizeName,
+    conductedBy
+  });
+
+  await db.run('UPDATE draw_commitments SET draw_id = ? WHERE id = ?', [recorded.drawId, commitment.id]);
+
+  drawEvents.winnerRevealed({ raffleId: rules.raffle_id, ticket: winner, recorded, prizeName, round });
+  drawEvents.drawCompleted({ raffleId: rules.raffle_id, commitment, pickCount: 1 });
+
+  return {
+    id: recorded.drawId,
+    draw_number: recorded.drawNumber,
+    ticket_number: winner.ticket_number,
+    prize_name: prizeName,
+    winner_name: winner.buyer_name,
+    winner_phone: winner.buyer_phone,
+    seed: commitment.seed,
+    seed_commitment: commitment.seed_commitment,
+    eligible_set_hash: eligibleSetHash,
+    eligible_count: tickets.length,
+    winner_index: index,
+    algorithm_version: commitment.algorithm_version
+  };
+}
+
+/**
+ * Get the eligible ticket list recorded for a draw
+ *
+ * @param {number} drawId - Draw ID
+ * @returns {Promise<Array<string>|null>} - Ticket numbers in draw order, or null
+ */
+async function getDrawEligibleTickets(drawId) {
+  const draw = await db.get(
+    `SELECT d.eligible_tickets, c.eligible_tickets as commitment_eligible_tickets
+     FROM draws d
+     LEFT JOIN draw_commitments c ON c.id = d.commitment_id
+     WHERE d.id = ?`,
+    [drawId]
+  );
+  if (!draw) {
+    return null;
+  }
+
+  // Draws made before snapshots moved to the commitment keep their own copy
+  const list = draw.eligible_tickets !== null && draw.eligible_tickets !== undefined
+    ? draw.eligible_tickets
+    : draw.commitment_eligible_tickets;
+  if (list === null || list === undefined) {
+    return null;
+  }
+  return list === '' ? [] : list.split('\n');
+}
+
+/**
+ * Independently recompute a draw from its published data
+ * Replays every round of the same commitment up to this draw's round
+ *
+ * @param {number} drawId - Draw ID
+ * @returns {Promise<Object>} - Published draw data and verification checks
+ */
+async function verifyDraw(drawId) {
+  const draw = await db.get('SELECT * FROM draws WHERE id = ?', [drawId]);
+  if (!draw) {
+    throw serviceError('DRAW_NOT_FOUND', 'Draw not found', 404);
+  }
+  if (!draw.seed || !draw.algorithm_version) {
+    throw serviceError('NOT_VERIFIABLE', 'This draw was conducted before verifiable draws were introduced');
+  }
+  if (draw.algorithm_version !== ALGORITHM_VERSION) {
+    throw serviceError('UNKNOWN_ALGORITHM', `Unsupported draw algorithm: ${draw.algorithm_version}`);
+  }
+
+  const commitment = await db.get('SELECT created_at, eligibility_rules FROM draw_commitments WHERE id = ?', [draw.commitment_id]);
+  const ticketNumbers = await getDrawEligibleTickets(draw.id);
+  const round = Number(draw.draw_round || 0);
+
+  // Tickets recorded for earlier rounds of the same commitment must match the replay too
+  const earlierPicks = await db.all(
+    `SELECT draw_round, ticket_number FROM draws 
+     WHERE commitment_id = ? AND draw_round < ? 
+     ORDER BY draw_round ASC`,
+    [draw.commitment_id, round]
+  );
+
+  const recomputedHash = hashEligibleSet(ticketNumbers);
+  const replay = pickWithoutRepeats(draw.seed, draw.eligible_set_hash, ticketNumbers, round + 1);
+  const recomputed = replay.length === round + 1 ? replay[round] : null;
+
+  const checks = {
+    commitment_matches_seed: sha256(draw.seed) === draw.seed_commitment,
+    eligible_set_hash_matches: recomputedHash === draw.eligible_set_hash,
+    eligible_count_matches: ticketNumbers.length === Number(draw.eligible_count),
+    earlier_rounds_match: earlierPicks.length === round &&
+      earlierPicks.every(p => replay[Number(p.draw_round)] && replay[Number(p.draw_round)].item === p.ticket_number),
+    winner_index_matches: recomputed !== null && recomputed.index === Number(draw.winner_index),
+    winning_ticket_matches: recomputed !== null && recomputed.item === draw.ticket_number
+  };
+
+  return {
+    draw_id: draw.id,
+    draw_number: draw.draw_number,
+    prize_name: draw.prize_name,
+    pick_type: draw.pick_type || 'winner',
+    status: draw.status || 'completed',
+    void_reason: draw.void_reason || undefined,
+    voided_at: draw.voided_at || undefined,
+    redraw_id: draw.redraw_id || undefined,
+    ticket_number: draw.ticket_number,
+    drawn_at: draw.drawn_at,
+    algorithm_version: draw.algorithm_version,
+    seed: draw.seed,
+    seed_commitment: draw.seed_commitment,
+    commitment_id: draw.commitment_id,
+    commitment_published_at: commitment ? commitment.created_at : null,
+    eligibility_rules: commitment && commitment.eligibility_rules ? JSON.parse(commitment.eligibility_rules) : null,
+    eligible_set_hash: draw.eligible_set_hash,
+    eligible_count: Number(draw.eligible_count),
+    round,
+    winner_index: Number(draw.winner_index),
+    eligible_tickets_url: `/api/draws/${draw.id}/eligible-tickets`,
+    checks,
+    verified: Object.values(checks).every(Boolean)
+  };
+}
+
+/**
+ * Secret used to sign draw certificates
+ *
+ * @returns {string}
+ */
+function getCertificateSecret() {
+  const secret = process.env.CERTIFICATE_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('CERTIFICATE_SECRET or SESSION_SECRET must be set to sign draw certificates');
+  }
+  return secret;
+}
+
+/**
+ * Sign the certified fields of a draw with HMAC-SHA256
+ * The fields are serialized in a fixed key order so the signature is reproducible.
+ *
+ * @param {Object} fields - Certified fields
+ * @returns {string} - Lowercase hex signature
+ */
+function signCertificate(fields) {
+  const canonical = JSON.stringify(Object.keys(fields).sort().map(key => [key, fields[key]]));
+  return crypto.createHmac('sha256', getCertificateSecret()).update(canonical, 'utf8').digest('hex');
+}
+
+/**
+ * Collect everything printed on a draw certificate and sign it
+ *
+ * @param {number} drawId - Draw ID
+ * @returns {Promise<Object>} - { fields, display, signature, verification_url }
+ */
+async function getDrawCertificate(drawId) {
+  const draw = await db.get(
+    `SELECT d.*, r.name as raffle_name, c.created_at as commitment_published_at,
+            t.barcode, u.name as conducted_by_name
+     FROM draws d
+     LEFT JOIN raffles r ON r.id = d.raffle_id
+     LEFT JOIN draw_commitments c ON c.id = d.commitment_id
+     LEFT JOIN tickets t ON t.id = d.ticket_id
+     LEFT JOIN users u ON u.phone = d.conducted_by
+     WHERE d.id = ?`,
+    [drawId]
+  );
+  if (!draw) {
+    throw serviceError('DRAW_NOT_FOUND', 'Draw not found', 404);
+  }
+
+  // Only these fields are covered by the signature
+  const fields = {
+    draw_id: draw.id,
+    draw_number: draw.draw_number,
+    raffle_id: draw.raffle_id || null,
+    prize_name: draw.prize_name,
+    pick_type: draw.pick_type || 'winner',
+    ticket_number: draw.ticket_number,
+    eligible_count: draw.eligible_count === null || draw.eligible_count === undefined ? null : Number(draw.eligible_count),
+    eligible_set_hash: draw.eligible_set_hash || null,
+    seed: draw.seed || null,
+    seed_commitment: draw.seed_commitment || null,
+    algorithm_version: draw.algorithm_version || null,
+    round: Number(draw.draw_round || 0),
+    conducted_by: draw.conducted_by || null,
+    drawn_at: draw.drawn_at instanceof Date ? draw.drawn_at.toISOString() : String(draw.drawn_at)
+  };
+
+  return {
+    fields,
+    display: {
+      raffle_name: draw.raffle_name || 'Raffle',
+      barcode: draw.barcode || null,
+      winner_name: draw.winner_name || '',
+      conducted_by_name: draw.conducted_by_name || null,
+      commitment_published_at: draw.commitment_published_at || null,
+      status: draw.status || 'completed',
+      void_reason: draw.void_reason || null,
+      voided_at: draw.voided_at || null
+    },
+    signature: signCertificate(fields),
+    verification_url: `/api/draws/${draw.id}/verify`
+  };
+}
+
+/**
+ * Check a signature printed on a draw certificate against the current draw record
+ * A valid signature on a voided draw is reported with the void status.
+ *
+ * @param {number} drawId - Draw ID
+ * @param {string} signature - Signature from the certificate
+ * @returns {Promise<Object>} - { valid, status, void_reason }
+ */
+async function verifyCertificateSignature(drawId, signature) {
+  const { signature: expected, display } = await getDrawCertificate(drawId);
+  const valid = typeof signature === 'string' && signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature, 'utf8'), Buffer.from(expected, 'utf8'));
+
+  return {
+    valid,
+    status: display.status,
+    void_reason: display.void_reason || undefined
+  };
+}
+
+module.exports = {
+  ALGORITHM_VERSION,
+  sha256,
+  hashEligibleSet,
+  deriveWinnerIndex,
+  createCommitment,
+  getCommitment,
+  normalizeEligibilityRules,
+  buildEligibilityFilter,
+  resolveEligibilityRules,
+  getEligibleTickets,
+  previewEligibility,
+  revealCommitment,
+  pickWithoutRepeats,
+  recordPick,
+  recordWinnerEvent,
+  drawNextRound,
+  markTicketWon,
+  releaseWinningTicket,
+  recordDrawAudit,
+  getDrawAuditLog,
+  voidDraw,
+  conductDraw,
+  getDrawEligibleTickets,
+  verifyDraw,
+  signCertificate,
+  getDrawCertificate,
+  verifyCertificateSignature
+};
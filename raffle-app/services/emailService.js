@@ -314,8 +314,111 @@ View in Admin Dashboard: ${appUrl}/admin
   }
 }
 
+/**
+ * Send a buyer their receipt, with the PDF attached
+ */
+async function sendReceiptEmail(email, receipt, pdfBuffer) {
+  // Buyer and raffle names are typed in by people, so escape them in the HTML
+  const escape = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const money = value => (value === null || value === undefined ? '-' : `$${Number(value).toFixed(2)}`);
+  const ticketList = receipt.tickets.map(t => `${t.ticket_number} (${t.barcode})`).join(', ');
+  
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'RaffleApp <noreply@raffleapp.com>',
+    to: email,
+    subject: `🎟️ Your receipt for ${receipt.raffle_name} (${receipt.receipt_number})`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .receipt-box { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #667eea; }
+          .label { font-weight: bold; color: #667eea; }
+          .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; color: #666; font-size: 12px; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🎟️ Thank you for your purchase!</h1>
+          </div>
+          <div class="content">
+            <p>Hi <strong>${escape(receipt.buyer_name || 'there')}</strong>,</p>
+            
+            <p>Here is your receipt for <strong>${escape(receipt.raffle_name)}</strong>. The PDF is attached; keep it until the draw.</p>
+            
+            <div class="receipt-box">
+              <p class="label">Receipt:</p>
+              <p>${receipt.receipt_number}</p>
+              
+              <p class="label">Tickets:</p>
+              <p>${escape(ticketList)}</p>
+              
+              <p class="label">Amount Paid:</p>
+              <p>${money(receipt.total_amount)}</p>
+              
+              <p class="label">Seller:</p>
+              <p>${escape(receipt.seller_name || '-')}</p>
+              
+              <p class="label">Draw Date:</p>
+              <p>${escape(receipt.draw_date || 'To be announced')}</p>
+            </div>
+            
+            <div style="text-align: center;">
+              <a href="${receipt.receipt_url}" class="button">View Receipt Online</a>
+            </div>
+            
+            <p>Good luck!<br><strong>RaffleApp Team</strong></p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+Thank you for your purchase!
+
+Raffle: ${receipt.raffle_name}
+Receipt: ${receipt.receipt_number}
+Tickets: ${ticketList}
+Amount Paid: ${money(receipt.total_amount)}
+Seller: ${receipt.seller_name || '-'}
+Draw Date: ${receipt.draw_date || 'To be announced'}
+
+View your receipt online: ${receipt.receipt_url}
+
+- RaffleApp Team
+    `,
+    attachments: [
+      {
+        filename: `receipt-${receipt.receipt_number}.pdf`,
+        content: pdfBuffer,
+        contentType: 'application/pdf'
+      }
+    ]
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Receipt email sent to:', email, '| Message ID:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending receipt email to', email, ':', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
   sendCredentialsEmail,
   sendRejectionEmail,
-  sendConcernNotification
+  sendConcernNotification,
+  sendReceiptEmail
 };
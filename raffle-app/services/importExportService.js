@@ -96,14 +96,14 @@ function parseImportFile(fileBuffer, fileType) {
  * Validate imported ticket data
  * 
  * @param {Array<Object>} tickets - Parsed ticket data
+ * @param {Array<string>} validCategories - Category codes of the raffle being imported into
  * @returns {Object} - { valid: Array, invalid: Array, errors: Array }
  */
-function validateImportData(tickets) {
+function validateImportData(tickets, validCategories) {
   const valid = [];
   const invalid = [];
   const errors = [];
 
-  const validCategories = ['ABC', 'EFG', 'JKL', 'XYZ'];
   const validStatuses = ['AVAILABLE', 'SOLD', 'RESERVED'];
 
   tickets.forEach((ticket, index) => {
@@ -114,7 +114,7 @@ function validateImportData(tickets) {
     if (!ticket['Ticket Number']) {
       rowErrors.push(`Row ${row}: Missing ticket number`);
     } else {
-      const ticketNumMatch = ticket['Ticket Number'].match(/^([A-Z]{3})-(\d{6})$/);
+      const ticketNumMatch = ticket['Ticket Number'].match(/^([A-Z][A-Z0-9]{1,5})-(\d{6,7})$/);
       if (!ticketNumMatch) {
         rowErrors.push(`Row ${row}: Invalid ticket number format. Expected ABC-000001`);
       }
@@ -124,7 +124,7 @@ function validateImportData(tickets) {
     if (!ticket['Category']) {
       rowErrors.push(`Row ${row}: Missing category`);
     } else if (!validCategories.includes(ticket['Category'].toUpperCase())) {
-      rowErrors.push(`Row ${row}: Invalid category. Must be ABC, EFG, JKL, or XYZ`);
+      rowErrors.push(`Row ${row}: Invalid category. Must be one of the raffle's categories: ${validCategories.join(', ')}`);
     }
 
     // Validate price
@@ -190,7 +190,7 @@ async function importTickets(tickets, raffle_id) {
         }
 
         // Check if ticket already exists
-        const existing = await ticketService.getTicketByNumber(ticketData['Ticket Number']);
+        const existing = await ticketService.getTicketByNumber(ticketData['Ticket Number'], raffle_id);
 
         if (existing) {
           // Update existing ticket
@@ -201,14 +201,14 @@ async function importTickets(tickets, raffle_id) {
                  buyer_phone = ?,
                  seller_name = ?,
                  seller_phone = ?
-             WHERE ticket_number = ?`,
+             WHERE id = ?`,
             [
               ticketData['Status'] || 'AVAILABLE',
               ticketData['Buyer Name'] || null,
               ticketData['Buyer Phone'] || null,
               ticketData['Seller Name'] || null,
               ticketData['Seller Phone'] || null,
-              ticketData['Ticket Number']
+              existing.id
             ]
           );
           results.updated++;
@@ -384,11 +384,71 @@ async function exportTicketsCSV(filters = {}) {
   }
 }
 
+/**
+ * Export a seller's payout statement to Excel
+ * Sheet "Summary": one row per raffle and category plus a total row.
+ * Sheet "Tickets": every ticket in the statement.
+ * 
+ * @param {Object} statement - Output of commissionService.getPayoutStatement
+ * @returns {Buffer} - Excel file buffer
+ */
+function exportPayoutStatement(statement) {
+  const { seller, period, lines, totals, tickets } = statement;
+
+  const summaryRows = lines.map(line => ({
+    'Seller': seller.name,
+    'Period From': period.from,
+    'Period To': period.to,
+    'Raffle': line.raffle_name || `Raffle #${line.raffle_id}`,
+    'Category': line.category || '',
+    'Tickets Sold': line.tickets_sold,
+    'Gross': line.gross,
+    'Commission': line.commission,
+    'Net Due': line.net_due
+  }));
+  summaryRows.push({
+    'Seller': seller.name,
+    'Period From': period.from,
+    'Period To': period.to,
+    'Raffle': 'TOTAL',
+    'Category': '',
+    'Tickets Sold': totals.tickets_sold,
+    'Gross': totals.gross,
+    'Commission': totals.commission,
+    'Net Due': totals.net_due
+  });
+
+  const ticketRows = tickets.map(ticket => ({
+    'Ticket Number': ticket.ticket_number,
+    'Barcode': ticket.barcode,
+    'Raffle': ticket.raffle_name || `Raffle #${ticket.raffle_id}`,
+    'Category': ticket.category || '',
+    'Sale ID': ticket.sale_id || '',
+    'Sold At': ticket.sold_at,
+    'Amount Paid': ticket.amount_paid,
+    'Commission': ticket.commission
+  }));
+
+  const workbook = XLSX.utils.book_new();
+  const summarySheet = XLSX.utils.json_to_sheet(summaryRows);
+  summarySheet['!cols'] = [{ wch: 20 }, { wch: 12 }, { wch: 12 }, { wch: 25 }, { wch: 10 }, { wch: 12 }, { wch: 12 }, { wch: 12 }, { wch: 12 }];
+  XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+
+  const ticketSheet = XLSX.utils.json_to_sheet(ticketRows, {
+    header: ['Ticket Number', 'Barcode', 'Raffle', 'Category', 'Sale ID', 'Sold At', 'Amount Paid', 'Commission']
+  });
+  ticketSheet['!cols'] = [{ wch: 15 }, { wch: 12 }, { wch: 25 }, { wch: 10 }, { wch: 8 }, { wch: 20 }, { wch: 12 }, { wch: 12 }];
+  XLSX.utils.book_append_sheet(workbook, ticketSheet, 'Tickets');
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
 module.exports = {
   generateTemplate,
   parseImportFile,
   validateImportData,
   importTickets,
   exportTickets,
-  exportTicketsCSV
+  exportTicketsCSV,
+  exportPayoutStatement
 };
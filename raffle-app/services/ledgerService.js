@@ -0,0 +1,378 @@
+/**
+ * Ledger Service - Cash each seller has collected and not yet handed over
+ *
+ * Every completed sale debits the seller for the amount the buyer paid, and
+ * every remittance an admin records (cash handed over, mobile money, bank
+ * transfer) credits them, as does every refund of one of their sales (see
+ * refundService). The outstanding balance is debits minus credits.
+ * Sales paid through a payment provider never pass through the seller's hands,
+ * so they are not debited.
+ *
+ * A seller whose balance reaches their limit cannot sell or be allocated more
+ * tickets until they remit. The limit is users.balance_limit, or the
+ * SELLER_BALANCE_LIMIT environment variable when the seller has none; with
+ * neither set there is no limit.
+ */
+
+const db = require('../db');
+const { serviceError } = require('./serviceError');
+
+// How a remittance reached the organisation
+const REMITTANCE_METHODS = ['cash', 'mobile_money', 'bank_transfer', 'other'];
+
+/**
+ * Round an amount to cents
+ *
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+/**
+ * Format an amount for error messages
+ *
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatMoney(amount) {
+  return `$${roundMoney(amount).toFixed(2)}`;
+}
+
+/**
+ * Default balance limit for sellers without their own (SELLER_BALANCE_LIMIT)
+ *
+ * @returns {number|null} - Limit, or null for no limit
+ */
+function getDefaultLimit() {
+  const limit = Number(process.env.SELLER_BALANCE_LIMIT);
+  return Number.isFinite(limit) && limit > 0 ? limit : null;
+}
+
+/**
+ * Load a seller account
+ *
+ * @param {number} sellerId - User ID
+ * @returns {Promise<Object>} - { id, name, phone, balance_limit }
+ */
+async function getSeller(sellerId) {
+  const seller = await db.get(
+    "SELECT id, name, phone, balance_limit FROM users WHERE id = ? AND role = 'seller'",
+    [sellerId]
+  );
+  if (!seller) {
+    throw serviceError('SELLER_NOT_FOUND', 'Seller not found', 404);
+  }
+  return seller;
+}
+
+/**
+ * Build a seller's balance from their ledger totals
+ *
+ * @param {Object} seller - { id, name, phone, balance_limit }
+ * @param {Object} totals - { debited, remitted, refunded, last_remittance_at }
+ * @returns {Object}
+ */
+function buildBalance(seller, totals = {}) {
+  const debited = roundMoney(totals.debited);
+  const remitted = roundMoney(totals.remitted);
+  const refunded = roundMoney(totals.refunded);
+  const outstanding = roundMoney(debited - remitted - refunded);
+  const ownLimit = seller.balance_limit === null || seller.balance_limit === undefined ? null : Number(seller.balance_limit);
+  const limit = ownLimit !== null ? ownLimit : getDefaultLimit();
+
+  return {
+    seller_id: seller.id,
+    seller_name: seller.name,
+    seller_phone: seller.phone,
+    debited,
+    remitted,
+    refunded,
+    outstanding,
+    balance_limit: limit,
+    limit_source: ownLimit !== null ? 'seller' : (limit !== null ? 'default' : null),
+    over_limit: limit !== null && outstanding > 0 && outstanding >= limit,
+    last_remittance_at: totals.last_remittance_at || null
+  };
+}
+
+const TOTALS_COLUMNS = `COALESCE(SUM(debit), 0) as debited,
+       COALESCE(SUM(CASE WHEN entry_type = 'refund' THEN 0 ELSE credit END), 0) as remitted,
+       COALESCE(SUM(CASE WHEN entry_type = 'refund' THEN credit ELSE 0 END), 0) as refunded,
+       MAX(CASE WHEN entry_type = 'remittance' THEN created_at END) as last_remittance_at`;
+
+/**
+ * Get a seller's outstanding balance
+ *
+ * @param {number} sellerId - Seller user ID
+ * @returns {Promise<Object>} - { seller_id, debited, remitted, outstanding, balance_limit, over_limit, ... }
+ */
+async function getBalance(sellerId) {
+  const seller = await getSeller(sellerId);
+  const totals = await db.get(`SELECT ${TOTALS_COLUMNS} FROM seller_ledger WHERE seller_id = ?`, [seller.id]);
+  return buildBalance(seller, totals);
+}
+
+/**
+ * Get the outstanding balance of every seller, largest first
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function listBalances() {
+  const sellers = await db.all("SELECT id, name, phone, balance_limit FROM users WHERE role = 'seller' ORDER BY name");
+  const rows = await db.all(`SELECT seller_id, ${TOTALS_COLUMNS} FROM seller_ledger GROUP BY seller_id`);
+  const totalsBySeller = new Map(rows.map(row => [Number(row.seller_id), row]));
+
+  return sellers
+    .map(seller => buildBalance(seller, totalsBySeller.get(Number(seller.id))))
+    .sort((a, b) => b.outstanding - a.outstanding);
+}
+
+/**
+ * Get a seller's ledger entries, oldest first, with the running balance
+ *
+ * @param {number} sellerId - Seller user ID
+ * @param {Object} options - { limit } - most recent entries to return (default 200, max 1000)
+ * @returns {Promise<Object>} - { balance, entries }
+ */
+async function getLedger(sellerId, { limit = 200 } = {}) {
+  const balance = await getBalance(sellerId);
+  const max = Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000);
+
+  const rows = await db.all(
+    `SELECT l.*, r.name as raffle_name
+     FROM seller_ledger l
+     LEFT JOIN raffles r ON r.id = l.raffle_id
+     WHERE l.seller_id = ?
+     ORDER BY l.id DESC
+     LIMIT ?`,
+    [balance.seller_id, max]
+  );
+
+  // Walk back from the current balance so the running balance is right even when older entries are cut off
+  let running = balance.outstanding;
+  const entries = rows.map(row => {
+    const entry = {
+      id: row.id,
+      entry_type: row.entry_type,
+      raffle_id: row.raffle_id,
+      raffle_name: row.raffle_name || null,
+      sale_id: row.sale_id,
+      refund_id: row.refund_id,
+      debit: roundMoney(row.debit),
+      credit: roundMoney(row.credit),
+      balance: running,
+      method: row.method,
+      receipt_number: row.receipt_number,
+      notes: row.notes,
+      recorded_by: row.recorded_by,
+      created_at: row.created_at
+    };
+    running = roundMoney(running - entry.debit + entry.credit);
+    return entry;
+  });
+
+  return { balance, entries: entries.reverse() };
+}
+
+/**
+ * Debit a seller for a completed sale
+ * Safe to call more than once for the same sale: only the first call records a debit.
+ *
+ * @param {number} saleId - Sale ID
+ * @returns {Promise<boolean>} - true if a debit was recorded
+ */
+async function recordSaleDebit(saleId) {
+  const sale = await db.get(
+    "SELECT id, raffle_id, seller_id, total_amount, ticket_count, payment_provider FROM sales WHERE id = ? AND status = 'completed'",
+    [saleId]
+  );
+  if (!sale || sale.payment_provider || !(Number(sale.total_amount) > 0)) {
+    return false;
+  }
+
+  try {
+    await db.run(
+      `INSERT INTO seller_ledger (seller_id, raffle_id, entry_type, debit, sale_id, notes)
+       VALUES (?, ?, 'sale', ?, ?, ?)`,
+      [sale.seller_id, sale.raffle_id, roundMoney(sale.total_amount), sale.id, `${sale.ticket_count} ticket(s)`]
+    );
+    return true;
+  } catch (error) {
+    if (db.isUniqueConstraintError(error)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Credit a seller for a completed refund of one of their sales, reversing its debit
+ * Safe to call more than once for the same refund: only the first call records a credit.
+ *
+ * @param {number} refundId - Refund ID
+ * @returns {Promise<boolean>} - true if a credit was recorded
+ */
+async function recordRefundCredit(refundId) {
+  const refund = await db.get(
+    "SELECT id, sale_id, raffle_id, seller_id, amount, ticket_count, approved_by FROM refunds WHERE id = ? AND status = 'completed'",
+    [refundId]
+  );
+  if (!refund || !(Number(refund.amount) > 0)) {
+    return false;
+  }
+  // Only sales the seller was debited for (not provider payments) are reversed
+  const debit = await db.get("SELECT id FROM seller_ledger WHERE entry_type = 'sale' AND sale_id = ?", [refund.sale_id]);
+  if (!debit) {
+    return false;
+  }
+
+  try {
+    await db.run(
+      `INSERT INTO seller_ledger (seller_id, raffle_id, entry_type, credit, refund_id, notes, recorded_by)
+       VALUES (?, ?, 'refund', ?, ?, ?, ?)`,
+      [refund.seller_id, refund.raffle_id, roundMoney(refund.amount), refund.id,
+        `Refund of ${refund.ticket_count} ticket(s) from sale #${refund.sale_id}`, refund.approved_by]
+    );
+    return true;
+  } catch (error) {
+    if (db.isUniqueConstraintError(error)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record money a seller handed over
+ *
+ * @param {number} sellerId - Seller user ID
+ * @param {Object} input - { amount, method, receipt_number, raffle_id, notes }
+ * @param {string} actor - Phone of the admin recording it
+ * @returns {Promise<Object>} - { entry, balance }
+ */
+async function recordRemittance(sellerId, input = {}, actor = null) {
+  const seller = await getSeller(sellerId);
+
+  const amount = roundMoney(input.amount);
+  if (!(Number(input.amount) > 0) || amount <= 0) {
+    throw serviceError('INVALID_AMOUNT', 'amount must be a positive number');
+  }
+  const method = String(input.method || '').trim().toLowerCase();
+  if (!REMITTANCE_METHODS.includes(method)) {
+    throw serviceError('INVALID_METHOD', `method must be one of: ${REMITTANCE_METHODS.join(', ')}`);
+  }
+  const receiptNumber = String(input.receipt_number || '').trim();
+  if (!receiptNumber) {
+    throw serviceError('RECEIPT_NUMBER_REQUIRED', 'receipt_number is required');
+  }
+
+  let raffleId = null;
+  if (input.raffle_id) {
+    const raffle = await db.get('SELECT id FROM raffles WHERE id = ?', [input.raffle_id]);
+    if (!raffle) {
+      throw serviceError('RAFFLE_NOT_FOUND', 'Raffle not found', 404);
+    }
+    raffleId = raffle.id;
+  }
+
+  let result;
+  try {
+    result = await db.run(
+      `INSERT INTO seller_ledger (seller_id, raffle_id, entry_type, credit, method, receipt_number, notes, recorded_by)
+       VALUES (?, ?, 'remittance', ?, ?, ?, ?, ?)`,
+      [seller.id, raffleId, amount, method, receiptNumber, input.notes ? String(input.notes).trim() : null, actor]
+    );
+  } catch (error) {
+    if (db.isUniqueConstraintError(error)) {
+      throw serviceError('DUPLICATE_RECEIPT_NUMBER', `Receipt ${receiptNumber} is already recorded for this seller`, 409);
+    }
+    throw error;
+  }
+
+  return {
+    entry: await db.get('SELECT * FROM seller_ledger WHERE id = ?', [result.lastID]),
+    balance: await getBalance(seller.id)
+  };
+}
+
+/**
+ * Set or clear a seller's own balance limit
+ *
+ * @param {number} sellerId - Seller user ID
+ * @param {number|null} limit - Limit, or null to fall back to SELLER_BALANCE_LIMIT
+ * @returns {Promise<Object>} - Updated balance
+ */
+async function setBalanceLimit(sellerId, limit) {
+  const seller = await getSeller(sellerId);
+
+  let value = null;
+  if (limit !== null && limit !== undefined && limit !== '') {
+    value = Number(limit);
+    if (!Number.isFinite(value) || value < 0) {
+      throw serviceError('INVALID_LIMIT', 'balance_limit must be a number of zero or more, or null');
+    }
+    value = roundMoney(value);
+  }
+
+  await db.run('UPDATE users SET balance_limit = ? WHERE id = ?', [value, seller.id]);
+  return getBalance(seller.id);
+}
+
+/**
+ * Refuse a sale that would take the seller's balance over their limit
+ * Admins selling tickets themselves have no limit.
+ *
+ * @param {number} sellerId - User ID of the seller
+ * @param {number} amount - Amount the sale will debit
+ * @returns {Promise<void>}
+ */
+async function assertCanSell(sellerId, amount) {
+  const user = await db.get('SELECT role FROM users WHERE id = ?', [sellerId]);
+  if (!user || user.role !== 'seller') {
+    return;
+  }
+  const balance = await getBalance(sellerId);
+  if (balance.balance_limit === null) {
+    return;
+  }
+  const after = roundMoney(balance.outstanding + roundMoney(amount));
+  if (after > balance.balance_limit) {
+    throw serviceError(
+      'BALANCE_LIMIT_EXCEEDED',
+      `This sale would bring what you owe to ${formatMoney(after)}, over your limit of ${formatMoney(balance.balance_limit)}. Hand over the money you collected before selling more tickets.`,
+      409
+    );
+  }
+}
+
+/**
+ * Refuse to allocate tickets to a seller who has reached their balance limit
+ *
+ * @param {number} sellerId - Seller user ID
+ * @returns {Promise<void>}
+ */
+async function assertCanAllocate(sellerId) {
+  const balance = await getBalance(sellerId);
+  if (balance.over_limit) {
+    throw serviceError(
+      'BALANCE_LIMIT_EXCEEDED',
+      `${balance.seller_name} owes ${formatMoney(balance.outstanding)}, at or over their limit of ${formatMoney(balance.balance_limit)}. Record a remittance first.`,
+      409
+    );
+  }
+}
+
+module.exports = {
+  REMITTANCE_METHODS,
+  getBalance,
+  listBalances,
+  getLedger,
+  recordSaleDebit,
+  recordRefundCredit,
+  recordRemittance,
+  setBalanceLimit,
+  assertCanSell,
+  assertCanAllocate
+};
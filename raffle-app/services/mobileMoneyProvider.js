@@ -0,0 +1,214 @@
+/**
+ * Mobile Money Provider - Payments collected from the buyer's mobile wallet
+ *
+ * Implements the payment provider interface (see paymentService) over the
+ * HTTP API of a mobile money aggregator. Starting a payment sends the buyer a
+ * prompt on their phone; the aggregator reports the result with a signed
+ * webhook, and it can also be asked at any time. A payment the buyer made on
+ * their own (they sent money to the merchant number) can be confirmed from the
+ * transaction ID on their confirmation message.
+ *
+ * Expected API (JSON, Authorization: Bearer <key>):
+ *   POST /payments                - { reference, amount, currency, payer_phone, description, callback_url }
+ *   GET  /payments/:id            - the payment
+ *   POST /payments/:id/refunds    - { amount, reason }
+ * A payment is { id, status (pending|succeeded|failed), amount, currency, transaction_id, instructions }.
+ * Webhooks are { id, type, data: <payment> } signed with an X-Signature header:
+ * the hex HMAC-SHA256 of the raw body with the webhook secret.
+ *
+ * Configuration (environment):
+ *   MOBILE_MONEY_API_URL        - Base URL of the aggregator API
+ *   MOBILE_MONEY_API_KEY        - API key
+ *   MOBILE_MONEY_WEBHOOK_SECRET - Webhook signing secret
+ */
+
+const crypto = require('crypto');
+const { serviceError } = require('./serviceError');
+
+// Longest we wait for the aggregator before giving up on a request
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Whether mobile money is configured
+ *
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(
+    process.env.MOBILE_MONEY_API_URL && process.env.MOBILE_MONEY_API_KEY && process.env.MOBILE_MONEY_WEBHOOK_SECRET
+  );
+}
+
+/**
+ * Call the aggregator API
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under MOBILE_MONEY_API_URL
+ * @param {Object} body - JSON body (optional)
+ * @param {string} idempotencyKey - Makes a retried POST return the original result (optional)
+ * @returns {Promise<Object>} - Response body
+ */
+async function request(method, path, body = null, idempotencyKey = null) {
+  if (!isConfigured()) {
+    throw serviceError('PAYMENTS_NOT_CONFIGURED', 'Mobile money payments are not available', 503);
+  }
+
+  const headers = {
+    Authorization: `Bearer ${process.env.MOBILE_MONEY_API_KEY}`,
+    Accept: 'application/json'
+  };
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+  }
+  if (idempotencyKey) {
+    headers['Idempotency-Key'] = idempotencyKey;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${process.env.MOBILE_MONEY_API_URL.replace(/\/+$/, '')}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    console.error(`[MOBILE MONEY] ${method} ${path} failed:`, error.message);
+    throw serviceError('PROVIDER_UNAVAILABLE', 'The mobile money service could not be reached. Please try again.', 502);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 404) {
+    throw serviceError('PAYMENT_NOT_FOUND', 'The mobile money service has no payment with this ID', 404);
+  }
+  if (!response.ok) {
+    console.error(`[MOBILE MONEY] ${method} ${path} returned ${response.status}:`, data.message || data.error || '');
+    throw serviceError('PROVIDER_ERROR', data.message || 'The mobile money service refused the request', 502);
+  }
+  return data;
+}
+
+/**
+ * Describe an aggregator payment as a provider payment
+ *
+ * @param {Object} data - Payment from the API
+ * @returns {Object} - { id, status, transaction_id, amount, currency, instructions }
+ */
+function toPayment(data) {
+  const status = String(data.status || '').toLowerCase();
+  let normalized = 'pending';
+  if (['succeeded', 'successful', 'success', 'completed', 'paid'].includes(status)) {
+    normalized = 'succeeded';
+  } else if (['failed', 'cancelled', 'canceled', 'rejected', 'expired'].includes(status)) {
+    normalized = 'failed';
+  }
+
+  return {
+    id: String(data.id),
+    status: normalized,
+    transaction_id: data.transaction_id ? String(data.transaction_id) : String(data.id),
+    amount: data.amount === undefined || data.amount === null ? null : Number(data.amount),
+    currency: data.currency ? String(data.currency).toLowerCase() : null,
+    redirect_url: data.redirect_url || null,
+    instructions: data.instructions || (normalized === 'pending' ? 'Approve the payment on your phone' : null)
+  };
+}
+
+/**
+ * Start a payment: the buyer gets a prompt on their phone
+ *
+ * @param {Object} payment - { reference, amount, currency, description, payer_phone }
+ * @returns {Promise<Object>} - { id, status, instructions, ... }
+ */
+async function initiate(payment) {
+  if (!payment.payer_phone) {
+    throw serviceError('PAYER_PHONE_REQUIRED', 'The phone number of the mobile money account paying is required');
+  }
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  const data = await request('POST', '/payments', {
+    reference: payment.reference,
+    amount: payment.amount,
+    currency: String(payment.currency).toUpperCase(),
+    payer_phone: payment.payer_phone,
+    description: payment.description,
+    callback_url: `${appUrl}/api/webhooks/mobile_money`
+  }, payment.reference);
+  return toPayment(data);
+}
+
+/**
+ * Ask the aggregator where a payment stands
+ *
+ * @param {string} paymentId - Payment (or transaction) ID
+ * @returns {Promise<Object>}
+ */
+async function confirm(paymentId) {
+  return toPayment(await request('GET', `/payments/${encodeURIComponent(paymentId)}`));
+}
+
+/**
+ * Send money back to the buyer's wallet
+ *
+ * @param {string} transactionId - Transaction to refund
+ * @param {Object} options - { amount (default: all of it), reason, key (idempotency key) }
+ * @returns {Promise<Object>} - { id, status }
+ */
+async function refund(transactionId, { amount = null, reason = null, key = null } = {}) {
+  const data = await request(
+    'POST',
+    `/payments/${encodeURIComponent(transactionId)}/refunds`,
+    { amount, reason },
+    key || `refund-${transactionId}`
+  );
+  const status = String(data.status || '').toLowerCase();
+  return { id: String(data.id), status: ['failed', 'rejected'].includes(status) ? 'failed' : 'succeeded' };
+}
+
+/**
+ * Verify a webhook request and describe its event
+ *
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers (X-Signature)
+ * @returns {Object} - { id, type, payment }
+ */
+function verifyWebhook(rawBody, headers) {
+  if (!isConfigured()) {
+    throw serviceError('PAYMENTS_NOT_CONFIGURED', 'Mobile money payments are not available', 503);
+  }
+  const signature = String(headers['x-signature'] || '').replace(/^sha256=/, '');
+  if (!rawBody || !signature) {
+    throw serviceError('INVALID_SIGNATURE', 'Missing webhook signature');
+  }
+
+  const expected = crypto.createHmac('sha256', process.env.MOBILE_MONEY_WEBHOOK_SECRET).update(rawBody).digest('hex');
+  const given = Buffer.from(signature, 'utf8');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected, 'utf8'))) {
+    throw serviceError('INVALID_SIGNATURE', 'Webhook signature verification failed');
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw serviceError('INVALID_WEBHOOK', 'Webhook body is not valid JSON');
+  }
+  if (!event.data || !event.data.id) {
+    return { id: event.id || null, type: 'ignored', payment: null };
+  }
+
+  const payment = toPayment(event.data);
+  const type = { succeeded: 'payment.succeeded', failed: 'payment.failed' }[payment.status] || 'ignored';
+  return { id: event.id || null, type, payment: type === 'ignored' ? null : payment };
+}
+
+module.exports = {
+  name: 'mobile_money',
+  label: 'Mobile Money',
+  paymentMethod: 'mobile_money',
+  requiresPhone: true,
+  isConfigured,
+  initiate,
+  confirm,
+  refund,
+  verifyWebhook
+};
@@ -0,0 +1,704 @@
+/**
+ * Online Purchase Service - Public ticket purchases paid through a payment provider
+ *
+ * A buyer picks a raffle, a category and how many tickets they want. An
+ * online order is created (status 'pending') and a payment is started with
+ * the provider they chose (paymentService): Stripe sends them to its Checkout
+ * page, mobile money prompts them on their phone. While they pay, the
+ * order's tickets are reserved for it (reservationService, owner order:<id>)
+ * for ONLINE_HOLD_MINUTES. When the provider reports the payment (webhook, or
+ * the buyer's order page asking), the held tickets are sold to the buyer as
+ * one sale, already verified; if the hold ran out, the next AVAILABLE tickets
+ * of the category are used instead. If there are not enough tickets left by
+ * then, or the raffle is no longer on sale, nothing is sold and the payment
+ * is refunded automatically. A failed or expired payment releases the hold
+ * straight away.
+ *
+ * Order statuses:
+ *   pending       - waiting for the buyer to pay
+ *   processing    - payment received, tickets being assigned
+ *   fulfilled     - tickets sold (sale_id)
+ *   refunded      - could not be fulfilled, payment refunded (failure_reason)
+ *   refund_failed - could not be fulfilled and the refund failed: refund by hand
+ *   expired       - the buyer never paid
+ *   failed        - the payment could not be started, or was declined
+ *
+ * Webhooks are safe to replay: only the first delivery moves an order out of
+ * 'pending'. An order left in 'processing' by a crash or restart is picked
+ * up by recoverStaleOrders, which runs every few minutes. Online sales have
+ * no seller (sales.seller_id = ONLINE_SELLER.id), so they earn no commission
+ * and do not touch any seller's cash ledger.
+ * Tickets inside an active seller allocation are never sold online.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const saleService = require('./saleService');
+const paymentService = require('./paymentService');
+const receiptService = require('./receiptService');
+const reservationService = require('./reservationService');
+const raffleLifecycleService = require('./raffleLifecycleService');
+const { serviceError } = require('./serviceError');
+
+// Most tickets one online order can include
+const MAX_ONLINE_TICKETS = 20;
+
+// How long an order's tickets are held while the buyer pays
+const ONLINE_HOLD_MINUTES = Number(process.env.ONLINE_HOLD_MINUTES) || 30;
+
+// How long an order can sit in 'processing' before it is taken to have been
+// interrupted (a crash or restart part-way through fulfilment)
+const STALE_PROCESSING_MINUTES = 10;
+
+// Stands in for the seller on online sales
+const ONLINE_SELLER = { id: 0, name: 'Online' };
+
+// Tickets (aliased t) of a raffle category that can be sold online
+const ONLINE_AVAILABLE_FILTER = `t.raffle_id = ? AND t.category = ? AND t.status = 'AVAILABLE'
+  AND NOT EXISTS (
+    SELECT 1 FROM seller_allocations a
+    WHERE a.raffle_id = t.raffle_id AND a.status = 'active' AND LENGTH(t.barcode) = 8
+      AND a.start_barcode <= t.barcode AND a.end_barcode >= t.barcode
+  )`;
+
+/**
+ * Count the tickets of a category that can be sold online
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {string} category - Category code
+ * @returns {Promise<number>}
+ */
+async function countAvailable(raffleId, category) {
+  const row = await db.get(`SELECT COUNT(*) as count FROM tickets t WHERE ${ONLINE_AVAILABLE_FILTER}`, [raffleId, category]);
+  return Number(row.count) || 0;
+}
+
+/**
+ * List the raffles on sale online, with the price and availability of each category
+ *
+ * @returns {Promise<Array>} - [{ id, name, draw_date, categories: [{ code, name, price, available }] }]
+ */
+async function listPublicRaffles() {
+  const raffles = await db.all("SELECT id, name, description, draw_date FROM raffles WHERE status = 'on_sale' ORDER BY id");
+  for (const raffle of raffles) {
+    const categories = await db.all(
+      'SELECT category_code, category_name, price, color FROM ticket_categories WHERE raffle_id = ? ORDER BY price, category_code',
+      [raffle.id]
+    );
+    raffle.categories = [];
+    for (const category of categories) {
+      raffle.categories.push({
+        code: category.category_code,
+        name: category.category_name,
+        price: Number(category.price),
+        color: category.color,
+        available: Math.min(await countAvailable(raffle.id, category.category_code), MAX_ONLINE_TICKETS)
+      });
+    }
+  }
+  return raffles;
+}
+
+/**
+ * Validate a purchase request
+ *
+ * @param {Object} input - { raffle_id, category, quantity, buyer_name, buyer_email, buyer_phone, payment_provider }
+ * @returns {Object} - Normalized purchase
+ */
+function validatePurchase(input) {
+  const raffleId = parseInt(input.raffle_id, 10);
+  const category = String(input.category || '').trim().toUpperCase();
+  if (!Number.isInteger(raffleId) || raffleId < 1 || !category) {
+    throw serviceError('INVALID_PURCHASE', 'raffle_id and category are required');
+  }
+
+  const quantity = input.quantity === undefined ? 1 : Number(input.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ONLINE_TICKETS) {
+    throw serviceError('INVALID_QUANTITY', `quantity must be between 1 and ${MAX_ONLINE_TICKETS}`);
+  }
+
+  const buyerName = String(input.buyer_name || '').trim();
+  if (buyerName.length < 2 || buyerName.length > 100) {
+    throw serviceError('INVALID_BUYER_NAME', 'Enter the buyer name (2-100 characters)');
+  }
+
+  const buyerEmail = String(input.buyer_email || '').trim().toLowerCase();
+  if (!saleService.EMAIL_PATTERN.test(buyerEmail)) {
+    throw serviceError('INVALID_EMAIL', 'A valid email address is required to receive the tickets');
+  }
+
+  let buyerPhone = null;
+  if (input.buyer_phone) {
+    buyerPhone = saleService.normalizePhone(input.buyer_phone);
+    if (!buyerPhone) {
+      throw serviceError('INVALID_PHONE', 'Phone number is not valid');
+    }
+  }
+
+  const provider = input.payment_provider
+    ? paymentService.getProvider(input.payment_provider)
+    : paymentService.getDefaultProvider();
+  if (provider.requiresPhone && !buyerPhone) {
+    throw serviceError('INVALID_PHONE', `Enter the phone number of the ${provider.label} account paying`);
+  }
+
+  return { raffleId, category, quantity, buyerName, buyerEmail, buyerPhone, provider };
+}
+
+/**
+ * Start an online purchase: create the order and start its payment
+ *
+ * checkout_url is where to send the buyer: the provider's payment page, or the
+ * order page when the provider asks the buyer on their phone. Payments that
+ * succeed at once (the simulator) are fulfilled straight away; fulfilled_sale_id
+ * is then set so the caller can send the receipt.
+ *
+ * @param {Object} input - { raffle_id, category, quantity, buyer_name, buyer_email, buyer_phone, payment_provider }
+ * @returns {Promise<Object>} - { order_token, checkout_url, status, instructions, fulfilled_sale_id }
+ */
+async function startCheckout(input = {}) {
+  if (!paymentService.getDefaultProvider()) {
+    throw serviceError('PAYMENTS_NOT_CONFIGURED', 'Online payments are not available', 503);
+  }
+  const purchase = validatePurchase(input);
+
+  const raffle = await db.get("SELECT id, name FROM raffles WHERE id = ? AND status = 'on_sale'", [purchase.raffleId]);
+  if (!raffle) {
+    throw serviceError('RAFFLE_NOT_FOUND', 'This raffle is not on sale', 404);
+  }
+  const category = await db.get(
+    'SELECT category_code, category_name, price FROM ticket_categories WHERE raffle_id = ? AND category_code = ?',
+    [raffle.id, purchase.category]
+  );
+  if (!category) {
+    throw serviceError('CATEGORY_NOT_FOUND', 'This ticket category does not exist', 404);
+  }
+
+  const available = await countAvailable(raffle.id, category.category_code);
+  if (available < purchase.quantity) {
+    throw serviceError(
+      'SOLD_OUT',
+      available === 0 ? 'This category is sold out' : `Only ${available} ticket(s) of this category are left`,
+      409
+    );
+  }
+
+  const unitPrice = Number(category.price);
+  const token = crypto.randomBytes(24).toString('base64url');
+  const result = await db.run(
+    `INSERT INTO online_orders
+     (order_token, raffle_id, category, quantity, unit_price, total_amount, currency, buyer_name, buyer_phone, buyer_email,
+      payment_provider)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      token, raffle.id, category.category_code, purchase.quantity, unitPrice,
+      Math.round(unitPrice * purchase.quantity * 100) / 100, paymentService.getCurrency(),
+      purchase.buyerName, purchase.buyerPhone, purchase.buyerEmail, purchase.provider.name
+    ]
+  );
+  const order = await db.get('SELECT * FROM online_orders WHERE id = ?', [result.lastID]);
+
+  if (await holdTickets(order) < order.quantity) {
+    await reservationService.releaseHolds(reservationService.orderOwner(order.id));
+    await db.run(
+      "UPDATE online_orders SET status = 'failed', failure_reason = 'SOLD_OUT', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [order.id]
+    );
+    throw serviceError('SOLD_OUT', 'These tickets were just taken. Please try again.', 409);
+  }
+
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  const orderUrl = `${appUrl}/buy.html?order=${token}`;
+  let payment;
+  try {
+    payment = await paymentService.startPayment(purchase.provider.name, {
+      purpose: 'online',
+      reference: `order-${order.id}`,
+      amount: Number(order.total_amount),
+      quantity: order.quantity,
+      unit_amount: unitPrice,
+      description: `${raffle.name} - ${category.category_name || category.category_code} ticket`,
+      payer_phone: order.buyer_phone,
+      payer_email: order.buyer_email,
+      success_url: orderUrl,
+      cancel_url: `${orderUrl}&cancelled=1`,
+      metadata: { order_id: String(order.id) }
+    });
+  } catch (error) {
+    console.error(`[CHECKOUT] Could not start ${purchase.provider.name} payment:`, error.message);
+    await reservationService.releaseHolds(reservationService.orderOwner(order.id));
+    await db.run(
+      "UPDATE online_orders SET status = 'failed', failure_reason = 'CHECKOUT_FAILED', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [order.id]
+    );
+    throw serviceError('CHECKOUT_FAILED', 'Could not start the payment. Please try again.', 502);
+  }
+
+  await db.run(
+    'UPDATE online_orders SET payment_reference = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [payment.id, order.id]
+  );
+  order.payment_reference = payment.id;
+
+  const settled = await applyPayment(order, payment);
+  return {
+    order_token: token,
+    checkout_url: payment.redirect_url || orderUrl,
+    status: settled.status || 'pending',
+    instructions: payment.instructions || null,
+    fulfilled_sale_id: settled.status === 'fulfilled' && !settled.replayed ? settled.sale_id : null
+  };
+}
+
+/**
+ * Reserve the tickets of a new order while the buyer pays
+ * Tickets taken by someone else in the meantime are skipped.
+ *
+ * @param {Object} order - Online order
+ * @returns {Promise<number>} - Tickets held
+ */
+async function holdTickets(order) {
+  const hold = {
+    owner: reservationService.orderOwner(order.id),
+    owner_name: `Online order #${order.id}`,
+    reason: 'Online checkout',
+    until: db.toDbTimestamp(new Date(Date.now() + ONLINE_HOLD_MINUTES * 60 * 1000))
+  };
+  let held = 0;
+  for (;;) {
+    const candidates = await db.all(
+      `SELECT t.id FROM tickets t WHERE ${ONLINE_AVAILABLE_FILTER} ORDER BY t.barcode, t.id LIMIT ?`,
+      [order.raffle_id, order.category, order.quantity - held]
+    );
+    if (candidates.length === 0) {
+      return held;
+    }
+    for (const candidate of candidates) {
+      if (await reservationService.holdTicket(candidate.id, hold)) {
+        held++;
+      }
+    }
+    if (held >= order.quantity) {
+      return held;
+    }
+  }
+}
+
+/**
+ * Put back the tickets of an online sale that could not be completed, and delete it
+ *
+ * @param {number} saleId - Sale ID
+ * @returns {Promise<void>}
+ */
+async function releaseSale(saleId) {
+  await db.run(
+    `UPDATE tickets
+     SET status = 'AVAILABLE', sale_id = NULL, seller_name = NULL, buyer_name = NULL, buyer_phone = NULL,
+         buyer_email = NULL, payment_method = NULL, payment_verified = ${db.USE_POSTGRES ? 'FALSE' : '0'},
+         payment_provider = NULL, provider_transaction_id = NULL, actual_price_paid = NULL, amount = NULL, sold_at = NULL
+     WHERE sale_id = ? AND status = 'SOLD'`,
+    [saleId]
+  );
+  await paymentService.releaseSale(saleId);
+  await db.run('DELETE FROM sales WHERE id = ?', [saleId]);
+}
+
+/**
+ * Assign the order's held tickets to its sale, then (if the hold ran out and
+ * some were taken) the next AVAILABLE tickets of its category
+ * Tickets taken by someone else in the meantime are skipped.
+ *
+ * @param {Object} order - Online order
+ * @param {number} saleId - Sale the tickets join
+ * @returns {Promise<number>} - Tickets assigned
+ */
+async function assignTickets(order, saleId) {
+  const owner = reservationService.orderOwner(order.id);
+  let assigned = 0;
+  for (;;) {
+    const needed = order.quantity - assigned;
+    const candidates = await db.all(
+      `SELECT t.id FROM tickets t
+       WHERE (t.status = 'RESERVED' AND t.reservation_owner = ?) OR (${ONLINE_AVAILABLE_FILTER})
+       ORDER BY CASE WHEN t.status = 'RESERVED' THEN 0 ELSE 1 END, t.barcode, t.id LIMIT ?`,
+      [owner, order.raffle_id, order.category, needed]
+    );
+    if (candidates.length === 0) {
+      return assigned;
+    }
+
+    for (const candidate of candidates) {
+      const takeable = reservationService.takeableCondition(owner);
+      const result = await db.run(
+        `UPDATE tickets
+         SET status = 'SOLD', sale_id = ?, seller_name = ?, buyer_name = ?, buyer_phone = ?, buyer_email = ?,
+             payment_method = ?, payment_provider = ?, provider_transaction_id = ?,
+             payment_verified = ${db.USE_POSTGRES ? 'TRUE' : '1'}, actual_price_paid = ?, amount = ?, sold_at = CURRENT_TIMESTAMP,
+             ${reservationService.CLEAR_RESERVATION}
+         WHERE id = ? AND ${takeable.sql}`,
+        [
+          saleId, ONLINE_SELLER.name, order.buyer_name, order.buyer_phone, order.buyer_email,
+          paymentService.getProvider(order.payment_provider).paymentMethod, order.payment_provider,
+          order.provider_transaction_id, order.unit_price, order.unit_price, candidate.id, ...takeable.params
+        ]
+      );
+      assigned += result.changes;
+    }
+    if (assigned >= order.quantity) {
+      return assigned;
+    }
+  }
+}
+
+/**
+ * Refund an order that could not be fulfilled
+ *
+ * @param {Object} order - Online order (with payment_reference)
+ * @param {string} reason - Failure reason code
+ * @returns {Promise<Object>} - { order_id, status, reason }
+ */
+async function refundOrder(order, reason) {
+  await reservationService.releaseHolds(reservationService.orderOwner(order.id));
+  try {
+    const refund = await paymentService.refundPayment(order.payment_provider, order.payment_reference, {
+      reason,
+      key: `refund-order-${order.id}`
+    });
+    await db.run(
+      "UPDATE online_orders SET status = 'refunded', refund_id = ?, failure_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [refund.id, reason, order.id]
+    );
+    console.log(`[CHECKOUT] Order #${order.id} refunded (${reason})`);
+    return { order_id: order.id, status: 'refunded', reason };
+  } catch (error) {
+    console.error(`[CHECKOUT] Order #${order.id} could not be fulfilled (${reason}) and the refund failed:`, error.message);
+    await db.run(
+      "UPDATE online_orders SET status = 'refund_failed', failure_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [reason, order.id]
+    );
+    return { order_id: order.id, status: 'refund_failed', reason };
+  }
+}
+
+/**
+ * Fulfil a paid order: sell the tickets, or refund if that is not possible
+ *
+ * @param {Object} order - Online order
+ * @param {Object} payment - Provider payment (status succeeded)
+ * @returns {Promise<Object>} - { order_id, status, sale_id, replayed }
+ */
+async function fulfillOrder(order, payment) {
+  // Only the first report of the payment gets past this point
+  const claimed = await db.run(
+    "UPDATE online_orders SET status = 'processing', provider_transaction_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+    [payment.transaction_id, order.id]
+  );
+  if (claimed.changes === 0) {
+    const current = await db.get('SELECT status, sale_id FROM online_orders WHERE id = ?', [order.id]);
+    return { order_id: order.id, status: current.status, sale_id: current.sale_id, replayed: true };
+  }
+  order = { ...order, provider_transaction_id: payment.transaction_id };
+
+  if (payment.amount !== undefined && payment.amount !== null &&
+      Math.round(Number(payment.amount) * 100) !== Math.round(Number(order.total_amount) * 100)) {
+    return refundOrder(order, 'AMOUNT_MISMATCH');
+  }
+  // The raffle closed while the buyer was paying
+  if (await raffleLifecycleService.checkAction(order.raffle_id, 'sell')) {
+    return refundOrder(order, 'RAFFLE_NOT_ON_SALE');
+  }
+
+  const provider = paymentService.getProvider(order.payment_provider);
+  let saleId;
+  try {
+    const sale = await db.run(
+      `INSERT INTO sales
+       (raffle_id, seller_id, seller_name, buyer_name, buyer_phone, buyer_email, payment_method,
+        payment_provider, provider_transaction_id, ticket_count, total_amount, status, client_sale_id,
+        payment_status, payment_reviewed_by, payment_reviewed_at, payment_notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, 'verified', ?, CURRENT_TIMESTAMP, ?)`,
+      [
+        order.raffle_id, ONLINE_SELLER.id, ONLINE_SELLER.name, order.buyer_name, order.buyer_phone, order.buyer_email,
+        provider.paymentMethod, provider.name, payment.transaction_id, order.quantity, order.total_amount,
+        `${provider.name}:${payment.id}`, provider.name, `${provider.label} payment ${payment.transaction_id}`
+      ]
+    );
+    saleId = sale.lastID;
+    await paymentService.claimForSale(provider.name, payment.id, saleId);
+
+    const assigned = await assignTickets(order, saleId);
+    if (assigned < order.quantity) {
+      await releaseSale(saleId);
+      return refundOrder(order, 'SOLD_OUT');
+    }
+
+    await db.run("UPDATE sales SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = ?", [saleId]);
+    await db.run(
+      "UPDATE online_orders SET status = 'fulfilled', sale_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [saleId, order.id]
+    );
+  } catch (error) {
+    // Undo and let the provider report the payment again
+    if (saleId) {
+      await releaseSale(saleId);
+    }
+    await db.run("UPDATE online_orders SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE id = ?", [order.id]);
+    throw error;
+  }
+
+  console.log(`[CHECKOUT] Order #${order.id} fulfilled as sale #${saleId} (${order.quantity} ticket(s))`);
+  return { order_id: order.id, status: 'fulfilled', sale_id: saleId, replayed: false };
+}
+
+/**
+ * Close an order whose payment will never arrive
+ *
+ * @param {Object} order - Online order
+ * @param {string} status - 'expired' or 'failed'
+ * @returns {Promise<Object>} - { order_id, status }
+ */
+async function closeOrder(order, status) {
+  const result = await db.run(
+    `UPDATE online_orders SET status = ?, failure_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'`,
+    [status, status === 'failed' ? 'PAYMENT_FAILED' : null, order.id]
+  );
+  if (result.changes > 0) {
+    await reservationService.releaseHolds(reservationService.orderOwner(order.id));
+  }
+  return { order_id: order.id, status: result.changes > 0 ? status : 'ignored' };
+}
+
+/**
+ * Act on what the provider says about an order's payment
+ *
+ * @param {Object} order - Online order
+ * @param {Object} payment - Provider payment
+ * @param {string} type - Event type (default: from the payment status)
+ * @returns {Promise<Object>} - { order_id, status, sale_id, replayed }
+ */
+async function applyPayment(order, payment, type = `payment.${payment.status}`) {
+  switch (type) {
+    case 'payment.succeeded':
+      return fulfillOrder(order, payment);
+    case 'payment.failed':
+      return closeOrder(order, 'failed');
+    case 'payment.expired':
+      return closeOrder(order, 'expired');
+    default:
+      return { order_id: order.id, status: order.status };
+  }
+}
+
+/**
+ * Handle a verified payment webhook
+ *
+ * @param {Object} event - Event from paymentService.receiveWebhook: { id, type, payment, provider }
+ * @returns {Promise<Object>} - What happened: { order_id, status, sale_id, replayed }
+ */
+async function handlePaymentEvent(event) {
+  if (!event.payment || event.type === 'ignored') {
+    return { status: 'ignored', reason: 'UNHANDLED_EVENT' };
+  }
+  const order = await db.get(
+    'SELECT * FROM online_orders WHERE payment_provider = ? AND payment_reference = ?',
+    [event.provider, event.payment.id]
+  );
+  if (!order) {
+    // Payments for seller sales are picked up when the seller confirms them
+    return { status: 'ignored', reason: 'ORDER_NOT_FOUND' };
+  }
+  return applyPayment(order, event.payment, event.type);
+}
+
+/**
+ * Recover an order whose fulfilment was interrupted
+ *
+ * A sale that was completed is kept and the order marked fulfilled. A sale
+ * left part-way is put back. An order whose payment was already refunded
+ * ends as refunded. Anything else goes back to 'pending' and the provider is
+ * asked about the payment again, so the order is fulfilled or refunded as if
+ * the payment had just been reported; if the provider cannot be reached, the
+ * next webhook delivery or visit to the order page picks it up.
+ *
+ * @param {Object} order - Online order (status processing)
+ * @param {string} cutoff - Only recover it if it has not moved since (database timestamp)
+ * @returns {Promise<Object|null>} - { order_id, status, sale_id, recovered }, or null if it moved on meanwhile
+ */
+async function recoverOrder(order, cutoff) {
+  // Touch the order first, so a second sweep leaves it alone
+  const taken = await db.run(
+    "UPDATE online_orders SET updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'processing' AND updated_at < ?",
+    [order.id, cutoff]
+  );
+  if (taken.changes === 0) {
+    return null;
+  }
+
+  const provider = paymentService.getProvider(order.payment_provider);
+  const sale = await db.get(
+    'SELECT id, status FROM sales WHERE client_sale_id = ?',
+    [`${provider.name}:${order.payment_reference}`]
+  );
+  if (sale && sale.status === 'completed') {
+    await db.run(
+      "UPDATE online_orders SET status = 'fulfilled', sale_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [sale.id, order.id]
+    );
+    console.log(`[CHECKOUT] Order #${order.id} recovered: sale #${sale.id} was already completed`);
+    return { order_id: order.id, status: 'fulfilled', sale_id: sale.id, recovered: 'completed' };
+  }
+  if (sale) {
+    await releaseSale(sale.id);
+  }
+
+  const transaction = await paymentService.getTransaction(provider.name, order.payment_reference);
+  if (transaction && transaction.refund_id) {
+    // The refund went through but was not recorded on the order
+    await reservationService.releaseHolds(reservationService.orderOwner(order.id));
+    await db.run(
+      "UPDATE online_orders SET status = 'refunded', refund_id = ?, failure_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [transaction.refund_id, order.failure_reason || 'INTERRUPTED', order.id]
+    );
+    console.log(`[CHECKOUT] Order #${order.id} recovered: already refunded`);
+    return { order_id: order.id, status: 'refunded', sale_id: null, recovered: 'refunded' };
+  }
+
+  await db.run(
+    "UPDATE online_orders SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'processing'",
+    [order.id]
+  );
+  const payment = await paymentService.checkPayment(provider.name, order.payment_reference);
+  const settled = await applyPayment({ ...order, status: 'pending' }, payment);
+  console.log(`[CHECKOUT] Order #${order.id} recovered: ${settled.status}`);
+  return { ...settled, recovered: 'resumed' };
+}
+
+/**
+ * Recover orders left in 'processing' by an interrupted fulfilment
+ *
+ * Run every few minutes. Orders still processing after
+ * STALE_PROCESSING_MINUTES are recovered one at a time (recoverOrder); one
+ * that cannot be recovered now is logged and tried again on the next run.
+ *
+ * @param {number} minutes - How long an order must have been processing (default STALE_PROCESSING_MINUTES)
+ * @returns {Promise<Array>} - Results of the orders recovered
+ */
+async function recoverStaleOrders(minutes = STALE_PROCESSING_MINUTES) {
+  const cutoff = db.toDbTimestamp(new Date(Date.now() - minutes * 60 * 1000));
+  const stale = await db.all(
+    "SELECT * FROM online_orders WHERE status = 'processing' AND updated_at < ? ORDER BY id",
+    [cutoff]
+  );
+
+  const results = [];
+  for (const order of stale) {
+    try {
+      const result = await recoverOrder(order, cutoff);
+      if (result) {
+        results.push(result);
+      }
+    } catch (error) {
+      console.error(`[CHECKOUT] Could not recover order #${order.id}:`, error.message);
+    }
+  }
+  return results;
+}
+
+/**
+ * Load an order by its token
+ *
+ * @param {string} token - Order token
+ * @returns {Promise<Object|null>}
+ */
+async function findOrderByToken(token) {
+  if (!/^[A-Za-z0-9_-]{32}$/.test(String(token || ''))) {
+    return null;
+  }
+  return db.get(
+    `SELECT o.*, r.name as raffle_name FROM online_orders o
+     LEFT JOIN raffles r ON r.id = o.raffle_id
+     WHERE o.order_token = ?`,
+    [token]
+  );
+}
+
+/**
+ * Get an order for the buyer, from the token in their return link
+ *
+ * While the order waits for its payment, the provider is asked where it
+ * stands, so the order completes even if the webhook is late or lost.
+ * fulfilled_sale_id is set when this call fulfilled it.
+ *
+ * @param {string} token - Order token
+ * @returns {Promise<Object>} - { status, raffle_name, category, quantity, total_amount, tickets, receipt_url, fulfilled_sale_id }
+ */
+async function getOrderByToken(token) {
+  let order = await findOrderByToken(token);
+  if (!order) {
+    throw serviceError('ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  let fulfilledSaleId = null;
+  if (order.status === 'pending' && order.payment_reference) {
+    try {
+      const payment = await paymentService.checkPayment(order.payment_provider, order.payment_reference);
+      const settled = await applyPayment(order, payment);
+      if (settled.status === 'fulfilled' && !settled.replayed) {
+        fulfilledSaleId = settled.sale_id;
+      }
+      order = await findOrderByToken(token);
+    } catch (error) {
+      console.warn(`[CHECKOUT] Could not check the payment of order #${order.id}:`, error.message);
+    }
+  }
+
+  const result = {
+    status: order.status,
+    payment_provider: order.payment_provider,
+    raffle_name: order.raffle_name,
+    category: order.category,
+    quantity: order.quantity,
+    total_amount: Number(order.total_amount),
+    currency: order.currency,
+    tickets: [],
+    receipt_url: null,
+    fulfilled_sale_id: fulfilledSaleId
+  };
+  if (order.status === 'fulfilled' && order.sale_id) {
+    result.tickets = (await db.all(
+      'SELECT ticket_number FROM tickets WHERE sale_id = ? ORDER BY ticket_number',
+      [order.sale_id]
+    )).map(ticket => ticket.ticket_number);
+    result.receipt_url = await receiptService.getReceiptLink(order.sale_id);
+  }
+  return result;
+}
+
+/**
+ * List online orders, newest first (admin)
+ *
+ * @param {Object} filters - { status, limit }
+ * @returns {Promise<Array>}
+ */
+async function listOrders({ status = null, limit = 100 } = {}) {
+  const rowLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+  return db.all(
+    `SELECT id, raffle_id, category, quantity, total_amount, currency, buyer_name, buyer_email, buyer_phone,
+            status, sale_id, payment_provider, payment_reference, provider_transaction_id, refund_id, failure_reason,
+            created_at, updated_at
+     FROM online_orders ${status ? 'WHERE status = ?' : ''}
+     ORDER BY id DESC LIMIT ${rowLimit}`,
+    status ? [status] : []
+  );
+}
+
+module.exports = {
+  MAX_ONLINE_TICKETS,
+  ONLINE_SELLER,
+  listPublicRaffles,
+  startCheckout,
+  handlePaymentEvent,
+  recoverStaleOrders,
+  getOrderByToken,
+  listOrders
+};
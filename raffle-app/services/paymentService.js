@@ -0,0 +1,388 @@
+/**
+ * Payment Service - Payment providers and the payments taken through them
+ *
+ * A payment provider moves money on behalf of the raffle: Stripe (cards),
+ * mobile money, or the simulator used in development. Each one is a module
+ * exposing the same interface:
+ *
+ *   name, label        - ID used in requests and URLs / name shown to people
+ *   paymentMethod      - sales.payment_method recorded for its payments
+ *   requiresPhone      - whether initiate needs the payer's phone number
+ *   isConfigured()     - whether its environment variables are set
+ *   initiate(payment)  - start a payment { reference, amount, currency, description, payer_phone, ... }
+ *   confirm(id)        - where a payment stands
+ *   refund(transactionId, { amount, reason, key })
+ *   verifyWebhook(rawBody, headers) - check the signature, return { id, type, payment }
+ *
+ * Payments are described the same way whatever the provider:
+ * { id, status (pending|succeeded|failed), transaction_id, amount, currency,
+ *   redirect_url, instructions }. Every payment started or confirmed is kept
+ * in payment_transactions; one payment pays for at most one sale, and the
+ * provider's transaction ID is copied onto each ticket it paid for.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const stripeProvider = require('./stripeProvider');
+const mobileMoneyProvider = require('./mobileMoneyProvider');
+const simulatedProvider = require('./simulatedProvider');
+const { serviceError } = require('./serviceError');
+
+// Every provider the app knows, in the order they are offered
+const PROVIDERS = [stripeProvider, mobileMoneyProvider, simulatedProvider];
+
+/**
+ * Convert an amount to cents, for comparisons
+ *
+ * @param {number} amount
+ * @returns {number}
+ */
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * Currency of every payment (lowercase ISO code)
+ * PAYMENT_CURRENCY, or STRIPE_CURRENCY for older configurations; default usd.
+ *
+ * @returns {string}
+ */
+function getCurrency() {
+  return (process.env.PAYMENT_CURRENCY || process.env.STRIPE_CURRENCY || 'usd').toLowerCase();
+}
+
+/**
+ * Get a configured provider by name
+ *
+ * @param {string} name - Provider name (stripe, mobile_money, simulated)
+ * @returns {Object} - Provider module
+ */
+function getProvider(name) {
+  const provider = PROVIDERS.find(p => p.name === String(name || '').trim().toLowerCase());
+  if (!provider || !provider.isConfigured()) {
+    const available = PROVIDERS.filter(p => p.isConfigured()).map(p => p.name);
+    throw serviceError(
+      'PROVIDER_NOT_AVAILABLE',
+      available.length > 0
+        ? `Payment provider must be one of: ${available.join(', ')}`
+        : 'No payment provider is configured'
+    );
+  }
+  return provider;
+}
+
+/**
+ * List the configured providers
+ *
+ * @returns {Array<Object>} - [{ name, label, payment_method, requires_phone }]
+ */
+function listProviders() {
+  return PROVIDERS.filter(p => p.isConfigured()).map(p => ({
+    name: p.name,
+    label: p.label,
+    payment_method: p.paymentMethod,
+    requires_phone: p.requiresPhone
+  }));
+}
+
+/**
+ * Provider online purchases use when the buyer does not pick one
+ * ONLINE_PAYMENT_PROVIDER, or the first configured provider.
+ *
+ * @returns {Object|null} - Provider module, or null if none is configured
+ */
+function getDefaultProvider() {
+  const preferred = PROVIDERS.find(p => p.name === process.env.ONLINE_PAYMENT_PROVIDER && p.isConfigured());
+  return preferred || PROVIDERS.find(p => p.isConfigured()) || null;
+}
+
+/**
+ * Get the stored record of a payment
+ *
+ * @param {string} providerName - Provider name
+ * @param {string} paymentId - Provider payment ID
+ * @returns {Promise<Object|undefined>}
+ */
+async function getTransaction(providerName, paymentId) {
+  return db.get('SELECT * FROM payment_transactions WHERE provider = ? AND payment_id = ?', [providerName, paymentId]);
+}
+
+/**
+ * Store what a provider said about a payment (creating the record on first sight)
+ *
+ * @param {string} providerName - Provider name
+ * @param {Object} payment - Provider payment { id, status, transaction_id, amount, currency }
+ * @param {Object} context - Used when the record is created: { purpose, reference, amount, payer_phone, created_by }
+ * @returns {Promise<Object>} - Stored record
+ */
+async function recordPayment(providerName, payment, context = {}) {
+  const existing = await getTransaction(providerName, payment.id);
+  if (existing) {
+    // A refunded payment stays refunded whatever the provider still reports
+    if (!['refunded', 'partially_refunded'].includes(existing.status)) {
+      await db.run(
+        `UPDATE payment_transactions
+         SET status = ?, transaction_id = COALESCE(?, transaction_id), amount = COALESCE(?, amount), updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [payment.status, payment.transaction_id || null, payment.amount, existing.id]
+      );
+    }
+    return db.get('SELECT * FROM payment_transactions WHERE id = ?', [existing.id]);
+  }
+
+  try {
+    const result = await db.run(
+      `INSERT INTO payment_transactions
+       (provider, payment_id, transaction_id, purpose, reference, amount, currency, payer_phone, status, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        providerName, payment.id, payment.transaction_id || null, context.purpose || null, context.reference || null,
+        payment.amount !== null && payment.amount !== undefined ? payment.amount : context.amount,
+        payment.currency || getCurrency(), context.payer_phone || null, payment.status, context.created_by || null
+      ]
+    );
+    return db.get('SELECT * FROM payment_transactions WHERE id = ?', [result.lastID]);
+  } catch (error) {
+    // Recorded by a concurrent request (e.g. the webhook) in the meantime
+    if (db.isUniqueConstraintError(error)) {
+      return recordPayment(providerName, payment, context);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Start a payment with a provider
+ *
+ * @param {string} providerName - Provider name
+ * @param {Object} payment - { purpose, reference, amount, description, payer_phone, payer_email, quantity, unit_amount, success_url, cancel_url, metadata, created_by }
+ * @returns {Promise<Object>} - Provider payment, plus provider and transaction (stored record)
+ */
+async function startPayment(providerName, payment) {
+  const provider = getProvider(providerName);
+  if (provider.requiresPhone && !payment.payer_phone) {
+    throw serviceError('PAYER_PHONE_REQUIRED', `${provider.label} needs the phone number of the account paying`);
+  }
+
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  const result = await provider.initiate({
+    ...payment,
+    currency: getCurrency(),
+    success_url: payment.success_url || `${appUrl}/`,
+    cancel_url: payment.cancel_url || `${appUrl}/`
+  });
+  const transaction = await recordPayment(provider.name, result, payment);
+  return { ...result, provider: provider.name, transaction };
+}
+
+/**
+ * Ask a provider where a payment stands, and store the answer
+ *
+ * @param {string} providerName - Provider name
+ * @param {string} paymentId - Provider payment ID
+ * @param {Object} context - Used if the payment was never seen before: { purpose, reference, payer_phone, created_by }
+ * @returns {Promise<Object>} - Provider payment, plus provider and transaction (stored record)
+ */
+async function checkPayment(providerName, paymentId, context = {}) {
+  const provider = getProvider(providerName);
+  const result = await provider.confirm(String(paymentId).trim());
+  const transaction = await recordPayment(provider.name, result, context);
+  return { ...result, provider: provider.name, transaction };
+}
+
+/**
+ * Take the payment for a sale made by a seller
+ *
+ * With provider_payment_id the seller confirms a payment already started (or
+ * one the buyer made on their own); otherwise a new payment is started. The
+ * sale can only go ahead once the payment has succeeded, for exactly the sale
+ * amount, and has not paid for another sale.
+ *
+ * @param {Object} input - { payment_provider, provider_payment_id, payer_phone }
+ * @param {Object} sale - { amount, reference, description, actor }
+ * @returns {Promise<Object>} - Stored payment record (status succeeded)
+ */
+async function collectSalePayment(input, sale) {
+  const provider = getProvider(input.payment_provider);
+  const context = {
+    purpose: 'sale',
+    reference: sale.reference,
+    amount: sale.amount,
+    payer_phone: input.payer_phone || null,
+    created_by: sale.actor
+  };
+
+  const payment = input.provider_payment_id
+    ? await checkPayment(provider.name, input.provider_payment_id, context)
+    : await startPayment(provider.name, { ...context, description: sale.description });
+
+  if (payment.status === 'failed') {
+    throw serviceError('PAYMENT_FAILED', `The ${provider.label} payment did not go through. Nothing was sold.`, 402);
+  }
+  if (payment.status !== 'succeeded') {
+    const error = serviceError(
+      'PAYMENT_PENDING',
+      `${payment.instructions || 'Waiting for the payment'}. Send the sale again with provider_payment_id once the buyer has paid.`,
+      202
+    );
+    error.payment = {
+      provider: provider.name,
+      payment_id: payment.id,
+      redirect_url: payment.redirect_url || null,
+      instructions: payment.instructions || null
+    };
+    throw error;
+  }
+
+  if (payment.amount === null || payment.amount === undefined || toCents(payment.amount) !== toCents(sale.amount)) {
+    throw serviceError(
+      'PAYMENT_AMOUNT_MISMATCH',
+      `This payment is for ${payment.amount === null || payment.amount === undefined ? 'an unknown amount' : Number(payment.amount).toFixed(2)}, ` +
+        `but the sale comes to ${Number(sale.amount || 0).toFixed(2)}. Enter the amount paid or use another payment.`,
+      409
+    );
+  }
+  if (['refunded', 'partially_refunded'].includes(payment.transaction.status)) {
+    throw serviceError('PAYMENT_REFUNDED', 'This payment has been refunded', 409);
+  }
+  if (payment.transaction.sale_id) {
+    throw serviceError('PAYMENT_ALREADY_USED', 'This payment has already paid for another sale', 409);
+  }
+  return payment.transaction;
+}
+
+/**
+ * Link a payment to the sale it pays for
+ * Only one sale can claim a payment.
+ *
+ * @param {string} providerName - Provider name
+ * @param {string} paymentId - Provider payment ID
+ * @param {number} saleId - Sale ID
+ * @returns {Promise<boolean>} - False if another sale claimed it first
+ */
+async function claimForSale(providerName, paymentId, saleId) {
+  const result = await db.run(
+    `UPDATE payment_transactions SET sale_id = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE provider = ? AND payment_id = ? AND sale_id IS NULL`,
+    [saleId, providerName, paymentId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Unlink the payment of a sale that was abandoned, so it can pay for another sale
+ *
+ * @param {number} saleId - Sale ID
+ * @returns {Promise<void>}
+ */
+async function releaseSale(saleId) {
+  await db.run(
+    'UPDATE payment_transactions SET sale_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE sale_id = ?',
+    [saleId]
+  );
+}
+
+/**
+ * Refund a payment through its provider, in full or in part
+ *
+ * @param {string} providerName - Provider name
+ * @param {string} paymentId - Provider payment ID
+ * @param {Object} options - { amount (default: all of it), reason, key (idempotency key) }
+ * @returns {Promise<Object>} - { id, status } from the provider
+ */
+async function refundPayment(providerName, paymentId, { amount = null, reason = null, key = null } = {}) {
+  const provider = getProvider(providerName);
+  const transaction = await getTransaction(provider.name, paymentId);
+  if (!transaction || !transaction.transaction_id) {
+    throw serviceError('PAYMENT_NOT_FOUND', 'This payment was never completed', 404);
+  }
+
+  const refund = await provider.refund(transaction.transaction_id, { amount, reason, key });
+  if (refund.status === 'failed') {
+    throw serviceError('REFUND_FAILED', `${provider.label} refused the refund`, 502);
+  }
+
+  const already = Number(transaction.refunded_amount || 0);
+  const refunded = amount === null || amount === undefined
+    ? Number(transaction.amount)
+    : Math.round((already + Number(amount)) * 100) / 100;
+  await db.run(
+    `UPDATE payment_transactions SET status = ?, refunded_amount = ?, refund_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [toCents(refunded) >= toCents(transaction.amount) ? 'refunded' : 'partially_refunded', refunded, refund.id, transaction.id]
+  );
+  return refund;
+}
+
+/**
+ * Verify a provider webhook and store the payment it reports
+ *
+ * @param {string} providerName - Provider name (from the webhook URL)
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} - { id, type, payment, provider }
+ */
+async function receiveWebhook(providerName, rawBody, headers) {
+  const provider = getProvider(providerName);
+  const event = provider.verifyWebhook(rawBody, headers || {});
+  if (event.payment) {
+    // Payments we never started (made by the buyer on their own) are kept for a seller to confirm later
+    await recordPayment(provider.name, event.payment, { purpose: null });
+  }
+  return { ...event, provider: provider.name };
+}
+
+/**
+ * List stored payments, newest first (admin)
+ *
+ * @param {Object} filters - { provider, status, unused (succeeded but not linked to a sale), limit }
+ * @returns {Promise<Array>}
+ */
+async function listTransactions({ provider = null, status = null, unused = false, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (provider) {
+    conditions.push('provider = ?');
+    params.push(provider);
+  }
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (unused) {
+    conditions.push("status = 'succeeded' AND sale_id IS NULL");
+  }
+  const rowLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+  return db.all(
+    `SELECT * FROM payment_transactions ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY id DESC LIMIT ${rowLimit}`,
+    params
+  );
+}
+
+/**
+ * A reference no other payment uses, for sales sent without a client ID
+ *
+ * @param {string} prefix - e.g. scan-<seller id>
+ * @returns {string}
+ */
+function newReference(prefix) {
+  return `${prefix}-${crypto.randomBytes(8).toString('hex')}`;
+}
+
+module.exports = {
+  PROVIDERS,
+  getCurrency,
+  getProvider,
+  listProviders,
+  getDefaultProvider,
+  getTransaction,
+  startPayment,
+  checkPayment,
+  collectSalePayment,
+  claimForSale,
+  releaseSale,
+  refundPayment,
+  receiveWebhook,
+  listTransactions,
+  newReference
+};
@@ -0,0 +1,204 @@
+/**
+ * Payment Verification Service - Review queue for the payments sellers record
+ *
+ * A seller records how a sale was paid, but nobody has checked the money
+ * arrived. Every completed sale starts with payment_status 'unverified' and an
+ * admin reviews it:
+ *   verified - the payment was confirmed; its tickets get payment_verified
+ *   rejected - the payment was not received; its tickets become DISPUTED
+ *
+ * DISPUTED tickets are not SOLD, so draws, commissions and payout statements
+ * leave them out. A rejected sale can be verified later once the dispute is
+ * resolved, which puts its tickets back to SOLD. Every decision is logged in
+ * payment_reviews.
+ */
+
+const db = require('../db');
+const { serviceError } = require('./serviceError');
+
+const PAYMENT_STATUSES = ['unverified', 'verified', 'rejected'];
+
+// Most sales one bulk review can cover
+const MAX_REVIEW_BATCH = 500;
+
+const TRUE = db.USE_POSTGRES ? 'TRUE' : '1';
+const FALSE = db.USE_POSTGRES ? 'FALSE' : '0';
+
+/**
+ * List sales awaiting review (or already reviewed), with totals per seller and payment method
+ *
+ * @param {Object} filters - { status (default unverified), sellerId, paymentMethod, raffleId, limit }
+ * @returns {Promise<Object>} - { status, sales, groups, totals }
+ */
+async function listQueue({ status = 'unverified', sellerId = null, paymentMethod = null, raffleId = null, limit = 200 } = {}) {
+  if (!PAYMENT_STATUSES.includes(status)) {
+    throw serviceError('INVALID_STATUS', `status must be one of: ${PAYMENT_STATUSES.join(', ')}`);
+  }
+
+  const conditions = ["s.status = 'completed'", 's.payment_status = ?'];
+  const params = [status];
+  if (sellerId) {
+    conditions.push('s.seller_id = ?');
+    params.push(sellerId);
+  }
+  if (paymentMethod) {
+    // "none" selects sales recorded without a payment method
+    if (paymentMethod === 'none') {
+      conditions.push('s.payment_method IS NULL');
+    } else {
+      conditions.push('s.payment_method = ?');
+      params.push(paymentMethod);
+    }
+  }
+  if (raffleId) {
+    conditions.push('s.raffle_id = ?');
+    params.push(raffleId);
+  }
+  const where = conditions.join(' AND ');
+
+  const rowLimit = Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000);
+  const sales = await db.all(
+    `SELECT s.id, s.raffle_id, r.name as raffle_name, s.seller_id, s.seller_name, s.seller_phone,
+            s.buyer_name, s.buyer_phone, s.payment_method, s.ticket_count, s.total_amount,
+            s.payment_status, s.payment_reviewed_by, s.payment_reviewed_at, s.payment_notes,
+            s.completed_at
+     FROM sales s
+     LEFT JOIN raffles r ON r.id = s.raffle_id
+     WHERE ${where}
+     ORDER BY s.seller_name ASC, s.payment_method ASC, s.completed_at ASC, s.id ASC
+     LIMIT ${rowLimit}`,
+    params
+  );
+
+  const groups = await db.all(
+    `SELECT s.seller_id, s.seller_name, s.payment_method,
+            COUNT(*) as sale_count, SUM(s.ticket_count) as ticket_count, SUM(s.total_amount) as total_amount
+     FROM sales s
+     WHERE ${where}
+     GROUP BY s.seller_id, s.seller_name, s.payment_method
+     ORDER BY s.seller_name ASC, s.payment_method ASC`,
+    params
+  );
+
+  const totals = groups.reduce((sum, group) => ({
+    sale_count: sum.sale_count + Number(group.sale_count),
+    ticket_count: sum.ticket_count + (Number(group.ticket_count) || 0),
+    total_amount: Math.round((sum.total_amount + (Number(group.total_amount) || 0)) * 100) / 100
+  }), { sale_count: 0, ticket_count: 0, total_amount: 0 });
+
+  return { status, sales, groups, totals };
+}
+
+/**
+ * Apply one review decision to one sale
+ *
+ * @param {number} saleId - Sale ID
+ * @param {string} target - 'verified' or 'rejected'
+ * @param {string|null} notes - Reviewer notes
+ * @param {string} actor - Phone of the reviewing admin
+ * @returns {Promise<Object>} - { sale_id, status, tickets } or { sale_id, status: 'skipped', error, message }
+ */
+async function reviewSale(saleId, target, notes, actor) {
+  const sale = await db.get("SELECT id, payment_status FROM sales WHERE id = ? AND status = 'completed'", [saleId]);
+  if (!sale) {
+    return { sale_id: saleId, status: 'skipped', error: 'SALE_NOT_FOUND', message: 'Sale not found' };
+  }
+  const previous = sale.payment_status || 'unverified';
+  if (previous === target) {
+    return { sale_id: sale.id, status: 'skipped', error: `ALREADY_${target.toUpperCase()}`, message: `This sale's payment is already ${target}` };
+  }
+
+  // Only one reviewer wins if two act on the same sale at once
+  const claimed = await db.run(
+    `UPDATE sales SET payment_status = ?, payment_reviewed_by = ?, payment_reviewed_at = CURRENT_TIMESTAMP, payment_notes = ?
+     WHERE id = ? AND COALESCE(payment_status, 'unverified') = ?`,
+    [target, actor, notes, sale.id, previous]
+  );
+  if (claimed.changes === 0) {
+    return { sale_id: sale.id, status: 'skipped', error: 'SALE_CHANGED', message: 'This sale was reviewed by someone else. Reload and try again.' };
+  }
+
+  const tickets = target === 'verified'
+    ? await db.run(
+      `UPDATE tickets SET status = 'SOLD', payment_verified = ${TRUE}
+       WHERE sale_id = ? AND status IN ('SOLD', 'DISPUTED')`,
+      [sale.id]
+    )
+    : await db.run(
+      `UPDATE tickets SET status = 'DISPUTED', payment_verified = ${FALSE}
+       WHERE sale_id = ? AND status = 'SOLD'`,
+      [sale.id]
+    );
+
+  await db.run(
+    `INSERT INTO payment_reviews (sale_id, action, previous_status, ticket_count, notes, reviewed_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [sale.id, target === 'verified' ? 'verify' : 'reject', previous, tickets.changes, notes, actor]
+  );
+
+  return { sale_id: sale.id, status: target, tickets: tickets.changes };
+}
+
+/**
+ * Verify or reject the payments of several sales
+ *
+ * Each sale is handled on its own: one that cannot be reviewed (unknown,
+ * already in that state, changed meanwhile) is reported as skipped and the
+ * rest still go through.
+ *
+ * @param {Object} input - { sale_ids, notes }
+ * @param {string} action - 'verify' or 'reject'
+ * @param {string} actor - Phone of the reviewing admin
+ * @returns {Promise<Object>} - { results, summary: { reviewed, skipped, tickets } }
+ */
+async function reviewPayments(input = {}, action, actor) {
+  const target = { verify: 'verified', reject: 'rejected' }[action];
+  if (!target) {
+    throw serviceError('INVALID_ACTION', 'action must be verify or reject');
+  }
+
+  const saleIds = [...new Set((Array.isArray(input.sale_ids) ? input.sale_ids : []).map(id => parseInt(id, 10)))];
+  if (saleIds.length === 0 || saleIds.some(id => !Number.isInteger(id) || id < 1)) {
+    throw serviceError('NO_SALES', 'sale_ids must be a non-empty list of sale IDs');
+  }
+  if (saleIds.length > MAX_REVIEW_BATCH) {
+    throw serviceError('BATCH_TOO_LARGE', `At most ${MAX_REVIEW_BATCH} sales can be reviewed at once`);
+  }
+
+  const notes = input.notes ? String(input.notes).trim().slice(0, 1000) : null;
+  if (target === 'rejected' && !notes) {
+    throw serviceError('NOTES_REQUIRED', 'Explain why the payment is rejected in notes');
+  }
+
+  const results = [];
+  for (const saleId of saleIds) {
+    results.push(await reviewSale(saleId, target, notes, actor));
+  }
+
+  const reviewed = results.filter(r => r.status === target);
+  return {
+    results,
+    summary: {
+      reviewed: reviewed.length,
+      skipped: results.length - reviewed.length,
+      tickets: reviewed.reduce((sum, r) => sum + r.tickets, 0)
+    }
+  };
+}
+
+/**
+ * Get the review history of a sale's payment, oldest first
+ *
+ * @param {number} saleId - Sale ID
+ * @returns {Promise<Array>}
+ */
+async function getReviewHistory(saleId) {
+  return db.all('SELECT * FROM payment_reviews WHERE sale_id = ? ORDER BY id ASC', [saleId]);
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  listQueue,
+  reviewPayments,
+  getReviewHistory
+};
@@ -11,14 +11,10 @@ const fs = require('fs');
 const path = require('path');
 const bwipjs = require('bwip-js');
 const ticketService = require('./ticketService');
+const categoryService = require('./categoryService');
 
-// Category display names mapping
-const CATEGORY_NAMES = {
-  'ABC': { full: 'ABC - Regular', short: 'ABC ($50)' },
-  'EFG': { full: 'EFG - Silver', short: 'EFG ($100)' },
-  'JKL': { full: 'JKL - Gold', short: 'JKL ($250)' },
-  'XYZ': { full: 'XYZ - Platinum', short: 'XYZ ($500)' }
-};
+// Badge colour for tickets whose category has no colour set
+const DEFAULT_CATEGORY_COLOR = '#95a5a6';
 
 // Barcode generation constants for BWIP-JS
 // Code128 barcode format - supports alphanumeric content
@@ -127,6 +123,38 @@ const TEMPLATES = {
   }
 };
 
+/**
+ * Add each ticket's category name and colour (from its raffle's ticket_categories)
+ * 
+ * @param {Array} tickets - Ticket objects (with raffle_id and category)
+ * @returns {Promise<Array>} - The same tickets, with category_name and category_color set
+ */
+async function addCategoryDetails(tickets) {
+  const categories = await categoryService.getTicketCategories(tickets);
+  for (const ticket of tickets) {
+    const category = categories.get(`${ticket.raffle_id}:${ticket.category}`);
+    if (category) {
+      ticket.category_name = ticket.category_name || category.category_name;
+      ticket.category_color = ticket.category_color || category.color;
+    }
+  }
+  return tickets;
+}
+
+/**
+ * Category label printed on a ticket
+ * 
+ * @param {Object} ticket - Ticket object
+ * @param {boolean} short - Code and price ("ABC ($50)") instead of code and name ("ABC - Bronze")
+ * @returns {string}
+ */
+function categoryLabel(ticket, short = false) {
+  if (short) {
+    return `${ticket.category} ($${parseFloat(ticket.price)})`;
+  }
+  return ticket.category_name ? `${ticket.category} - ${ticket.category_name}` : ticket.category;
+}
+
 /**
  * Create a print job record
  * 
@@ -253,7 +281,7 @@ async function drawTicketFront(doc, ticket, template, x, y, barcodeImage) {
   const categoryY = ticketNumY + (isSmallFormat ? 16 : 18);
   doc.fontSize(bodySize)
      .font('Helvetica')
-     .text(`Category: ${CATEGORY_NAMES[ticket.category]?.full || ticket.category}`, x + padding, categoryY, {
+     .text(`Category: ${categoryLabel(ticket)}`, x + padding, categoryY, {
        width: ticketWidth - (padding * 2)
      });
   
@@ -370,7 +398,7 @@ function drawTicketBack(doc, ticket, template, x, y) {
   const categoryY = ticketNumY + (isSmallFormat ? 12 : 15);
   doc.fontSize(bodySize)
      .font('Helvetica')
-     .text(`Category: ${CATEGORY_NAMES[ticket.category]?.short || ticket.category}`, x + padding, categoryY);
+     .text(`Category: ${categoryLabel(ticket, true)}`, x + padding, categoryY);
 
   // Seller information fields
   const fieldsStartY = categoryY + (isSmallFormat ? 18 : 20);
@@ -459,10 +487,7 @@ async function drawTicketFrontWithTearoff(doc, ticket, template, x, y, customDes
   doc.text(`Ticket #: ${ticket.ticket_number}`, x + 8, y + 25, { width: ticketWidth - 16, align: 'center' });
   
   // Category badge
-  const categoryColors = {
-    'ABC': '#FF6B6B', 'EFG': '#4ECDC4', 'JKL': '#45B7D1', 'XYZ': '#F7DC6F'
-  };
-  const categoryColor = categoryColors[ticket.category] || '#95a5a6';
+  const categoryColor = ticket.category_color || DEFAULT_CATEGORY_COLOR;
   doc.rect(x + 12, y + 48, 70, 20).fillAndStroke(categoryColor, '#2c3e50');
   doc.fontSize(12).fillColor('#ffffff').text(ticket.category, x + 17, y + 53, { width: 60, align: 'center' });
   
@@ -649,6 +674,7 @@ async function generatePrintPDF(tickets, paperType, printJobId, customDesign = n
   if (!template) {
     throw new Error(`Unknown paper type: ${paperType}`);
   }
+  await addCategoryDetails(tickets);
 
   // Determine if we should use tear-off layout
   const useTearoffLayout = template.mainTicketHeight && template.tearOffHeight && template.tearOffY;
@@ -675,7 +701,7 @@ async function generatePrintPDF(tickets, paperType, printJobId, customDesign = n
       const ticketService = require('./ticketService');
       const barcodeGenerator = require('./barcodeGenerator');
       if (!ticket.barcode) {
-        const codes = await ticketService.generateAndSaveCodes(ticket.ticket_number);
+        const codes = await ticketService.generateAndSaveCodes(ticket.ticket_number, ticket.raffle_id);
         ticket.barcode = codes.barcode;
       }
 
@@ -748,7 +774,7 @@ async function generatePrintPDF(tickets, paperType, printJobId, customDesign = n
       
       // Mark ticket as printed after processing both sides
       const ticketService = require('./ticketService');
-      await ticketService.markAsPrinted(ticket.ticket_number);
+      await ticketService.markAsPrinted(ticket.ticket_number, ticket.raffle_id);
       
       ticketCount++;
       
@@ -834,6 +860,7 @@ async function generateCustomTemplatePDF(tickets, customTemplate, paperType, pri
   if (!template) {
     throw new Error(`Unknown paper type: ${paperType}`);
   }
+  await addCategoryDetails(tickets);
 
   // Create PDF document
   const doc = new PDFDocument({
@@ -894,7 +921,7 @@ async function generateCustomTemplatePDF(tickets, customTemplate, paperType, pri
       // Generate codes if not already generated
       const ticketService = require('./ticketService');
       if (!ticket.barcode) {
-        const codes = await ticketService.generateAndSaveCodes(ticket.ticket_number);
+        const codes = await ticketService.generateAndSaveCodes(ticket.ticket_number, ticket.raffle_id);
         ticket.barcode = codes.barcode;
       }
 
@@ -1005,7 +1032,7 @@ async function generateCustomTemplatePDF(tickets, customTemplate, paperType, pri
       
       // Mark ticket as printed after processing both sides
       const ticketService = require('./ticketService');
-      await ticketService.markAsPrinted(ticket.ticket_number);
+      await ticketService.markAsPrinted(ticket.ticket_number, ticket.raffle_id);
       
       ticketCount++;
       
@@ -1127,7 +1154,7 @@ async function generateCategoryCustomPDF(tickets, categoryDesign) {
     // Generate codes if not already generated
     const ticketService = require('./ticketService');
     if (!ticket.barcode) {
-      const codes = await ticketService.generateAndSaveCodes(ticket.ticket_number);
+      const codes = await ticketService.generateAndSaveCodes(ticket.ticket_number, ticket.raffle_id);
       ticket.barcode = codes.barcode;
     }
 
@@ -1345,20 +1372,13 @@ async function drawGridTicket(doc, ticket, x, y, width, height, barcodeImage) {
      });
   
   // Category badge (small, colored)
-  const categoryColors = {
-    'ABC': '#FF6B6B',
-    'EFG': '#4ECDC4',
-    'JKL': '#45B7D1',
-    'XYZ': '#F7DC6F'
-  };
-  
   const badgeY = y + padding + 20;
   const badgeWidth = 35;
   const badgeHeight = 15;
   const badgeX = x + padding;
   
   doc.rect(badgeX, badgeY, badgeWidth, badgeHeight)
-     .fillAndStroke(categoryColors[ticket.category] || '#95a5a6', '#000000');
+     .fillAndStroke(ticket.category_color || DEFAULT_CATEGORY_COLOR, '#000000');
   
   doc.fontSize(9)
      .fillColor('#FFFFFF')
@@ -1539,6 +1559,7 @@ function drawCustomTicketBackContent(doc, ticket, x, y, width, height) {
  */
 async function generateGridPDF(tickets, customDesign = null) {
   const template = TEMPLATES.GRID_20_TICKETS;
+  await addCategoryDetails(tickets);
   
   const doc = new PDFDocument({
     size: 'LETTER',
@@ -1568,7 +1589,7 @@ async function generateGridPDF(tickets, customDesign = null) {
     
     // Generate codes if not already generated
     if (!ticket.barcode) {
-      const codes = await ticketService.generateAndSaveCodes(ticket.ticket_number);
+      const codes = await ticketService.generateAndSaveCodes(ticket.ticket_number, ticket.raffle_id);
       ticket.barcode = codes.barcode;
     }
     
@@ -1617,7 +1638,7 @@ async function generateGridPDF(tickets, customDesign = null) {
  * Ticket size: 2.1" wide × 5.5" tall (151pt × 396pt at 72 DPI)
  * Layout: 4 columns × 2 rows
  */
-async function generateXYZ8UpPortraitPDF(tickets, customDesign, barcodeSettings) {
+async function generatePortrait8UpPDF(tickets, customDesign, barcodeSettings) {
   const doc = new PDFDocument({
     size: 'LETTER',  // Portrait: 612pt × 792pt (8.5" × 11")
     margins: { top: 18, bottom: 18, left: 18, right: 18 } // 0.25" margins
@@ -1680,7 +1701,7 @@ async function generateXYZ8UpPortraitPDF(tickets, customDesign, barcodeSettings)
     }
 
     // Draw FRONT side
-    await drawXYZPortraitTicketFront(doc, ticket, customDesign, x, y);
+    await drawPortraitTicketFront(doc, ticket, customDesign, x, y);
 
     ticketIndex++;
   }
@@ -1692,7 +1713,7 @@ async function generateXYZ8UpPortraitPDF(tickets, customDesign, barcodeSettings)
 /**
  * Draw PORTRAIT ticket FRONT with custom image background
  */
-async function drawXYZPortraitTicketFront(doc, ticket, customDesign, x, y) {
+async function drawPortraitTicketFront(doc, ticket, customDesign, x, y) {
   const TICKET_WIDTH = 151;   // 2.1"
   const TICKET_HEIGHT = 396;  // 5.5"
   const STUB_HEIGHT = 108;    // 1.5"
@@ -1763,7 +1784,7 @@ async function drawXYZPortraitTicketFront(doc, ticket, customDesign, x, y) {
 /**
  * Draw PORTRAIT ticket BACK with dual barcodes
  */
-async function drawXYZPortraitTicketBack(doc, ticket, customDesign, x, y, barcodeStub, barcodeMain) {
+async function drawPortraitTicketBack(doc, ticket, customDesign, x, y, barcodeStub, barcodeMain) {
   const TICKET_WIDTH = 151;   // 2.1"
   const TICKET_HEIGHT = 396;  // 5.5"
   const STUB_HEIGHT = 108;    // 1.5"
@@ -1853,6 +1874,396 @@ async function drawXYZPortraitTicketBack(doc, ticket, customDesign, x, y, barcod
   });
 }
 
+/**
+ * Generate a signed certificate for a completed draw
+ * One LETTER page for the board's records: draw details, winning ticket and
+ * barcode, the commit-reveal data needed to re-verify it, the HMAC signature
+ * and lines for handwritten signatures.
+ * 
+ * @param {Object} certificate - Output of drawService.getDrawCertificate
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+async function generateDrawCertificatePDF(certificate) {
+  const { fields, display, signature, verification_url } = certificate;
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 50,
+    info: {
+      Title: `Draw Certificate #${fields.draw_number}`,
+      Subject: display.raffle_name
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+
+  const pdfPromise = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const pageWidth = doc.page.width;
+  const contentWidth = pageWidth - 100;
+
+  // Double border
+  doc.lineWidth(2).rect(25, 25, pageWidth - 50, doc.page.height - 50).stroke('#000000');
+  doc.lineWidth(0.5).rect(31, 31, pageWidth - 62, doc.page.height - 62).stroke('#000000');
+
+  // Voided draws keep their certificate but are stamped across the page
+  if (display.status === 'voided') {
+    doc.save();
+    doc.rotate(-30, { origin: [pageWidth / 2, doc.page.height / 2] });
+    doc.font('Helvetica-Bold').fontSize(110).fillColor('#dc2626').fillOpacity(0.15);
+    doc.text('VOID', 0, doc.page.height / 2 - 60, { width: pageWidth, align: 'center' });
+    doc.restore();
+    doc.fillOpacity(1);
+  }
+
+  // Heading
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(24);
+  doc.text('CERTIFICATE OF DRAW', 50, 60, { width: contentWidth, align: 'center' });
+  doc.font('Helvetica').fontSize(14);
+  doc.text(display.raffle_name, 50, 92, { width: contentWidth, align: 'center' });
+
+  // Draw and prize
+  const pickLabel = fields.pick_type === 'alternate' ? 'Alternate' : 'Winner';
+  doc.font('Helvetica-Bold').fontSize(12);
+  doc.text(`Draw #${fields.draw_number}  -  ${fields.prize_name}  (${pickLabel})`, 50, 130, { width: contentWidth, align: 'center' });
+
+  // Winning ticket
+  doc.font('Helvetica').fontSize(10).text('Winning ticket', 50, 165, { width: contentWidth, align: 'center' });
+  doc.font('Helvetica-Bold').fontSize(28).text(fields.ticket_number, 50, 180, { width: contentWidth, align: 'center' });
+  if (display.winner_name) {
+    doc.font('Helvetica').fontSize(11).text(display.winner_name, 50, 214, { width: contentWidth, align: 'center' });
+  }
+
+  let y = 238;
+  if (display.barcode) {
+    try {
+      const barcodeBuffer = await bwipjs.toBuffer({
+        bcid: BARCODE_FORMAT,
+        text: display.barcode,
+        scale: 2,
+        height: 12,
+        includetext: false
+      });
+      const barcodeWidth = 200;
+      doc.image(barcodeBuffer, (pageWidth - barcodeWidth) / 2, y, { width: barcodeWidth, height: 45 });
+      doc.font('Helvetica').fontSize(9).text(display.barcode, 50, y + 49, { width: contentWidth, align: 'center' });
+      y += 70;
+    } catch (error) {
+      console.error('Barcode generation error:', error);
+    }
+  }
+
+  if (display.status === 'voided') {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#dc2626');
+    doc.text(`VOIDED ${display.voided_at || ''}: ${display.void_reason || ''}`, 50, y, { width: contentWidth, align: 'center' });
+    doc.fillColor('#000000');
+    y += 20;
+  }
+
+  // Draw record
+  y += 10;
+  doc.font('Helvetica-Bold').fontSize(12).text('Draw record', 50, y);
+  y += 20;
+
+  const conductedBy = fields.conducted_by
+    ? (display.conducted_by_name ? `${display.conducted_by_name} (${fields.conducted_by})` : fields.conducted_by)
+    : 'Not recorded';
+  const rows = [
+    ['Drawn at', fields.drawn_at],
+    ['Conducted by', conductedBy],
+    ['Eligible tickets', fields.eligible_count === null ? 'Not recorded' : fields.eligible_count.toLocaleString()],
+    ['Algorithm', fields.algorithm_version || 'Legacy (not verifiable)'],
+    ['Round', String(fields.round)],
+    ['Commitment published', display.commitment_published_at ? String(display.commitment_published_at) : 'Not recorded'],
+    ['Seed commitment', fields.seed_commitment || '-', true],
+    ['Seed', fields.seed || '-', true],
+    ['Eligible set hash', fields.eligible_set_hash || '-', true]
+  ];
+
+  for (const [label, value, mono] of rows) {
+    doc.font('Helvetica').fontSize(9).fillColor('#444444').text(label, 50, y, { width: 130 });
+    doc.font(mono ? 'Courier' : 'Helvetica').fontSize(mono ? 8 : 10).fillColor('#000000')
+       .text(String(value), 185, y, { width: contentWidth - 135 });
+    y += 18;
+  }
+
+  // Verification and signature
+  y += 10;
+  doc.font('Helvetica-Bold').fontSize(12).text('Verification', 50, y);
+  y += 20;
+  doc.font('Helvetica').fontSize(9).fillColor('#000000');
+  doc.text(`Anyone can recompute this result at ${appUrl}${verification_url}`, 50, y, { width: contentWidth });
+  y += 16;
+  doc.fillColor('#444444').text('Certificate signature (HMAC-SHA256)', 50, y, { width: 160 });
+  doc.font('Courier').fontSize(8).fillColor('#000000').text(signature, 185, y, { width: contentWidth - 135 });
+  y += 16;
+  doc.font('Helvetica').fontSize(8).fillColor('#444444');
+  doc.text(`Check this signature at ${appUrl}/api/draws/${fields.draw_id}/certificate/verify?signature=<signature>`, 50, y, { width: contentWidth });
+
+  // Handwritten signature lines
+  const signatureY = doc.page.height - 140;
+  const lineWidth = (contentWidth - 40) / 2;
+  doc.lineWidth(0.75).strokeColor('#000000');
+  doc.moveTo(50, signatureY).lineTo(50 + lineWidth, signatureY).stroke();
+  doc.moveTo(90 + lineWidth, signatureY).lineTo(90 + 2 * lineWidth, signatureY).stroke();
+  doc.font('Helvetica').fontSize(9).fillColor('#000000');
+  doc.text('Conducted by', 50, signatureY + 5, { width: lineWidth, align: 'center' });
+  doc.text('Witness', 90 + lineWidth, signatureY + 5, { width: lineWidth, align: 'center' });
+
+  // Footer
+  doc.fontSize(7).fillColor('#666666');
+  doc.text(`Certificate generated ${new Date().toISOString()}`, 50, doc.page.height - 70, { width: contentWidth, align: 'center' });
+
+  doc.end();
+  return pdfPromise;
+}
+
+/**
+ * Generate a buyer's receipt for a sale
+ * LETTER pages listing each ticket with its barcode and amount, then the total,
+ * payment, seller, draw date and the shareable receipt link.
+ * 
+ * @param {Object} receipt - Output of receiptService.buildReceipt
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+async function generateReceiptPDF(receipt) {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 50,
+    info: {
+      Title: `Receipt ${receipt.receipt_number}`,
+      Subject: receipt.raffle_name
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+
+  const pdfPromise = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const contentWidth = doc.page.width - 100;
+  const bottomMargin = doc.page.height - 60;
+  const money = value => (value === null || value === undefined ? '-' : `$${Number(value).toFixed(2)}`);
+
+  // Heading
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(22);
+  doc.text('RECEIPT', 50, 50, { width: contentWidth, align: 'center' });
+  doc.font('Helvetica').fontSize(14);
+  doc.text(receipt.raffle_name, 50, 78, { width: contentWidth, align: 'center' });
+
+  let y = 115;
+  const details = [
+    ['Receipt', receipt.receipt_number],
+    ['Date', String(receipt.sold_at)],
+    ['Buyer', receipt.buyer_name || '-'],
+    ['Seller', receipt.seller_name || '-'],
+    ['Payment', receipt.payment_method ? receipt.payment_method.replace(/_/g, ' ') : '-'],
+    ['Draw date', receipt.draw_date || 'To be announced']
+  ];
+  for (const [label, value] of details) {
+    doc.font('Helvetica').fontSize(9).fillColor('#444444').text(label, 50, y, { width: 100 });
+    doc.font('Helvetica').fontSize(10).fillColor('#000000').text(value, 155, y, { width: contentWidth - 105 });
+    y += 16;
+  }
+
+  // Ticket table
+  const drawTableHeader = () => {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('#444444');
+    doc.text('Ticket', 50, y);
+    doc.text('Barcode', 200, y);
+    doc.text('Amount', 50, y, { width: contentWidth, align: 'right' });
+    y += 14;
+    doc.lineWidth(0.5).strokeColor('#999999').moveTo(50, y).lineTo(50 + contentWidth, y).stroke();
+    y += 6;
+  };
+
+  y += 12;
+  drawTableHeader();
+
+  const rowHeight = 42;
+  for (const ticket of receipt.tickets) {
+    if (y + rowHeight > bottomMargin) {
+      doc.addPage();
+      y = 50;
+      drawTableHeader();
+    }
+
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#000000').text(ticket.ticket_number, 50, y + 4);
+    if (ticket.category) {
+      doc.font('Helvetica').fontSize(8).fillColor('#666666').text(ticket.category, 50, y + 20);
+    }
+    if (ticket.barcode) {
+      try {
+        const barcodeBuffer = await bwipjs.toBuffer({
+          bcid: BARCODE_FORMAT,
+          text: ticket.barcode,
+          scale: 1,
+          height: 6,
+          includetext: false
+        });
+        doc.image(barcodeBuffer, 200, y, { width: 110, height: 22 });
+      } catch (error) {
+        console.error('Barcode generation error:', error);
+      }
+      doc.font('Courier').fontSize(8).fillColor('#000000').text(ticket.barcode, 200, y + 25, { width: 110, align: 'center' });
+    }
+    doc.font('Helvetica').fontSize(10).fillColor('#000000').text(money(ticket.amount_paid), 50, y + 4, { width: contentWidth, align: 'right' });
+    y += rowHeight;
+  }
+
+  if (y + 90 > bottomMargin) {
+    doc.addPage();
+    y = 50;
+  }
+
+  // Total
+  doc.lineWidth(0.5).strokeColor('#999999').moveTo(50, y).lineTo(50 + contentWidth, y).stroke();
+  y += 8;
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('#000000');
+  doc.text(`Total paid (${receipt.tickets.length} ticket${receipt.tickets.length === 1 ? '' : 's'})`, 50, y);
+  doc.text(money(receipt.total_amount), 50, y, { width: contentWidth, align: 'right' });
+  y += 30;
+
+  // Shareable link
+  doc.font('Helvetica').fontSize(8).fillColor('#444444');
+  doc.text('View this receipt online:', 50, y, { width: contentWidth });
+  doc.font('Courier').fontSize(8).fillColor('#000000').text(receipt.receipt_url, 50, y + 12, { width: contentWidth });
+
+  doc.end();
+  return pdfPromise;
+}
+
+/**
+ * Generate a seller's payout statement for a period
+ * Summary by raffle and category (tickets sold, gross, commission, net due),
+ * then the individual tickets.
+ * 
+ * @param {Object} statement - Output of commissionService.getPayoutStatement
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+async function generatePayoutStatementPDF(statement) {
+  const { seller, period, lines, totals, tickets } = statement;
+
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 50,
+    info: {
+      Title: `Payout Statement - ${seller.name} - ${period.from} to ${period.to}`
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+
+  const pdfPromise = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const contentWidth = doc.page.width - 100;
+  const bottomMargin = doc.page.height - 80;
+  const money = value => `$${Number(value).toFixed(2)}`;
+  let y = 50;
+
+  // Columns: label column, then right-aligned numbers
+  const drawRow = (cells, { bold = false, size = 9 } = {}) => {
+    const [label, ...numbers] = cells;
+    const numberWidth = 80;
+    const labelWidth = contentWidth - numbers.length * numberWidth;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor('#000000');
+    doc.text(label, 50, y, { width: labelWidth - 5, lineBreak: false, ellipsis: true });
+    numbers.forEach((value, index) => {
+      doc.text(value, 50 + labelWidth + index * numberWidth, y, { width: numberWidth, align: 'right' });
+    });
+    y += size + 7;
+  };
+  const rule = () => {
+    doc.lineWidth(0.5).strokeColor('#999999').moveTo(50, y - 3).lineTo(50 + contentWidth, y - 3).stroke();
+    y += 3;
+  };
+  const ensureSpace = (height, header) => {
+    if (y + height > bottomMargin) {
+      doc.addPage();
+      y = 50;
+      if (header) {
+        header();
+      }
+    }
+  };
+
+  // Heading
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#000000');
+  doc.text('PAYOUT STATEMENT', 50, y, { width: contentWidth, align: 'center' });
+  y += 32;
+  doc.font('Helvetica').fontSize(11);
+  doc.text(`${seller.name} (${seller.phone})`, 50, y, { width: contentWidth, align: 'center' });
+  y += 16;
+  doc.text(`${period.from} to ${period.to}`, 50, y, { width: contentWidth, align: 'center' });
+  y += 30;
+
+  // Summary
+  const summaryHeader = () => {
+    drawRow(['Raffle / category', 'Tickets', 'Gross', 'Commission', 'Net due'], { bold: true });
+    rule();
+  };
+  summaryHeader();
+  if (lines.length === 0) {
+    doc.font('Helvetica').fontSize(9).fillColor('#666666').text('No tickets sold in this period.', 50, y);
+    y += 16;
+  }
+  for (const line of lines) {
+    ensureSpace(16, summaryHeader);
+    drawRow([
+      `${line.raffle_name || `Raffle #${line.raffle_id}`}${line.category ? ` - ${line.category}` : ''}`,
+      String(line.tickets_sold),
+      money(line.gross),
+      money(line.commission),
+      money(line.net_due)
+    ]);
+  }
+  rule();
+  drawRow(['Total', String(totals.tickets_sold), money(totals.gross), money(totals.commission), money(totals.net_due)], { bold: true, size: 10 });
+  y += 6;
+  doc.font('Helvetica').fontSize(8).fillColor('#444444');
+  doc.text('Net due is the gross collected minus the seller\'s commission.', 50, y, { width: contentWidth });
+  y += 24;
+
+  // Ticket detail
+  if (tickets.length > 0) {
+    const detailHeader = () => {
+      drawRow(['Ticket', 'Sold at', 'Paid', 'Commission'], { bold: true, size: 8 });
+      rule();
+    };
+    ensureSpace(40, null);
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#000000').text('Tickets', 50, y);
+    y += 20;
+    detailHeader();
+    for (const ticket of tickets) {
+      ensureSpace(15, detailHeader);
+      drawRow([
+        `${ticket.ticket_number}${ticket.sale_id ? `  (sale #${ticket.sale_id})` : ''}`,
+        String(ticket.sold_at).slice(0, 16),
+        money(ticket.amount_paid),
+        money(ticket.commission)
+      ], { size: 8 });
+    }
+  }
+
+  doc.font('Helvetica').fontSize(7).fillColor('#666666');
+  doc.text(`Generated ${statement.generated_at}`, 50, doc.page.height - 65, { width: contentWidth, align: 'center', lineBreak: false });
+
+  doc.end();
+  return pdfPromise;
+}
+
 module.exports = {
   createPrintJob,
   updatePrintJobStatus,
@@ -1860,7 +2271,10 @@ module.exports = {
   generateCustomTemplatePDF,
   generateCategoryCustomPDF,
   generateGridPDF,
-  generateXYZ8UpPortraitPDF,
+  generatePortrait8UpPDF,
+  generateDrawCertificatePDF,
+  generateReceiptPDF,
+  generatePayoutStatementPDF,
   getPrintJobs,
   getPrintJob,
   TEMPLATES
@@ -0,0 +1,509 @@
+/**
+ * Prize Plan Service - Multi-prize draws with ordered tiers and reserve alternates
+ *
+ * A raffle has one prize plan made of ordered tiers. Each tier has a quantity
+ * of prizes and an optional number of alternates. Running the plan reveals one
+ * seed commitment and draws every prize from the same eligible set without
+ * repeats: for each tier in order, its winners are picked first, then its
+ * alternates. Alternates are held in reserve and promoted if a winner is
+ * disqualified.
+ */
+
+const db = require('../db');
+const drawService = require('./drawService');
+const drawEvents = require('./drawEventsService');
+const { serviceError } = require('./serviceError');
+
+/**
+ * Get the prize plan for a raffle with its tiers
+ *
+ * @param {number} raffleId - Raffle ID
+ * @returns {Promise<Object|null>} - Plan with tiers, or null if none defined
+ */
+async function getPlan(raffleId) {
+  const plan = await db.get('SELECT * FROM prize_plans WHERE raffle_id = ?', [raffleId]);
+  if (!plan) {
+    return null;
+  }
+
+  const tiers = await db.all(
+    'SELECT * FROM prize_tiers WHERE plan_id = ? ORDER BY tier_order ASC',
+    [plan.id]
+  );
+
+  return {
+    ...plan,
+    tiers,
+    total_prizes: tiers.reduce((sum, t) => sum + Number(t.quantity), 0),
+    total_alternates: tiers.reduce((sum, t) => sum + Number(t.alternates), 0)
+  };
+}
+
+/**
+ * Validate tier definitions submitted by an admin
+ *
+ * @param {Array<Object>} tiers - Tier definitions
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+function validateTiers(tiers) {
+  const errors = [];
+
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return ['At least one prize tier is required'];
+  }
+
+  tiers.forEach((tier, i) => {
+    const label = `Tier ${i + 1}`;
+    if (!tier || typeof tier.prize_name !== 'string' || tier.prize_name.trim().length === 0) {
+      errors.push(`${label}: prize_name is required`);
+      return;
+    }
+    const quantity = tier.quantity === undefined ? 1 : tier.quantity;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`${label}: quantity must be a positive integer`);
+    }
+    const alternates = tier.alternates === undefined ? 0 : tier.alternates;
+    if (!Number.isInteger(alternates) || alternates < 0) {
+      errors.push(`${label}: alternates must be zero or a positive integer`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Create or replace the prize plan for a raffle
+ * Tiers are drawn in the order given. A plan cannot change once it has been run.
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {Array<Object>} tiers - [{ prize_name, description, quantity, alternates }]
+ * @returns {Promise<Object>} - Saved plan with tiers
+ */
+async function savePlan(raffleId, tiers) {
+  const raffle = await db.get('SELECT id FROM raffles WHERE id = ?', [raffleId]);
+  if (!raffle) {
+    throw serviceError('RAFFLE_NOT_FOUND', 'Raffle not found', 404);
+  }
+
+  const errors = validateTiers(tiers);
+  if (errors.length > 0) {
+    const error = serviceError('INVALID_PRIZE_PLAN', errors.join('; '));
+    error.details = errors;
+    throw error;
+  }
+
+  let plan = await db.get('SELECT * FROM prize_plans WHERE raffle_id = ?', [raffleId]);
+  if (plan && ['running', 'failed', 'completed'].includes(plan.status)) {
+    throw serviceError('PLAN_ALREADY_RUN', 'This prize plan has already been drawn and can no longer be changed.', 409);
+  }
+
+  if (!plan) {
+    const result = await db.run(
+      `INSERT INTO prize_plans (raffle_id, status, created_at, updated_at)
+       VALUES (?, 'draft', ${db.getCurrentTimestamp()}, ${db.getCurrentTimestamp()})`,
+      [raffleId]
+    );
+    plan = { id: result.lastID };
+  } else {
+    await db.run('DELETE FROM prize_tiers WHERE plan_id = ?', [plan.id]);
+    await db.run(`UPDATE prize_plans SET updated_at = ${db.getCurrentTimestamp()} WHERE id = ?`, [plan.id]);
+  }
+
+  for (let i = 0; i < tiers.length; i++) {
+    const tier = tiers[i];
+    await db.run(
+      `INSERT INTO prize_tiers (plan_id, tier_order, prize_name, description, quantity, alternates)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        plan.id,
+        i + 1,
+        tier.prize_name.trim(),
+        tier.description || null,
+        tier.quantity === undefined ? 1 : tier.quantity,
+        tier.alternates === undefined ? 0 : tier.alternates
+      ]
+    );
+  }
+
+  return getPlan(raffleId);
+}
+
+/**
+ * Run a raffle's prize plan against a published seed commitment
+ * The plan is claimed (status 'running') before the reveal, so two runs against
+ * different commitments cannot both draw it. It goes back to its earlier status
+ * only if the reveal fails, since nothing has been drawn then. If a pick fails
+ * after the reveal the plan is marked 'failed' with the commitment it used, and
+ * running it again with that commitment replays the same picks, keeps the ones
+ * already recorded and draws the rest.
+ *
+ * @param {Object} params - Parameters
+ * @param {number} params.raffleId - Raffle ID
+ * @param {number} params.commitmentId - Commitment to reveal (the plan's own commitment when resuming)
+ * @param {string} params.conductedBy - Phone of the admin running the draw
+ * @returns {Promise<Object>} - { plan, commitment_id, eligible_count, tiers: [{ tier, winners, alternates }] }
+ */
+async function runPlan({ raffleId, commitmentId, conductedBy = null }) {
+  const plan = await getPlan(raffleId);
+  if (!plan || plan.tiers.length === 0) {
+    throw serviceError('NO_PRIZE_PLAN', 'No prize plan defined for this raffle', 404);
+  }
+
+  const resuming = plan.status === 'failed';
+  if (resuming && Number(plan.commitment_id) !== Number(commitmentId)) {
+    throw serviceError('COMMITMENT_MISMATCH',
+      `This prize plan stopped part-way through commitment #${plan.commitment_id}. Run it again with that commitment to finish it.`, 409);
+  }
+
+  const claimed = await db.run(
+    `UPDATE prize_plans SET status = 'running', updated_at = ${db.getCurrentTimestamp()}
+     WHERE id = ? AND status NOT IN ('running', 'completed')`,
+    [plan.id]
+  );
+  if (claimed.changes === 0) {
+    throw serviceError('PLAN_ALREADY_RUN', 'This prize plan has already been drawn.', 409);
+  }
+
+  let revealed;
+  try {
+    revealed = resuming
+      ? await loadRevealedCommitment(plan.commitment_id, raffleId)
+      : await drawService.revealCommitment(commitmentId, { raffleId, minTickets: plan.total_prizes });
+  } catch (error) {
+    await db.run("UPDATE prize_plans SET status = ? WHERE id = ? AND status = 'running'", [plan.status || 'draft', plan.id]);
+    throw error;
+  }
+  const { commitment, tickets, ticketNumbers, eligibleSetHash } = revealed;
+
+  if (!resuming) {
+    drawEvents.drawStarted({
+      raffleId,
+      commitment,
+      ticketNumbers,
+      prizes: plan.tiers.map(t => ({ prize_name: t.prize_name, quantity: Number(t.quantity) }))
+    });
+  }
+
+  // One pick per prize and alternate; alternates are skipped once the pool runs out
+  const totalPicks = plan.total_prizes + plan.total_alternates;
+  const picks = drawService.pickWithoutRepeats(commitment.seed, eligibleSetHash, tickets, totalPicks);
+
+  let results;
+  try {
+    results = await recordPlanPicks({ raffleId, plan, commitment, picks, eligibleSetHash, eligibleCount: tickets.length, conductedBy });
+
+    const firstDraw = results.find(r => r.winners.length > 0).winners[0];
+    await db.run('UPDATE draw_commitments SET draw_id = ? WHERE id = ?', [firstDraw.draw_id, commitment.id]);
+
+    await db.run(
+      `UPDATE prize_plans
+       SET status = 'completed', commitment_id = ?, failure_reason = NULL, executed_by = ?, executed_at = ${db.getCurrentTimestamp()}
+       WHERE id = ?`,
+      [commitment.id, conductedBy, plan.id]
+    );
+  } catch (error) {
+    // The seed is public now, so the plan can only be finished with this commitment
+    await db.run(
+      `UPDATE prize_plans SET status = 'failed', commitment_id = ?, failure_reason = ?, updated_at = ${db.getCurrentTimestamp()}
+       WHERE id = ? AND status = 'running'`,
+      [commitment.id, error.message, plan.id]
+    );
+    throw error;
+  }
+
+  drawEvents.drawCompleted({ raffleId, commitment, pickCount: picks.length });
+
+  return {
+    plan_id: plan.id,
+    raffle_id: Number(raffleId),
+    commitment_id: commitment.id,
+    seed: commitment.seed,
+    seed_commitment: commitment.seed_commitment,
+    eligible_set_hash: eligibleSetHash,
+    eligible_count: tickets.length,
+    tiers: results
+  };
+}
+
+/**
+ * Load a commitment a failed plan run already revealed, with its eligible tickets in draw order
+ *
+ * @param {number} commitmentId - Commitment ID
+ * @param {number} raffleId - Raffle ID
+ * @returns {Promise<Object>} - { commitment, tickets, ticketNumbers, eligibleSetHash }
+ */
+async function loadRevealedCommitment(commitmentId, raffleId) {
+  const commitment = await db.get('SELECT * FROM draw_commitments WHERE id = ?', [commitmentId]);
+  if (!commitment || commitment.status !== 'revealed' || commitment.eligible_tickets === null) {
+    throw serviceError('COMMITMENT_NOT_FOUND', 'The commitment this prize plan was drawn with can no longer be found', 404);
+  }
+
+  const ticketNumbers = commitment.eligible_tickets === '' ? [] : commitment.eligible_tickets.split('\n');
+  const rows = await db.all('SELECT * FROM tickets WHERE raffle_id = ?', [raffleId]);
+  const byNumber = new Map(rows.map(row => [row.ticket_number, row]));
+  // A ticket deleted since the reveal keeps its place in the list so later picks do not move
+  const tickets = ticketNumbers.map(number => byNumber.get(number) || { ticket_number: number });
+
+  return { commitment, tickets, ticketNumbers, eligibleSetHash: commitment.eligible_set_hash };
+}
+
+/**
+ * Record a plan's picks tier by tier, keeping any a failed earlier run already recorded
+ *
+ * @param {Object} params - Parameters
+ * @param {number} params.raffleId - Raffle ID
+ * @param {Object} params.plan - Plan with tiers
+ * @param {Object} params.commitment - Revealed commitment row
+ * @param {Array<Object>} params.picks - Picks from pickWithoutRepeats, in round order
+ * @param {string} params.eligibleSetHash - Hash of the eligible list
+ * @param {number} params.eligibleCount - Size of the eligible list
+ * @param {string} params.conductedBy - Phone of the admin running the draw
+ * @returns {Promise<Array<Object>>} - [{ tier, winners, alternates }]
+ */
+async function recordPlanPicks({ raffleId, plan, commitment, picks, eligibleSetHash, eligibleCount, conductedBy }) {
+  const earlier = await db.all(
+    `SELECT d.id as draw_id, d.draw_number, d.draw_round, d.ticket_number, d.winner_name, w.id as winner_id
+     FROM draws d
+     JOIN winners w ON w.draw_id = d.id
+     WHERE d.commitment_id = ?`,
+    [commitment.id]
+  );
+  const recordedRounds = new Map(earlier.map(row => [Number(row.draw_round), row]));
+
+  const results = [];
+  let next = 0;
+
+  for (const tier of plan.tiers) {
+    const tierResult = { tier, winners: [], alternates: [] };
+    const slots = [];
+    for (let i = 0; i < Number(tier.quantity); i++) slots.push({ pickType: 'winner' });
+    for (let i = 0; i < Number(tier.alternates); i++) slots.push({ pickType: 'alternate', alternateRank: i + 1 });
+
+    for (const slot of slots) {
+      const pick = picks[next++];
+      if (!pick) break;
+
+      let entry = recordedRounds.get(pick.round);
+      if (!entry) {
+        const recorded = await drawService.recordPick({
+          ticket: pick.item,
+          commitment,
+          eligibleSetHash,
+          eligibleCount,
+          round: pick.round,
+          index: pick.index,
+          prizeName: tier.prize_name,
+          prizeTierId: tier.id,
+          pickType: slot.pickType,
+          alternateRank: slot.alternateRank || null,
+          conductedBy
+        });
+
+        drawEvents.winnerRevealed({
+          raffleId,
+          ticket: pick.item,
+          recorded,
+          prizeName: tier.prize_name,
+          pickType: slot.pickType,
+          alternateRank: slot.alternateRank || null,
+          round: pick.round
+        });
+
+        entry = {
+          winner_id: recorded.winnerId,
+          draw_id: recorded.drawId,
+          draw_number: recorded.drawNumber,
+          ticket_number: pick.item.ticket_number,
+          winner_name: pick.item.buyer_name
+        };
+      }
+
+      (slot.pickType === 'winner' ? tierResult.winners : tierResult.alternates).push({
+        winner_id: entry.winner_id,
+        draw_id: entry.draw_id,
+        draw_number: entry.draw_number,
+        ticket_number: entry.ticket_number,
+        winner_name: entry.winner_name,
+        round: pick.round,
+        alternate_rank: slot.alternateRank || null
+      });
+    }
+
+    results.push(tierResult);
+  }
+
+  return results;
+}
+
+/**
+ * List winners and alternates for a raffle
+ *
+ * @param {number} raffleId - Raffle ID
+ * @returns {Promise<Array>} - Winner rows ordered by tier and rank
+ */
+async function getWinners(raffleId) {
+  return db.all(
+    `SELECT w.*, pt.tier_order
+     FROM winners w
+     LEFT JOIN prize_tiers pt ON pt.id = w.prize_tier_id
+     WHERE w.raffle_id = ?
+     ORDER BY pt.tier_order ASC,
+              CASE w.status WHEN 'winner' THEN 0 WHEN 'alternate' THEN 1 ELSE 2 END,
+              w.alternate_rank ASC, w.id ASC`,
+    [raffleId]
+  );
+}
+
+/**
+ * Set aside an alternate whose ticket is no longer sold (refunded, voided, lost...)
+ *
+ * @param {Object} alternate - Winner row of the alternate
+ * @param {Object|null} ticket - The alternate's ticket, or null if it no longer exists
+ * @param {string} actor - Phone of the acting admin, or "system"
+ * @returns {Promise<void>}
+ */
+async function setAsideAlternate(alternate, ticket, actor) {
+  const updated = await db.run(
+    "UPDATE winners SET status = 'ineligible' WHERE id = ? AND status = 'alternate'",
+    [alternate.id]
+  );
+  if (updated.changes === 0) {
+    return;
+  }
+  await drawService.recordWinnerEvent({
+    winnerId: alternate.id,
+    raffleId: alternate.raffle_id,
+    eventType: 'skipped',
+    fromStatus: 'alternate',
+    toStatus: 'ineligible',
+    actor,
+    notes: ticket ? `Ticket ${alternate.ticket_number} is ${ticket.status}, not SOLD` : `Ticket ${alternate.ticket_number} no longer exists`
+  });
+}
+
+/**
+ * Promote the next reserve alternate of a prize tier to winner
+ * Alternates whose ticket is no longer SOLD are set aside (status 'ineligible')
+ * and the next rank is tried.
+ *
+ * @param {Object} vacated - Winner row whose prize is being reassigned
+ * @param {string} actor - Phone of the acting admin, or "system"
+ * @returns {Promise<Object|null>} - Promoted winner row, or null if no alternate is left
+ */
+async function promoteAlternate(vacated, actor = null) {
+  if (!vacated.prize_tier_id) {
+    return null;
+  }
+
+  const alternate = await db.get(
+    `SELECT * FROM winners
+     WHERE prize_tier_id = ? AND status = 'alternate'
+     ORDER BY alternate_rank ASC, id ASC
+     LIMIT 1`,
+    [vacated.prize_tier_id]
+  );
+  if (!alternate) {
+    return null;
+  }
+
+  const ticket = await db.get('SELECT id, status FROM tickets WHERE id = ?', [alternate.ticket_id]);
+  if (!ticket || ticket.status !== 'SOLD') {
+    await setAsideAlternate(alternate, ticket, actor);
+    return promoteAlternate(vacated, actor);
+  }
+
+  // Conditional update so the same alternate cannot be promoted twice
+  const promoted = await db.run(
+    `UPDATE winners
+     SET status = 'winner', claim_status = 'pending', replaces_winner_id = ?, previous_ticket_status = ?
+     WHERE id = ? AND status = 'alternate'`,
+    [vacated.id, ticket.status, alternate.id]
+  );
+  if (promoted.changes === 0) {
+    return promoteAlternate(vacated, actor);
+  }
+
+  try {
+    await drawService.markTicketWon(alternate.ticket_id, alternate.prize_name);
+  } catch (error) {
+    // The ticket changed since it was checked: put the alternate back, set it aside and try the next one
+    if (error.code !== 'TICKET_CHANGED') {
+      throw error;
+    }
+    await db.run(
+      `UPDATE winners SET status = 'alternate', claim_status = NULL, replaces_winner_id = NULL, previous_ticket_status = NULL
+       WHERE id = ? AND status = 'winner'`,
+      [alternate.id]
+    );
+    await setAsideAlternate(alternate, await db.get('SELECT id, status FROM tickets WHERE id = ?', [alternate.ticket_id]), actor);
+    return promoteAlternate(vacated, actor);
+  }
+  await drawService.recordWinnerEvent({
+    winnerId: alternate.id,
+    raffleId: alternate.raffle_id,
+    eventType: 'promoted',
+    fromStatus: 'alternate',
+    toStatus: 'pending',
+    actor,
+    notes: `Alternate #${alternate.alternate_rank} promoted to replace winner #${vacated.id}`,
+    relatedWinnerId: vacated.id
+  });
+
+  return db.get('SELECT * FROM winners WHERE id = ?', [alternate.id]);
+}
+
+/**
+ * Disqualify a winner and promote the tier's next alternate
+ *
+ * @param {number} winnerId - Winner ID
+ * @param {string} reason - Why the winner was disqualified
+ * @param {string} actor - Phone of the acting admin
+ * @returns {Promise<Object>} - { disqualified, promoted } (promoted is null if no alternate is left)
+ */
+async function disqualifyWinner(winnerId, reason, actor = null) {
+  const winner = await db.get('SELECT * FROM winners WHERE id = ?', [winnerId]);
+  if (!winner) {
+    throw serviceError('WINNER_NOT_FOUND', 'Winner not found', 404);
+  }
+  if ((winner.status || 'winner') !== 'winner') {
+    throw serviceError('NOT_A_WINNER', `Only current winners can be disqualified (status: ${winner.status})`, 409);
+  }
+
+  const updated = await db.run(
+    `UPDATE winners
+     SET status = 'disqualified', disqualified_reason = ?, disqualified_at = ${db.getCurrentTimestamp()}
+     WHERE id = ? AND (status = 'winner' OR status IS NULL)`,
+    [reason, winner.id]
+  );
+  if (updated.changes === 0) {
+    throw serviceError('NOT_A_WINNER', 'This winner has already been disqualified', 409);
+  }
+
+  await drawService.recordWinnerEvent({
+    winnerId: winner.id,
+    raffleId: winner.raffle_id,
+    eventType: 'disqualified',
+    fromStatus: 'winner',
+    toStatus: 'disqualified',
+    actor,
+    notes: reason
+  });
+
+  await drawService.releaseWinningTicket(winner);
+  const promoted = await promoteAlternate(winner, actor);
+
+  return {
+    disqualified: await db.get('SELECT * FROM winners WHERE id = ?', [winner.id]),
+    promoted
+  };
+}
+
+module.exports = {
+  getPlan,
+  validateTiers,
+  savePlan,
+  runPlan,
+  getWinners,
+  promoteAlternate,
+  disqualifyWinner
+};
@@ -0,0 +1,254 @@
+/**
+ * Raffle Lifecycle Service - What a raffle's status allows
+ *
+ * A raffle moves through:
+ *   draft    - being set up: categories, prize plan, tickets can be generated
+ *   printing - tickets are generated and printed
+ *   on_sale  - tickets can be sold (scans, sales, online checkout)
+ *   closed   - sales have stopped; the draw can be run
+ *   drawn    - winners have been drawn; claims are being paid out
+ *   archived - finished, kept for the record
+ *
+ * Admins move a raffle one step at a time (TRANSITIONS). A printing raffle can
+ * go back to draft, and a closed raffle can reopen for sale until its draw is
+ * run. Some steps have guards (checkGuard).
+ * Each change is written to raffle_status_events.
+ *
+ * Services and routes ask checkAction / assertAction before selling,
+ * generating, printing, changing categories or drawing (ACTIONS).
+ */
+
+const db = require('../db');
+const { serviceError } = require('./serviceError');
+
+const STATUSES = ['draft', 'printing', 'on_sale', 'closed', 'drawn', 'archived'];
+
+// Where each status can move next
+const TRANSITIONS = {
+  draft: ['printing'],
+  printing: ['draft', 'on_sale'],
+  on_sale: ['closed'],
+  closed: ['on_sale', 'drawn'],
+  drawn: ['archived'],
+  archived: []
+};
+
+// The statuses each action is allowed in, and the error returned in the others
+const ACTIONS = {
+  sell: {
+    statuses: ['on_sale'],
+    error: 'RAFFLE_NOT_ON_SALE',
+    message: raffle => `Tickets of ${raffle.name} can only be sold while the raffle is on sale (it is ${raffle.status})`
+  },
+  generate: {
+    statuses: ['draft', 'printing', 'on_sale'],
+    error: 'RAFFLE_CLOSED',
+    message: raffle => `Tickets can no longer be generated for ${raffle.name}: the raffle is ${raffle.status}`
+  },
+  print: {
+    statuses: ['draft', 'printing', 'on_sale'],
+    error: 'RAFFLE_CLOSED',
+    message: raffle => `Tickets of ${raffle.name} can no longer be printed: the raffle is ${raffle.status}`
+  },
+  configure: {
+    statuses: ['draft', 'printing'],
+    error: 'CATEGORIES_LOCKED',
+    message: raffle => `${raffle.name}'s ticket categories can only be changed in draft or printing (it is ${raffle.status})`
+  },
+  draw: {
+    statuses: ['closed', 'drawn'],
+    error: 'RAFFLE_NOT_CLOSED',
+    message: raffle => `${raffle.name} can only be drawn once it is closed (it is ${raffle.status})`
+  }
+};
+
+/**
+ * Check whether a raffle's status allows an action
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {string} action - sell, generate, print, configure or draw
+ * @returns {Promise<Object|null>} - { error, message, raffle_status } if the action is refused
+ */
+async function checkAction(raffleId, action) {
+  const rule = ACTIONS[action];
+  const raffle = await db.get('SELECT id, name, status FROM raffles WHERE id = ?', [raffleId]);
+  if (!raffle) {
+    return { error: 'RAFFLE_NOT_FOUND', message: 'Raffle not found' };
+  }
+  if (rule.statuses.includes(raffle.status)) {
+    return null;
+  }
+  return { error: rule.error, message: rule.message(raffle), raffle_status: raffle.status };
+}
+
+/**
+ * Throw if a raffle's status does not allow an action
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {string} action - sell, generate, print, configure or draw
+ * @returns {Promise<void>}
+ */
+async function assertAction(raffleId, action) {
+  const refusal = await checkAction(raffleId, action);
+  if (refusal) {
+    throw serviceError(refusal.error, refusal.message, refusal.error === 'RAFFLE_NOT_FOUND' ? 404 : 409);
+  }
+}
+
+/**
+ * Throw if the status of any raffle a set of tickets belongs to does not allow an action
+ *
+ * @param {Array<Object>} tickets - Ticket rows (with raffle_id)
+ * @param {string} action - sell, generate, print, configure or draw
+ * @returns {Promise<void>}
+ */
+async function assertTicketsAction(tickets, action) {
+  const raffleIds = [...new Set(tickets.map(ticket => ticket.raffle_id).filter(Boolean))];
+  for (const raffleId of raffleIds) {
+    await assertAction(raffleId, action);
+  }
+}
+
+/**
+ * Check the guard of a status change
+ *
+ * @param {Object} raffle - Raffle row
+ * @param {string} next - Status the raffle is moving to
+ * @returns {Promise<Object|null>} - { code, message } if the change is refused
+ */
+async function checkGuard(raffle, next) {
+  const step = `${raffle.status}->${next}`;
+  if (step === 'draft->printing') {
+    const categories = await db.get('SELECT COUNT(*) as count FROM ticket_categories WHERE raffle_id = ?', [raffle.id]);
+    if (Number(categories.count) === 0) {
+      return { code: 'NO_CATEGORIES', message: 'Add the raffle\'s ticket categories before printing' };
+    }
+  }
+  if (step === 'printing->on_sale') {
+    const tickets = await db.get('SELECT COUNT(*) as count FROM tickets WHERE raffle_id = ?', [raffle.id]);
+    if (Number(tickets.count) === 0) {
+      return { code: 'NO_TICKETS', message: 'Generate the raffle\'s tickets before putting it on sale' };
+    }
+  }
+  if (step === 'closed->on_sale') {
+    const draw = await db.get('SELECT id FROM draws WHERE raffle_id = ? LIMIT 1', [raffle.id]);
+    if (draw) {
+      return { code: 'RAFFLE_DRAWN', message: 'This raffle\'s draw has been run, so it cannot reopen for sale' };
+    }
+    // A published commitment fixed the eligible set: selling more tickets would change it
+    const commitment = await db.get(
+      "SELECT id FROM draw_commitments WHERE raffle_id = ? AND status = 'pending' LIMIT 1",
+      [raffle.id]
+    );
+    if (commitment) {
+      return { code: 'COMMITMENT_PENDING', message: `Draw commitment #${commitment.id} has been published for this raffle, so it cannot reopen for sale` };
+    }
+  }
+  if (step === 'closed->drawn') {
+    const draw = await db.get(
+      "SELECT id FROM draws WHERE raffle_id = ? AND COALESCE(status, 'completed') = 'completed' LIMIT 1",
+      [raffle.id]
+    );
+    if (!draw) {
+      return { code: 'NOT_DRAWN', message: 'Run the raffle\'s draw before marking it drawn' };
+    }
+  }
+  if (step === 'drawn->archived') {
+    const open = await db.get(
+      `SELECT COUNT(*) as count FROM winners
+       WHERE raffle_id = ? AND COALESCE(status, 'winner') = 'winner'
+         AND COALESCE(claim_status, 'pending') IN ('pending', 'notified')`,
+      [raffle.id]
+    );
+    if (Number(open.count) > 0) {
+      return { code: 'CLAIMS_OPEN', message: `${open.count} prize claim(s) are still open. Settle them before archiving.` };
+    }
+  }
+  return null;
+}
+
+/**
+ * A raffle's status, where it can go next, what it allows and its status history
+ *
+ * @param {number} raffleId - Raffle ID
+ * @returns {Promise<Object>} - { raffle_id, name, status, next_statuses, allowed_actions, history }
+ */
+async function getLifecycle(raffleId) {
+  const raffle = await db.get('SELECT id, name, status FROM raffles WHERE id = ?', [raffleId]);
+  if (!raffle) {
+    throw serviceError('RAFFLE_NOT_FOUND', 'Raffle not found', 404);
+  }
+  const allowedActions = {};
+  for (const [action, rule] of Object.entries(ACTIONS)) {
+    allowedActions[action] = rule.statuses.includes(raffle.status);
+  }
+  const history = await db.all(
+    `SELECT from_status, to_status, actor, actor_name, notes, created_at
+     FROM raffle_status_events WHERE raffle_id = ? ORDER BY id ASC`,
+    [raffle.id]
+  );
+  return {
+    raffle_id: raffle.id,
+    name: raffle.name,
+    status: raffle.status,
+    next_statuses: TRANSITIONS[raffle.status] || [],
+    allowed_actions: allowedActions,
+    history
+  };
+}
+
+/**
+ * Move a raffle to its next status
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {Object} input - { status, notes }
+ * @param {Object} user - Session user (admin)
+ * @returns {Promise<Object>} - The raffle's lifecycle after the change
+ */
+async function changeStatus(raffleId, input = {}, user) {
+  const next = String(input.status || '').trim().toLowerCase();
+  if (!STATUSES.includes(next)) {
+    throw serviceError('INVALID_STATUS', `status must be one of: ${STATUSES.join(', ')}`);
+  }
+  const raffle = await db.get('SELECT id, name, status FROM raffles WHERE id = ?', [raffleId]);
+  if (!raffle) {
+    throw serviceError('RAFFLE_NOT_FOUND', 'Raffle not found', 404);
+  }
+  if (raffle.status === next) {
+    throw serviceError('INVALID_TRANSITION', `${raffle.name} is already ${next}`, 409);
+  }
+  const allowed = TRANSITIONS[raffle.status] || [];
+  if (!allowed.includes(next)) {
+    const options = allowed.length ? `it can only move to ${allowed.join(' or ')}` : 'it can no longer change';
+    throw serviceError('INVALID_TRANSITION', `${raffle.name} is ${raffle.status}: ${options}`, 409);
+  }
+  const refusal = await checkGuard(raffle, next);
+  if (refusal) {
+    throw serviceError(refusal.code, refusal.message, 409);
+  }
+
+  // Only applies if nobody changed the status since it was read
+  const result = await db.run('UPDATE raffles SET status = ? WHERE id = ? AND status = ?', [next, raffle.id, raffle.status]);
+  if (result.changes === 0) {
+    throw serviceError('RAFFLE_CHANGED', 'The raffle\'s status changed at the same time. Please try again.', 409);
+  }
+  const notes = input.notes ? String(input.notes).trim() : null;
+  await db.run(
+    `INSERT INTO raffle_status_events (raffle_id, from_status, to_status, actor, actor_name, notes)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [raffle.id, raffle.status, next, user.phone, user.name, notes]
+  );
+
+  console.log(`[LIFECYCLE] ${user.name} moved raffle ${raffle.id} from ${raffle.status} to ${next}`);
+  return getLifecycle(raffle.id);
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  checkAction,
+  assertAction,
+  assertTicketsAction,
+  getLifecycle,
+  changeStatus
+};
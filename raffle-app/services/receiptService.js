@@ -0,0 +1,178 @@
+/**
+ * Receipt Service - Proof of purchase for buyers
+ *
+ * A receipt covers one sale: raffle name, ticket numbers and barcodes, amount
+ * paid, seller and draw date. Sellers and admins can download it as a PDF, it
+ * is emailed to the buyer when the sale has a buyer_email, and the buyer can
+ * open it later without logging in through a link carrying an unguessable
+ * token (sales.receipt_token).
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const saleService = require('./saleService');
+const printService = require('./printService');
+const emailService = require('./emailService');
+const { serviceError } = require('./serviceError');
+
+// 24 random bytes, base64url encoded
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+/**
+ * Get a sale's receipt token, creating it the first time it is needed
+ *
+ * @param {Object} sale - Sale row
+ * @returns {Promise<string>}
+ */
+async function ensureReceiptToken(sale) {
+  if (sale.receipt_token) {
+    return sale.receipt_token;
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  await db.run('UPDATE sales SET receipt_token = ? WHERE id = ? AND receipt_token IS NULL', [token, sale.id]);
+
+  // A concurrent request may have set it first
+  const row = await db.get('SELECT receipt_token FROM sales WHERE id = ?', [sale.id]);
+  return row.receipt_token;
+}
+
+/**
+ * Public URL of a receipt
+ *
+ * @param {string} token - Receipt token
+ * @returns {string}
+ */
+function getReceiptUrl(token) {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  return `${appUrl}/api/receipts/${token}`;
+}
+
+/**
+ * Collect everything printed on a sale's receipt
+ * Buyer contact details are left out: the receipt link can be shared.
+ *
+ * @param {Object} sale - Sale with tickets (saleService.getSale)
+ * @returns {Promise<Object>} - Receipt
+ */
+async function buildReceipt(sale) {
+  if (sale.status !== 'completed') {
+    throw serviceError('RECEIPT_NOT_FOUND', 'Receipt not found', 404);
+  }
+
+  const raffle = await db.get('SELECT name, draw_date FROM raffles WHERE id = ?', [sale.raffle_id]);
+  const token = await ensureReceiptToken(sale);
+
+  return {
+    sale_id: sale.id,
+    receipt_number: `R-${String(sale.id).padStart(6, '0')}`,
+    raffle_name: raffle ? raffle.name : `Raffle #${sale.raffle_id}`,
+    draw_date: raffle && raffle.draw_date ? String(raffle.draw_date).slice(0, 10) : null,
+    sold_at: sale.completed_at || sale.created_at,
+    seller_name: sale.seller_name,
+    buyer_name: sale.buyer_name,
+    payment_method: sale.payment_method,
+    total_amount: sale.total_amount,
+    tickets: sale.tickets.map(ticket => ({
+      ticket_number: ticket.ticket_number,
+      barcode: ticket.barcode,
+      category: ticket.category,
+      amount_paid: ticket.actual_price_paid,
+      status: ticket.status
+    })),
+    receipt_url: getReceiptUrl(token)
+  };
+}
+
+/**
+ * Get the receipt of a sale for a logged-in user (sellers only see their own sales)
+ *
+ * @param {number} saleId - Sale ID
+ * @param {Object} user - Session user { id, role }
+ * @returns {Promise<Object>} - Receipt
+ */
+async function getReceipt(saleId, user) {
+  return buildReceipt(await saleService.getSaleForUser(saleId, user));
+}
+
+/**
+ * Get a receipt from its shareable token
+ *
+ * @param {string} token - Receipt token from the link
+ * @returns {Promise<Object>} - Receipt
+ */
+async function getReceiptByToken(token) {
+  if (!TOKEN_PATTERN.test(String(token || ''))) {
+    throw serviceError('RECEIPT_NOT_FOUND', 'Receipt not found', 404);
+  }
+
+  const row = await db.get('SELECT id FROM sales WHERE receipt_token = ?', [token]);
+  if (!row) {
+    throw serviceError('RECEIPT_NOT_FOUND', 'Receipt not found', 404);
+  }
+  return buildReceipt(await saleService.getSale(row.id));
+}
+
+/**
+ * Get the shareable receipt link of a sale
+ *
+ * @param {number} saleId - Sale ID
+ * @returns {Promise<string|null>} - URL, or null if the sale does not exist
+ */
+async function getReceiptLink(saleId) {
+  const sale = await db.get('SELECT id, receipt_token FROM sales WHERE id = ?', [saleId]);
+  if (!sale) {
+    return null;
+  }
+  return getReceiptUrl(await ensureReceiptToken(sale));
+}
+
+/**
+ * Render a receipt as PDF
+ *
+ * @param {Object} receipt - Receipt from getReceipt / getReceiptByToken
+ * @returns {Promise<Buffer>}
+ */
+function generateReceiptPDF(receipt) {
+  return printService.generateReceiptPDF(receipt);
+}
+
+/**
+ * Email a sale's receipt, with the PDF attached
+ *
+ * @param {number} saleId - Sale ID
+ * @param {string} email - Address to send to (default: the sale's buyer_email)
+ * @returns {Promise<Object>} - { sent, email, error }
+ */
+async function emailReceipt(saleId, email = null) {
+  const sale = await saleService.getSale(saleId);
+  if (!sale) {
+    throw serviceError('SALE_NOT_FOUND', 'Sale not found', 404);
+  }
+
+  const to = email ? String(email).trim().toLowerCase() : sale.buyer_email;
+  if (!to) {
+    return { sent: false, email: null, error: 'NO_EMAIL' };
+  }
+  if (!saleService.EMAIL_PATTERN.test(to)) {
+    throw serviceError('INVALID_EMAIL', 'Email address is not valid');
+  }
+
+  const receipt = await buildReceipt(sale);
+  const pdfBuffer = await generateReceiptPDF(receipt);
+  const result = await emailService.sendReceiptEmail(to, receipt, pdfBuffer);
+  if (!result.success) {
+    return { sent: false, email: to, error: result.error };
+  }
+
+  await db.run('UPDATE sales SET receipt_emailed_at = CURRENT_TIMESTAMP WHERE id = ?', [sale.id]);
+  return { sent: true, email: to };
+}
+
+module.exports = {
+  getReceipt,
+  getReceiptByToken,
+  getReceiptLink,
+  generateReceiptPDF,
+  emailReceipt
+};
@@ -0,0 +1,284 @@
+/**
+ * Refund Service - Give buyers their money back for sold tickets
+ *
+ * An admin refunds some or all of a sale's tickets (a cancelled raffle, a
+ * disputed purchase) and is recorded as the refund's approver, with the amount
+ * and how it was paid back. Sales paid through a payment provider (online
+ * orders, card and mobile money sales) are refunded through that provider;
+ * the others are paid back by hand.
+ *
+ * A refund:
+ *   - puts its tickets back on sale (AVAILABLE) or takes them out of
+ *     circulation (REFUNDED, keeping the buyer), as the admin chooses
+ *   - reverses the seller's commission on them: tickets.seller_commission is
+ *     cleared and they drop out of payout statements
+ *   - credits the seller's ledger with the amount, reversing the sale's debit
+ *     (provider sales were never debited)
+ *   - writes a ticket_events row per ticket with its share of the amount; the
+ *     revenue report counts these as refunded revenue
+ * Tickets are claimed (marked REFUNDED) before any money moves, so the same
+ * ticket cannot be refunded twice.
+ */
+
+const db = require('../db');
+const paymentService = require('./paymentService');
+const ledgerService = require('./ledgerService');
+const ticketReturnService = require('./ticketReturnService');
+const { serviceError } = require('./serviceError');
+
+// Why a sale is refunded ('other' needs notes)
+const REFUND_REASONS = ['raffle_cancelled', 'buyer_dispute', 'duplicate_payment', 'payment_error', 'other'];
+// How money paid by hand is given back; provider payments are always refunded through the provider
+const REFUND_METHODS = ['cash', 'mobile_money', 'bank_transfer', 'other'];
+// What happens to refunded tickets
+const TICKET_OUTCOMES = ['AVAILABLE', 'REFUNDED'];
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+/**
+ * What the buyer paid for a ticket
+ *
+ * @param {Object} ticket - Ticket row
+ * @returns {number}
+ */
+function amountPaid(ticket) {
+  const paid = ticket.actual_price_paid !== null && ticket.actual_price_paid !== undefined
+    ? ticket.actual_price_paid
+    : ticket.price;
+  return roundMoney(paid);
+}
+
+/**
+ * Split a refund across tickets in proportion to what was paid for each
+ * (evenly if nothing was); the last ticket takes the rounding difference
+ *
+ * @param {number} amount - Amount refunded
+ * @param {number[]} paid - Amount paid per ticket
+ * @returns {number[]}
+ */
+function splitAmount(amount, paid) {
+  const totalPaid = paid.reduce((sum, value) => sum + value, 0);
+  const shares = paid.map(value => roundMoney(totalPaid > 0 ? amount * value / totalPaid : amount / paid.length));
+  const assigned = shares.slice(0, -1).reduce((sum, value) => sum + value, 0);
+  shares[shares.length - 1] = roundMoney(amount - assigned);
+  return shares;
+}
+
+/**
+ * The provider payment that paid for a sale, if any
+ *
+ * @param {number} saleId - Sale ID
+ * @returns {Promise<Object|null>} - { provider, payment_id, amount, refunded_amount }
+ */
+async function getSalePayment(saleId) {
+  const payment = await db.get(
+    `SELECT provider, payment_id, amount, refunded_amount FROM payment_transactions
+     WHERE sale_id = ? AND transaction_id IS NOT NULL`,
+    [saleId]
+  );
+  return payment || null;
+}
+
+/**
+ * Put claimed tickets back the way they were after a refund failed
+ *
+ * @param {Array<Object>} tickets - Ticket rows as they were before the claim
+ * @returns {Promise<void>}
+ */
+async function unclaimTickets(tickets) {
+  for (const ticket of tickets) {
+    await db.run("UPDATE tickets SET status = ? WHERE id = ? AND status = 'REFUNDED'", [ticket.status, ticket.id]);
+  }
+}
+
+/**
+ * Refund some or all of a sale's tickets
+ *
+ * @param {number} saleId - Sale ID
+ * @param {Object} input - { ticket_ids? (default: every sold ticket), amount? (default: what was paid),
+ *                           method (not for provider payments), ticket_status (AVAILABLE or REFUNDED), reason, notes }
+ * @param {Object} user - Session user approving the refund (admin)
+ * @returns {Promise<Object>} - The refund with its tickets
+ */
+async function refundSale(saleId, input = {}, user) {
+  const { reason, notes } = ticketReturnService.parseReason(input, REFUND_REASONS);
+  const ticketStatus = String(input.ticket_status || '').trim().toUpperCase();
+  if (!TICKET_OUTCOMES.includes(ticketStatus)) {
+    throw serviceError('INVALID_TICKET_OUTCOME', 'ticket_status must be AVAILABLE (back on sale) or REFUNDED (out of circulation)');
+  }
+
+  const sale = await db.get("SELECT * FROM sales WHERE id = ? AND status = 'completed'", [saleId]);
+  if (!sale) {
+    throw serviceError('SALE_NOT_FOUND', 'Sale not found', 404);
+  }
+
+  let tickets = await db.all(
+    `SELECT * FROM tickets WHERE sale_id = ? AND status IN ('SOLD', 'DISPUTED') ORDER BY ticket_number ASC`,
+    [sale.id]
+  );
+  if (input.ticket_ids !== undefined) {
+    if (!Array.isArray(input.ticket_ids) || input.ticket_ids.length === 0) {
+      throw serviceError('NO_TICKETS', 'ticket_ids must list at least one ticket');
+    }
+    const wanted = new Set(input.ticket_ids.map(Number));
+    tickets = tickets.filter(ticket => wanted.has(Number(ticket.id)));
+    if (tickets.length !== wanted.size) {
+      throw serviceError('TICKETS_NOT_REFUNDABLE', 'Some of these tickets are not sold tickets of this sale', 409);
+    }
+  }
+  if (tickets.length === 0) {
+    throw serviceError('NOTHING_TO_REFUND', 'This sale has no sold tickets left to refund', 409);
+  }
+  await ticketReturnService.assertNotDrawn(sale.raffle_id, 'refunded');
+
+  const paid = tickets.map(amountPaid);
+  const totalPaid = roundMoney(paid.reduce((sum, value) => sum + value, 0));
+  const amount = input.amount === undefined || input.amount === null || input.amount === ''
+    ? totalPaid
+    : roundMoney(input.amount);
+  if (!(amount > 0) || amount > totalPaid) {
+    throw serviceError('INVALID_AMOUNT', `amount must be more than 0 and at most ${totalPaid.toFixed(2)}, what was paid for these tickets`);
+  }
+
+  const payment = await getSalePayment(sale.id);
+  let method;
+  if (payment) {
+    if (input.method && input.method !== 'provider') {
+      throw serviceError('INVALID_METHOD', `This sale was paid through ${payment.provider} and can only be refunded through it`);
+    }
+    method = 'provider';
+    const refundable = roundMoney(Number(payment.amount) - Number(payment.refunded_amount || 0));
+    if (amount > refundable) {
+      throw serviceError('REFUND_EXCEEDS_PAYMENT', `Only ${refundable.toFixed(2)} of this payment is left to refund`, 409);
+    }
+  } else {
+    method = String(input.method || '').trim().toLowerCase();
+    if (!REFUND_METHODS.includes(method)) {
+      throw serviceError('INVALID_METHOD', `method must be one of: ${REFUND_METHODS.join(', ')}`);
+    }
+  }
+
+  // Claim the tickets first: only one refund can get them
+  const claimed = [];
+  for (const ticket of tickets) {
+    const result = await db.run(
+      "UPDATE tickets SET status = 'REFUNDED' WHERE id = ? AND sale_id = ? AND status = ?",
+      [ticket.id, sale.id, ticket.status]
+    );
+    if (result.changes === 0) {
+      await unclaimTickets(claimed);
+      throw serviceError('TICKET_CHANGED', `${ticket.ticket_number} changed while it was being refunded. Please try again.`, 409);
+    }
+    claimed.push(ticket);
+  }
+
+  const commission = roundMoney(tickets.reduce((sum, ticket) => sum + Number(ticket.seller_commission || 0), 0));
+  const inserted = await db.run(
+    `INSERT INTO refunds
+     (sale_id, raffle_id, seller_id, ticket_count, amount, method, provider, ticket_status,
+      commission_reversed, reason_code, notes, status, approved_by, approved_by_name)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
+    [sale.id, sale.raffle_id, sale.seller_id, tickets.length, amount, method, payment ? payment.provider : null,
+      ticketStatus, commission, reason, notes, user.phone, user.name]
+  );
+  const refundId = inserted.lastID;
+
+  let providerRefundId = null;
+  if (payment) {
+    try {
+      const providerRefund = await paymentService.refundPayment(payment.provider, payment.payment_id, {
+        amount,
+        reason,
+        key: `refund-${refundId}`
+      });
+      providerRefundId = providerRefund.id;
+    } catch (error) {
+      await unclaimTickets(claimed);
+      await db.run("UPDATE refunds SET status = 'failed', failure_reason = ? WHERE id = ?", [error.code || error.message, refundId]);
+      throw error;
+    }
+  }
+
+  const shares = splitAmount(amount, paid);
+  for (let i = 0; i < tickets.length; i++) {
+    const ticket = tickets[i];
+    if (ticketStatus === 'AVAILABLE') {
+      await db.run(
+        `UPDATE tickets SET status = 'AVAILABLE', ${ticketReturnService.CLEAR_SALE} WHERE id = ? AND status = 'REFUNDED'`,
+        [ticket.id]
+      );
+    } else {
+      await db.run('UPDATE tickets SET seller_commission = NULL WHERE id = ?', [ticket.id]);
+    }
+    await ticketReturnService.recordTicketEvent(ticket, {
+      eventType: 'refunded', toStatus: ticketStatus, reason, notes, user, refundId, amount: shares[i]
+    });
+  }
+
+  await db.run(
+    "UPDATE refunds SET status = 'completed', provider_refund_id = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [providerRefundId, refundId]
+  );
+  await ledgerService.recordRefundCredit(refundId);
+
+  console.log(`[REFUNDS] ${user.name} refunded ${amount.toFixed(2)} for ${tickets.length} ticket(s) of sale #${sale.id} (${method}, ${reason})`);
+  return getRefund(refundId);
+}
+
+/**
+ * One refund with its tickets
+ *
+ * @param {number} refundId - Refund ID
+ * @returns {Promise<Object>}
+ */
+async function getRefund(refundId) {
+  const refund = await db.get('SELECT * FROM refunds WHERE id = ?', [refundId]);
+  if (!refund) {
+    throw serviceError('REFUND_NOT_FOUND', 'Refund not found', 404);
+  }
+  const tickets = await db.all(
+    `SELECT t.id, t.ticket_number, t.barcode, t.category, t.status, e.amount as amount_refunded
+     FROM ticket_events e
+     JOIN tickets t ON t.id = e.ticket_id
+     WHERE e.refund_id = ?
+     ORDER BY t.ticket_number ASC`,
+    [refund.id]
+  );
+  return { ...refund, tickets };
+}
+
+/**
+ * List refunds, newest first
+ *
+ * @param {Object} filters - { sale_id, raffle_id, limit }
+ * @returns {Promise<Array>}
+ */
+async function listRefunds({ sale_id = null, raffle_id = null, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (sale_id) {
+    conditions.push('sale_id = ?');
+    params.push(sale_id);
+  }
+  if (raffle_id) {
+    conditions.push('raffle_id = ?');
+    params.push(raffle_id);
+  }
+  return db.all(
+    `SELECT * FROM refunds
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY id DESC
+     LIMIT ?`,
+    [...params, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500)]
+  );
+}
+
+module.exports = {
+  REFUND_REASONS,
+  REFUND_METHODS,
+  refundSale,
+  getRefund,
+  listRefunds
+};
@@ -0,0 +1,316 @@
+/**
+ * Reservation Service - Tickets held for a buyer before they pay
+ *
+ * A reserved ticket has status RESERVED, an owner, a reason and an expiry
+ * (tickets.reserved_until). Owners are:
+ *   user:<id>  - a seller or admin holding tickets for a phone order
+ *   order:<id> - an online order waiting for its payment
+ * Only the owner can sell a reserved ticket. Once the hold expires anyone can
+ * sell or reserve it again, and the sweeper (releaseExpiredReservations, run
+ * by cron) puts it back to AVAILABLE. RESERVED tickets without an expiry
+ * (set by older imports) stay held until an admin releases them.
+ */
+
+const db = require('../db');
+const ticketService = require('./ticketService');
+const allocationService = require('./allocationService');
+const { serviceError } = require('./serviceError');
+
+// Default and longest hold
+const DEFAULT_HOLD_MINUTES = Number(process.env.TICKET_HOLD_MINUTES) || 30;
+const MAX_HOLD_MINUTES = 72 * 60;
+// Most tickets one reservation request can hold
+const MAX_RESERVATION_TICKETS = 50;
+
+/**
+ * Reservation owner key of a user
+ *
+ * @param {number} userId - User ID
+ * @returns {string}
+ */
+function userOwner(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Reservation owner key of an online order
+ *
+ * @param {number} orderId - Online order ID
+ * @returns {string}
+ */
+function orderOwner(orderId) {
+  return `order:${orderId}`;
+}
+
+/**
+ * Whether a ticket row is held by a reservation that has not expired
+ *
+ * @param {Object} ticket - Ticket row
+ * @returns {boolean}
+ */
+function isHeld(ticket) {
+  return ticket.status === 'RESERVED' &&
+    (!ticket.reserved_until || db.fromDbTimestamp(ticket.reserved_until) >= db.toDbTimestamp(new Date()));
+}
+
+/**
+ * SQL condition (tickets aliased as given) for tickets an owner may take:
+ * AVAILABLE or RETURNED, reserved by that owner, or reserved but expired
+ *
+ * @param {string|null} owner - Owner key, or null for anyone
+ * @param {string} alias - Table alias prefix, e.g. 't.' (default none)
+ * @returns {Object} - { sql, params }
+ */
+function takeableCondition(owner, alias = '') {
+  return {
+    sql: `(${alias}status IN ('AVAILABLE', 'RETURNED') OR (${alias}status = 'RESERVED'
+      AND (${alias}reserved_until < ? OR ${alias}reservation_owner = ?)))`,
+    params: [db.toDbTimestamp(new Date()), owner || '']
+  };
+}
+
+/**
+ * SQL assignments that clear a ticket's reservation
+ */
+const CLEAR_RESERVATION = `reservation_owner = NULL, reservation_owner_name = NULL, reservation_reason = NULL,
+  reserved_at = NULL, reserved_until = NULL`;
+
+/**
+ * Check whether a reservation stops an owner selling a ticket
+ *
+ * @param {Object} ticket - Ticket row
+ * @param {string|null} owner - Owner key of whoever is selling
+ * @returns {Object|null} - { error, message } if the ticket is held for someone else
+ */
+function checkReservation(ticket, owner) {
+  if (!isHeld(ticket) || (owner && ticket.reservation_owner === owner)) {
+    return null;
+  }
+  const until = ticket.reserved_until ? ` until ${db.fromDbTimestamp(ticket.reserved_until)} UTC` : '';
+  return {
+    error: 'TICKET_RESERVED',
+    message: `This ticket is reserved${until} and can only be sold by whoever reserved it.`
+  };
+}
+
+/**
+ * Hold one ticket, if it is free (or already held by the same owner, which extends the hold)
+ *
+ * @param {number} ticketId - Ticket ID
+ * @param {Object} hold - { owner, owner_name, reason, until (DB timestamp) }
+ * @returns {Promise<boolean>} - False if the ticket could not be held
+ */
+async function holdTicket(ticketId, hold) {
+  const takeable = takeableCondition(hold.owner);
+  const result = await db.run(
+    `UPDATE tickets
+     SET status = 'RESERVED', reservation_owner = ?, reservation_owner_name = ?, reservation_reason = ?,
+         reserved_at = ?, reserved_until = ?
+     WHERE id = ? AND ${takeable.sql}`,
+    [hold.owner, hold.owner_name, hold.reason, db.toDbTimestamp(new Date()), hold.until, ticketId, ...takeable.params]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Put an owner's held tickets back to AVAILABLE
+ *
+ * @param {string} owner - Owner key
+ * @param {number[]} ticketIds - Only these tickets (default: all the owner holds)
+ * @returns {Promise<number>} - Tickets released
+ */
+async function releaseHolds(owner, ticketIds = null) {
+  if (ticketIds && ticketIds.length === 0) {
+    return 0;
+  }
+  const idFilter = ticketIds ? ` AND id IN (${ticketIds.map(() => '?').join(', ')})` : '';
+  const result = await db.run(
+    `UPDATE tickets SET status = 'AVAILABLE', ${CLEAR_RESERVATION}
+     WHERE status = 'RESERVED' AND reservation_owner = ?${idFilter}`,
+    [owner, ...(ticketIds || [])]
+  );
+  return result.changes;
+}
+
+/**
+ * Validate a hold length in minutes
+ *
+ * @param {*} value - Minutes requested (default DEFAULT_HOLD_MINUTES)
+ * @returns {number}
+ */
+function parseHoldMinutes(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_HOLD_MINUTES;
+  }
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_HOLD_MINUTES) {
+    throw serviceError('INVALID_HOLD', `hold_minutes must be a whole number from 1 to ${MAX_HOLD_MINUTES}`);
+  }
+  return minutes;
+}
+
+/**
+ * Reserve tickets for a phone order. All or nothing: if one ticket cannot be
+ * held, none are.
+ *
+ * @param {string[]} barcodes - Barcodes (or ticket numbers) to reserve
+ * @param {Object} user - Session user { id, name, role }
+ * @param {Object} input - { reason, hold_minutes, raffle_id }
+ * @returns {Promise<Object>} - { reserved_until, tickets }
+ */
+async function reserveTickets(barcodes, user, input = {}) {
+  const reason = String(input.reason || '').trim();
+  if (!reason) {
+    throw serviceError('RESERVATION_REASON_REQUIRED', 'Give a reason for the reservation, e.g. who it is for');
+  }
+  if (reason.length > 200) {
+    throw serviceError('INVALID_RESERVATION_REASON', 'The reason must be 200 characters or less');
+  }
+  const minutes = parseHoldMinutes(input.hold_minutes);
+  if (!Array.isArray(barcodes) || barcodes.length === 0) {
+    throw serviceError('NO_TICKETS', 'Send the barcodes of the tickets to reserve');
+  }
+  if (barcodes.length > MAX_RESERVATION_TICKETS) {
+    throw serviceError('TOO_MANY_TICKETS', `At most ${MAX_RESERVATION_TICKETS} tickets can be reserved at once`);
+  }
+
+  const owner = userOwner(user.id);
+  const tickets = [];
+  const problems = [];
+  for (const barcode of barcodes) {
+    const ticket = await ticketService.getTicketByBarcode(String(barcode || '').trim(), input.raffle_id);
+    let problem = null;
+    if (!ticket) {
+      problem = { error: 'NOT_FOUND', message: 'Ticket not found' };
+    } else if (tickets.some(t => t.id === ticket.id)) {
+      problem = { error: 'DUPLICATE_TICKET', message: 'This ticket is already in the reservation' };
+    } else if (ticket.status === 'RESERVED') {
+      problem = checkReservation(ticket, owner);
+    } else if (ticket.status !== 'AVAILABLE') {
+      problem = { error: 'TICKET_UNAVAILABLE', message: `This ticket is ${String(ticket.status).toLowerCase()}` };
+    }
+    if (!problem && user.role !== 'admin') {
+      problem = await allocationService.checkTicketAllocation(ticket, user.id);
+    }
+
+    if (problem) {
+      problems.push({ barcode, ticket: ticket ? ticket.ticket_number : undefined, ...problem });
+    } else {
+      tickets.push(ticket);
+    }
+  }
+  if (problems.length > 0) {
+    const error = serviceError('RESERVATION_TICKETS_INVALID', 'Some tickets cannot be reserved', 409);
+    error.tickets = problems;
+    throw error;
+  }
+
+  const until = db.toDbTimestamp(new Date(Date.now() + minutes * 60 * 1000));
+  const hold = { owner, owner_name: user.name, reason, until };
+  const held = [];
+  for (const ticket of tickets) {
+    if (!(await holdTicket(ticket.id, hold))) {
+      // Taken meanwhile: undo the holds made by this request
+      await releaseHolds(owner, held.map(t => t.id));
+      const error = serviceError('RESERVATION_TICKETS_INVALID', 'Some tickets cannot be reserved', 409);
+      error.tickets = [{ barcode: ticket.barcode, ticket: ticket.ticket_number, error: 'TICKET_UNAVAILABLE', message: 'This ticket was just taken' }];
+      throw error;
+    }
+    held.push(ticket);
+  }
+
+  console.log(`[RESERVATIONS] ${user.name} reserved ${held.length} ticket(s) until ${until}: ${reason}`);
+  return {
+    reserved_until: until,
+    tickets: held.map(t => ({ id: t.id, ticket_number: t.ticket_number, barcode: t.barcode, category: t.category }))
+  };
+}
+
+/**
+ * Release a reserved ticket before its hold expires
+ *
+ * @param {number} ticketId - Ticket ID
+ * @param {Object} user - Session user; sellers can only release their own holds
+ * @returns {Promise<Object>} - { ticket_number, status }
+ */
+async function releaseReservation(ticketId, user) {
+  const ticket = await db.get('SELECT id, ticket_number, status, reservation_owner FROM tickets WHERE id = ?', [ticketId]);
+  if (!ticket) {
+    throw serviceError('TICKET_NOT_FOUND', 'Ticket not found', 404);
+  }
+  if (ticket.status !== 'RESERVED') {
+    throw serviceError('NOT_RESERVED', 'This ticket is not reserved', 409);
+  }
+  if (user.role !== 'admin' && ticket.reservation_owner !== userOwner(user.id)) {
+    throw serviceError('NOT_RESERVATION_OWNER', 'Only whoever reserved this ticket or an admin can release it', 403);
+  }
+
+  const released = await db.run(
+    `UPDATE tickets SET status = 'AVAILABLE', ${CLEAR_RESERVATION} WHERE id = ? AND status = 'RESERVED'`,
+    [ticket.id]
+  );
+  if (released.changes === 0) {
+    throw serviceError('NOT_RESERVED', 'This ticket is not reserved', 409);
+  }
+  console.log(`[RESERVATIONS] ${user.name} released ${ticket.ticket_number}`);
+  return { ticket_number: ticket.ticket_number, status: 'AVAILABLE' };
+}
+
+/**
+ * List reserved tickets, soonest expiry first
+ *
+ * @param {Object} filters - { owner (key), raffle_id, limit }
+ * @returns {Promise<Array>}
+ */
+async function listReservations({ owner = null, raffle_id = null, limit = 200 } = {}) {
+  const where = ["status = 'RESERVED'"];
+  const params = [];
+  if (owner) {
+    where.push('reservation_owner = ?');
+    params.push(owner);
+  }
+  if (raffle_id) {
+    where.push('raffle_id = ?');
+    params.push(raffle_id);
+  }
+  const rows = await db.all(
+    `SELECT id, raffle_id, ticket_number, barcode, category, reservation_owner, reservation_owner_name,
+            reservation_reason, reserved_at, reserved_until
+     FROM tickets
+     WHERE ${where.join(' AND ')}
+     ORDER BY reserved_until ASC, id ASC
+     LIMIT ?`,
+    [...params, Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000)]
+  );
+  return rows.map(row => ({ ...row, expired: !isHeld({ ...row, status: 'RESERVED' }) }));
+}
+
+/**
+ * Put every ticket whose hold has expired back to AVAILABLE (run by cron)
+ *
+ * @returns {Promise<number>} - Tickets released
+ */
+async function releaseExpiredReservations() {
+  const result = await db.run(
+    `UPDATE tickets SET status = 'AVAILABLE', ${CLEAR_RESERVATION}
+     WHERE status = 'RESERVED' AND reserved_until < ?`,
+    [db.toDbTimestamp(new Date())]
+  );
+  return result.changes;
+}
+
+module.exports = {
+  DEFAULT_HOLD_MINUTES,
+  MAX_HOLD_MINUTES,
+  CLEAR_RESERVATION,
+  userOwner,
+  orderOwner,
+  takeableCondition,
+  checkReservation,
+  holdTicket,
+  releaseHolds,
+  reserveTickets,
+  releaseReservation,
+  listReservations,
+  releaseExpiredReservations
+};
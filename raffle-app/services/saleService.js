@@ -0,0 +1,850 @@
+/**
+ * Sale Service - Buyer details and payment captured when a seller sells a ticket
+ *
+ * Each raffle decides which buyer fields a sale must include (raffles.*_required).
+ * With nothing required, a scan sells the ticket straight away (quick-scan);
+ * any details the seller does enter are still validated and stored.
+ *
+ * Sales are race-free: the ticket only changes to SOLD if it is still AVAILABLE
+ * (or RETURNED), so of two sellers scanning the same ticket exactly one wins. Each sale is
+ * logged in ticket_scans; a client-supplied scan ID makes a retried request
+ * return the original sale instead of failing. The same scan IDs let the seller
+ * PWA replay sales queued while offline (syncQueuedSales).
+ *
+ * Every sale is recorded in the sales table (one buyer, one payment, a total)
+ * and its tickets point to it through tickets.sale_id. A scan is a sale of one
+ * ticket; createSale sells a cart of tickets all-or-nothing: if any ticket
+ * cannot be sold, the tickets already marked are put back as they were and nothing is sold.
+ * The seller's commission is calculated per ticket at sale time (commissionService).
+ * Each completed sale debits the seller's cash ledger, and a seller over their
+ * balance limit cannot sell (ledgerService).
+ *
+ * A sale can instead be paid through a payment provider (payment_provider in
+ * the request): the ticket is only sold once the provider confirms the
+ * payment, the sale is recorded as verified, and the seller never holds the
+ * money so their ledger is not debited (paymentService).
+ */
+
+const db = require('../db');
+const bulkTicketService = require('./bulkTicketService');
+const commissionService = require('./commissionService');
+const ledgerService = require('./ledgerService');
+const paymentService = require('./paymentService');
+const reservationService = require('./reservationService');
+const { serviceError } = require('./serviceError');
+
+// Payment methods a seller can record at scan time
+const PAYMENT_METHODS = ['cash', 'mobile_money', 'card', 'bank_transfer', 'other'];
+
+// Most sales a seller can upload in one offline batch
+const MAX_BATCH_SIZE = 200;
+
+// Most tickets one sale (cart) can hold
+const MAX_SALE_TICKETS = 50;
+
+// Sale setting -> buyer detail it makes mandatory
+const REQUIRED_FIELD_SETTINGS = {
+  buyer_name_required: 'buyer_name',
+  buyer_phone_required: 'buyer_phone',
+  buyer_email_required: 'buyer_email',
+  payment_method_required: 'payment_method'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TRUE = db.USE_POSTGRES ? 'TRUE' : '1';
+
+// Ticket columns a sale overwrites; an abandoned sale puts each back as it was
+const SALE_TICKET_COLUMNS = [
+  'status', 'sale_id', 'seller_id', 'seller_name', 'seller_phone',
+  'buyer_name', 'buyer_phone', 'buyer_email', 'payment_method',
+  'payment_provider', 'provider_transaction_id', 'payment_verified',
+  'actual_price_paid', 'amount', 'seller_commission', 'sold_at',
+  'reservation_owner', 'reservation_owner_name', 'reservation_reason', 'reserved_at', 'reserved_until'
+];
+
+/**
+ * Normalize a phone number to digits (keeping a leading +)
+ * Accepts common separators: "+509 3712-3456", "(555) 123-4567"
+ *
+ * @param {string} phone - Phone as typed
+ * @returns {string|null} - Normalized phone, or null if it is not a valid number
+ */
+function normalizePhone(phone) {
+  const raw = String(phone || '').trim();
+  if (!/^\+?[\d\s().-]+$/.test(raw)) {
+    return null;
+  }
+  const digits = raw.replace(/\D/g, '');
+  if (digits.length < 10 || digits.length > 15) {
+    return null;
+  }
+  return (raw.startsWith('+') ? '+' : '') + digits;
+}
+
+/**
+ * Get a raffle's sale settings
+ *
+ * @param {number} raffleId - Raffle ID
+ * @returns {Promise<Object>} - { raffle_id, buyer_name_required, ..., required_fields }
+ */
+async function getSaleSettings(raffleId) {
+  const raffle = await db.get('SELECT * FROM raffles WHERE id = ?', [raffleId]);
+  if (!raffle) {
+    throw serviceError('RAFFLE_NOT_FOUND', 'Raffle not found', 404);
+  }
+
+  const settings = { raffle_id: raffle.id };
+  for (const setting of Object.keys(REQUIRED_FIELD_SETTINGS)) {
+    settings[setting] = Boolean(raffle[setting]);
+  }
+  settings.required_fields = Object.keys(REQUIRED_FIELD_SETTINGS)
+    .filter(setting => settings[setting])
+    .map(setting => REQUIRED_FIELD_SETTINGS[setting]);
+
+  return settings;
+}
+
+/**
+ * Update which buyer fields a raffle requires at sale time
+ * Settings not present in the input are left unchanged.
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {Object} input - { buyer_name_required, buyer_phone_required, buyer_email_required, payment_method_required }
+ * @returns {Promise<Object>} - Updated settings
+ */
+async function updateSaleSettings(raffleId, input = {}) {
+  await getSaleSettings(raffleId);
+
+  const columns = Object.keys(REQUIRED_FIELD_SETTINGS).filter(setting => input[setting] !== undefined);
+  if (columns.length > 0) {
+    const values = columns.map(setting => {
+      const enabled = input[setting] === true || input[setting] === 'true' || input[setting] === 1;
+      return db.USE_POSTGRES ? enabled : (enabled ? 1 : 0);
+    });
+    await db.run(
+      `UPDATE raffles SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+      [...values, raffleId]
+    );
+  }
+
+  return getSaleSettings(raffleId);
+}
+
+/**
+ * Validate buyer and payment details against a raffle's sale settings
+ *
+ * @param {Object} input - { buyer_name, buyer_phone, buyer_email, payment_method, payment_provider, amount_paid }
+ * @param {Object} settings - Result of getSaleSettings
+ * @param {Object} ticket - Ticket being sold (its price is the default amount)
+ * @returns {Object} - Normalized { buyer_name, buyer_phone, buyer_email, payment_method, payment_provider, actual_price_paid }
+ */
+function validateSaleDetails(input = {}, settings, ticket) {
+  const trimmed = value => (value === undefined || value === null ? '' : String(value).trim());
+
+  const details = {
+    buyer_name: trimmed(input.buyer_name) || null,
+    buyer_phone: trimmed(input.buyer_phone) || null,
+    buyer_email: trimmed(input.buyer_email).toLowerCase() || null,
+    payment_method: trimmed(input.payment_method).toLowerCase() || null,
+    payment_provider: null,
+    provider_transaction_id: null
+  };
+  // Paying through a provider sets the payment method
+  if (trimmed(input.payment_provider)) {
+    const provider = paymentService.getProvider(input.payment_provider);
+    details.payment_provider = provider.name;
+    details.payment_method = provider.paymentMethod;
+  }
+
+  const missing = settings.required_fields.filter(field => !details[field]);
+  if (missing.length > 0) {
+    const error = serviceError('BUYER_DETAILS_REQUIRED', `This raffle requires: ${missing.join(', ')}`);
+    error.required_fields = settings.required_fields;
+    error.missing_fields = missing;
+    throw error;
+  }
+
+  if (details.buyer_name && (details.buyer_name.length < 2 || details.buyer_name.length > 100)) {
+    throw serviceError('INVALID_BUYER_NAME', 'Buyer name must be between 2 and 100 characters');
+  }
+  if (details.buyer_phone) {
+    const phone = normalizePhone(details.buyer_phone);
+    if (!phone) {
+      throw serviceError('INVALID_PHONE', 'Buyer phone must be 10-15 digits (spaces, dashes and a leading + are allowed)');
+    }
+    details.buyer_phone = phone;
+  }
+  if (details.buyer_email && !EMAIL_PATTERN.test(details.buyer_email)) {
+    throw serviceError('INVALID_EMAIL', 'Buyer email address is not valid');
+  }
+  if (details.payment_method && !PAYMENT_METHODS.includes(details.payment_method)) {
+    throw serviceError('INVALID_PAYMENT_METHOD', `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+
+  const amount = trimmed(input.amount_paid);
+  if (amount) {
+    const parsed = Number(amount);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      throw serviceError('INVALID_AMOUNT', 'Amount paid must be a non-negative number');
+    }
+    details.actual_price_paid = Math.round(parsed * 100) / 100;
+  } else {
+    details.actual_price_paid = ticket.price !== null && ticket.price !== undefined ? Number(ticket.price) : null;
+  }
+
+  return details;
+}
+
+/**
+ * Validate a client-supplied idempotency ID (scan_id or client_sale_id)
+ *
+ * @param {string} clientId - ID from the request (optional)
+ * @param {string} field - Request field name, used in the error (default: scan_id)
+ * @returns {string|null}
+ */
+function normalizeScanId(clientId, field = 'scan_id') {
+  if (clientId === undefined || clientId === null || clientId === '') {
+    return null;
+  }
+  const value = String(clientId).trim();
+  if (!/^[A-Za-z0-9_.:-]{1,100}$/.test(value)) {
+    throw serviceError(`INVALID_${field.toUpperCase()}`, `${field} must be 1-100 letters, digits, dashes, dots, colons or underscores`);
+  }
+  return value;
+}
+
+/**
+ * Record a new sale, still pending until its tickets are marked sold
+ *
+ * @param {Object} sale - { raffleId, ticketCount, totalAmount, clientSaleId }
+ * @param {Object} seller - Session user { id, name, phone }
+ * @param {Object} details - Validated buyer and payment details
+ * @returns {Promise<number>} - Sale ID
+ */
+async function insertSale({ raffleId, ticketCount, totalAmount, clientSaleId = null }, seller, details) {
+  const result = await db.run(
+    `INSERT INTO sales
+     (raffle_id, seller_id, seller_name, seller_phone, buyer_name, buyer_phone, buyer_email,
+      payment_method, payment_provider, provider_transaction_id, ticket_count, total_amount, status, client_sale_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)`,
+    [
+      raffleId, seller.id, seller.name, seller.phone,
+      details.buyer_name, details.buyer_phone, details.buyer_email, details.payment_method,
+      details.payment_provider, details.provider_transaction_id, ticketCount, totalAmount, clientSaleId
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Mark a sale's ticket as sold, only while it is still AVAILABLE or RETURNED
+ * (or reserved by the seller, or its hold has expired)
+ * The ticket is read just before the update, and the update only applies while
+ * it still has that status, so the returned row is exactly what the sale replaced.
+ *
+ * @param {Object} ticket - Ticket row
+ * @param {number} saleId - Sale the ticket belongs to
+ * @param {Object} seller - Session user { id, name, phone }
+ * @param {Object} details - Validated buyer and payment details
+ * @param {number|null} amount - Amount paid for this ticket
+ * @param {number|null} commission - Seller commission for this ticket
+ * @returns {Promise<Object|null>} - The ticket as it was before the sale, or null if it was no longer available
+ */
+async function markTicketSold(ticket, saleId, seller, details, amount, commission) {
+  const previous = await db.get('SELECT * FROM tickets WHERE id = ?', [ticket.id]);
+  if (!previous) {
+    return null;
+  }
+  const takeable = reservationService.takeableCondition(reservationService.userOwner(seller.id));
+  const result = await db.run(
+    `UPDATE tickets
+     SET status = 'SOLD', sale_id = ?, seller_id = ?, seller_name = ?, seller_phone = ?,
+         buyer_name = ?, buyer_phone = ?, buyer_email = ?, payment_method = ?,
+         payment_provider = ?, provider_transaction_id = ?,
+         ${details.payment_provider ? `payment_verified = ${TRUE},` : ''}
+         actual_price_paid = ?, amount = ?, seller_commission = ?, sold_at = CURRENT_TIMESTAMP,
+         ${reservationService.CLEAR_RESERVATION}
+     WHERE id = ? AND status = ? AND ${takeable.sql}`,
+    [
+      saleId, seller.id, seller.name, seller.phone,
+      details.buyer_name, details.buyer_phone, details.buyer_email, details.payment_method,
+      details.payment_provider, details.provider_transaction_id,
+      amount, amount, commission,
+      ticket.id, previous.status, ...takeable.params
+    ]
+  );
+  return result.changes > 0 ? previous : null;
+}
+
+/**
+ * Undo a sale that could not be completed: put its tickets back as they were and delete it
+ * A ticket sold from RETURNED or from the seller's reservation goes back to
+ * exactly that, with its hold, rather than to AVAILABLE.
+ *
+ * @param {number} saleId - Sale ID
+ * @param {Array<Object>} previousTickets - Tickets as they were before the sale (from markTicketSold)
+ * @returns {Promise<void>}
+ */
+async function abandonSale(saleId, previousTickets = []) {
+  if (!saleId) {
+    return;
+  }
+  const assignments = SALE_TICKET_COLUMNS.map(column => `${column} = ?`).join(', ');
+  for (const previous of previousTickets) {
+    await db.run(
+      `UPDATE tickets SET ${assignments} WHERE id = ? AND sale_id = ? AND status = 'SOLD'`,
+      [...SALE_TICKET_COLUMNS.map(column => previous[column] === undefined ? null : previous[column]), previous.id, saleId]
+    );
+  }
+  // The payment stays recorded and can pay for another sale
+  await paymentService.releaseSale(saleId);
+  await db.run('DELETE FROM sales WHERE id = ?', [saleId]);
+}
+
+/**
+ * Take a sale's payment through its provider, when it has one
+ * Throws PAYMENT_PENDING (202) while the buyer has not paid yet.
+ *
+ * @param {Object} input - Request input: provider_payment_id, payer_phone
+ * @param {Object} details - Validated details; gets the provider transaction ID
+ * @param {Object} seller - Session user { id, name, phone }
+ * @param {string} reference - Reference for the payment (the same reference resumes the same payment)
+ * @param {string} description - What the buyer pays for
+ * @returns {Promise<Object|null>} - Payment record, or null when the seller collects the money
+ */
+async function takeProviderPayment(input, details, seller, reference, description) {
+  if (!details.payment_provider) {
+    return null;
+  }
+  if (!(Number(details.actual_price_paid) > 0)) {
+    throw serviceError('INVALID_AMOUNT', 'Enter the amount paid to take the payment through a payment provider');
+  }
+
+  const payment = await paymentService.collectSalePayment(
+    {
+      payment_provider: details.payment_provider,
+      provider_payment_id: input.provider_payment_id,
+      payer_phone: input.payer_phone ? normalizePhone(input.payer_phone) : details.buyer_phone
+    },
+    { amount: details.actual_price_paid, reference, description, actor: seller.phone }
+  );
+  details.provider_transaction_id = payment.transaction_id;
+  return payment;
+}
+
+/**
+ * Link a sale to its provider payment, before its tickets are marked sold
+ *
+ * @param {Object|null} payment - Payment record from takeProviderPayment
+ * @param {number} saleId - Sale ID
+ * @returns {Promise<void>}
+ */
+async function claimProviderPayment(payment, saleId) {
+  if (payment && !(await paymentService.claimForSale(payment.provider, payment.payment_id, saleId))) {
+    throw serviceError('PAYMENT_ALREADY_USED', 'This payment has already paid for another sale', 409);
+  }
+}
+
+/**
+ * Mark a sale completed once all its tickets are sold
+ * Sales paid through a provider are verified already; the others debit the seller's ledger.
+ *
+ * @param {number} saleId - Sale ID
+ * @param {Object} details - Validated details
+ * @returns {Promise<void>}
+ */
+async function completeSale(saleId, details) {
+  if (details.payment_provider) {
+    await db.run(
+      `UPDATE sales SET status = 'completed', completed_at = CURRENT_TIMESTAMP,
+         payment_status = 'verified', payment_reviewed_by = ?, payment_reviewed_at = CURRENT_TIMESTAMP, payment_notes = ?
+       WHERE id = ?`,
+      [details.payment_provider, `Paid through ${details.payment_provider}, transaction ${details.provider_transaction_id}`, saleId]
+    );
+    return;
+  }
+  await db.run("UPDATE sales SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = ?", [saleId]);
+  await ledgerService.recordSaleDebit(saleId);
+}
+
+/**
+ * Find the sale a seller already made with a scan ID
+ *
+ * @param {string} scanId - Client scan ID
+ * @param {Object} seller - Session user { id, name, phone }
+ * @param {string} barcode - Barcode of the retried request
+ * @returns {Promise<Object|null>} - The sold ticket, or null if the scan ID is new
+ */
+async function findSaleByScanId(scanId, seller, barcode) {
+  const scanIdValue = normalizeScanId(scanId);
+  if (!scanIdValue) {
+    return null;
+  }
+
+  const scan = await db.get(
+    "SELECT * FROM ticket_scans WHERE scanned_by = ? AND client_scan_id = ? AND scan_type = 'sale'",
+    [seller.phone, scanIdValue]
+  );
+  if (!scan) {
+    return null;
+  }
+
+  const ticket = await db.get('SELECT * FROM tickets WHERE id = ?', [scan.ticket_id]);
+  const requested = String(barcode || '').trim().toUpperCase();
+  if (!ticket || (requested !== ticket.barcode && requested !== ticket.ticket_number)) {
+    throw serviceError('SCAN_ID_CONFLICT', `Scan ID ${scanIdValue} was already used for ticket ${scan.ticket_number}`, 409);
+  }
+  if (ticket.status !== 'SOLD' || Number(ticket.seller_id) !== Number(seller.id)) {
+    // The first request with this scan ID is still running (or failed part-way)
+    throw serviceError('SCAN_IN_PROGRESS', 'This scan is still being processed. Please try again in a moment.', 409);
+  }
+
+  return ticket;
+}
+
+/**
+ * Mark a validated ticket as sold by a seller, with buyer and payment details
+ * The update only applies while the ticket is still AVAILABLE.
+ *
+ * @param {Object} ticket - Ticket row (already validated for sale)
+ * @param {Object} seller - Session user { id, name, phone }
+ * @param {Object} input - Buyer / payment input from the request, plus optional scan_id
+ *                         (and payment_provider, provider_payment_id, payer_phone to pay through a provider)
+ * @returns {Promise<Object>} - { ticket, replayed } - replayed is true when scan_id matched an earlier sale
+ */
+async function sellTicket(ticket, seller, input = {}) {
+  const scanId = normalizeScanId(input.scan_id);
+  const settings = await getSaleSettings(ticket.raffle_id);
+  const details = validateSaleDetails(input, settings, ticket);
+  if (!details.payment_provider) {
+    await ledgerService.assertCanSell(seller.id, details.actual_price_paid);
+  }
+  const payment = await takeProviderPayment(
+    input, details, seller,
+    scanId ? `scan-${seller.id}-${scanId}` : paymentService.newReference(`scan-${seller.id}`),
+    `Raffle ticket ${ticket.ticket_number}`
+  );
+
+  // Claim the scan ID first: a concurrent retry of the same scan fails here
+  let scanLogId;
+  try {
+    const scan = await db.run(
+      `INSERT INTO ticket_scans (ticket_id, ticket_number, scanned_by, scan_type, client_scan_id)
+       VALUES (?, ?, ?, 'sale', ?)`,
+      [ticket.id, ticket.ticket_number, seller.phone, scanId]
+    );
+    scanLogId = scan.lastID;
+  } catch (error) {
+    if (scanId && db.isUniqueConstraintError(error)) {
+      const original = await findSaleByScanId(scanId, seller, ticket.barcode || ticket.ticket_number);
+      if (!original) {
+        throw serviceError('SCAN_IN_PROGRESS', 'This scan is still being processed. Please try again in a moment.', 409);
+      }
+      return { ticket: original, replayed: true };
+    }
+    throw error;
+  }
+
+  let saleId;
+  let previous;
+  try {
+    const [commission] = await commissionService.calculateCommissions([ticket], seller.id, [details.actual_price_paid]);
+    saleId = await insertSale(
+      { raffleId: ticket.raffle_id, ticketCount: 1, totalAmount: details.actual_price_paid },
+      seller,
+      details
+    );
+    await claimProviderPayment(payment, saleId);
+    previous = await markTicketSold(ticket, saleId, seller, details, details.actual_price_paid, commission);
+  } catch (error) {
+    await db.run('DELETE FROM ticket_scans WHERE id = ?', [scanLogId]);
+    await abandonSale(saleId);
+    throw error;
+  }
+
+  if (!previous) {
+    // Someone else sold the ticket between validation and this update
+    await db.run('DELETE FROM ticket_scans WHERE id = ?', [scanLogId]);
+    await abandonSale(saleId);
+    throw serviceError('ALREADY_SOLD', 'This ticket has already been sold.', 409);
+  }
+
+  await completeSale(saleId, details);
+  return { ticket: await db.get('SELECT * FROM tickets WHERE id = ?', [ticket.id]), replayed: false };
+}
+
+/**
+ * Sell a ticket by barcode: replay check, validation, then the conditional sale
+ *
+ * @param {string} barcode - Scanned barcode or ticket number
+ * @param {Object} seller - Session user { id, name, phone }
+ * @param {Object} input - Buyer / payment input, plus optional scan_id and raffle_id
+ * @returns {Promise<Object>} - { ticket, replayed }
+ */
+async function processScan(barcode, seller, input = {}) {
+  // A retry of a sale that already went through gets the original result
+  const replay = await findSaleByScanId(input.scan_id, seller, barcode);
+  if (replay) {
+    return { ticket: replay, replayed: true };
+  }
+
+  const validation = await bulkTicketService.validateTicketForSale(barcode, { sellerId: seller.id, raffleId: input.raffle_id });
+  if (!validation.valid) {
+    const error = serviceError(validation.error, validation.message, validation.error === 'SYSTEM_ERROR' ? 500 : 400);
+    error.ticket_number = validation.ticket ? validation.ticket.ticket_number : undefined;
+    throw error;
+  }
+
+  try {
+    return await sellTicket(validation.ticket, seller, input);
+  } catch (error) {
+    error.ticket_number = validation.ticket.ticket_number;
+    throw error;
+  }
+}
+
+/**
+ * Replay sales queued offline by a seller's device
+ *
+ * Each sale is processed on its own, in the order given, so one conflict does
+ * not block the rest. Result statuses:
+ *   sold     - the ticket is now sold by this seller (replayed if the scan ID had already synced)
+ *   conflict - the sale cannot go through as queued (already sold, not allocated, missing details, ...)
+ *   error    - unexpected failure; the device should keep the sale queued and retry
+ *
+ * @param {Array<Object>} sales - [{ scan_id, barcode, raffle_id, buyer_name, ..., queued_at }]
+ * @param {Object} seller - Session user { id, name, phone }
+ * @returns {Promise<Object>} - { results, summary: { sold, conflicts, errors } }
+ */
+async function syncQueuedSales(sales, seller) {
+  if (!Array.isArray(sales) || sales.length === 0) {
+    throw serviceError('NO_SALES', 'sales must be a non-empty array');
+  }
+  if (sales.length > MAX_BATCH_SIZE) {
+    throw serviceError('BATCH_TOO_LARGE', `At most ${MAX_BATCH_SIZE} sales can be synced at once`);
+  }
+
+  const results = [];
+  for (const sale of sales) {
+    const item = sale || {};
+    const result = { scan_id: item.scan_id || null, barcode: item.barcode || null, queued_at: item.queued_at || null };
+
+    if (!item.scan_id || !item.barcode) {
+      results.push({ ...result, status: 'conflict', error: 'INVALID_QUEUED_SALE', message: 'Queued sales need a scan_id and a barcode' });
+      continue;
+    }
+
+    try {
+      const { ticket, replayed } = await processScan(String(item.barcode), seller, item);
+      results.push({
+        ...result,
+        status: 'sold',
+        replayed,
+        ticket: ticket.ticket_number,
+        sale_id: ticket.sale_id,
+        amount_paid: ticket.actual_price_paid
+      });
+    } catch (error) {
+      // SCAN_IN_PROGRESS clears up by itself, so the device should retry it like an error
+      if (error.status && error.status < 500 && error.code !== 'SCAN_IN_PROGRESS') {
+        results.push({
+          ...result,
+          status: 'conflict',
+          ticket: error.ticket_number,
+          error: error.code,
+          message: error.message,
+          missing_fields: error.missing_fields
+        });
+      } else {
+        console.error(`[SYNC] Queued sale ${item.scan_id} failed:`, error);
+        results.push({ ...result, status: 'error', error: 'SYSTEM_ERROR', message: 'Could not process this sale. It will be retried.' });
+      }
+    }
+  }
+
+  return {
+    results,
+    summary: {
+      sold: results.filter(r => r.status === 'sold').length,
+      conflicts: results.filter(r => r.status === 'conflict').length,
+      errors: results.filter(r => r.status === 'error').length
+    }
+  };
+}
+
+/**
+ * Get a sale with its tickets
+ *
+ * @param {number} saleId - Sale ID
+ * @returns {Promise<Object|null>} - Sale with a tickets array, or null if not found
+ */
+async function getSale(saleId) {
+  const sale = await db.get('SELECT * FROM sales WHERE id = ?', [saleId]);
+  if (!sale) {
+    return null;
+  }
+
+  const tickets = await db.all(
+    `SELECT id, ticket_number, barcode, category, price, actual_price_paid, status
+     FROM tickets WHERE sale_id = ? ORDER BY ticket_number ASC`,
+    [saleId]
+  );
+  return { ...sale, tickets };
+}
+
+/**
+ * Get a sale for a user: admins see every sale, sellers only their own
+ *
+ * @param {number} saleId - Sale ID
+ * @param {Object} user - Session user { id, role }
+ * @returns {Promise<Object>} - Sale with tickets
+ */
+async function getSaleForUser(saleId, user) {
+  const sale = await getSale(saleId);
+  if (!sale || (user.role !== 'admin' && Number(sale.seller_id) !== Number(user.id))) {
+    throw serviceError('SALE_NOT_FOUND', 'Sale not found', 404);
+  }
+  return sale;
+}
+
+/**
+ * List completed sales, newest first
+ *
+ * @param {Object} filters - { sellerId, raffleId, from, to, limit }
+ * @returns {Promise<Array>} - Sales (without their tickets)
+ */
+async function listSales({ sellerId = null, raffleId = null, from = null, to = null, limit = 100 } = {}) {
+  const conditions = ["status = 'completed'"];
+  const params = [];
+  if (sellerId) {
+    conditions.push('seller_id = ?');
+    params.push(sellerId);
+  }
+  if (raffleId) {
+    conditions.push('raffle_id = ?');
+    params.push(raffleId);
+  }
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('created_at <= ?');
+    params.push(to);
+  }
+
+  const rowLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+  return db.all(
+    `SELECT * FROM sales WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC, id DESC LIMIT ${rowLimit}`,
+    params
+  );
+}
+
+/**
+ * Find the sale a seller already made with a client sale ID
+ *
+ * @param {string} clientSaleId - Normalized client sale ID
+ * @param {Object} seller - Session user { id }
+ * @param {Array<string>} barcodes - Barcodes (or ticket numbers) of the retried request
+ * @returns {Promise<Object|null>} - The completed sale, or null if the ID is new
+ */
+async function findSaleByClientId(clientSaleId, seller, barcodes) {
+  if (!clientSaleId) {
+    return null;
+  }
+
+  const existing = await db.get(
+    'SELECT id, status FROM sales WHERE seller_id = ? AND client_sale_id = ?',
+    [seller.id, clientSaleId]
+  );
+  if (!existing) {
+    return null;
+  }
+  if (existing.status !== 'completed') {
+    throw serviceError('SALE_IN_PROGRESS', 'This sale is still being processed. Please try again in a moment.', 409);
+  }
+
+  const sale = await getSale(existing.id);
+  const sameTickets = barcodes.length === sale.tickets.length &&
+    barcodes.every(code => sale.tickets.some(t => t.barcode === code || t.ticket_number === code));
+  if (!sameTickets) {
+    throw serviceError('SALE_ID_CONFLICT', `Sale ID ${clientSaleId} was already used for a different set of tickets`, 409);
+  }
+  return sale;
+}
+
+/**
+ * Split a sale's total across its tickets in proportion to their prices
+ * Rounding is absorbed by the last ticket so the amounts add up to the total.
+ *
+ * @param {number|null} total - Total paid
+ * @param {Array<Object>} tickets - Tickets in the sale
+ * @returns {Array<number|null>} - Amount paid per ticket
+ */
+function splitTotal(total, tickets) {
+  if (total === null || total === undefined) {
+    return tickets.map(() => null);
+  }
+
+  const prices = tickets.map(t => Number(t.price) || 0);
+  const listTotal = prices.reduce((sum, price) => sum + price, 0);
+  let remainingCents = Math.round(total * 100);
+
+  return tickets.map((ticket, index) => {
+    if (index === tickets.length - 1) {
+      return remainingCents / 100;
+    }
+    const cents = listTotal > 0
+      ? Math.round(total * 100 * prices[index] / listTotal)
+      : Math.floor(total * 100 / tickets.length);
+    remainingCents -= cents;
+    return cents / 100;
+  });
+}
+
+/**
+ * Sell several tickets to one buyer as a single sale (the seller's cart)
+ *
+ * All tickets are validated first and every problem is reported together.
+ * Tickets are then marked sold one by one; if any was sold by someone else in
+ * the meantime, the ones already marked are put back as they were and nothing is sold.
+ * amount_paid is the total for the whole sale (default: the sum of the prices).
+ *
+ * @param {Object} input - { barcodes, client_sale_id, raffle_id, buyer_name, buyer_phone, buyer_email, payment_method,
+ *                           amount_paid, payment_provider, provider_payment_id, payer_phone }
+ * @param {Object} seller - Session user { id, name, phone }
+ * @returns {Promise<Object>} - { sale, replayed }
+ */
+async function createSale(input = {}, seller) {
+  const clientSaleId = normalizeScanId(input.client_sale_id, 'client_sale_id');
+
+  const barcodes = (Array.isArray(input.barcodes) ? input.barcodes : [])
+    .map(code => String(code || '').trim().toUpperCase())
+    .filter(Boolean);
+  if (barcodes.length === 0) {
+    throw serviceError('NO_TICKETS', 'barcodes must list at least one ticket');
+  }
+  if (barcodes.length > MAX_SALE_TICKETS) {
+    throw serviceError('TOO_MANY_TICKETS', `A sale can include at most ${MAX_SALE_TICKETS} tickets`);
+  }
+
+  // A retry of a sale that already went through gets the original result
+  const replay = await findSaleByClientId(clientSaleId, seller, barcodes);
+  if (replay) {
+    return { sale: replay, replayed: true };
+  }
+
+  const tickets = [];
+  const problems = [];
+  for (const barcode of barcodes) {
+    const validation = await bulkTicketService.validateTicketForSale(barcode, { sellerId: seller.id, raffleId: input.raffle_id });
+    if (validation.valid) {
+      if (tickets.some(t => t.id === validation.ticket.id)) {
+        problems.push({ barcode, ticket: validation.ticket.ticket_number, error: 'DUPLICATE_TICKET', message: 'This ticket is already in the sale' });
+      } else {
+        tickets.push(validation.ticket);
+      }
+    } else if (validation.error === 'SYSTEM_ERROR') {
+      throw serviceError(validation.error, validation.message, 500);
+    } else {
+      problems.push({
+        barcode,
+        ticket: validation.ticket ? validation.ticket.ticket_number : undefined,
+        error: validation.error,
+        message: validation.message
+      });
+    }
+  }
+  if (problems.length > 0) {
+    const error = serviceError('SALE_TICKETS_INVALID', `${problems.length} of ${barcodes.length} tickets cannot be sold. Nothing was sold.`);
+    error.tickets = problems;
+    throw error;
+  }
+
+  const raffleId = tickets[0].raffle_id;
+  if (tickets.some(t => t.raffle_id !== raffleId)) {
+    throw serviceError('MIXED_RAFFLES', 'All tickets in a sale must belong to the same raffle');
+  }
+
+  // With no amount entered, the buyer pays the sum of the ticket prices
+  const priced = tickets.every(t => t.price !== null && t.price !== undefined);
+  const listTotal = priced ? Math.round(tickets.reduce((sum, t) => sum + Number(t.price), 0) * 100) / 100 : null;
+  const settings = await getSaleSettings(raffleId);
+  const details = validateSaleDetails(input, settings, { price: listTotal });
+  if (!details.payment_provider) {
+    await ledgerService.assertCanSell(seller.id, details.actual_price_paid);
+  }
+  const payment = await takeProviderPayment(
+    input, details, seller,
+    clientSaleId ? `sale-${seller.id}-${clientSaleId}` : paymentService.newReference(`sale-${seller.id}`),
+    `${tickets.length} raffle ticket(s)`
+  );
+
+  // Claim the client sale ID first: a concurrent retry of the same sale fails here
+  let saleId;
+  try {
+    saleId = await insertSale(
+      { raffleId, ticketCount: tickets.length, totalAmount: details.actual_price_paid, clientSaleId },
+      seller,
+      details
+    );
+  } catch (error) {
+    if (clientSaleId && db.isUniqueConstraintError(error)) {
+      const original = await findSaleByClientId(clientSaleId, seller, barcodes);
+      if (!original) {
+        throw serviceError('SALE_IN_PROGRESS', 'This sale is still being processed. Please try again in a moment.', 409);
+      }
+      return { sale: original, replayed: true };
+    }
+    throw error;
+  }
+
+  const amounts = splitTotal(details.actual_price_paid, tickets);
+  const replaced = [];
+  try {
+    await claimProviderPayment(payment, saleId);
+    const commissions = await commissionService.calculateCommissions(tickets, seller.id, amounts);
+    for (let i = 0; i < tickets.length; i++) {
+      const previous = await markTicketSold(tickets[i], saleId, seller, details, amounts[i], commissions[i]);
+      if (previous) {
+        replaced.push(previous);
+      } else {
+        const error = serviceError('ALREADY_SOLD', `Ticket ${tickets[i].ticket_number} was just sold by someone else. Nothing was sold.`, 409);
+        error.ticket_number = tickets[i].ticket_number;
+        throw error;
+      }
+    }
+  } catch (error) {
+    await abandonSale(saleId, replaced);
+    throw error;
+  }
+
+  for (const ticket of tickets) {
+    await db.run(
+      "INSERT INTO ticket_scans (ticket_id, ticket_number, scanned_by, scan_type) VALUES (?, ?, ?, 'sale')",
+      [ticket.id, ticket.ticket_number, seller.phone]
+    );
+  }
+  await completeSale(saleId, details);
+
+  return { sale: await getSale(saleId), replayed: false };
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  MAX_SALE_TICKETS,
+  EMAIL_PATTERN,
+  normalizePhone,
+  getSaleSettings,
+  updateSaleSettings,
+  validateSaleDetails,
+  findSaleByScanId,
+  sellTicket,
+  processScan,
+  syncQueuedSales,
+  createSale,
+  getSale,
+  getSaleForUser,
+  listSales
+};
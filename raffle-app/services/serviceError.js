@@ -0,0 +1,27 @@
+/**
+ * Service Error - Errors carrying an API error code and HTTP status
+ *
+ * Services throw these for anything the caller should be told about (invalid
+ * input, not found, conflicts). Routes hand them to sendServiceError in
+ * server.js, which answers { error: code, message } with the status; any
+ * other error is logged and reported as a 500.
+ */
+
+/**
+ * Create an error carrying an API error code and HTTP status
+ *
+ * @param {string} code - Error code returned to the client
+ * @param {string} message - Human readable message
+ * @param {number} status - HTTP status (default 400)
+ * @returns {Error}
+ */
+function serviceError(code, message, status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+module.exports = {
+  serviceError
+};
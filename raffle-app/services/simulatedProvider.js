@@ -0,0 +1,191 @@
+/**
+ * Simulated Provider - Fake payments for development and tests
+ *
+ * Implements the payment provider interface (see paymentService) without
+ * moving any money, so every payment path can be exercised locally. Payments
+ * live in memory and are lost on restart. The last digits of the payer phone
+ * choose what happens:
+ *   ...0000  - the payment fails
+ *   ...1111  - the payment stays pending until a webhook settles it
+ *   anything else (or no phone) - the payment succeeds straight away
+ *
+ * Webhooks use the mobile money format ({ id, type, data: { id, status } },
+ * X-Signature = hex HMAC-SHA256 of the body) signed with
+ * PAYMENT_SIMULATOR_SECRET (default "simulator").
+ *
+ * Configuration (environment):
+ *   PAYMENT_SIMULATOR        - "true" to enable. Never enable it in production:
+ *                              anyone could "pay" for tickets
+ *   PAYMENT_SIMULATOR_SECRET - Webhook signing secret
+ */
+
+const crypto = require('crypto');
+const { serviceError } = require('./serviceError');
+
+// Payment ID -> { id, reference, amount, currency, status, refunded }
+const payments = new Map();
+// Reference -> payment ID, so a retried initiate returns the same payment
+const paymentsByReference = new Map();
+
+/**
+ * Whether the simulator is enabled
+ *
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return process.env.PAYMENT_SIMULATOR === 'true';
+}
+
+/**
+ * Webhook signing secret
+ *
+ * @returns {string}
+ */
+function getSecret() {
+  return process.env.PAYMENT_SIMULATOR_SECRET || 'simulator';
+}
+
+/**
+ * Describe a stored payment as a provider payment
+ *
+ * @param {Object} payment - Stored payment
+ * @returns {Object} - { id, status, transaction_id, amount, currency, instructions }
+ */
+function toPayment(payment) {
+  return {
+    id: payment.id,
+    status: payment.status,
+    transaction_id: payment.id,
+    amount: payment.amount,
+    currency: payment.currency,
+    redirect_url: null,
+    instructions: payment.status === 'pending' ? 'Simulated payment: waiting for a webhook to settle it' : null
+  };
+}
+
+/**
+ * Start a simulated payment
+ *
+ * @param {Object} payment - { reference, amount, currency, payer_phone }
+ * @returns {Promise<Object>}
+ */
+async function initiate(payment) {
+  if (!isConfigured()) {
+    throw serviceError('PAYMENTS_NOT_CONFIGURED', 'The payment simulator is not enabled', 503);
+  }
+  const existing = paymentsByReference.get(payment.reference);
+  if (existing) {
+    return toPayment(payments.get(existing));
+  }
+
+  const phone = String(payment.payer_phone || '');
+  let status = 'succeeded';
+  if (phone.endsWith('0000')) {
+    status = 'failed';
+  } else if (phone.endsWith('1111')) {
+    status = 'pending';
+  }
+
+  const stored = {
+    id: `sim_${crypto.randomBytes(8).toString('hex')}`,
+    reference: payment.reference,
+    amount: Math.round(Number(payment.amount) * 100) / 100,
+    currency: payment.currency,
+    status,
+    refunded: 0
+  };
+  payments.set(stored.id, stored);
+  paymentsByReference.set(stored.reference, stored.id);
+  console.log(`[SIMULATOR] Payment ${stored.id} of ${stored.amount} ${stored.currency}: ${status}`);
+  return toPayment(stored);
+}
+
+/**
+ * Get a simulated payment
+ *
+ * @param {string} paymentId - Payment ID
+ * @returns {Object} - Stored payment
+ */
+function getPayment(paymentId) {
+  const payment = payments.get(String(paymentId));
+  if (!payment) {
+    throw serviceError('PAYMENT_NOT_FOUND', 'The simulator has no payment with this ID', 404);
+  }
+  return payment;
+}
+
+/**
+ * Where a simulated payment stands
+ *
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Object>}
+ */
+async function confirm(paymentId) {
+  return toPayment(getPayment(paymentId));
+}
+
+/**
+ * Refund a simulated payment, in full or in part
+ *
+ * @param {string} transactionId - Payment ID
+ * @param {Object} options - { amount (default: what is left) }
+ * @returns {Promise<Object>} - { id, status }
+ */
+async function refund(transactionId, { amount = null } = {}) {
+  const payment = getPayment(transactionId);
+  if (payment.status !== 'succeeded') {
+    throw serviceError('PAYMENT_NOT_REFUNDABLE', 'Only succeeded payments can be refunded');
+  }
+  const left = Math.round((payment.amount - payment.refunded) * 100) / 100;
+  const value = amount === null || amount === undefined ? left : Math.round(Number(amount) * 100) / 100;
+  if (!(value > 0) || value > left) {
+    throw serviceError('INVALID_REFUND_AMOUNT', `At most ${left} can still be refunded`);
+  }
+  payment.refunded = Math.round((payment.refunded + value) * 100) / 100;
+  return { id: `simre_${crypto.randomBytes(8).toString('hex')}`, status: 'succeeded' };
+}
+
+/**
+ * Verify a simulated webhook and settle the payment it reports
+ *
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers (X-Signature)
+ * @returns {Object} - { id, type, payment }
+ */
+function verifyWebhook(rawBody, headers) {
+  if (!isConfigured()) {
+    throw serviceError('PAYMENTS_NOT_CONFIGURED', 'The payment simulator is not enabled', 503);
+  }
+  const signature = String(headers['x-signature'] || '').replace(/^sha256=/, '');
+  const expected = crypto.createHmac('sha256', getSecret()).update(rawBody || '').digest('hex');
+  if (!rawBody || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature, 'utf8'), Buffer.from(expected, 'utf8'))) {
+    throw serviceError('INVALID_SIGNATURE', 'Webhook signature verification failed');
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw serviceError('INVALID_WEBHOOK', 'Webhook body is not valid JSON');
+  }
+
+  const payment = getPayment(event.data && event.data.id);
+  const status = event.type === 'payment.failed' ? 'failed' : 'succeeded';
+  if (payment.status === 'pending') {
+    payment.status = status;
+  }
+  return { id: event.id || null, type: `payment.${payment.status}`, payment: toPayment(payment) };
+}
+
+module.exports = {
+  name: 'simulated',
+  label: 'Simulated (development)',
+  paymentMethod: 'other',
+  requiresPhone: false,
+  isConfigured,
+  initiate,
+  confirm,
+  refund,
+  verifyWebhook
+};
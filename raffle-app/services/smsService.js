@@ -0,0 +1,89 @@
+/**
+ * SMS Service - Text messages to buyers
+ *
+ * Messages go through a pluggable sender chosen with SMS_SENDER. Two stand-ins
+ * are built in for when no SMS gateway is set up:
+ *   console - print the message to the server log (default)
+ *   file    - append it to SMS_OUTBOX_FILE as one JSON line per message
+ * A real gateway is added with registerSender({ name, send(to, body) }) and
+ * selected by setting SMS_SENDER to its name.
+ *
+ * Configuration (environment):
+ *   SMS_SENDER      - Name of the sender to use (default "console")
+ *   SMS_OUTBOX_FILE - File used by the "file" sender (default sms-outbox.log)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { serviceError } = require('./serviceError');
+
+const consoleSender = {
+  name: 'console',
+  async send(to, body) {
+    console.log(`[SMS] To ${to}: ${body}`);
+    return { id: null };
+  }
+};
+
+const fileSender = {
+  name: 'file',
+  async send(to, body) {
+    const file = path.resolve(process.env.SMS_OUTBOX_FILE || 'sms-outbox.log');
+    const line = JSON.stringify({ to, body, sent_at: new Date().toISOString() });
+    await fs.promises.appendFile(file, `${line}\n`);
+    return { id: null };
+  }
+};
+
+// Sender name -> sender
+const senders = new Map([[consoleSender.name, consoleSender], [fileSender.name, fileSender]]);
+
+/**
+ * Make a sender available to SMS_SENDER
+ *
+ * @param {Object} sender - { name, send(to, body) -> Promise<{ id }> }
+ */
+function registerSender(sender) {
+  if (!sender || !sender.name || typeof sender.send !== 'function') {
+    throw serviceError('INVALID_SMS_SENDER', 'An SMS sender needs a name and a send(to, body) function');
+  }
+  senders.set(sender.name, sender);
+}
+
+/**
+ * The sender selected by SMS_SENDER
+ *
+ * @returns {Object}
+ */
+function getSender() {
+  const name = process.env.SMS_SENDER || consoleSender.name;
+  const sender = senders.get(name);
+  if (!sender) {
+    throw serviceError('SMS_NOT_CONFIGURED', `Unknown SMS sender "${name}"`, 503);
+  }
+  return sender;
+}
+
+/**
+ * Send a text message
+ *
+ * @param {string} to - Phone number
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} - { sender, id }
+ */
+async function sendSms(to, body) {
+  const sender = getSender();
+  try {
+    const result = await sender.send(to, body);
+    return { sender: sender.name, id: (result && result.id) || null };
+  } catch (error) {
+    console.error(`[SMS] ${sender.name} failed to send to ${to}:`, error.message);
+    throw serviceError('SMS_FAILED', 'The text message could not be sent. Please try again later.', 502);
+  }
+}
+
+module.exports = {
+  registerSender,
+  getSender,
+  sendSms
+};
@@ -0,0 +1,211 @@
+/**
+ * Stripe Provider - Card payments through Stripe Checkout
+ *
+ * Implements the payment provider interface (see paymentService). A payment is
+ * a Checkout Session: its ID is the payment ID, and the PaymentIntent created
+ * when the buyer pays is the transaction ID.
+ *
+ * Configuration (environment):
+ *   STRIPE_SECRET_KEY     - API key (sk_test_... / sk_live_...)
+ *   STRIPE_WEBHOOK_SECRET - Signing secret of the webhook endpoint (whsec_...)
+ *   STRIPE_API_BASE       - Send API calls elsewhere, e.g. http://localhost:12111
+ *                           for a local stripe-mock server in development
+ */
+
+const Stripe = require('stripe');
+const { serviceError } = require('./serviceError');
+
+let client = null;
+
+/**
+ * Whether Stripe is configured
+ *
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(process.env.STRIPE_SECRET_KEY && process.env.STRIPE_WEBHOOK_SECRET);
+}
+
+/**
+ * Get the Stripe client, created on first use
+ *
+ * @returns {Stripe}
+ */
+function getClient() {
+  if (!isConfigured()) {
+    throw serviceError('PAYMENTS_NOT_CONFIGURED', 'Card payments are not available', 503);
+  }
+  if (!client) {
+    const options = {};
+    if (process.env.STRIPE_API_BASE) {
+      const base = new URL(process.env.STRIPE_API_BASE);
+      options.protocol = base.protocol.replace(':', '');
+      options.host = base.hostname;
+      options.port = base.port || (options.protocol === 'https' ? 443 : 80);
+    }
+    client = new Stripe(process.env.STRIPE_SECRET_KEY, options);
+  }
+  return client;
+}
+
+/**
+ * Convert an amount to the smallest currency unit (cents)
+ *
+ * @param {number} amount
+ * @returns {number}
+ */
+function toMinorUnits(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * Describe a Checkout Session as a provider payment
+ *
+ * @param {Object} session - Stripe Checkout Session
+ * @returns {Object} - { id, status, transaction_id, amount, currency, redirect_url }
+ */
+function toPayment(session) {
+  let status = 'pending';
+  if (session.payment_status === 'paid' || session.payment_status === 'no_payment_required') {
+    status = 'succeeded';
+  } else if (session.status === 'expired') {
+    status = 'failed';
+  }
+  const paymentIntent = typeof session.payment_intent === 'object' && session.payment_intent
+    ? session.payment_intent.id
+    : session.payment_intent;
+
+  return {
+    id: session.id,
+    status,
+    transaction_id: paymentIntent || null,
+    amount: session.amount_total === undefined || session.amount_total === null ? null : session.amount_total / 100,
+    currency: session.currency || null,
+    redirect_url: session.url || null
+  };
+}
+
+/**
+ * Start a payment: create a Checkout Session the buyer is sent to
+ *
+ * @param {Object} payment - { reference, amount, currency, description, quantity, unit_amount, payer_email, success_url, cancel_url, metadata }
+ * @returns {Promise<Object>} - { id, status: 'pending', redirect_url, ... }
+ */
+async function initiate(payment) {
+  // Show "quantity x price" on the Stripe page when the payment is for several identical tickets
+  const lineItem = payment.quantity && payment.unit_amount
+    ? { quantity: payment.quantity, amount: payment.unit_amount }
+    : { quantity: 1, amount: payment.amount };
+
+  const session = await getClient().checkout.sessions.create({
+    mode: 'payment',
+    line_items: [{
+      quantity: lineItem.quantity,
+      price_data: {
+        currency: payment.currency,
+        unit_amount: toMinorUnits(lineItem.amount),
+        product_data: { name: payment.description }
+      }
+    }],
+    customer_email: payment.payer_email || undefined,
+    client_reference_id: payment.reference,
+    metadata: { reference: payment.reference, ...(payment.metadata || {}) },
+    success_url: payment.success_url,
+    cancel_url: payment.cancel_url
+  }, {
+    // A retried request for the same reference returns the same session
+    idempotencyKey: `checkout-${payment.reference}`
+  });
+  return toPayment(session);
+}
+
+/**
+ * Ask Stripe where a payment stands
+ *
+ * @param {string} paymentId - Checkout Session ID
+ * @returns {Promise<Object>} - { id, status, transaction_id, amount, currency }
+ */
+async function confirm(paymentId) {
+  try {
+    return toPayment(await getClient().checkout.sessions.retrieve(paymentId));
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw serviceError('PAYMENT_NOT_FOUND', 'Stripe has no payment with this ID', 404);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Refund a payment, in full or in part
+ *
+ * @param {string} transactionId - PaymentIntent to refund
+ * @param {Object} options - { amount (default: all of it), reason, key (idempotency key) }
+ * @returns {Promise<Object>} - { id, status }
+ */
+async function refund(transactionId, { amount = null, reason = null, key = null } = {}) {
+  const params = { payment_intent: transactionId, metadata: { reason: reason || '' } };
+  if (amount !== null && amount !== undefined) {
+    params.amount = toMinorUnits(amount);
+  }
+  const result = await getClient().refunds.create(params, {
+    idempotencyKey: key || `refund-${transactionId}`
+  });
+  return { id: result.id, status: result.status === 'failed' || result.status === 'canceled' ? 'failed' : 'succeeded' };
+}
+
+/**
+ * Verify a webhook request and describe its event
+ *
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers (Stripe-Signature)
+ * @returns {Object} - { id, type, payment } - type is payment.succeeded, payment.failed, payment.expired or ignored
+ */
+function verifyWebhook(rawBody, headers) {
+  const signature = headers['stripe-signature'];
+  if (!rawBody || !signature) {
+    throw serviceError('INVALID_SIGNATURE', 'Missing webhook signature');
+  }
+  let event;
+  try {
+    event = getClient().webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    if (error.code === 'PAYMENTS_NOT_CONFIGURED') {
+      throw error;
+    }
+    throw serviceError('INVALID_SIGNATURE', 'Webhook signature verification failed');
+  }
+
+  const session = event.data && event.data.object;
+  let type = 'ignored';
+  switch (event.type) {
+    case 'checkout.session.completed':
+    case 'checkout.session.async_payment_succeeded':
+      // Delayed payment methods complete the session before the money arrives
+      if (session.payment_status === 'paid') {
+        type = 'payment.succeeded';
+      }
+      break;
+    case 'checkout.session.async_payment_failed':
+      type = 'payment.failed';
+      break;
+    case 'checkout.session.expired':
+      type = 'payment.expired';
+      break;
+    default:
+      break;
+  }
+  return { id: event.id, type, payment: type === 'ignored' ? null : toPayment(session) };
+}
+
+module.exports = {
+  name: 'stripe',
+  label: 'Card (Stripe)',
+  paymentMethod: 'card',
+  requiresPhone: false,
+  isConfigured,
+  initiate,
+  confirm,
+  refund,
+  verifyWebhook
+};
@@ -0,0 +1,272 @@
+/**
+ * Ticket Return Service - Undo a sale, or take a ticket out of circulation
+ *
+ * Three operations, each with a reason code from its own list:
+ *   return - a sold ticket comes back from its buyer. It becomes RETURNED and
+ *            can be sold again like an AVAILABLE ticket
+ *   void   - an unsold ticket is damaged, misprinted or cancelled: VOIDED
+ *   lost   - an unsold ticket was lost or stolen: LOST
+ * VOIDED and LOST tickets can never be sold (bulkTicketService.validateTicketForSale
+ * rejects them). Sold tickets must be returned before they can be voided or
+ * reported lost, and nothing can be returned once the raffle has been drawn.
+ *
+ * Every change is written to ticket_events with the buyer, seller and sale the
+ * ticket had at the time, so clearing them from the ticket loses nothing.
+ * A return does not move money: the sale and the seller's ledger stay as they
+ * were. Giving the buyer their money back is a refund (see refundService).
+ */
+
+const db = require('../db');
+const reservationService = require('./reservationService');
+const { serviceError } = require('./serviceError');
+
+// Reason codes accepted by each operation ('other' needs notes)
+const RETURN_REASONS = ['buyer_request', 'wrong_ticket', 'duplicate_sale', 'payment_failed', 'raffle_cancelled', 'other'];
+const VOID_REASONS = ['damaged', 'misprint', 'duplicate_barcode', 'cancelled', 'other'];
+const LOST_REASONS = ['lost_by_seller', 'lost_in_transit', 'stolen', 'other'];
+
+// Statuses each operation may start from
+const RETURNABLE_STATUSES = ['SOLD', 'DISPUTED'];
+const UNSOLD_STATUSES = ['AVAILABLE', 'RESERVED', 'RETURNED'];
+
+/**
+ * SQL assignments that clear a ticket's sale, buyer and payment
+ */
+const CLEAR_SALE = `sale_id = NULL, seller_id = NULL, seller_name = NULL, seller_phone = NULL,
+  buyer_name = NULL, buyer_phone = NULL, buyer_email = NULL, payment_method = NULL,
+  payment_provider = NULL, provider_transaction_id = NULL, payment_verified = ${db.USE_POSTGRES ? 'FALSE' : '0'},
+  actual_price_paid = NULL, amount = NULL, seller_commission = NULL, sold_at = NULL`;
+
+/**
+ * Validate a reason code and its notes
+ *
+ * @param {Object} input - { reason, notes }
+ * @param {string[]} reasons - Codes accepted
+ * @returns {Object} - { reason, notes }
+ */
+function parseReason(input, reasons) {
+  const reason = String(input.reason || '').trim().toLowerCase();
+  if (!reasons.includes(reason)) {
+    throw serviceError('INVALID_REASON', `reason must be one of: ${reasons.join(', ')}`);
+  }
+  const notes = input.notes ? String(input.notes).trim() : null;
+  if (reason === 'other' && !notes) {
+    throw serviceError('NOTES_REQUIRED', 'Describe the reason in notes when it is "other"');
+  }
+  return { reason, notes };
+}
+
+/**
+ * Load a ticket or fail with TICKET_NOT_FOUND
+ *
+ * @param {number} ticketId - Ticket ID
+ * @returns {Promise<Object>}
+ */
+async function getTicket(ticketId) {
+  const ticket = await db.get('SELECT * FROM tickets WHERE id = ?', [ticketId]);
+  if (!ticket) {
+    throw serviceError('TICKET_NOT_FOUND', 'Ticket not found', 404);
+  }
+  return ticket;
+}
+
+/**
+ * Refuse to undo sales once a raffle has a completed draw
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {string} action - What was refused, e.g. 'returned'
+ * @returns {Promise<void>}
+ */
+async function assertNotDrawn(raffleId, action) {
+  const draw = await db.get(
+    "SELECT id FROM draws WHERE raffle_id = ? AND COALESCE(status, 'completed') = 'completed' LIMIT 1",
+    [raffleId]
+  );
+  if (draw) {
+    throw serviceError('RAFFLE_DRAWN', `This raffle has been drawn. Its tickets can no longer be ${action}.`, 409);
+  }
+}
+
+/**
+ * Record a change to a ticket, with the buyer, seller and sale it had before
+ *
+ * @param {Object} ticket - Ticket row as it was before the change
+ * @param {Object} event - { eventType, toStatus, reason, notes, user, refundId, amount (default: price paid),
+ *                           newBuyer ({ buyer_name, buyer_phone, buyer_email } a transfer went to) }
+ * @returns {Promise<void>}
+ */
+async function recordTicketEvent(ticket, {
+  eventType, toStatus, reason = null, notes = null, user = null, refundId = null, amount = ticket.actual_price_paid,
+  newBuyer = null
+}) {
+  await db.run(
+    `INSERT INTO ticket_events
+     (ticket_id, raffle_id, event_type, from_status, to_status, reason_code, sale_id, seller_id,
+      buyer_name, buyer_phone, buyer_email, new_buyer_name, new_buyer_phone, new_buyer_email,
+      amount, refund_id, actor, actor_name, notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [ticket.id, ticket.raffle_id, eventType, ticket.status, toStatus, reason, ticket.sale_id || null,
+      ticket.seller_id || null, ticket.buyer_name || null, ticket.buyer_phone || null, ticket.buyer_email || null,
+      newBuyer ? newBuyer.buyer_name : null, newBuyer ? newBuyer.buyer_phone : null, newBuyer ? newBuyer.buyer_email : null,
+      amount === undefined ? null : amount, refundId, user ? user.phone : null, user ? user.name : null, notes]
+  );
+}
+
+/**
+ * Take a sold ticket back from its buyer. It can then be sold again
+ *
+ * @param {number} ticketId - Ticket ID
+ * @param {Object} input - { reason, notes }
+ * @param {Object} user - Session user; sellers can only return tickets they sold
+ * @returns {Promise<Object>} - { ticket_number, status, reason }
+ */
+async function returnTicket(ticketId, input = {}, user) {
+  const { reason, notes } = parseReason(input, RETURN_REASONS);
+  const ticket = await getTicket(ticketId);
+
+  if (user.role !== 'admin' && Number(ticket.seller_id) !== Number(user.id)) {
+    throw serviceError('NOT_TICKET_SELLER', 'Only the seller who sold this ticket or an admin can return it', 403);
+  }
+  if (!RETURNABLE_STATUSES.includes(ticket.status)) {
+    throw serviceError('TICKET_NOT_SOLD', `Only sold tickets can be returned (this one is ${ticket.status})`, 409);
+  }
+  await assertNotDrawn(ticket.raffle_id, 'returned');
+
+  const result = await db.run(
+    `UPDATE tickets SET status = 'RETURNED', ${CLEAR_SALE} WHERE id = ? AND status = ?`,
+    [ticket.id, ticket.status]
+  );
+  if (result.changes === 0) {
+    throw serviceError('TICKET_CHANGED', 'This ticket changed while it was being returned. Please try again.', 409);
+  }
+  await recordTicketEvent(ticket, { eventType: 'returned', toStatus: 'RETURNED', reason, notes, user });
+
+  console.log(`[RETURNS] ${user.name} returned ${ticket.ticket_number} (${reason})`);
+  return { ticket_number: ticket.ticket_number, status: 'RETURNED', reason };
+}
+
+/**
+ * Move an unsold ticket to VOIDED or LOST
+ *
+ * @param {number} ticketId - Ticket ID
+ * @param {string} toStatus - 'VOIDED' or 'LOST'
+ * @param {Object} change - { eventType, reason, notes, user }
+ * @returns {Promise<Object>} - { ticket_number, status, reason }
+ */
+async function withdrawTicket(ticketId, toStatus, { eventType, reason, notes, user }) {
+  const ticket = await getTicket(ticketId);
+  if (RETURNABLE_STATUSES.includes(ticket.status)) {
+    throw serviceError('TICKET_SOLD', 'This ticket is sold. Return it before taking it out of circulation.', 409);
+  }
+  if (!UNSOLD_STATUSES.includes(ticket.status)) {
+    throw serviceError('INVALID_TICKET_STATUS', `A ${ticket.status} ticket cannot be changed to ${toStatus}`, 409);
+  }
+
+  const result = await db.run(
+    `UPDATE tickets SET status = ?, ${reservationService.CLEAR_RESERVATION} WHERE id = ? AND status = ?`,
+    [toStatus, ticket.id, ticket.status]
+  );
+  if (result.changes === 0) {
+    throw serviceError('TICKET_CHANGED', 'This ticket changed while it was being updated. Please try again.', 409);
+  }
+  await recordTicketEvent(ticket, { eventType, toStatus, reason, notes, user });
+
+  console.log(`[RETURNS] ${user.name} marked ${ticket.ticket_number} ${toStatus} (${reason})`);
+  return { ticket_number: ticket.ticket_number, status: toStatus, reason };
+}
+
+/**
+ * Void an unsold ticket (damaged, misprinted, cancelled)
+ *
+ * @param {number} ticketId - Ticket ID
+ * @param {Object} input - { reason, notes }
+ * @param {Object} user - Session user (admin)
+ * @returns {Promise<Object>} - { ticket_number, status, reason }
+ */
+async function voidTicket(ticketId, input = {}, user) {
+  const { reason, notes } = parseReason(input, VOID_REASONS);
+  return withdrawTicket(ticketId, 'VOIDED', { eventType: 'voided', reason, notes, user });
+}
+
+/**
+ * Report an unsold ticket lost or stolen
+ *
+ * @param {number} ticketId - Ticket ID
+ * @param {Object} input - { reason, notes }
+ * @param {Object} user - Session user (admin)
+ * @returns {Promise<Object>} - { ticket_number, status, reason }
+ */
+async function reportLost(ticketId, input = {}, user) {
+  const { reason, notes } = parseReason(input, LOST_REASONS);
+  return withdrawTicket(ticketId, 'LOST', { eventType: 'lost', reason, notes, user });
+}
+
+/**
+ * A ticket's current state and every recorded change, oldest first
+ *
+ * previous_owners is the chain of buyers the ticket was transferred from since
+ * it was last sold, oldest first, each with when and by whom it was passed on.
+ *
+ * @param {number} ticketId - Ticket ID
+ * @param {Object} user - Session user; sellers only see tickets they sold or once sold
+ * @returns {Promise<Object>} - { ticket, previous_owners, events }
+ */
+async function getTicketHistory(ticketId, user) {
+  const ticket = await getTicket(ticketId);
+  const events = await db.all(
+    `SELECT id, event_type, from_status, to_status, reason_code, sale_id, seller_id,
+            buyer_name, buyer_phone, buyer_email, new_buyer_name, new_buyer_phone, new_buyer_email,
+            amount, refund_id, actor, actor_name, notes, created_at
+     FROM ticket_events WHERE ticket_id = ? ORDER BY id ASC`,
+    [ticket.id]
+  );
+
+  if (user.role !== 'admin' && Number(ticket.seller_id) !== Number(user.id) &&
+      !events.some(event => Number(event.seller_id) === Number(user.id))) {
+    throw serviceError('TICKET_NOT_FOUND', 'Ticket not found', 404);
+  }
+
+  return {
+    ticket: {
+      id: ticket.id,
+      raffle_id: ticket.raffle_id,
+      ticket_number: ticket.ticket_number,
+      barcode: ticket.barcode,
+      category: ticket.category,
+      status: ticket.status,
+      sale_id: ticket.sale_id,
+      seller_name: ticket.seller_name,
+      buyer_name: ticket.buyer_name,
+      buyer_phone: ticket.buyer_phone,
+      buyer_email: ticket.buyer_email,
+      sold_at: ticket.sold_at
+    },
+    previous_owners: events
+      .filter(event => event.event_type === 'transferred' && ticket.status !== 'AVAILABLE' &&
+        Number(event.sale_id || 0) === Number(ticket.sale_id || 0))
+      .map(event => ({
+        buyer_name: event.buyer_name,
+        buyer_phone: event.buyer_phone,
+        buyer_email: event.buyer_email,
+        transferred_at: event.created_at,
+        transferred_by: event.actor_name,
+        notes: event.notes
+      })),
+    events
+  };
+}
+
+module.exports = {
+  RETURN_REASONS,
+  VOID_REASONS,
+  LOST_REASONS,
+  RETURNABLE_STATUSES,
+  CLEAR_SALE,
+  parseReason,
+  assertNotDrawn,
+  recordTicketEvent,
+  returnTicket,
+  voidTicket,
+  reportLost,
+  getTicketHistory
+};
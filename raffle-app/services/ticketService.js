@@ -1,12 +1,19 @@
 /**
  * Ticket Service - Manage raffle tickets
  * Handles ticket creation, retrieval, barcode/QR generation, and printing
+ *
+ * Ticket numbers and barcodes are unique within a raffle: every raffle numbers
+ * its tickets from ABC-000001 and reuses barcode prefixes 1-9. Lookups take the
+ * raffle ID; without it, a number or barcode several raffles share resolves to
+ * the one raffle on sale (see findTicket).
  */
 
 const db = require('../db');
 const barcodeService = require('./barcodeService');
 const qrcodeService = require('./qrcodeService');
 const barcodeGenerator = require('./barcodeGenerator');
+const categoryService = require('./categoryService');
+const { serviceError } = require('./serviceError');
 
 /**
  * Create a single ticket with auto-generated barcode (QR codes disabled)
@@ -14,9 +21,10 @@ const barcodeGenerator = require('./barcodeGenerator');
  * @param {Object} ticketData - Ticket information
  * @param {number} ticketData.raffle_id - Raffle ID
  * @param {number} ticketData.category_id - Category ID
- * @param {string} ticketData.category - Category code (ABC, EFG, JKL, XYZ)
+ * @param {string} ticketData.category - Category code (one of the raffle's ticket_categories)
  * @param {string} ticketData.ticket_number - Ticket number (e.g., "ABC-000001")
  * @param {number} ticketData.price - Ticket price
+ * @param {string} [ticketData.barcode_prefix] - Category's barcode prefix (looked up if not given)
  * @returns {Promise<Object>} - Created ticket
  */
 async function createTicket(ticketData) {
@@ -34,7 +42,8 @@ async function createTicket(ticketData) {
     const sequenceNum = parseInt(parts[1], 10);
     
     // Generate 8-digit barcode
-    const barcode = barcodeGenerator.generateBarcode(category, sequenceNum);
+    const prefix = ticketData.barcode_prefix || (await categoryService.requireCategory(raffle_id, category)).barcode_prefix;
+    const barcode = barcodeGenerator.generateBarcode(prefix, sequenceNum);
 
     const result = await db.run(
       `INSERT INTO tickets (raffle_id, category_id, category, ticket_number, barcode, qr_code_data, price, status, created_at)
@@ -96,19 +105,29 @@ async function createTicketsBulk(tickets) {
  * This is called during the print process
  * 
  * @param {string} ticketNumber - Ticket number
+ * @param {number} raffleId - Raffle ID
  * @returns {Promise<Object>} - { barcode, qrCodeData }
  */
-async function generateAndSaveCodes(ticketNumber) {
+async function generateAndSaveCodes(ticketNumber, raffleId) {
   try {
     // Generate barcode number
-    const barcodeNumber = barcodeService.generateBarcodeNumber(ticketNumber);
+    const category = await db.get(
+      `SELECT tc.barcode_prefix FROM tickets t
+       JOIN ticket_categories tc ON tc.raffle_id = t.raffle_id AND tc.category_code = t.category
+       WHERE t.ticket_number = ? AND t.raffle_id = ?`,
+      [ticketNumber, raffleId]
+    );
+    if (!category || !category.barcode_prefix) {
+      throw new Error(`No barcode prefix found for the category of ticket ${ticketNumber}`);
+    }
+    const barcodeNumber = barcodeService.generateBarcodeNumber(ticketNumber, category.barcode_prefix);
 
     // Save to database (qr_code_data is set to NULL)
     await db.run(
       `UPDATE tickets 
        SET barcode = ?, qr_code_data = NULL
-       WHERE ticket_number = ?`,
-      [barcodeNumber, ticketNumber]
+       WHERE ticket_number = ? AND raffle_id = ?`,
+      [barcodeNumber, ticketNumber, raffleId]
     );
 
     return {
@@ -125,17 +144,18 @@ async function generateAndSaveCodes(ticketNumber) {
  * Mark ticket as printed
  * 
  * @param {string} ticketNumber - Ticket number
+ * @param {number} raffleId - Raffle ID
  * @returns {Promise<void>}
  */
-async function markAsPrinted(ticketNumber) {
+async function markAsPrinted(ticketNumber, raffleId) {
   try {
     await db.run(
       `UPDATE tickets 
        SET printed = ${db.USE_POSTGRES ? 'TRUE' : '1'}, 
            printed_at = ${db.getCurrentTimestamp()},
            print_count = print_count + 1
-       WHERE ticket_number = ?`,
-      [ticketNumber]
+       WHERE ticket_number = ? AND raffle_id = ?`,
+      [ticketNumber, raffleId]
     );
   } catch (error) {
     console.error(`Error marking ticket ${ticketNumber} as printed:`, error);
@@ -143,19 +163,48 @@ async function markAsPrinted(ticketNumber) {
   }
 }
 
+/**
+ * Find a ticket by ticket number or barcode
+ *
+ * With a raffle ID, only that raffle's ticket is returned. Without one, a
+ * number or barcode used by a single raffle returns its ticket; when several
+ * raffles use it, the ticket of the one raffle on sale is returned, and
+ * RAFFLE_REQUIRED is thrown if that does not settle it.
+ *
+ * @param {string} column - 'ticket_number' or 'barcode'
+ * @param {string} value - Ticket number or barcode
+ * @param {number} [raffleId] - Raffle ID
+ * @returns {Promise<Object|null>} - Ticket or null if not found
+ */
+async function findTicket(column, value, raffleId = null) {
+  if (raffleId) {
+    const ticket = await db.get(`SELECT * FROM tickets WHERE ${column} = ? AND raffle_id = ?`, [value, raffleId]);
+    return ticket || null;
+  }
+
+  const tickets = await db.all(`SELECT * FROM tickets WHERE ${column} = ? ORDER BY raffle_id`, [value]);
+  if (tickets.length <= 1) {
+    return tickets[0] || null;
+  }
+  const onSale = await db.all("SELECT id FROM raffles WHERE status = 'on_sale'");
+  const selling = tickets.filter(ticket => onSale.some(raffle => Number(raffle.id) === Number(ticket.raffle_id)));
+  if (selling.length === 1) {
+    return selling[0];
+  }
+  throw serviceError('RAFFLE_REQUIRED',
+    `${value} is a ticket of ${tickets.length} raffles: choose the raffle (raffle_id) to look it up`, 409);
+}
+
 /**
  * Get ticket by ticket number
  * 
  * @param {string} ticketNumber - Ticket number
+ * @param {number} [raffleId] - Raffle ID (see findTicket when omitted)
  * @returns {Promise<Object|null>} - Ticket or null if not found
  */
-async function getTicketByNumber(ticketNumber) {
+async function getTicketByNumber(ticketNumber, raffleId = null) {
   try {
-    const ticket = await db.get(
-      'SELECT * FROM tickets WHERE ticket_number = ?',
-      [ticketNumber]
-    );
-    return ticket || null;
+    return await findTicket('ticket_number', ticketNumber, raffleId);
   } catch (error) {
     console.error('Error getting ticket by number:', error);
     throw error;
@@ -168,15 +217,13 @@ async function getTicketByNumber(ticketNumber) {
  * For legacy formats, also tries matching against ticket_number column
  * 
  * @param {string} barcode - Barcode number
+ * @param {number} [raffleId] - Raffle ID (see findTicket when omitted)
  * @returns {Promise<Object|null>} - Ticket or null if not found
  */
-async function getTicketByBarcode(barcode) {
+async function getTicketByBarcode(barcode, raffleId = null) {
   try {
     // First, try exact match on barcode column
-    let ticket = await db.get(
-      'SELECT * FROM tickets WHERE barcode = ?',
-      [barcode]
-    );
+    let ticket = await findTicket('barcode', barcode, raffleId);
     
     if (ticket) {
       return ticket;
@@ -189,10 +236,7 @@ async function getTicketByBarcode(barcode) {
       const normalized = barcode.toUpperCase().trim();
       
       // Try direct match on ticket_number
-      ticket = await db.get(
-        'SELECT * FROM tickets WHERE ticket_number = ?',
-        [normalized]
-      );
+      ticket = await findTicket('ticket_number', normalized, raffleId);
       
       if (ticket) {
         return ticket;
@@ -201,10 +245,7 @@ async function getTicketByBarcode(barcode) {
       // Try without dashes (e.g., ABC000001 -> ABC-000001)
       if (/^[A-Z]{3}\d{6}$/.test(normalized)) {
         const withDash = `${normalized.substring(0, 3)}-${normalized.substring(3)}`;
-        ticket = await db.get(
-          'SELECT * FROM tickets WHERE ticket_number = ?',
-          [withDash]
-        );
+        ticket = await findTicket('ticket_number', withDash, raffleId);
         
         if (ticket) {
           return ticket;
@@ -216,10 +257,7 @@ async function getTicketByBarcode(barcode) {
         const withoutDashes = normalized.replace(/-/g, '');
         if (/^[A-Z]{3}\d{6}$/.test(withoutDashes)) {
           const standardFormat = `${withoutDashes.substring(0, 3)}-${withoutDashes.substring(3)}`;
-          ticket = await db.get(
-            'SELECT * FROM tickets WHERE ticket_number = ?',
-            [standardFormat]
-          );
+          ticket = await findTicket('ticket_number', standardFormat, raffleId);
           
           if (ticket) {
             return ticket;
@@ -240,15 +278,16 @@ async function getTicketByBarcode(barcode) {
  * 
  * @param {string} startTicket - Start ticket number (e.g., "ABC-000001")
  * @param {string} endTicket - End ticket number (e.g., "ABC-001000")
+ * @param {number} raffleId - Raffle ID
  * @returns {Promise<Array>} - Array of tickets
  */
-async function getTicketsByRange(startTicket, endTicket) {
+async function getTicketsByRange(startTicket, endTicket, raffleId) {
   try {
     const tickets = await db.all(
       `SELECT * FROM tickets 
-       WHERE ticket_number >= ? AND ticket_number <= ?
+       WHERE raffle_id = ? AND ticket_number >= ? AND ticket_number <= ?
        ORDER BY ticket_number ASC`,
-      [startTicket, endTicket]
+      [raffleId, startTicket, endTicket]
     );
     return tickets;
   } catch (error) {
@@ -260,7 +299,7 @@ async function getTicketsByRange(startTicket, endTicket) {
 /**
  * Generate ticket numbers for a range
  * 
- * @param {string} category - Category code (ABC, EFG, JKL, XYZ)
+ * @param {string} category - Category code (e.g., ABC)
  * @param {number} startNum - Start sequence number
  * @param {number} endNum - End sequence number
  * @returns {Array<string>} - Array of ticket numbers
@@ -288,6 +327,7 @@ function generateTicketNumbers(category, startNum, endNum) {
  */
 async function createTicketsForRange(params) {
   const { raffle_id, category_id, category, price, startNum, endNum } = params;
+  const { barcode_prefix } = await categoryService.requireCategory(raffle_id, category);
   
   const ticketNumbers = generateTicketNumbers(category, startNum, endNum);
   const tickets = ticketNumbers.map(ticket_number => ({
@@ -295,7 +335,8 @@ async function createTicketsForRange(params) {
     category_id,
     category,
     ticket_number,
-    price
+    price,
+    barcode_prefix
   }));
 
   const created = await createTicketsBulk(tickets);
@@ -315,7 +356,7 @@ async function createTicketsForRange(params) {
  * @param {Object} params - Parameters
  * @param {number} params.raffle_id - Raffle ID
  * @param {number} params.category_id - Category ID
- * @param {string} params.category - Category code (ABC, EFG, JKL, XYZ)
+ * @param {string} params.category - Category code (one of the raffle's ticket_categories)
  * @param {number} params.startNum - Start sequence number (e.g., 1)
  * @param {number} params.endNum - End sequence number (e.g., 375000)
  * @param {number} params.price - Ticket price
@@ -326,6 +367,7 @@ async function generateTickets(params) {
   const { raffle_id, category_id, category, startNum, endNum, price, progressCallback } = params;
   
   console.log(`🎫 Generating tickets for ${category}: ${startNum} to ${endNum}`);
+  const { barcode_prefix } = await categoryService.requireCategory(raffle_id, category);
   
   const batchSize = 1000;
   const totalTickets = endNum - startNum + 1;
@@ -341,7 +383,7 @@ async function generateTickets(params) {
       const ticket_number = `${category}-${paddedNum}`;
       
       // Generate 8-digit barcode
-      const barcode = barcodeGenerator.generateBarcode(category, ticketNum);
+      const barcode = barcodeGenerator.generateBarcode(barcode_prefix, ticketNum);
       
       tickets.push({
         raffle_id,
@@ -415,11 +457,12 @@ async function batchInsertTickets(tickets) {
  * 
  * @param {string} ticketNumber - Ticket number
  * @param {Object} buyerInfo - Buyer information
+ * @param {number} [raffleId] - Raffle ID (see findTicket when omitted)
  * @returns {Promise<Object>} - Updated ticket
  */
-async function sellTicket(ticketNumber, buyerInfo) {
+async function sellTicket(ticketNumber, buyerInfo, raffleId = null) {
   try {
-    const ticket = await getTicketByNumber(ticketNumber);
+    const ticket = await getTicketByNumber(ticketNumber, raffleId);
     
     if (!ticket) {
       throw new Error('Ticket not found');
@@ -429,24 +472,29 @@ async function sellTicket(ticketNumber, buyerInfo) {
       throw new Error('Ticket is not available for sale');
     }
 
-    await db.run(
+    // Only sell if nobody else has sold it since the check above
+    const result = await db.run(
       `UPDATE tickets 
        SET status = 'SOLD',
            buyer_name = ?,
            buyer_phone = ?,
            seller_name = ?,
            seller_phone = ?
-       WHERE ticket_number = ?`,
+       WHERE id = ? AND status = 'AVAILABLE'`,
       [
         buyerInfo.buyer_name,
         buyerInfo.buyer_phone,
         buyerInfo.seller_name,
         buyerInfo.seller_phone,
-        ticketNumber
+        ticket.id
       ]
     );
 
-    return await getTicketByNumber(ticketNumber);
+    if (result.changes === 0) {
+      throw new Error('Ticket is not available for sale');
+    }
+
+    return await db.get('SELECT * FROM tickets WHERE id = ?', [ticket.id]);
   } catch (error) {
     console.error('Error selling ticket:', error);
     throw error;
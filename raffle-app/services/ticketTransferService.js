@@ -0,0 +1,115 @@
+/**
+ * Ticket Transfer Service - Pass a sold ticket on to another buyer
+ *
+ * Buyers gift tickets or sell them on to family. The seller who sold the
+ * ticket, or an admin, records the new owner: the ticket's buyer_name,
+ * buyer_phone and buyer_email change, and the previous owner is written to
+ * ticket_events (event 'transferred', with the new owner, the time and the
+ * acting user), so the chain of owners can be read back from the ticket's
+ * history. The sale is left as it was: it records who paid.
+ *
+ * Transfers stop once the raffle's draw has started (a seed commitment has been
+ * published or a draw run), so the eligible set cannot change under a draw.
+ */
+
+const db = require('../db');
+const saleService = require('./saleService');
+const ticketReturnService = require('./ticketReturnService');
+const { serviceError } = require('./serviceError');
+
+/**
+ * Refuse transfers once a raffle's draw has started
+ *
+ * @param {number} raffleId - Raffle ID
+ * @returns {Promise<void>}
+ */
+async function assertDrawNotStarted(raffleId) {
+  const commitment = await db.get('SELECT id FROM draw_commitments WHERE raffle_id = ? LIMIT 1', [raffleId]);
+  const draw = commitment ? null : await db.get('SELECT id FROM draws WHERE raffle_id = ? LIMIT 1', [raffleId]);
+  if (commitment || draw) {
+    throw serviceError('DRAW_STARTED', "This raffle's draw has started. Its tickets can no longer be transferred.", 409);
+  }
+}
+
+/**
+ * Validate the new owner's details against the raffle's required buyer fields
+ *
+ * @param {Object} input - { buyer_name, buyer_phone, buyer_email }
+ * @param {Object} ticket - Ticket row
+ * @returns {Promise<Object>} - { buyer_name, buyer_phone, buyer_email }
+ */
+async function validateNewBuyer(input, ticket) {
+  const settings = await saleService.getSaleSettings(ticket.raffle_id);
+  const buyerSettings = {
+    ...settings,
+    required_fields: settings.required_fields.filter(field => field.startsWith('buyer_'))
+  };
+  const details = saleService.validateSaleDetails(
+    { buyer_name: input.buyer_name, buyer_phone: input.buyer_phone, buyer_email: input.buyer_email },
+    buyerSettings,
+    ticket
+  );
+  if (!details.buyer_name && !details.buyer_phone) {
+    throw serviceError('NEW_BUYER_REQUIRED', 'Give the new owner\'s name or phone number');
+  }
+  return { buyer_name: details.buyer_name, buyer_phone: details.buyer_phone, buyer_email: details.buyer_email };
+}
+
+/**
+ * Transfer a sold ticket to a new owner
+ *
+ * @param {number} ticketId - Ticket ID
+ * @param {Object} input - { buyer_name, buyer_phone, buyer_email, notes }
+ * @param {Object} user - Session user; sellers can only transfer tickets they sold
+ * @returns {Promise<Object>} - { ticket_number, previous_owner, new_owner }
+ */
+async function transferTicket(ticketId, input = {}, user) {
+  const ticket = await db.get('SELECT * FROM tickets WHERE id = ?', [ticketId]);
+  if (!ticket) {
+    throw serviceError('TICKET_NOT_FOUND', 'Ticket not found', 404);
+  }
+  if (user.role !== 'admin' && Number(ticket.seller_id) !== Number(user.id)) {
+    throw serviceError('NOT_TICKET_SELLER', 'Only the seller who sold this ticket or an admin can transfer it', 403);
+  }
+  if (ticket.status !== 'SOLD') {
+    throw serviceError('TICKET_NOT_SOLD', `Only sold tickets can be transferred (this one is ${ticket.status})`, 409);
+  }
+  await assertDrawNotStarted(ticket.raffle_id);
+
+  const newOwner = await validateNewBuyer(input, ticket);
+  if (newOwner.buyer_name === (ticket.buyer_name || null) && newOwner.buyer_phone === (ticket.buyer_phone || null) &&
+      newOwner.buyer_email === (ticket.buyer_email || null)) {
+    throw serviceError('SAME_OWNER', 'The ticket already belongs to this buyer');
+  }
+  const notes = input.notes ? String(input.notes).trim() : null;
+
+  // Only applies if nobody changed the owner since the ticket was read
+  const result = await db.run(
+    `UPDATE tickets SET buyer_name = ?, buyer_phone = ?, buyer_email = ?
+     WHERE id = ? AND status = 'SOLD' AND COALESCE(sale_id, 0) = ?
+       AND COALESCE(buyer_name, '') = ? AND COALESCE(buyer_phone, '') = ? AND COALESCE(buyer_email, '') = ?`,
+    [newOwner.buyer_name, newOwner.buyer_phone, newOwner.buyer_email, ticket.id, ticket.sale_id || 0,
+      ticket.buyer_name || '', ticket.buyer_phone || '', ticket.buyer_email || '']
+  );
+  if (result.changes === 0) {
+    throw serviceError('TICKET_CHANGED', 'This ticket changed while it was being transferred. Please try again.', 409);
+  }
+  await ticketReturnService.recordTicketEvent(ticket, {
+    eventType: 'transferred', toStatus: 'SOLD', notes, user, newBuyer: newOwner
+  });
+
+  console.log(`[TRANSFERS] ${user.name} transferred ${ticket.ticket_number} to a new owner`);
+  return {
+    ticket_number: ticket.ticket_number,
+    previous_owner: {
+      buyer_name: ticket.buyer_name || null,
+      buyer_phone: ticket.buyer_phone || null,
+      buyer_email: ticket.buyer_email || null
+    },
+    new_owner: newOwner
+  };
+}
+
+module.exports = {
+  transferTicket
+};
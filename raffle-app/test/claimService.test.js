@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setupDatabase, closeDatabase, insertTickets } = require('./helpers');
+const drawService = require('../services/drawService');
+const claimService = require('../services/claimService');
+
+// A notified winner without a draw (so nothing is redrawn) whose deadline has passed
+async function overdueWinner(ticket) {
+  await db.run("UPDATE tickets SET status = 'won' WHERE id = ?", [ticket.id]);
+  const result = await db.run(
+    `INSERT INTO winners (raffle_id, ticket_id, ticket_number, prize_name, winner_name, winner_phone,
+                          status, claim_status, claim_deadline, previous_ticket_status)
+     VALUES (1, ?, ?, 'Car', ?, ?, 'winner', 'notified', '2000-01-01 00:00:00', 'SOLD')`,
+    [ticket.id, ticket.ticket_number, ticket.buyer_name, ticket.buyer_phone]
+  );
+  return result.lastID;
+}
+
+before(async () => {
+  await setupDatabase();
+});
+
+after(closeDatabase);
+
+test('the expiry sweep records a claim it cannot expire and carries on with the others', async (t) => {
+  const [first, second] = await insertTickets({ category: 'ABC', count: 2 });
+  const failing = await overdueWinner(first);
+  const expiring = await overdueWinner(second);
+
+  const releaseWinningTicket = drawService.releaseWinningTicket;
+  t.mock.method(drawService, 'releaseWinningTicket', async (winner) => {
+    if (winner.id === failing) {
+      throw new Error('Database connection lost');
+    }
+    return releaseWinningTicket(winner);
+  });
+
+  const results = await claimService.expireOverdueClaims();
+  assert.strictEqual(results.length, 2);
+  const [failed, expired] = results;
+  assert.strictEqual(failed.winner.id, failing);
+  assert.deepStrictEqual(failed.error, { code: 'EXPIRY_FAILED', message: 'Database connection lost' });
+  assert.strictEqual(expired.winner.id, expiring);
+  assert.strictEqual(expired.winner.claim_status, 'expired');
+  assert.strictEqual(expired.replacement.method, 'none');
+
+  const history = await claimService.getWinnerHistory(failing);
+  const event = history.events.find(e => e.event_type === 'expiry_failed');
+  assert.strictEqual(event.notes, 'Database connection lost');
+});
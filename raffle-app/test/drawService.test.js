@@ -0,0 +1,218 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { db, setupDatabase, closeDatabase, insertTickets, setRaffleStatus } = require('./helpers');
+const drawService = require('../services/drawService');
+
+// Recomputes a pick exactly as DRAWS.md tells participants to
+function recomputePick(seed, ticketNumbers, round) {
+  const setHash = crypto.createHash('sha256').update(ticketNumbers.join('\n')).digest('hex');
+  const remaining = ticketNumbers.slice();
+  let index;
+  for (let r = 0; r <= round; r++) {
+    const digest = crypto.createHash('sha256').update(`${seed}:${setHash}:${r}`).digest('hex');
+    index = Number(BigInt(`0x${digest}`) % BigInt(remaining.length));
+    if (r < round) {
+      remaining.splice(index, 1);
+    }
+  }
+  return { index, ticketNumber: remaining[index] };
+}
+
+before(async () => {
+  await setupDatabase();
+  await insertTickets({ category: 'ABC', count: 12 });
+  await insertTickets({ category: 'EFG', count: 8, price: 100 });
+  await insertTickets({ category: 'JKL', count: 5, status: 'AVAILABLE', price: 250 });
+});
+
+after(closeDatabase);
+
+test('deriveWinnerIndex is deterministic and within range', () => {
+  const seed = 'a'.repeat(64);
+  const setHash = drawService.hashEligibleSet(['ABC-000001', 'ABC-000002']);
+  for (const count of [1, 2, 7, 1000]) {
+    const index = drawService.deriveWinnerIndex(seed, setHash, 0, count);
+    assert.strictEqual(index, drawService.deriveWinnerIndex(seed, setHash, 0, count));
+    assert.ok(index >= 0 && index < count);
+  }
+  assert.throws(() => drawService.deriveWinnerIndex(seed, setHash, 0, 0));
+});
+
+test('hashEligibleSet hashes the ticket numbers joined by newlines', () => {
+  const numbers = ['ABC-000001', 'ABC-000002', 'EFG-000001'];
+  const expected = crypto.createHash('sha256').update('ABC-000001\nABC-000002\nEFG-000001').digest('hex');
+  assert.strictEqual(drawService.hashEligibleSet(numbers), expected);
+});
+
+test('pickWithoutRepeats never repeats and matches the published algorithm', () => {
+  const seed = crypto.randomBytes(32).toString('hex');
+  const numbers = Array.from({ length: 30 }, (_, i) => `ABC-${String(i + 1).padStart(6, '0')}`);
+  const setHash = drawService.hashEligibleSet(numbers);
+
+  const picks = drawService.pickWithoutRepeats(seed, setHash, numbers, 10);
+  assert.strictEqual(picks.length, 10);
+  assert.strictEqual(new Set(picks.map(p => p.item)).size, 10);
+  picks.forEach((pick, round) => {
+    assert.strictEqual(pick.round, round);
+    const expected = recomputePick(seed, numbers, round);
+    assert.strictEqual(pick.index, expected.index);
+    assert.strictEqual(pick.item, expected.ticketNumber);
+  });
+});
+
+test('pickWithoutRepeats stops when the list runs out', () => {
+  const numbers = ['ABC-000001', 'ABC-000002', 'ABC-000003'];
+  const picks = drawService.pickWithoutRepeats('b'.repeat(64), drawService.hashEligibleSet(numbers), numbers, 5);
+  assert.strictEqual(picks.length, 3);
+  assert.deepStrictEqual(picks.map(p => p.item).sort(), numbers);
+});
+
+test('a commitment can only be published once the raffle is closed', async () => {
+  await assert.rejects(
+    drawService.createCommitment({ eligibility: { raffle_id: 1 } }),
+    { code: 'RAFFLE_NOT_CLOSED' }
+  );
+});
+
+test('a conducted draw verifies and can be recomputed from its published data', async () => {
+  await setRaffleStatus(1, 'closed');
+  const commitment = await drawService.createCommitment({ eligibility: { raffle_id: 1 } });
+  assert.strictEqual(commitment.eligible_count, 20);
+  assert.strictEqual(commitment.seed, undefined);
+
+  const draw = await drawService.conductDraw({ prizeName: 'Car', commitmentId: commitment.id });
+  assert.strictEqual(draw.eligible_set_hash, commitment.eligible_set_hash);
+
+  const verification = await drawService.verifyDraw(draw.id);
+  assert.strictEqual(verification.verified, true, JSON.stringify(verification.checks));
+
+  const ticketNumbers = await drawService.getDrawEligibleTickets(draw.id);
+  assert.strictEqual(ticketNumbers.length, 20);
+  assert.deepStrictEqual(ticketNumbers, ticketNumbers.slice().sort());
+  assert.strictEqual(crypto.createHash('sha256').update(draw.seed).digest('hex'), commitment.seed_commitment);
+  const expected = recomputePick(draw.seed, ticketNumbers, 0);
+  assert.strictEqual(draw.winner_index, expected.index);
+  assert.strictEqual(draw.ticket_number, expected.ticketNumber);
+
+  const ticket = await db.get('SELECT status FROM tickets WHERE ticket_number = ?', [draw.ticket_number]);
+  assert.strictEqual(ticket.status, 'won');
+});
+
+test('verifyDraw flags a tampered draw record', async () => {
+  const draw = await db.get("SELECT * FROM draws WHERE prize_name = 'Car'");
+  const numbers = await drawService.getDrawEligibleTickets(draw.id);
+  const other = numbers.find(n => n !== draw.ticket_number);
+
+  await db.run('UPDATE draws SET ticket_number = ? WHERE id = ?', [other, draw.id]);
+  const verification = await drawService.verifyDraw(draw.id);
+  assert.strictEqual(verification.verified, false);
+  assert.strictEqual(verification.checks.winning_ticket_matches, false);
+  assert.strictEqual(verification.checks.commitment_matches_seed, true);
+
+  await db.run('UPDATE draws SET ticket_number = ? WHERE id = ?', [draw.ticket_number, draw.id]);
+  assert.strictEqual((await drawService.verifyDraw(draw.id)).verified, true);
+});
+
+test('later rounds replay the earlier ones', async () => {
+  const first = await db.get("SELECT * FROM draws WHERE prize_name = 'Car'");
+  const next = await drawService.drawNextRound({ drawId: first.id, prizeName: 'Bike' });
+  assert.strictEqual(next.round, 1);
+  assert.notStrictEqual(next.ticket_number, first.ticket_number);
+
+  const numbers = await drawService.getDrawEligibleTickets(next.drawId);
+  assert.strictEqual(next.ticket_number, recomputePick(first.seed, numbers, 1).ticketNumber);
+  const verification = await drawService.verifyDraw(next.drawId);
+  assert.strictEqual(verification.verified, true, JSON.stringify(verification.checks));
+});
+
+test('a reveal is refused when the eligible set changed after the commitment', async () => {
+  const commitment = await drawService.createCommitment({ eligibility: { raffle_id: 1, categories: ['EFG'] } });
+  // Earlier draws may have won some EFG tickets already
+  const sold = await db.get("SELECT id FROM tickets WHERE category = 'EFG' AND status = 'SOLD' LIMIT 1");
+  await db.run("UPDATE tickets SET status = 'VOIDED' WHERE id = ?", [sold.id]);
+
+  await assert.rejects(
+    drawService.conductDraw({ prizeName: 'Boat', commitmentId: commitment.id }),
+    { code: 'ELIGIBLE_SET_CHANGED' }
+  );
+  const stored = await drawService.getCommitment(commitment.id);
+  assert.strictEqual(stored.status, 'pending');
+  assert.strictEqual(stored.seed, undefined);
+  await db.run("UPDATE tickets SET status = 'SOLD' WHERE id = ?", [sold.id]);
+});
+
+test('a redraw skips picks whose ticket is no longer sold and stays verifiable', async () => {
+  const first = await db.get("SELECT * FROM draws WHERE prize_name = 'Car'");
+  const numbers = await drawService.getDrawEligibleTickets(first.id);
+  const last = await db.get('SELECT MAX(draw_round) as max_round FROM draws WHERE commitment_id = ?', [first.commitment_id]);
+  const nextRound = Number(last.max_round) + 1;
+  const refunded = recomputePick(first.seed, numbers, nextRound).ticketNumber;
+  await db.run("UPDATE tickets SET status = 'REFUNDED' WHERE ticket_number = ?", [refunded]);
+
+  const redraw = await drawService.drawNextRound({ drawId: first.id, prizeName: 'Car', conductedBy: 'system' });
+  assert.strictEqual(redraw.round, nextRound + 1);
+  assert.notStrictEqual(redraw.ticket_number, refunded);
+
+  const skipped = await db.get('SELECT * FROM draws WHERE commitment_id = ? AND draw_round = ?', [first.commitment_id, nextRound]);
+  assert.strictEqual(skipped.status, 'skipped');
+  assert.strictEqual(skipped.ticket_number, refunded);
+  const ticket = await db.get('SELECT status FROM tickets WHERE ticket_number = ?', [refunded]);
+  assert.strictEqual(ticket.status, 'REFUNDED');
+
+  const audit = await drawService.getDrawAuditLog(first.id);
+  const entry = audit.find(e => e.action === 'skipped');
+  assert.strictEqual(entry.details.ticket_status, 'REFUNDED');
+  assert.strictEqual(entry.details.skipped_draw_id, skipped.id);
+
+  const verification = await drawService.verifyDraw(redraw.drawId);
+  assert.strictEqual(verification.verified, true, JSON.stringify(verification.checks));
+});
+
+test('markTicketWon refuses a ticket that is no longer sold', async () => {
+  const [ticket] = await insertTickets({ category: 'XYZ', count: 1, status: 'VOIDED' });
+  await assert.rejects(drawService.markTicketWon(ticket.id, 'Car'), { code: 'TICKET_CHANGED' });
+  const after = await db.get('SELECT status, is_winner FROM tickets WHERE id = ?', [ticket.id]);
+  assert.strictEqual(after.status, 'VOIDED');
+  assert.ok(!after.is_winner);
+});
+
+test('exclude_prior_winners only skips buyers who already won in the same raffle', async () => {
+  // Tickets in different categories share buyer phones, so skip any buyer an earlier draw picked
+  const ticket = await db.get(
+    `SELECT * FROM tickets t WHERE raffle_id = 1 AND status = 'SOLD'
+       AND NOT EXISTS (SELECT 1 FROM winners w WHERE w.raffle_id = 1 AND w.winner_phone = t.buyer_phone)
+     ORDER BY id LIMIT 1`
+  );
+  const rules = await drawService.resolveEligibilityRules({ raffle_id: 1, exclude_prior_winners: true });
+  const eligible = async () => (await drawService.getEligibleTickets(rules)).some(t => t.id === ticket.id);
+
+  const elsewhere = await db.run(
+    `INSERT INTO winners (raffle_id, ticket_id, ticket_number, prize_name, winner_name, winner_phone, status)
+     VALUES (99, 0, 'OTHER-000001', 'Car', ?, ?, 'winner')`,
+    [ticket.buyer_name, ticket.buyer_phone]
+  );
+  assert.strictEqual(await eligible(), true);
+
+  await db.run('UPDATE winners SET raffle_id = 1 WHERE id = ?', [elsewhere.lastID]);
+  assert.strictEqual(await eligible(), false);
+  await db.run('DELETE FROM winners WHERE id = ?', [elsewhere.lastID]);
+});
+
+test('picks recorded at the same time get distinct draw numbers', async () => {
+  const first = await db.get("SELECT * FROM draws WHERE prize_name = 'Car'");
+  const commitment = await db.get('SELECT * FROM draw_commitments WHERE id = ?', [first.commitment_id]);
+  const tickets = await db.all("SELECT * FROM tickets WHERE raffle_id = 1 AND status = 'SOLD' ORDER BY id LIMIT 3");
+
+  const recorded = await Promise.all(tickets.map((ticket, i) => drawService.recordPick({
+    ticket, commitment, eligibleSetHash: first.eligible_set_hash, eligibleCount: first.eligible_count,
+    round: 100 + i, index: 0, prizeName: 'Raffle hamper', pickType: 'alternate', alternateRank: i + 1
+  })));
+  const numbers = recorded.map(r => r.drawNumber);
+  assert.strictEqual(new Set(numbers).size, numbers.length);
+  const stored = await db.all(
+    `SELECT draw_number FROM draws WHERE id IN (${recorded.map(() => '?').join(', ')})`,
+    recorded.map(r => r.drawId)
+  );
+  assert.deepStrictEqual(stored.map(d => Number(d.draw_number)).sort(), numbers.slice().sort());
+});
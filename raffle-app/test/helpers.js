@@ -0,0 +1,90 @@
+/**
+ * Test helpers - a fresh SQLite database per test file
+ *
+ * db.js opens ./raffle.db when it is first loaded, so this module moves the
+ * working directory to a new temporary directory first. Require it before any
+ * service. Each test file runs in its own process (node --test), so every file
+ * gets its own database with the default admin, raffle and categories.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+delete process.env.DATABASE_URL;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'raffle-test-'));
+process.chdir(tempDir);
+
+const db = require('../db');
+
+/**
+ * Create the schema and the default raffle
+ *
+ * @returns {Promise<Object>} - The db module
+ */
+async function setupDatabase() {
+  await db.initializeSchema();
+  return db;
+}
+
+/**
+ * Close the database and remove its temporary directory
+ *
+ * @returns {void}
+ */
+function closeDatabase() {
+  db.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+/**
+ * Insert tickets straight into a raffle
+ *
+ * @param {Object} params - Parameters
+ * @param {number} params.raffleId - Raffle ID (default 1)
+ * @param {string} params.category - Category code (default ABC)
+ * @param {number} params.count - Number of tickets
+ * @param {number} params.start - First ticket number (default 1)
+ * @param {string} params.status - Ticket status (default SOLD)
+ * @param {number} params.price - Ticket price (default 50)
+ * @returns {Promise<Array<Object>>} - The inserted ticket rows
+ */
+async function insertTickets({ raffleId = 1, category = 'ABC', count, start = 1, status = 'SOLD', price = 50 }) {
+  const row = await db.get('SELECT barcode_prefix FROM ticket_categories WHERE raffle_id = ? AND category_code = ?', [raffleId, category]);
+  const ids = [];
+  for (let n = start; n < start + count; n++) {
+    const result = await db.run(
+      `INSERT INTO tickets (raffle_id, ticket_number, category, barcode, price, amount, status,
+                            buyer_name, buyer_phone, sold_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        raffleId, `${category}-${String(n).padStart(6, '0')}`, category,
+        `${row.barcode_prefix}${String(n).padStart(7, '0')}`, price, status === 'SOLD' ? price : null, status,
+        status === 'SOLD' ? `Buyer ${n}` : null, status === 'SOLD' ? `555${String(n).padStart(7, '0')}` : null,
+        status === 'SOLD' ? '2026-01-01 12:00:00' : null
+      ]
+    );
+    ids.push(result.lastID);
+  }
+  return db.all(`SELECT * FROM tickets WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY id`, ids);
+}
+
+/**
+ * Set a raffle's status directly, skipping the lifecycle guards
+ *
+ * @param {number} raffleId - Raffle ID
+ * @param {string} status - New status
+ * @returns {Promise<void>}
+ */
+async function setRaffleStatus(raffleId, status) {
+  await db.run('UPDATE raffles SET status = ? WHERE id = ?', [status, raffleId]);
+}
+
+module.exports = {
+  db,
+  setupDatabase,
+  closeDatabase,
+  insertTickets,
+  setRaffleStatus
+};
@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { db, setupDatabase, closeDatabase, insertTickets } = require('./helpers');
+
+process.env.PAYMENT_SIMULATOR = 'true';
+const paymentService = require('../services/paymentService');
+const onlinePurchaseService = require('../services/onlinePurchaseService');
+
+const LONG_AGO = '2000-01-01 00:00:00';
+
+// Start an order paid through the simulator (phones ending 1111 stay pending)
+async function checkout(quantity, phone = '5550001111') {
+  const result = await onlinePurchaseService.startCheckout({
+    raffle_id: 1, category: 'ABC', quantity, payment_provider: 'simulated',
+    buyer_name: 'Online Buyer', buyer_email: 'buyer@example.com', buyer_phone: phone
+  });
+  return db.get('SELECT * FROM online_orders WHERE order_token = ?', [result.order_token]);
+}
+
+// Settle a pending simulated payment without letting the order hear about it
+async function settlePayment(order) {
+  const body = Buffer.from(JSON.stringify({ id: `evt_${order.id}`, type: 'payment.succeeded', data: { id: order.payment_reference } }));
+  const signature = crypto.createHmac('sha256', 'simulator').update(body).digest('hex');
+  await paymentService.receiveWebhook('simulated', body, { 'x-signature': signature });
+}
+
+// Leave an order as a crash part-way through fulfilment would
+async function interrupt(order, updatedAt = LONG_AGO) {
+  await db.run(
+    "UPDATE online_orders SET status = 'processing', sale_id = NULL, updated_at = ? WHERE id = ?",
+    [updatedAt, order.id]
+  );
+}
+
+before(async () => {
+  await setupDatabase();
+  await insertTickets({ category: 'ABC', count: 20, status: 'AVAILABLE' });
+});
+
+after(closeDatabase);
+
+test('an interrupted order whose payment succeeded is fulfilled', async () => {
+  const order = await checkout(2);
+  assert.strictEqual(order.status, 'pending');
+  await settlePayment(order);
+  await interrupt(order);
+
+  const [result] = await onlinePurchaseService.recoverStaleOrders();
+  assert.strictEqual(result.order_id, order.id);
+  assert.strictEqual(result.status, 'fulfilled');
+  assert.strictEqual(result.recovered, 'resumed');
+
+  const tickets = await db.all("SELECT * FROM tickets WHERE sale_id = ? AND status = 'SOLD'", [result.sale_id]);
+  assert.strictEqual(tickets.length, 2);
+  assert.ok(tickets.every(t => t.reservation_owner === null));
+});
+
+test('an order interrupted after its sale completed keeps that sale', async () => {
+  const order = await checkout(1, '5550002222');
+  assert.strictEqual(order.status, 'fulfilled');
+  await interrupt(order);
+
+  const [result] = await onlinePurchaseService.recoverStaleOrders();
+  assert.strictEqual(result.status, 'fulfilled');
+  assert.strictEqual(result.recovered, 'completed');
+  assert.strictEqual(result.sale_id, order.sale_id);
+  const sales = await db.all('SELECT id FROM sales WHERE client_sale_id = ?', [`simulated:${order.payment_reference}`]);
+  assert.strictEqual(sales.length, 1);
+});
+
+test('a sale left part-way is put back before the order is fulfilled again', async () => {
+  const order = await checkout(2);
+  await settlePayment(order);
+  const partial = await db.run(
+    `INSERT INTO sales (raffle_id, seller_id, seller_name, ticket_count, total_amount, status, client_sale_id)
+     VALUES (1, 0, 'Online', 2, ?, 'pending', ?)`,
+    [order.total_amount, `simulated:${order.payment_reference}`]
+  );
+  const held = await db.get('SELECT id FROM tickets WHERE reservation_owner = ? LIMIT 1', [`order:${order.id}`]);
+  await db.run("UPDATE tickets SET status = 'SOLD', sale_id = ? WHERE id = ?", [partial.lastID, held.id]);
+  await interrupt(order);
+
+  const [result] = await onlinePurchaseService.recoverStaleOrders();
+  assert.strictEqual(result.status, 'fulfilled');
+  assert.notStrictEqual(result.sale_id, partial.lastID);
+  assert.ok(!await db.get('SELECT id FROM sales WHERE id = ?', [partial.lastID]));
+  const sold = await db.get('SELECT COUNT(*) as count FROM tickets WHERE sale_id = ?', [result.sale_id]);
+  assert.strictEqual(Number(sold.count), 2);
+});
+
+test('an order whose refund went through is marked refunded without refunding again', async () => {
+  const order = await checkout(1);
+  await settlePayment(order);
+  const refund = await paymentService.refundPayment('simulated', order.payment_reference, { reason: 'SOLD_OUT' });
+  await interrupt(order);
+
+  const [result] = await onlinePurchaseService.recoverStaleOrders();
+  assert.strictEqual(result.status, 'refunded');
+  const stored = await db.get('SELECT status, refund_id, failure_reason FROM online_orders WHERE id = ?', [order.id]);
+  assert.strictEqual(stored.refund_id, refund.id);
+  assert.strictEqual(stored.failure_reason, 'INTERRUPTED');
+  const held = await db.get('SELECT COUNT(*) as count FROM tickets WHERE reservation_owner = ?', [`order:${order.id}`]);
+  assert.strictEqual(Number(held.count), 0);
+});
+
+test('orders still being fulfilled are left alone', async () => {
+  const order = await checkout(1);
+  await settlePayment(order);
+  await interrupt(order, db.toDbTimestamp(new Date()));
+
+  assert.deepStrictEqual(await onlinePurchaseService.recoverStaleOrders(), []);
+  const stored = await db.get('SELECT status FROM online_orders WHERE id = ?', [order.id]);
+  assert.strictEqual(stored.status, 'processing');
+});
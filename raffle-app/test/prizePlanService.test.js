@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setupDatabase, closeDatabase, insertTickets, setRaffleStatus } = require('./helpers');
+const drawService = require('../services/drawService');
+const prizePlanService = require('../services/prizePlanService');
+
+const TIERS = [
+  { prize_name: 'Car', quantity: 1, alternates: 1 },
+  { prize_name: 'Bike', quantity: 2, alternates: 0 }
+];
+
+before(async () => {
+  await setupDatabase();
+  await insertTickets({ category: 'ABC', count: 10 });
+  await setRaffleStatus(1, 'closed');
+});
+
+after(closeDatabase);
+
+test('a plan run that fails part-way is marked failed and finishes the same picks when run again', async (t) => {
+  await prizePlanService.savePlan(1, TIERS);
+  const commitment = await drawService.createCommitment({ eligibility: { raffle_id: 1 } });
+
+  const recordPick = drawService.recordPick;
+  let calls = 0;
+  const mocked = t.mock.method(drawService, 'recordPick', async (pick) => {
+    if (++calls === 3) {
+      throw new Error('Database connection lost');
+    }
+    return recordPick(pick);
+  });
+
+  await assert.rejects(
+    prizePlanService.runPlan({ raffleId: 1, commitmentId: commitment.id, conductedBy: 'admin' }),
+    /Database connection lost/
+  );
+  mocked.mock.restore();
+
+  const failed = await prizePlanService.getPlan(1);
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(Number(failed.commitment_id), commitment.id);
+  assert.strictEqual(failed.failure_reason, 'Database connection lost');
+  const drawnFirst = await db.all('SELECT id, ticket_number FROM winners ORDER BY id');
+  assert.strictEqual(drawnFirst.length, 2);
+
+  await assert.rejects(prizePlanService.savePlan(1, TIERS), { code: 'PLAN_ALREADY_RUN' });
+  await assert.rejects(
+    prizePlanService.runPlan({ raffleId: 1, commitmentId: commitment.id + 1 }),
+    { code: 'COMMITMENT_MISMATCH' }
+  );
+
+  const result = await prizePlanService.runPlan({ raffleId: 1, commitmentId: commitment.id, conductedBy: 'admin' });
+  const entries = result.tiers.flatMap(tier => [...tier.winners, ...tier.alternates]);
+  assert.deepStrictEqual(entries.map(e => e.round), [0, 1, 2, 3]);
+  assert.deepStrictEqual(entries.slice(0, 2).map(e => e.winner_id), drawnFirst.map(w => w.id));
+
+  // Same tickets an uninterrupted run would have drawn, each round recorded once
+  const revealed = await db.get('SELECT seed, eligible_tickets FROM draw_commitments WHERE id = ?', [commitment.id]);
+  const numbers = revealed.eligible_tickets.split('\n');
+  const expected = drawService.pickWithoutRepeats(revealed.seed, drawService.hashEligibleSet(numbers), numbers, 4);
+  assert.deepStrictEqual(entries.map(e => e.ticket_number), expected.map(p => p.item));
+  const draws = await db.all('SELECT draw_round FROM draws WHERE commitment_id = ? ORDER BY draw_round', [commitment.id]);
+  assert.deepStrictEqual(draws.map(d => Number(d.draw_round)), [0, 1, 2, 3]);
+
+  const won = await db.get("SELECT COUNT(*) as count FROM tickets WHERE status = 'won'");
+  assert.strictEqual(Number(won.count), 3);
+  const completed = await prizePlanService.getPlan(1);
+  assert.strictEqual(completed.status, 'completed');
+  assert.strictEqual(completed.failure_reason, null);
+});
@@ -0,0 +1,165 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setupDatabase, closeDatabase, insertTickets } = require('./helpers');
+
+process.env.PAYMENT_SIMULATOR = 'true';
+const refundService = require('../services/refundService');
+const ledgerService = require('../services/ledgerService');
+const onlinePurchaseService = require('../services/onlinePurchaseService');
+
+const ADMIN = { phone: '1234567890', name: 'Admin' };
+let seller;
+let nextTicket = 1;
+
+// A completed cash sale by the seller, debited to their ledger
+async function cashSale(prices, commission = 5) {
+  const tickets = [];
+  for (const price of prices) {
+    const [ticket] = await insertTickets({ category: 'ABC', count: 1, start: nextTicket++, price });
+    tickets.push(ticket);
+  }
+  const total = prices.reduce((sum, price) => sum + price, 0);
+  const sale = await db.run(
+    `INSERT INTO sales (raffle_id, seller_id, seller_name, buyer_name, payment_method, ticket_count, total_amount, status, completed_at)
+     VALUES (1, ?, ?, 'Cash Buyer', 'cash', ?, ?, 'completed', CURRENT_TIMESTAMP)`,
+    [seller.id, seller.name, tickets.length, total]
+  );
+  for (const ticket of tickets) {
+    await db.run(
+      'UPDATE tickets SET sale_id = ?, seller_id = ?, seller_name = ?, actual_price_paid = ?, seller_commission = ? WHERE id = ?',
+      [sale.lastID, seller.id, seller.name, ticket.price, commission, ticket.id]
+    );
+  }
+  assert.strictEqual(await ledgerService.recordSaleDebit(sale.lastID), true);
+  return { id: sale.lastID, tickets };
+}
+
+async function ledgerEntries(type, column, id) {
+  return db.all(`SELECT * FROM seller_ledger WHERE entry_type = ? AND ${column} = ?`, [type, id]);
+}
+
+before(async () => {
+  await setupDatabase();
+  await db.run("INSERT INTO users (name, phone, password, role) VALUES ('Seller One', '5550000001', 'x', 'seller')");
+  seller = await db.get("SELECT * FROM users WHERE phone = '5550000001'");
+  await insertTickets({ category: 'EFG', count: 4, status: 'AVAILABLE', price: 100 });
+});
+
+after(closeDatabase);
+
+test('a full refund puts the tickets back on sale and reverses the seller debit', async () => {
+  const sale = await cashSale([50, 50]);
+  assert.strictEqual((await ledgerService.getBalance(seller.id)).outstanding, 100);
+
+  const refund = await refundService.refundSale(sale.id, { method: 'cash', ticket_status: 'AVAILABLE', reason: 'raffle_cancelled' }, ADMIN);
+  assert.strictEqual(refund.status, 'completed');
+  assert.strictEqual(Number(refund.amount), 100);
+  assert.strictEqual(Number(refund.commission_reversed), 10);
+  assert.strictEqual(refund.tickets.length, 2);
+  assert.ok(refund.tickets.every(t => t.status === 'AVAILABLE'));
+
+  const tickets = await db.all('SELECT * FROM tickets WHERE id IN (?, ?)', sale.tickets.map(t => t.id));
+  assert.ok(tickets.every(t => t.sale_id === null && t.buyer_name === null && t.seller_commission === null));
+
+  const [credit] = await ledgerEntries('refund', 'refund_id', refund.id);
+  assert.strictEqual(Number(credit.credit), 100);
+  assert.strictEqual(Number(credit.seller_id), seller.id);
+  const balance = await ledgerService.getBalance(seller.id);
+  assert.strictEqual(balance.refunded, 100);
+  assert.strictEqual(balance.outstanding, 0);
+});
+
+test('a partial refund splits the amount by what was paid and keeps REFUNDED tickets with their buyer', async () => {
+  const sale = await cashSale([50, 30, 20]);
+  const [first, second] = sale.tickets;
+
+  const refund = await refundService.refundSale(sale.id, {
+    ticket_ids: [first.id, second.id], amount: 40, method: 'bank_transfer', ticket_status: 'REFUNDED', reason: 'buyer_dispute'
+  }, ADMIN);
+  const shares = Object.fromEntries(refund.tickets.map(t => [t.id, Number(t.amount_refunded)]));
+  assert.deepStrictEqual(shares, { [first.id]: 25, [second.id]: 15 });
+  assert.strictEqual(Number(refund.commission_reversed), 10);
+
+  const refunded = await db.get('SELECT status, sale_id, buyer_name, seller_commission FROM tickets WHERE id = ?', [first.id]);
+  assert.deepStrictEqual(refunded, { status: 'REFUNDED', sale_id: sale.id, buyer_name: first.buyer_name, seller_commission: null });
+  const kept = await db.get('SELECT status, seller_commission FROM tickets WHERE id = ?', [sale.tickets[2].id]);
+  assert.deepStrictEqual(kept, { status: 'SOLD', seller_commission: 5 });
+
+  const balance = await ledgerService.getBalance(seller.id);
+  assert.strictEqual(balance.debited, 200);
+  assert.strictEqual(balance.refunded, 140);
+  assert.strictEqual(balance.outstanding, 60);
+
+  await assert.rejects(
+    refundService.refundSale(sale.id, { ticket_ids: [first.id], method: 'cash', ticket_status: 'AVAILABLE', reason: 'buyer_dispute' }, ADMIN),
+    { code: 'TICKETS_NOT_REFUNDABLE' }
+  );
+  await assert.rejects(
+    refundService.refundSale(sale.id, { amount: 25, method: 'cash', ticket_status: 'AVAILABLE', reason: 'buyer_dispute' }, ADMIN),
+    { code: 'INVALID_AMOUNT' }
+  );
+});
+
+test('the ledger credit for a refund is recorded only once', async () => {
+  const refund = await db.get('SELECT id FROM refunds ORDER BY id DESC LIMIT 1');
+  assert.strictEqual(await ledgerService.recordRefundCredit(refund.id), false);
+  assert.strictEqual((await ledgerEntries('refund', 'refund_id', refund.id)).length, 1);
+});
+
+test('a provider sale is refunded through the provider and never touches the seller ledger', async () => {
+  const checkout = await onlinePurchaseService.startCheckout({
+    raffle_id: 1, category: 'EFG', quantity: 2, payment_provider: 'simulated',
+    buyer_name: 'Online Buyer', buyer_email: 'online@example.com'
+  });
+  const order = await db.get('SELECT * FROM online_orders WHERE order_token = ?', [checkout.order_token]);
+  assert.strictEqual(order.status, 'fulfilled');
+  const ledgerRows = (await db.get('SELECT COUNT(*) as count FROM seller_ledger')).count;
+
+  await assert.rejects(
+    refundService.refundSale(order.sale_id, { method: 'cash', ticket_status: 'AVAILABLE', reason: 'payment_error' }, ADMIN),
+    { code: 'INVALID_METHOD' }
+  );
+
+  const refund = await refundService.refundSale(order.sale_id, { amount: 100, ticket_status: 'AVAILABLE', reason: 'payment_error' }, ADMIN);
+  assert.strictEqual(refund.method, 'provider');
+  assert.strictEqual(refund.provider, 'simulated');
+  assert.ok(refund.provider_refund_id);
+  const payment = await db.get('SELECT status, refunded_amount FROM payment_transactions WHERE sale_id = ?', [order.sale_id]);
+  assert.deepStrictEqual(payment, { status: 'partially_refunded', refunded_amount: 100 });
+  assert.strictEqual((await db.get('SELECT COUNT(*) as count FROM seller_ledger')).count, ledgerRows);
+});
+
+test('a refund the provider refuses puts the tickets back and records no credit', async () => {
+  const sale = await cashSale([50]);
+  // Paid through the simulator, but the simulator no longer knows the payment
+  await db.run(
+    `INSERT INTO payment_transactions (provider, payment_id, transaction_id, amount, status, sale_id)
+     VALUES ('simulated', 'sim_gone', 'sim_gone', 50, 'succeeded', ?)`,
+    [sale.id]
+  );
+
+  await assert.rejects(
+    refundService.refundSale(sale.id, { ticket_status: 'AVAILABLE', reason: 'payment_error' }, ADMIN),
+    { code: 'PAYMENT_NOT_FOUND' }
+  );
+  const ticket = await db.get('SELECT status, sale_id FROM tickets WHERE id = ?', [sale.tickets[0].id]);
+  assert.deepStrictEqual(ticket, { status: 'SOLD', sale_id: sale.id });
+  const refund = await db.get('SELECT id, status, failure_reason FROM refunds WHERE sale_id = ?', [sale.id]);
+  assert.strictEqual(refund.status, 'failed');
+  assert.strictEqual(refund.failure_reason, 'PAYMENT_NOT_FOUND');
+  assert.strictEqual(await ledgerService.recordRefundCredit(refund.id), false);
+  assert.strictEqual((await ledgerEntries('refund', 'refund_id', refund.id)).length, 0);
+});
+
+test('tickets cannot be refunded once the raffle has been drawn', async () => {
+  const sale = await cashSale([50]);
+  await db.run(
+    `INSERT INTO draws (draw_number, raffle_id, prize_name, ticket_number, winner_name, winner_phone, status)
+     VALUES (1, 1, 'Car', ?, ?, ?, 'completed')`,
+    [sale.tickets[0].ticket_number, sale.tickets[0].buyer_name, sale.tickets[0].buyer_phone]
+  );
+  await assert.rejects(
+    refundService.refundSale(sale.id, { method: 'cash', ticket_status: 'AVAILABLE', reason: 'raffle_cancelled' }, ADMIN),
+    { code: 'RAFFLE_DRAWN' }
+  );
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setupDatabase, closeDatabase, insertTickets } = require('./helpers');
+const commissionService = require('../services/commissionService');
+const saleService = require('../services/saleService');
+
+let seller;
+let nextTicket = 1;
+
+async function availableTickets(count, category = 'ABC') {
+  const tickets = await insertTickets({ category, count, start: nextTicket, status: 'AVAILABLE' });
+  nextTicket += count;
+  return tickets;
+}
+
+async function ticketRow(id) {
+  return db.get('SELECT * FROM tickets WHERE id = ?', [id]);
+}
+
+before(async () => {
+  await setupDatabase();
+  await db.run("INSERT INTO users (name, phone, password, role) VALUES ('Seller One', '5550000001', 'x', 'seller')");
+  seller = await db.get("SELECT id, name, phone FROM users WHERE phone = '5550000001'");
+});
+
+after(closeDatabase);
+
+test('a cart that fails part-way puts each ticket back exactly as it was', async (t) => {
+  const [returned, reserved, taken] = await availableTickets(3);
+  await db.run("UPDATE tickets SET status = 'RETURNED' WHERE id = ?", [returned.id]);
+  await db.run(
+    `UPDATE tickets SET status = 'RESERVED', reservation_owner = ?, reservation_owner_name = 'Seller One',
+       reservation_reason = 'Held for a regular', reserved_at = '2026-01-01 10:00:00', reserved_until = '2999-01-01 00:00:00'
+     WHERE id = ?`,
+    [`user:${seller.id}`, reserved.id]
+  );
+  const original = [await ticketRow(returned.id), await ticketRow(reserved.id)];
+
+  // Another seller sells the last ticket while this cart is being priced
+  const calculateCommissions = commissionService.calculateCommissions;
+  t.mock.method(commissionService, 'calculateCommissions', async (...args) => {
+    await db.run("UPDATE tickets SET status = 'SOLD', buyer_name = 'Someone Else' WHERE id = ?", [taken.id]);
+    return calculateCommissions(...args);
+  });
+
+  await assert.rejects(
+    saleService.createSale({ barcodes: [returned.barcode, reserved.barcode, taken.barcode], buyer_name: 'Cart Buyer' }, seller),
+    { code: 'ALREADY_SOLD', ticket_number: taken.ticket_number }
+  );
+
+  assert.deepStrictEqual([await ticketRow(returned.id), await ticketRow(reserved.id)], original);
+  assert.strictEqual((await ticketRow(taken.id)).buyer_name, 'Someone Else');
+  const sales = await db.get('SELECT COUNT(*) as count FROM sales');
+  assert.strictEqual(Number(sales.count), 0);
+});
+
+test('a retried scan or cart returns the original sale', async () => {
+  const [scanned, first, second] = await availableTickets(3);
+
+  const scan = await saleService.processScan(scanned.barcode, seller, { scan_id: 'scan-retry-1' });
+  const scanAgain = await saleService.processScan(scanned.barcode, seller, { scan_id: 'scan-retry-1' });
+  assert.strictEqual(scan.replayed, false);
+  assert.strictEqual(scanAgain.replayed, true);
+  assert.strictEqual(scanAgain.ticket.sale_id, scan.ticket.sale_id);
+
+  const input = { barcodes: [first.barcode, second.barcode], client_sale_id: 'cart-retry-1', buyer_name: 'Cart Buyer' };
+  const sale = await saleService.createSale(input, seller);
+  const saleAgain = await saleService.createSale(input, seller);
+  assert.strictEqual(sale.replayed, false);
+  assert.strictEqual(saleAgain.replayed, true);
+  assert.strictEqual(saleAgain.sale.id, sale.sale.id);
+
+  const sales = await db.all('SELECT id FROM sales WHERE id IN (?, ?)', [scan.ticket.sale_id, sale.sale.id]);
+  assert.strictEqual(sales.length, 2);
+  const scans = await db.get("SELECT COUNT(*) as count FROM ticket_scans WHERE client_scan_id = 'scan-retry-1'");
+  assert.strictEqual(Number(scans.count), 1);
+});
+
+test('an offline batch sells what it can and reports the rest per sale', async () => {
+  const [queued, soldElsewhere] = await availableTickets(2);
+  await db.run("UPDATE tickets SET status = 'SOLD' WHERE id = ?", [soldElsewhere.id]);
+
+  const { results, summary } = await saleService.syncQueuedSales([
+    { scan_id: 'offline-1', barcode: queued.barcode, queued_at: '2026-01-01T10:00:00Z' },
+    { scan_id: 'offline-2', barcode: soldElsewhere.barcode },
+    { scan_id: 'offline-1', barcode: queued.barcode },
+    { scan_id: 'offline-3' }
+  ], seller);
+
+  assert.deepStrictEqual(results.map(r => r.status), ['sold', 'conflict', 'sold', 'conflict']);
+  assert.strictEqual(results[0].replayed, false);
+  assert.strictEqual(results[0].ticket, queued.ticket_number);
+  assert.strictEqual(results[1].error, 'ALREADY_SOLD');
+  assert.strictEqual(results[2].replayed, true);
+  assert.strictEqual(results[2].sale_id, results[0].sale_id);
+  assert.strictEqual(results[3].error, 'INVALID_QUEUED_SALE');
+  assert.deepStrictEqual(summary, { sold: 2, conflicts: 2, errors: 0 });
+  assert.strictEqual((await ticketRow(queued.id)).status, 'SOLD');
+});
@@ -0,0 +1,192 @@
+/**
+ * Drive the app's Stripe webhook end to end against the mock Stripe API
+ *
+ * Starts the mock, starts server.js pointed at it, then buys tickets through
+ * POST /api/public/checkout and delivers signed webhooks to
+ * POST /api/webhooks/stripe:
+ *   1. checkout.session.completed fulfils the order; a replay changes nothing
+ *   2. a paid order whose tickets were taken meanwhile is refunded (SOLD_OUT)
+ *      once, also when the webhook is replayed
+ *   3. checkout.session.async_payment_failed fails an order
+ *   4. checkout.session.expired expires an order
+ *
+ * The server uses the same database settings as this script (DATABASE_URL),
+ * and tickets are sold in the first raffle on sale, so point it at a
+ * development database with some AVAILABLE tickets. For step 2 the
+ * category's AVAILABLE tickets are held for a while under the owner
+ * "stripe-check" and released at the end.
+ *
+ * Usage (from raffle-app): npm run test:stripe
+ *   APP_PORT - Port for the server (default 3100)
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { startMockStripe } = require('./mockStripe');
+const { signedEvent } = require('./webhooks');
+
+const APP_PORT = Number(process.env.APP_PORT) || 3100;
+const APP_URL = `http://localhost:${APP_PORT}`;
+const WEBHOOK_SECRET = 'whsec_test_mock';
+const TAKER = 'stripe-check';
+
+let failures = 0;
+
+function check(label, condition, detail) {
+  if (condition) {
+    console.log(`  ok   ${label}`);
+  } else {
+    failures++;
+    console.log(`  FAIL ${label}${detail === undefined ? '' : `: ${JSON.stringify(detail)}`}`);
+  }
+}
+
+async function api(method, urlPath, { body, headers = {} } = {}) {
+  const response = await fetch(`${APP_URL}${urlPath}`, {
+    method,
+    headers: body && !Buffer.isBuffer(body) ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: body && !Buffer.isBuffer(body) ? JSON.stringify(body) : body
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+async function waitForServer(server) {
+  for (let i = 0; i < 120; i++) {
+    if (server.exitCode !== null) {
+      throw new Error(`server.js exited with code ${server.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${APP_URL}/health`);
+      if (response.ok) {
+        return;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  throw new Error('server.js did not start within 60 seconds');
+}
+
+// Start a card purchase and find the Checkout Session the app created for it
+async function checkout(stripe, raffle, category, quantity) {
+  const known = new Set(stripe.sessions.keys());
+  const result = await api('POST', '/api/public/checkout', {
+    body: {
+      raffle_id: raffle.id, category: category.code, quantity, payment_provider: 'stripe',
+      buyer_name: 'Stripe Check', buyer_email: 'stripe-check@example.com'
+    }
+  });
+  if (result.status !== 201) {
+    throw new Error(`Checkout failed: ${result.status} ${JSON.stringify(result.body)}`);
+  }
+  const session = [...stripe.sessions.values()].find(s => !known.has(s.id));
+  return { token: result.body.order_token, session, orderId: Number(session.metadata.order_id) };
+}
+
+function post(webhook) {
+  return api('POST', '/api/webhooks/stripe', { body: webhook.payload, headers: webhook.headers });
+}
+
+function deliver(type, session, options) {
+  return post(signedEvent(type, session, { secret: WEBHOOK_SECRET, ...options }));
+}
+
+async function run(stripe, db) {
+  const raffles = (await api('GET', '/api/public/raffles')).body;
+  const raffle = raffles && raffles.raffles.find(r => r.categories.some(c => c.available >= 3));
+  if (!raffle) {
+    throw new Error('Needs a raffle on sale with at least 3 AVAILABLE tickets in one category');
+  }
+  const category = raffle.categories.find(c => c.available >= 3);
+  console.log(`Raffle #${raffle.id}, category ${category.code}`);
+
+  console.log('checkout.session.completed and replay');
+  const paid = await checkout(stripe, raffle, category, 1);
+  const completed = signedEvent('checkout.session.completed', stripe.pay(paid.session.id), { secret: WEBHOOK_SECRET });
+  const first = await post(completed);
+  check('fulfilled', first.status === 200 && first.body.status === 'fulfilled' && first.body.replayed === false, first.body);
+  const replay = await post(completed);
+  check('replay changes nothing', replay.status === 200 && replay.body.replayed === true &&
+    replay.body.sale_id === first.body.sale_id, replay.body);
+  const order = (await api('GET', `/api/public/orders/${paid.token}`)).body;
+  check('buyer sees one ticket', order && order.status === 'fulfilled' && order.tickets.length === 1, order);
+
+  console.log('sold out after payment');
+  const late = await checkout(stripe, raffle, category, 1);
+  const taken = await db.run(
+    `UPDATE tickets SET status = 'RESERVED', reservation_owner = ?, reservation_owner_name = 'Stripe webhook check',
+       reservation_reason = 'Sold-out check', reserved_at = CURRENT_TIMESTAMP, reserved_until = ?
+     WHERE raffle_id = ? AND category = ? AND (status = 'AVAILABLE' OR (status = 'RESERVED' AND reservation_owner = ?))`,
+    [TAKER, db.toDbTimestamp(new Date(Date.now() + 10 * 60 * 1000)), raffle.id, category.code, `order:${late.orderId}`]
+  );
+  try {
+    const refunds = stripe.refunds.length;
+    const lateCompleted = signedEvent('checkout.session.completed', stripe.pay(late.session.id), { secret: WEBHOOK_SECRET });
+    const soldOut = await post(lateCompleted);
+    check('refunded as SOLD_OUT', soldOut.status === 200 && soldOut.body.status === 'refunded' &&
+      soldOut.body.reason === 'SOLD_OUT', soldOut.body);
+    check('one refund of the full amount', stripe.refunds.length === refunds + 1 &&
+      stripe.refunds[refunds].amount === late.session.amount_total, stripe.refunds.slice(refunds));
+    const again = await post(lateCompleted);
+    check('replay does not refund again', again.body && again.body.replayed === true &&
+      stripe.refunds.length === refunds + 1, again.body);
+  } finally {
+    const { releaseHolds } = require('../../services/reservationService');
+    await releaseHolds(TAKER);
+    console.log(`  (released ${taken.changes} ticket(s) held for the check)`);
+  }
+
+  console.log('checkout.session.async_payment_failed');
+  const declined = await checkout(stripe, raffle, category, 1);
+  const failed = await deliver('checkout.session.async_payment_failed', declined.session);
+  check('failed', failed.status === 200 && failed.body.status === 'failed', failed.body);
+
+  console.log('checkout.session.expired');
+  const abandoned = await checkout(stripe, raffle, category, 1);
+  const expired = await deliver('checkout.session.expired', stripe.expire(abandoned.session.id));
+  check('expired', expired.status === 200 && expired.body.status === 'expired', expired.body);
+
+  console.log('bad signature');
+  const forged = await deliver('checkout.session.completed', stripe.pay(abandoned.session.id), { secret: 'whsec_wrong' });
+  check('rejected', forged.status === 400 && forged.body.error === 'INVALID_SIGNATURE', forged.body);
+}
+
+async function main() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Refusing to run with NODE_ENV=production');
+  }
+  const stripe = await startMockStripe({ port: Number(process.env.STRIPE_MOCK_PORT) || 0 });
+  console.log(`Mock Stripe API on ${stripe.url}`);
+
+  const server = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+    env: {
+      ...process.env,
+      NODE_ENV: 'development',
+      PORT: String(APP_PORT),
+      APP_URL,
+      STRIPE_SECRET_KEY: 'sk_test_mock',
+      STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      STRIPE_API_BASE: stripe.url
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  const db = require('../../db');
+  try {
+    await waitForServer(server);
+    await run(stripe, db);
+  } finally {
+    server.kill();
+    await stripe.close();
+    db.close();
+  }
+
+  console.log(failures === 0 ? 'All Stripe webhook checks passed' : `${failures} check(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
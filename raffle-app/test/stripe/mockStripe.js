@@ -0,0 +1,195 @@
+/**
+ * Mock Stripe API - the few endpoints stripeProvider calls, in memory
+ *
+ * Point the app at it with STRIPE_API_BASE=<url>. Checkout Sessions start
+ * open and unpaid; pay() and expire() stand in for the buyer, as Stripe's
+ * hosted page would. Requests with the same Idempotency-Key get the same
+ * object back, as they do from Stripe.
+ *
+ *   POST /v1/checkout/sessions      - create a session
+ *   GET  /v1/checkout/sessions/:id  - retrieve a session
+ *   POST /v1/refunds                - refund a payment intent
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+/**
+ * A Stripe-style object ID
+ *
+ * @param {string} prefix - e.g. cs_test, pi, re
+ * @returns {string}
+ */
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Read a form-encoded request body into a flat map (keys like line_items[0][quantity])
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Build a Checkout Session from the create parameters
+ *
+ * @param {Object} form - Flat form parameters
+ * @returns {Object} - Session
+ */
+function createSession(form) {
+  let amountTotal = 0;
+  for (let i = 0; form[`line_items[${i}][quantity]`] !== undefined; i++) {
+    amountTotal += Number(form[`line_items[${i}][quantity]`]) * Number(form[`line_items[${i}][price_data][unit_amount]`]);
+  }
+  const metadata = {};
+  for (const [key, value] of Object.entries(form)) {
+    const match = /^metadata\[(.+)\]$/.exec(key);
+    if (match) {
+      metadata[match[1]] = value;
+    }
+  }
+  const id = newId('cs_test');
+  return {
+    id,
+    object: 'checkout.session',
+    mode: form.mode,
+    status: 'open',
+    payment_status: 'unpaid',
+    payment_intent: null,
+    amount_total: amountTotal,
+    currency: form['line_items[0][price_data][currency]'] || null,
+    customer_email: form.customer_email || null,
+    client_reference_id: form.client_reference_id || null,
+    metadata,
+    success_url: form.success_url,
+    cancel_url: form.cancel_url,
+    url: `https://checkout.stripe.test/pay/${id}`
+  };
+}
+
+/**
+ * Start the mock on a local port
+ *
+ * @param {Object} options - { port (default: any free port) }
+ * @returns {Promise<Object>} - { url, sessions, refunds, pay, expire, close }
+ */
+async function startMockStripe({ port = 0 } = {}) {
+  const sessions = new Map();
+  const refunds = [];
+  const byIdempotencyKey = new Map();
+
+  function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Request-Id': newId('req') });
+    res.end(JSON.stringify(body));
+  }
+
+  function notFound(res, message) {
+    send(res, 404, { error: { type: 'invalid_request_error', code: 'resource_missing', message } });
+  }
+
+  function refund(form) {
+    const paid = [...sessions.values()].find(s => s.payment_intent === form.payment_intent);
+    if (!paid) {
+      return null;
+    }
+    const refunded = refunds.filter(r => r.payment_intent === form.payment_intent).reduce((sum, r) => sum + r.amount, 0);
+    const amount = form.amount === undefined ? paid.amount_total - refunded : Number(form.amount);
+    const result = {
+      id: newId('re'),
+      object: 'refund',
+      payment_intent: form.payment_intent,
+      amount,
+      currency: paid.currency,
+      status: amount > 0 && refunded + amount <= paid.amount_total ? 'succeeded' : 'failed',
+      metadata: { reason: form['metadata[reason]'] || '' }
+    };
+    refunds.push(result);
+    return result;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const path = new URL(req.url, 'http://localhost').pathname;
+      const key = req.headers['idempotency-key'];
+      if (req.method === 'POST' && key && byIdempotencyKey.has(key)) {
+        return send(res, 200, byIdempotencyKey.get(key));
+      }
+
+      let result;
+      if (req.method === 'POST' && path === '/v1/checkout/sessions') {
+        result = createSession(await readForm(req));
+        sessions.set(result.id, result);
+      } else if (req.method === 'GET' && path.startsWith('/v1/checkout/sessions/')) {
+        const session = sessions.get(decodeURIComponent(path.slice('/v1/checkout/sessions/'.length)));
+        return session ? send(res, 200, session) : notFound(res, 'No such checkout.session');
+      } else if (req.method === 'POST' && path === '/v1/refunds') {
+        result = refund(await readForm(req));
+        if (!result) {
+          return notFound(res, 'No such payment_intent');
+        }
+      } else {
+        return notFound(res, `Unrecognized request URL (${req.method}: ${path})`);
+      }
+
+      if (key) {
+        byIdempotencyKey.set(key, result);
+      }
+      send(res, 200, result);
+    } catch (error) {
+      send(res, 500, { error: { type: 'api_error', message: error.message } });
+    }
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    sessions,
+    refunds,
+
+    /**
+     * Pay a session, as the buyer would on the Checkout page
+     *
+     * @param {string} sessionId
+     * @returns {Object} - The paid session
+     */
+    pay(sessionId) {
+      const session = sessions.get(sessionId);
+      Object.assign(session, { status: 'complete', payment_status: 'paid', payment_intent: session.payment_intent || newId('pi') });
+      return session;
+    },
+
+    /**
+     * Expire a session that was never paid
+     *
+     * @param {string} sessionId
+     * @returns {Object} - The expired session
+     */
+    expire(sessionId) {
+      const session = sessions.get(sessionId);
+      Object.assign(session, { status: 'expired', url: null });
+      return session;
+    },
+
+    /**
+     * Stop the mock
+     *
+     * @returns {Promise<void>}
+     */
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = { startMockStripe };
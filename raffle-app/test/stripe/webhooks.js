@@ -0,0 +1,51 @@
+/**
+ * Signed Stripe webhook fixtures
+ *
+ * Each fixture in ./fixtures is a Stripe event with only the fields that
+ * make it that event (status, payment_status). The session it reports
+ * (normally one from the mock) is merged underneath them, and the result is
+ * signed the way Stripe signs it, so stripeProvider.verifyWebhook accepts it.
+ */
+
+const Stripe = require('stripe');
+
+const EVENT_TYPES = [
+  'checkout.session.completed',
+  'checkout.session.async_payment_failed',
+  'checkout.session.expired'
+];
+
+/**
+ * Build a signed webhook request for a session
+ *
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} session - Checkout Session the event reports
+ * @param {Object} options - { secret (STRIPE_WEBHOOK_SECRET), eventId (default: new per call) }
+ * @returns {Object} - { payload (Buffer), headers, event }
+ */
+function signedEvent(type, session, { secret = process.env.STRIPE_WEBHOOK_SECRET, eventId = null } = {}) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`No webhook fixture for ${type}`);
+  }
+  const fixture = require(`./fixtures/${type}.json`);
+  const event = {
+    ...fixture,
+    id: eventId || `${fixture.id}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+    created: Math.floor(Date.now() / 1000),
+    data: { object: { ...session, ...fixture.data.object } }
+  };
+  const payload = JSON.stringify(event);
+  return {
+    payload: Buffer.from(payload),
+    headers: {
+      'content-type': 'application/json',
+      'stripe-signature': Stripe.webhooks.generateTestHeaderString({ payload, secret })
+    },
+    event
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  signedEvent
+};
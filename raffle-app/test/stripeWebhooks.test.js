@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setupDatabase, closeDatabase, insertTickets } = require('./helpers');
+const { startMockStripe } = require('./stripe/mockStripe');
+const { signedEvent } = require('./stripe/webhooks');
+const paymentService = require('../services/paymentService');
+const onlinePurchaseService = require('../services/onlinePurchaseService');
+
+let stripe;
+
+// What POST /api/webhooks/stripe does with a request
+async function deliver({ payload, headers }) {
+  const event = await paymentService.receiveWebhook('stripe', payload, headers);
+  return onlinePurchaseService.handlePaymentEvent(event);
+}
+
+async function checkout(quantity, category = 'ABC') {
+  const result = await onlinePurchaseService.startCheckout({
+    raffle_id: 1, category, quantity, payment_provider: 'stripe',
+    buyer_name: 'Card Buyer', buyer_email: 'card@example.com'
+  });
+  return db.get('SELECT * FROM online_orders WHERE order_token = ?', [result.order_token]);
+}
+
+async function heldBy(order) {
+  const row = await db.get('SELECT COUNT(*) as count FROM tickets WHERE reservation_owner = ?', [`order:${order.id}`]);
+  return Number(row.count);
+}
+
+before(async () => {
+  stripe = await startMockStripe();
+  process.env.STRIPE_SECRET_KEY = 'sk_test_mock';
+  process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_mock';
+  process.env.STRIPE_API_BASE = stripe.url;
+
+  await setupDatabase();
+  await insertTickets({ category: 'ABC', count: 6, status: 'AVAILABLE' });
+  await insertTickets({ category: 'EFG', count: 2, status: 'AVAILABLE', price: 100 });
+});
+
+after(async () => {
+  await stripe.close();
+  closeDatabase();
+});
+
+test('checkout creates a Checkout Session for the order total', async () => {
+  const order = await checkout(2);
+  assert.strictEqual(order.status, 'pending');
+  const session = stripe.sessions.get(order.payment_reference);
+  assert.strictEqual(session.amount_total, 10000);
+  assert.strictEqual(session.metadata.order_id, String(order.id));
+  assert.strictEqual(await heldBy(order), 2);
+});
+
+test('checkout.session.completed fulfils the order, and a replay changes nothing', async () => {
+  const order = await checkout(2);
+  const webhook = signedEvent('checkout.session.completed', stripe.pay(order.payment_reference));
+
+  const first = await deliver(webhook);
+  assert.strictEqual(first.status, 'fulfilled');
+  assert.strictEqual(first.replayed, false);
+  const tickets = await db.all("SELECT * FROM tickets WHERE sale_id = ? AND status = 'SOLD'", [first.sale_id]);
+  assert.strictEqual(tickets.length, 2);
+  assert.ok(tickets.every(t => t.payment_provider === 'stripe'));
+
+  const replay = await deliver(webhook);
+  assert.deepStrictEqual(replay, { order_id: order.id, status: 'fulfilled', sale_id: first.sale_id, replayed: true });
+  const sales = await db.get('SELECT COUNT(*) as count FROM sales WHERE client_sale_id = ?', [`stripe:${order.payment_reference}`]);
+  assert.strictEqual(Number(sales.count), 1);
+  assert.strictEqual(stripe.refunds.length, 0);
+});
+
+test('a paid order whose tickets were taken is refunded automatically, once', async () => {
+  const order = await checkout(2, 'EFG');
+  // Someone else sold the held tickets after the hold ran out
+  await db.run(
+    "UPDATE tickets SET status = 'SOLD', reservation_owner = NULL, reserved_until = NULL WHERE raffle_id = 1 AND category = 'EFG'"
+  );
+  const session = stripe.pay(order.payment_reference);
+  const webhook = signedEvent('checkout.session.completed', session);
+
+  const result = await deliver(webhook);
+  assert.deepStrictEqual(result, { order_id: order.id, status: 'refunded', reason: 'SOLD_OUT' });
+  assert.strictEqual(stripe.refunds.length, 1);
+  const [refund] = stripe.refunds;
+  assert.strictEqual(refund.payment_intent, session.payment_intent);
+  assert.strictEqual(refund.amount, 20000);
+
+  const stored = await db.get('SELECT status, refund_id, failure_reason, sale_id FROM online_orders WHERE id = ?', [order.id]);
+  assert.deepStrictEqual(stored, { status: 'refunded', refund_id: refund.id, failure_reason: 'SOLD_OUT', sale_id: null });
+  const sale = await db.get('SELECT id FROM sales WHERE client_sale_id = ?', [`stripe:${order.payment_reference}`]);
+  assert.ok(!sale);
+
+  const replay = await deliver(webhook);
+  assert.strictEqual(replay.replayed, true);
+  assert.strictEqual(replay.status, 'refunded');
+  assert.strictEqual(stripe.refunds.length, 1);
+});
+
+test('checkout.session.async_payment_failed fails the order and releases its tickets', async () => {
+  const order = await checkout(1);
+  const result = await deliver(signedEvent('checkout.session.async_payment_failed', stripe.sessions.get(order.payment_reference)));
+  assert.deepStrictEqual(result, { order_id: order.id, status: 'failed' });
+  const stored = await db.get('SELECT status, failure_reason FROM online_orders WHERE id = ?', [order.id]);
+  assert.deepStrictEqual(stored, { status: 'failed', failure_reason: 'PAYMENT_FAILED' });
+  assert.strictEqual(await heldBy(order), 0);
+});
+
+test('checkout.session.expired expires the order and releases its tickets', async () => {
+  const order = await checkout(1);
+  const webhook = signedEvent('checkout.session.expired', stripe.expire(order.payment_reference));
+  assert.deepStrictEqual(await deliver(webhook), { order_id: order.id, status: 'expired' });
+  assert.strictEqual(await heldBy(order), 0);
+  // A late delivery of the same event is ignored
+  assert.deepStrictEqual(await deliver(webhook), { order_id: order.id, status: 'ignored' });
+});
+
+test('webhooks signed with another secret are rejected', async () => {
+  const order = await checkout(1);
+  const webhook = signedEvent('checkout.session.completed', stripe.pay(order.payment_reference), { secret: 'whsec_other' });
+  await assert.rejects(deliver(webhook), { code: 'INVALID_SIGNATURE' });
+  const stored = await db.get('SELECT status FROM online_orders WHERE id = ?', [order.id]);
+  assert.strictEqual(stored.status, 'pending');
+});
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setupDatabase, closeDatabase, insertTickets, setRaffleStatus } = require('./helpers');
+const categoryService = require('../services/categoryService');
+const ticketService = require('../services/ticketService');
+const bulkTicketService = require('../services/bulkTicketService');
+
+const admin = { id: 1, name: 'Admin', phone: '0000000000', role: 'admin' };
+let first;
+let second;
+
+before(async () => {
+  await setupDatabase();
+  const raffle = await db.run("INSERT INTO raffles (name, status) VALUES ('Second Raffle', 'draft')");
+  await categoryService.saveCategories(raffle.lastID, {
+    categories: [
+      { category_code: 'ABC', category_name: 'Standard', price: 20, color: '#3B82F6', total_tickets: 100, barcode_prefix: '1' },
+      { category_code: 'VIP', category_name: 'VIP', price: 200, color: '#8B5CF6', total_tickets: 10, barcode_prefix: '2' }
+    ]
+  }, admin);
+
+  [first] = await insertTickets({ category: 'ABC', count: 1, status: 'AVAILABLE' });
+  [second] = await insertTickets({ raffleId: raffle.lastID, category: 'ABC', count: 1, status: 'AVAILABLE', price: 20 });
+});
+
+after(closeDatabase);
+
+test('a raffle can reuse the category codes, prefixes and ticket numbers of another raffle', async () => {
+  assert.strictEqual(second.ticket_number, first.ticket_number);
+  assert.strictEqual(second.barcode, first.barcode);
+  assert.notStrictEqual(second.raffle_id, first.raffle_id);
+
+  assert.strictEqual((await ticketService.getTicketByBarcode(first.barcode, second.raffle_id)).id, second.id);
+  assert.strictEqual((await ticketService.getTicketByNumber(first.ticket_number, first.raffle_id)).id, first.id);
+
+  await assert.rejects(
+    insertTickets({ raffleId: second.raffle_id, category: 'ABC', count: 1, status: 'AVAILABLE' }),
+    error => db.isUniqueConstraintError(error)
+  );
+});
+
+test('a lookup without a raffle uses the raffle on sale, and asks for one when that is not enough', async () => {
+  assert.strictEqual((await ticketService.getTicketByBarcode(first.barcode)).id, first.id);
+
+  await setRaffleStatus(second.raffle_id, 'on_sale');
+  try {
+    await assert.rejects(ticketService.getTicketByBarcode(first.barcode), { code: 'RAFFLE_REQUIRED', status: 409 });
+
+    const ambiguous = await bulkTicketService.validateTicketForSale(first.barcode);
+    assert.strictEqual(ambiguous.valid, false);
+    assert.strictEqual(ambiguous.error, 'RAFFLE_REQUIRED');
+
+    const chosen = await bulkTicketService.validateTicketForSale(first.barcode, { raffleId: second.raffle_id });
+    assert.strictEqual(chosen.valid, true);
+    assert.strictEqual(chosen.ticket.id, second.id);
+  } finally {
+    await setRaffleStatus(second.raffle_id, 'draft');
+  }
+});
+
+test('startup replaces an old install-wide unique ticket number with one per raffle, keeping every ticket', async () => {
+  // Recreate the tickets table as databases created before per-raffle numbers have it
+  const table = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'tickets'");
+  await db.run(table.sql
+    .replace(/^CREATE TABLE "?tickets"?/i, 'CREATE TABLE tickets_old')
+    .replace(/ticket_number TEXT NOT NULL/i, 'ticket_number TEXT UNIQUE NOT NULL'));
+  await db.run("DELETE FROM tickets WHERE raffle_id != 1");
+  await db.run('INSERT INTO tickets_old SELECT * FROM tickets');
+  await db.run('DROP TABLE tickets');
+  await db.run('ALTER TABLE tickets_old RENAME TO tickets');
+  const tickets = await db.all('SELECT * FROM tickets ORDER BY id');
+
+  await db.initializeSchema();
+
+  const rebuilt = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'tickets'");
+  assert.doesNotMatch(rebuilt.sql, /ticket_number TEXT UNIQUE/i);
+  assert.deepStrictEqual(await db.all('SELECT * FROM tickets ORDER BY id'), tickets);
+  const [again] = await insertTickets({ raffleId: second.raffle_id, category: 'ABC', count: 1, status: 'AVAILABLE' });
+  assert.strictEqual(again.ticket_number, first.ticket_number);
+});